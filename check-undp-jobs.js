@@ -107,7 +107,7 @@ async function checkUndpJobs() {
       console.log('   2. Fix the cross-org cleanup logic to preserve legitimate jobs');
       console.log('   3. Update cleanup to only remove true duplicates');
       console.log('\n⚡ Run this command to restore UNDP jobs:');
-      console.log('   node src/etl/etl-undp.js');
+      console.log('   node run-etl.js UNDP');
     } else {
       console.log('✅ UNDP jobs exist, investigating other issues...');
     }
@@ -0,0 +1,33 @@
+// Re-parse stored raw payloads for one registered ETL source, without scraping
+// Usage: node reprocess-etl.js <ORGANIZATION> [RUN_ID]   (default: latest run with snapshots)
+require("dotenv").config();
+
+const { getSources, getSource } = require("./src/etl/registry");
+const { reprocessSource } = require("./src/etl/runner");
+
+async function reprocessFromCli(organizationName, runId) {
+  const source = getSource(organizationName);
+
+  if (!source) {
+    const known = getSources().map((s) => s.name).join(", ");
+    console.error(`❌ Unknown ETL source "${organizationName || ""}". Known sources: ${known}`);
+    process.exit(1);
+  }
+
+  const outcome = await reprocessSource(source, runId || null);
+
+  if (outcome.success) {
+    console.log(`✅ ${source.name} reprocessed from run ${outcome.runId}`);
+    console.log(`📊 Results: ${outcome.successCount} saved, ${outcome.skippedCount} skipped (closed or archived since), ${outcome.errorCount} errors`);
+    process.exit(0);
+  }
+
+  console.error(`❌ ${source.name} reprocess ${outcome.skipped ? "skipped" : "failed"}:`, outcome.error);
+  process.exit(1);
+}
+
+if (require.main === module) {
+  reprocessFromCli(process.argv[2], process.argv[3]);
+}
+
+module.exports = { reprocessFromCli };
@@ -0,0 +1,45 @@
+// Manually run one registered ETL source with status tracking
+// Usage: node run-etl.js <ORGANIZATION> [--record | --replay]   (e.g. node run-etl.js UNICEF)
+//   --record  save every response / rendered page to fixtures/etl/ (see src/etl/fixtures.js)
+//   --replay  run against those fixtures instead of the live site
+require("dotenv").config();
+
+const { FULL_RUN, getSources, getSource } = require("./src/etl/registry");
+const { runOrganizationEtl, runScheduledSource } = require("./src/etl/runner");
+
+async function runFromCli(organizationName) {
+  const source = getSource(organizationName);
+
+  if (!source) {
+    const known = getSources().map((s) => s.name).join(", ");
+    console.error(`❌ Unknown ETL source "${organizationName || ""}". Known sources: ${known}`);
+    process.exit(1);
+  }
+
+  if (!source.enabled) {
+    console.warn(`⚠️  ${source.name} is disabled in the registry — running it anyway`);
+  }
+
+  console.log(`🚀 Running ${source.name} ETL (${source.strategy})...`);
+  const outcome = source.schedule === FULL_RUN
+    ? await runOrganizationEtl(source)
+    : await runScheduledSource(source);
+
+  if (outcome.success) {
+    console.log(`✅ ${source.name} ETL completed successfully!`);
+    console.log(`📊 Results: ${outcome.processedCount} processed`);
+    process.exit(0);
+  }
+
+  console.error(`❌ ${source.name} ETL ${outcome.skipped ? "skipped" : "failed"}:`, outcome.error);
+  process.exit(1);
+}
+
+if (require.main === module) {
+  const [organizationName, ...flags] = process.argv.slice(2);
+  if (flags.includes("--record")) process.env.ETL_FIXTURES = "record";
+  if (flags.includes("--replay")) process.env.ETL_FIXTURES = "replay";
+  runFromCli(organizationName);
+}
+
+module.exports = { runFromCli };
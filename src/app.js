@@ -13,20 +13,8 @@ const swaggerUi = require("swagger-ui-express");
 
 const { options } = require("./util/swagger");
 
-const { fetchAndProcessInspiraJobVacancies } = require("./etl/etl-inspira");
-const { fetchAndProcessWfpJobVacancies } = require("./etl/etl-wfp");
-const { fetchAndProcessUnhcrJobVacancies } = require("./etl/etl-unhcr");
-const { fetchAndProcessImfJobVacancies } = require("./etl/etl-imf");
-const { fetchAndProcessUndpJobVacancies } = require("./etl/etl-undp");
-const { fetchAndProcessUnwomenJobVacancies } = require("./etl/etl-unwomen");
-const { fetchAndProcessUnfpaJobVacancies } = require("./etl/etl-unfpa");
-const { fetchAndProcessIomJobVacancies } = require("./etl/etl-iom");
-const { fetchAndProcessIcaoJobVacancies } = require("./etl/etl-icao");
-const { fetchAndProcessUnicefJobVacancies } = require("./etl/etl-unicef");
-const { fetchAndProcessUnopsJobVacancies } = require("./etl/etl-unops");
-const { fetchAndProcessUnescoJobVacancies } = require("./etl/etl-unesco");
-const { fetchAndProcessReliefwebJobVacancies } = require("./etl/etl-reliefweb");
-const { removeDuplicateJobVacancies } = require("./etl/shared");
+const { runEtl, runScheduledSource } = require("./etl/runner");
+const { getScheduledSources } = require("./etl/registry");
 
 // Import social media functions
 const {
@@ -135,6 +123,299 @@ async function ensureSchema() {
     `CREATE INDEX IF NOT EXISTS idx_job_vacancies_job_title_tsv
        ON job_vacancies USING GIN (to_tsvector('english', job_title));`,
 
+    // — Incremental ETL bookkeeping. content_hash lets upsertJobVacancy skip
+    //   rows whose content hasn't changed; first_seen_at replaces `created`
+    //   (which used to be reset on every run) as "when did we first list
+    //   this job". Existing rows are backfilled from `created` — the best
+    //   guess available for them.
+    `ALTER TABLE job_vacancies
+       ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64),
+       ADD COLUMN IF NOT EXISTS first_seen_at TIMESTAMPTZ,
+       ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ,
+       ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;`,
+    `UPDATE job_vacancies
+       SET first_seen_at = COALESCE(first_seen_at, created, NOW()),
+           last_seen_at = COALESCE(last_seen_at, created, NOW()),
+           updated_at = COALESCE(updated_at, created, NOW())
+     WHERE first_seen_at IS NULL OR last_seen_at IS NULL OR updated_at IS NULL;`,
+    `CREATE INDEX IF NOT EXISTS idx_job_vacancies_source_last_seen ON job_vacancies (data_source, last_seen_at);`,
+    `CREATE INDEX IF NOT EXISTS idx_job_vacancies_first_seen ON job_vacancies (first_seen_at DESC);`,
+
+    // — Soft-close: vacancies the source stopped listing are marked 'closed'
+    //   (see closeDisappearedJobs) and hidden from listings, but stay
+    //   readable by id so old links can say "no longer accepting applications".
+    `ALTER TABLE job_vacancies
+       ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'open',
+       ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ;`,
+    `CREATE INDEX IF NOT EXISTS idx_job_vacancies_open_end_date
+       ON job_vacancies (end_date) WHERE status = 'open';`,
+    // Keyset pagination walks (end_date, id) with open-ended jobs last
+    `CREATE INDEX IF NOT EXISTS idx_job_vacancies_open_cursor
+       ON job_vacancies ((COALESCE(end_date, 'infinity')), id) WHERE status = 'open';`,
+
+    // — Change history written by upsertJobVacancy when a tracked field
+    //   (title, deadline, duty station, level, description) changes. No FK:
+    //   the timeline should outlive the vacancy row itself.
+    `CREATE TABLE IF NOT EXISTS job_vacancy_revisions (
+       id SERIAL PRIMARY KEY,
+       job_vacancy_id INTEGER NOT NULL,
+       changes JSONB NOT NULL,
+       changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     );`,
+    `CREATE INDEX IF NOT EXISTS idx_job_vacancy_revisions_job
+       ON job_vacancy_revisions (job_vacancy_id, changed_at);`,
+
+    // — Canonical grade / contract category derived from the raw level and
+    //   contract fields (src/etl/grades.js). Filled in by upsertJobVacancy on
+    //   every sighting, so existing rows pick them up on the next run.
+    `ALTER TABLE job_vacancies
+       ADD COLUMN IF NOT EXISTS grade VARCHAR(20),
+       ADD COLUMN IF NOT EXISTS contract_category VARCHAR(30);`,
+    `CREATE INDEX IF NOT EXISTS idx_job_vacancies_open_grade
+       ON job_vacancies (grade) WHERE status = 'open';`,
+
+    // — Raw source payloads per vacancy and run (gzipped JSON or HTML), so
+    //   a mapping fix can be replayed with reprocess-etl.js instead of
+    //   waiting for the next scrape. Pruned by pruneSnapshots().
+    `CREATE TABLE IF NOT EXISTS etl_payload_snapshots (
+       id BIGSERIAL PRIMARY KEY,
+       run_id VARCHAR(36) NOT NULL,
+       organization VARCHAR(100) NOT NULL,
+       data_source VARCHAR(50),
+       job_id VARCHAR(255),
+       format VARCHAR(10) NOT NULL DEFAULT 'json',
+       payload BYTEA NOT NULL,
+       context JSONB,
+       captured_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     );`,
+    `CREATE INDEX IF NOT EXISTS idx_etl_payload_snapshots_run
+       ON etl_payload_snapshots (organization, run_id, id);`,
+    `CREATE INDEX IF NOT EXISTS idx_etl_payload_snapshots_captured
+       ON etl_payload_snapshots (captured_at);`,
+
+    // — Duty station resolved against the offline gazetteer
+    //   (src/etl/gazetteer.js): ISO country, city, M49 region and a
+    //   home-based flag. Filled in by upsertJobVacancy like grade.
+    `ALTER TABLE job_vacancies
+       ADD COLUMN IF NOT EXISTS country_code CHAR(2),
+       ADD COLUMN IF NOT EXISTS city VARCHAR(120),
+       ADD COLUMN IF NOT EXISTS region VARCHAR(20),
+       ADD COLUMN IF NOT EXISTS is_remote BOOLEAN NOT NULL DEFAULT FALSE;`,
+    `CREATE INDEX IF NOT EXISTS idx_job_vacancies_open_country
+       ON job_vacancies (country_code, city) WHERE status = 'open';`,
+    `CREATE INDEX IF NOT EXISTS idx_job_vacancies_open_region
+       ON job_vacancies (region) WHERE status = 'open';`,
+
+    // — Organization matching (src/etl/organizations.js): extra names that
+    //   map a dept string to an organization, and the dept strings that
+    //   matched nothing and fell back to the default organization.
+    `CREATE TABLE IF NOT EXISTS organization_alias (
+       id SERIAL PRIMARY KEY,
+       alias VARCHAR(255) NOT NULL,
+       normalized_name VARCHAR(255) NOT NULL UNIQUE,
+       organization_id INTEGER NOT NULL,
+       created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     );`,
+    `CREATE INDEX IF NOT EXISTS idx_organization_alias_organization
+       ON organization_alias (organization_id);`,
+    `CREATE TABLE IF NOT EXISTS organization_unmatched (
+       normalized_name VARCHAR(255) PRIMARY KEY,
+       dept VARCHAR(255) NOT NULL,
+       occurrences INTEGER NOT NULL DEFAULT 0,
+       first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+       last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     );`,
+
+    // — Quarantine (src/etl/quarantine.js): jobs that failed the per-source
+    //   validation schema, with their issues and raw payload.
+    `CREATE TABLE IF NOT EXISTS etl_quarantine (
+       id BIGSERIAL PRIMARY KEY,
+       run_id VARCHAR(36),
+       organization VARCHAR(100),
+       data_source VARCHAR(50),
+       job_id VARCHAR(255),
+       job_title VARCHAR(500),
+       severity VARCHAR(12) NOT NULL,
+       reason TEXT NOT NULL,
+       issues JSONB NOT NULL,
+       job_data JSONB,
+       payload JSONB,
+       created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     );`,
+    `CREATE INDEX IF NOT EXISTS idx_etl_quarantine_source_created
+       ON etl_quarantine (data_source, created_at DESC);`,
+    `CREATE INDEX IF NOT EXISTS idx_etl_quarantine_run
+       ON etl_quarantine (run_id);`,
+    `CREATE INDEX IF NOT EXISTS idx_etl_quarantine_created
+       ON etl_quarantine (created_at);`,
+
+    // — Drift detection (src/etl/drift.js): runs can end 'degraded', and
+    //   record fill rates for the next run's baseline. The status CHECK is
+    //   only swapped while it doesn't allow 'degraded' yet.
+    `ALTER TABLE etl_status
+       ADD COLUMN IF NOT EXISTS fill_rates JSONB,
+       ADD COLUMN IF NOT EXISTS drift_reasons JSONB;`,
+    `DO $$
+     BEGIN
+       IF EXISTS (
+         SELECT 1 FROM pg_constraint
+         WHERE conname = 'etl_status_status_check'
+           AND pg_get_constraintdef(oid) NOT LIKE '%degraded%'
+       ) THEN
+         ALTER TABLE etl_status DROP CONSTRAINT etl_status_status_check;
+         ALTER TABLE etl_status ADD CONSTRAINT etl_status_status_check
+           CHECK (status IN ('running', 'success', 'failed', 'degraded', 'starting', 'stopping', 'cancelled'));
+       END IF;
+     END $$;`,
+
+    // — Polite HTTP client (src/etl/http-client.js): cached responses for
+    //   conditional requests, and per-host request counts on each run.
+    `CREATE TABLE IF NOT EXISTS http_cache (
+       url_hash CHAR(40) PRIMARY KEY,
+       url TEXT NOT NULL,
+       host VARCHAR(255) NOT NULL,
+       etag TEXT,
+       last_modified TEXT,
+       status SMALLINT NOT NULL,
+       headers JSONB,
+       body TEXT NOT NULL,
+       fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     );`,
+    `CREATE INDEX IF NOT EXISTS idx_http_cache_fetched_at
+       ON http_cache (fetched_at);`,
+    `ALTER TABLE etl_status ADD COLUMN IF NOT EXISTS http_stats JSONB;`,
+
+    // — Duplicate clustering (src/etl/clustering.js): copies of one vacancy
+    //   from different sources share a cluster_id; listings show only the
+    //   canonical copy. Trigram index backs the fuzzy title match.
+    `CREATE EXTENSION IF NOT EXISTS pg_trgm;`,
+    `ALTER TABLE job_vacancies
+       ADD COLUMN IF NOT EXISTS cluster_id INTEGER,
+       ADD COLUMN IF NOT EXISTS is_canonical BOOLEAN NOT NULL DEFAULT TRUE;`,
+    `CREATE INDEX IF NOT EXISTS idx_job_vacancies_cluster
+       ON job_vacancies (cluster_id) WHERE cluster_id IS NOT NULL;`,
+    `CREATE INDEX IF NOT EXISTS idx_job_vacancies_open_title_trgm
+       ON job_vacancies USING GIN (lower(job_title) gin_trgm_ops) WHERE status = 'open';`,
+
+    // — Archive (src/etl/archive.js): expired, duplicate and withdrawn jobs
+    //   moved out of job_vacancies by the cleanup, keeping their id. The
+    //   whole row is in job_data; report filters are copied into columns.
+    `CREATE TABLE IF NOT EXISTS job_vacancies_archive (
+       id INTEGER PRIMARY KEY,
+       job_id TEXT,
+       data_source TEXT,
+       organization_id INTEGER,
+       job_title TEXT,
+       dept TEXT,
+       jn TEXT,
+       grade VARCHAR(20),
+       duty_station TEXT,
+       country_code CHAR(2),
+       start_date TIMESTAMP,
+       end_date TIMESTAMP,
+       first_seen_at TIMESTAMPTZ,
+       archive_reason VARCHAR(12) NOT NULL
+         CHECK (archive_reason IN ('expired', 'duplicate', 'withdrawn')),
+       archived_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+       job_data JSONB NOT NULL
+     );`,
+    `CREATE INDEX IF NOT EXISTS idx_job_vacancies_archive_org_end_date
+       ON job_vacancies_archive (organization_id, end_date);`,
+    `CREATE INDEX IF NOT EXISTS idx_job_vacancies_archive_jn
+       ON job_vacancies_archive (jn);`,
+    `CREATE INDEX IF NOT EXISTS idx_job_vacancies_archive_end_date
+       ON job_vacancies_archive (end_date);`,
+    `CREATE INDEX IF NOT EXISTS idx_job_vacancies_archive_archived_at
+       ON job_vacancies_archive (archived_at);`,
+
+    // — Hiring analytics (src/etl/analytics.js): live plus archived jobs
+    //   (one copy per cluster, no duplicates) as a view, and monthly
+    //   rollups over it that the runner refreshes after each ETL run.
+    //   The unique indexes let REFRESH ... CONCURRENTLY keep them readable.
+    `CREATE OR REPLACE VIEW job_postings_history AS
+       SELECT
+         jv.id, jv.organization_id, jv.jn, jv.grade, jv.country_code,
+         COALESCE(NULLIF(jv.city, ''), jv.duty_station) AS duty_station,
+         COALESCE(jv.start_date, jv.first_seen_at, jv.created)::date AS opened_on,
+         CASE
+           WHEN jv.status = 'closed' THEN jv.closed_at::date
+           WHEN jv.end_date < NOW() THEN jv.end_date::date
+         END AS closed_on,
+         jv.end_date::date AS deadline,
+         FALSE AS archived
+       FROM job_vacancies jv
+       WHERE jv.is_canonical
+       UNION ALL
+       SELECT
+         a.id, a.organization_id, a.jn, a.grade, a.country_code,
+         COALESCE(NULLIF(a.job_data->>'city', ''), a.duty_station) AS duty_station,
+         COALESCE(a.start_date, a.first_seen_at, (a.job_data->>'created')::timestamp)::date AS opened_on,
+         COALESCE((a.job_data->>'closed_at')::timestamptz, a.end_date, a.archived_at)::date AS closed_on,
+         a.end_date::date AS deadline,
+         TRUE AS archived
+       FROM job_vacancies_archive a
+       WHERE a.archive_reason <> 'duplicate'
+         AND COALESCE((a.job_data->>'is_canonical')::boolean, TRUE);`,
+    `CREATE MATERIALIZED VIEW IF NOT EXISTS analytics_postings_monthly AS
+       SELECT
+         month, organization_id, jn, grade, country_code,
+         SUM(opened)::int AS opened,
+         SUM(closed)::int AS closed,
+         SUM(window_days)::bigint AS window_days_total,
+         SUM(window_count)::int AS window_count
+       FROM (
+         SELECT
+           date_trunc('month', opened_on)::date AS month,
+           COALESCE(organization_id, 0) AS organization_id, COALESCE(jn, '') AS jn, COALESCE(grade, '') AS grade, COALESCE(country_code, '') AS country_code,
+           1 AS opened, 0 AS closed,
+           CASE WHEN deadline >= opened_on THEN deadline - opened_on END AS window_days,
+           CASE WHEN deadline >= opened_on THEN 1 ELSE 0 END AS window_count
+         FROM job_postings_history
+         WHERE opened_on IS NOT NULL
+         UNION ALL
+         SELECT
+           date_trunc('month', closed_on)::date AS month,
+           COALESCE(organization_id, 0) AS organization_id, COALESCE(jn, '') AS jn, COALESCE(grade, '') AS grade, COALESCE(country_code, '') AS country_code,
+           0 AS opened, 1 AS closed, NULL AS window_days, 0 AS window_count
+         FROM job_postings_history
+         WHERE closed_on IS NOT NULL
+       ) events
+       GROUP BY month, organization_id, jn, grade, country_code;`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_analytics_postings_monthly_key
+       ON analytics_postings_monthly (month, organization_id, jn, grade, country_code);`,
+    `CREATE MATERIALIZED VIEW IF NOT EXISTS analytics_duty_stations_monthly AS
+       SELECT
+         date_trunc('month', opened_on)::date AS month,
+         duty_station,
+         COALESCE(country_code, '') AS country_code,
+         COUNT(*)::int AS opened
+       FROM job_postings_history
+       WHERE opened_on IS NOT NULL AND NULLIF(TRIM(duty_station), '') IS NOT NULL
+       GROUP BY 1, 2, 3;`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_analytics_duty_stations_monthly_key
+       ON analytics_duty_stations_monthly (month, duty_station, country_code);`,
+
+    // — ETL locks (acquireETLLock in src/etl/shared.js): one row per source
+    //   while it runs. The primary key is what stops two triggers close
+    //   together from both starting it; rows older than 4 hours are stale.
+    `CREATE TABLE IF NOT EXISTS etl_locks (
+       organization_name VARCHAR(100) PRIMARY KEY,
+       run_id VARCHAR(36),
+       acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     );`,
+
+    // — Weighted full-text search vector for /jobs/search: title (A) >
+    //   organization, job network and duty station (B) > description with
+    //   HTML tags stripped (C). Generated, so the ETL doesn't maintain it.
+    `ALTER TABLE job_vacancies ADD COLUMN IF NOT EXISTS search_vector tsvector
+       GENERATED ALWAYS AS (
+         setweight(to_tsvector('english', coalesce(job_title, '')), 'A') ||
+         setweight(to_tsvector('english', coalesce(dept, '') || ' ' || coalesce(jn, '') || ' ' || coalesce(duty_station, '')), 'B') ||
+         setweight(to_tsvector('english', regexp_replace(coalesce(job_description, ''), '<[^>]+>', ' ', 'g')), 'C')
+       ) STORED;`,
+    `CREATE INDEX IF NOT EXISTS idx_job_vacancies_search_vector
+       ON job_vacancies USING GIN (search_vector);`,
+
     // — Refresh planner stats so the new indexes are immediately considered
     //   on the first query. Auto-ANALYZE would catch up eventually but
     //   right after CREATE INDEX is the moment we want the planner to know.
@@ -175,289 +456,6 @@ app.listen(PORT, async () => {
   */
 });
 
-const runEtl = async () => {
-  console.log("🚀 Starting complete ETL process...", new Date());
-  
-  const etlResults = {
-    successful: [],
-    failed: [],
-    totalProcessed: 0,
-    totalErrors: 0
-  };
-  
-  // Import the ETL utilities
-  const { logETLStatus, getJobCount, cleanupStaleRunningStatuses, acquireETLLock, releaseETLLock } = require("./etl/shared");
-  
-  // 🧹 Clean up any stale 'running' statuses before starting new ETL
-  try {
-    console.log("🧹 Cleaning up stale 'running' statuses...");
-    const cleanedCount = await cleanupStaleRunningStatuses();
-    if (cleanedCount > 0) {
-      console.log(`✅ Cleaned up ${cleanedCount} stale 'running' statuses`);
-    } else {
-      console.log("✅ No stale 'running' statuses found");
-    }
-  } catch (cleanupError) {
-    console.warn("⚠️ Failed to cleanup stale statuses:", cleanupError.message);
-  }
-
-  // Define ETL functions with their organization names
-  const etlJobs = [
-    { name: 'IMF', func: fetchAndProcessImfJobVacancies },
-    { name: 'UNHCR', func: fetchAndProcessUnhcrJobVacancies },
-    { name: 'WFP', func: fetchAndProcessWfpJobVacancies },
-    { name: 'INSPIRA', func: fetchAndProcessInspiraJobVacancies },
-    { name: 'UNDP', func: fetchAndProcessUndpJobVacancies },
-    { name: 'UNWOMEN', func: fetchAndProcessUnwomenJobVacancies },
-    { name: 'ICAO', func: fetchAndProcessIcaoJobVacancies },
-    { name: 'UNFPA', func: fetchAndProcessUnfpaJobVacancies },
-    { name: 'IOM', func: fetchAndProcessIomJobVacancies },
-    { name: 'UNICEF', func: fetchAndProcessUnicefJobVacancies },
-    { name: 'UNOPS', func: fetchAndProcessUnopsJobVacancies },
-    { name: 'UNESCO', func: fetchAndProcessUnescoJobVacancies }
-  ];
-  
-  // Process each organization with robust error handling
-  for (const { name, func } of etlJobs) {
-    const startTime = new Date();
-    let statusLogged = false;
-    
-    try {
-      console.log(`\n🏢 Processing ${name}...`);
-      
-      // Acquire ETL lock to ensure only one organization runs at a time
-      const lockResult = await acquireETLLock(name);
-      if (!lockResult.acquired) {
-        console.log(`⏳ Skipping ${name}: ${lockResult.reason}`);
-        etlResults.failed.push({ name, error: lockResult.reason });
-        continue;
-      }
-      
-      // Log start status
-      await logETLStatus(name, 'running', { 
-        startTime,
-        processedCount: 0,
-        successCount: 0,
-        errorCount: 0
-      });
-      
-      // Call ETL function directly (they now return proper status)
-      let result = { success: false, error: 'Unknown error' };
-      
-      try {
-        result = await func();
-        
-        // Ensure result has required properties
-        if (!result || typeof result !== 'object') {
-          console.warn(`⚠️ ${name} ETL function returned invalid result format, treating as success`);
-          result = { 
-            success: true, 
-            processedCount: 0,
-            successCount: 0,
-            errorCount: 0
-          };
-        }
-        
-        // Provide defaults for missing properties
-        result.processedCount = result.processedCount || 0;
-        result.successCount = result.successCount || 0;
-        result.errorCount = result.errorCount || 0;
-        
-        if (result.success) {
-          console.log(`✅ ${name} ETL completed: ${result.successCount} jobs saved, ${result.errorCount} errors`);
-        } else {
-          console.error(`❌ ${name} ETL failed: ${result.error}`);
-        }
-        
-      } catch (error) {
-        console.error(`❌ ${name} ETL function threw unhandled error:`, error.message);
-        result = {
-          success: false,
-          error: error.message,
-          processedCount: 0,
-          successCount: 0,
-          errorCount: 1
-        };
-      }
-      
-      const endTime = new Date();
-      const durationSeconds = Math.round((endTime - startTime) / 1000);
-      const jobsInDb = await getJobCount(name);
-      
-      if (result.success) {
-        etlResults.successful.push(name);
-        etlResults.totalProcessed += result.processedCount || 0;
-        
-        // Log success status
-        await logETLStatus(name, 'success', {
-          startTime,
-          endTime,
-          durationSeconds,
-          processedCount: result.processedCount || 0,
-          successCount: result.successCount || 0,
-          errorCount: result.errorCount || 0,
-          jobsInDb
-        });
-        statusLogged = true;
-        
-        // Release ETL lock
-        await releaseETLLock(name);
-        
-        // 🔄 Clear Redis cache after successful ETL
-        try {
-          const redisClient = require('./redisClient');
-          const cacheKeys = await redisClient.keys('jobs:*');
-          
-          if (cacheKeys.length > 0) {
-            await redisClient.del(cacheKeys);
-            console.log(`🔄 ${name}: Cleared ${cacheKeys.length} cached job entries from Redis`);
-          }
-        } catch (redisError) {
-          console.warn(`⚠️  ${name}: Could not clear Redis cache: ${redisError.message}`);
-        }
-        
-        // 🧹 Database cleanup after each organization's ETL
-        console.log(`🧹 ${name}: Running database cleanup (expired jobs + duplicates)...`);
-        try {
-          const { cleanupExpiredAndDuplicateJobs } = require("./etl/shared");
-          const cleanupStats = await cleanupExpiredAndDuplicateJobs();
-          
-          if (cleanupStats.deletedJobs > 0 || cleanupStats.deletedExpiredJobs > 0 || cleanupStats.deletedDuplicateJobs > 0) {
-            const totalDeleted = (cleanupStats.deletedJobs || 0) + (cleanupStats.deletedExpiredJobs || 0) + (cleanupStats.deletedDuplicateJobs || 0);
-            console.log(`🗑️  ${name}: Cleanup completed - ${totalDeleted} jobs removed (${cleanupStats.deletedExpiredJobs || 0} expired, ${cleanupStats.deletedDuplicateJobs || 0} duplicates)`);
-          } else {
-            console.log(`✅ ${name}: Database is clean - no expired or duplicate jobs found`);
-          }
-          
-        } catch (cleanupError) {
-          console.warn(`⚠️  ${name}: Database cleanup failed: ${cleanupError.message}`);
-          // Don't fail the entire ETL process if cleanup fails
-        }
-        
-      } else {
-        etlResults.failed.push({ name, error: result.error });
-        etlResults.totalErrors++;
-        
-        // Log failure status
-        await logETLStatus(name, 'failed', {
-          startTime,
-          endTime,
-          durationSeconds,
-          processedCount: result.processedCount || 0,
-          successCount: result.successCount || 0,
-          errorCount: result.errorCount || 0,
-          errorMessage: result.error,
-          jobsInDb
-        });
-        statusLogged = true;
-        
-        // Release ETL lock
-        await releaseETLLock(name);
-      }
-      
-    } catch (error) {
-      const endTime = new Date();
-      const durationSeconds = Math.round((endTime - startTime) / 1000);
-      
-      console.error(`❌ Critical error processing ${name}:`, error.message);
-      etlResults.failed.push({ name, error: error.message });
-      etlResults.totalErrors++;
-      
-      // Ensure status is logged even if there was a critical error
-      if (!statusLogged) {
-        try {
-          const jobsInDb = await getJobCount(name);
-          
-                     // Log critical failure
-           await logETLStatus(name, 'failed', {
-             startTime,
-             endTime,
-             durationSeconds,
-             errorMessage: `Critical error: ${error.message}`,
-             jobsInDb
-           });
-           
-           // Release ETL lock on critical failure
-           await releaseETLLock(name);
-         } catch (statusError) {
-           console.error(`❌ Failed to log status for ${name}:`, statusError.message);
-           // Still try to release lock even if status logging failed
-           try {
-             await releaseETLLock(name);
-           } catch (lockError) {
-             console.error(`❌ Failed to release lock for ${name}:`, lockError.message);
-           }
-         }
-       }
-    }
-  }
-  
-  // 🧹 Final Database Cleanup - Safety check after all organizations complete
-  // This is a final safety net to catch anything that might have been missed
-  console.log("\n🧹 Running final database cleanup (safety check)...");
-  try {
-    const { cleanupExpiredAndDuplicateJobs } = require("./etl/shared");
-    const finalCleanupStats = await cleanupExpiredAndDuplicateJobs();
-    
-    // Add final cleanup results to ETL results
-    etlResults.finalCleanup = {
-      totalExpiredJobs: finalCleanupStats.totalExpiredJobs,
-      totalDuplicateJobs: finalCleanupStats.totalDuplicateJobs,
-      deletedExpiredJobs: finalCleanupStats.deletedExpiredJobs || 0,
-      deletedDuplicateJobs: finalCleanupStats.deletedDuplicateJobs || 0,
-      errorCount: finalCleanupStats.errorCount || 0,
-      durationSeconds: finalCleanupStats.durationSeconds || 0
-    };
-    
-    const totalFinalDeleted = (finalCleanupStats.deletedExpiredJobs || 0) + (finalCleanupStats.deletedDuplicateJobs || 0);
-    
-    if (totalFinalDeleted > 0) {
-      console.log(`🗑️  Final cleanup completed: ${totalFinalDeleted} jobs removed (${finalCleanupStats.deletedExpiredJobs || 0} expired, ${finalCleanupStats.deletedDuplicateJobs || 0} duplicates)`);
-    } else {
-      console.log("✅ Final cleanup: Database is clean - no additional expired or duplicate jobs found!");
-    }
-    
-  } catch (cleanupError) {
-    console.error("❌ Final database cleanup failed:", cleanupError.message);
-    etlResults.finalCleanup = { error: cleanupError.message };
-  }
-  
-  // ETL Summary Report
-  console.log("\n" + "=".repeat(50));
-  console.log("📋 ETL PROCESS SUMMARY");
-  console.log("=".repeat(50));
-  console.log(`✅ Successful: ${etlResults.successful.length} organizations`);
-  etlResults.successful.forEach(org => console.log(`   ✓ ${org}`));
-  
-  if (etlResults.failed.length > 0) {
-    console.log(`❌ Failed: ${etlResults.failed.length} organizations`);
-    etlResults.failed.forEach(({ name, error }) => console.log(`   ✗ ${name}: ${error}`));
-  }
-  
-  console.log(`📊 Total Organizations Processed: ${etlJobs.length}`);
-  
-  // Include cleanup summary
-  console.log(`🧹 Database Cleanup Summary:`);
-  console.log(`   • Per-Organization Cleanup: Ran after each successful ETL`);
-  
-  if (etlResults.finalCleanup && !etlResults.finalCleanup.error) {
-    const totalFinalDeleted = (etlResults.finalCleanup.deletedExpiredJobs || 0) + (etlResults.finalCleanup.deletedDuplicateJobs || 0);
-    if (totalFinalDeleted > 0) {
-      console.log(`   • Final Safety Check: ${totalFinalDeleted} additional jobs removed (${etlResults.finalCleanup.deletedExpiredJobs || 0} expired, ${etlResults.finalCleanup.deletedDuplicateJobs || 0} duplicates)`);
-    } else {
-      console.log(`   • Final Safety Check: No additional cleanup needed - database was already clean`);
-    }
-  } else if (etlResults.finalCleanup?.error) {
-    console.log(`   ❌ Final Safety Check: Failed - ${etlResults.finalCleanup.error}`);
-  }
-  
-  console.log(`⏰ ETL Process Completed: ${new Date()}`);
-  console.log("=".repeat(50));
-  
-  // Return summary for potential monitoring/alerting
-  return etlResults;
-};
-
 // ETL Schedule: Run twice daily for optimal data freshness
 // 6:00 AM - Morning run to catch overnight updates
 cron.schedule("0 6 * * *", async() => {
@@ -471,114 +469,17 @@ cron.schedule("0 18 * * *", async() => {
   await runEtl();
 });
 
-// 5:00 AM - Daily ReliefWeb ingestion (standalone, NOT inside runEtl())
-cron.schedule("0 5 * * *", async () => {
-  await runReliefwebEtl();
-});
-
-const runReliefwebEtl = async () => {
-  const ORG = "RELIEFWEB";
-  const startTime = new Date();
-  console.log("\n🌐 ==========================================");
-  console.log("🌐 Running ReliefWeb daily ETL...", startTime);
-  console.log("============================================");
-
-  const {
-    acquireETLLock,
-    releaseETLLock,
-    logETLStatus,
-    getJobCount,
-    cleanupExpiredAndDuplicateJobs,
-  } = require("./etl/shared");
-
-  const lockResult = await acquireETLLock(ORG);
-  if (!lockResult.acquired) {
-    console.log(`⏳ Skipping ReliefWeb: ${lockResult.reason}`);
-    await logETLStatus(ORG, "failed", {
-      startTime,
-      endTime: new Date(),
-      durationSeconds: 0,
-      errorMessage: lockResult.reason,
-    });
+// Sources with their own schedule in the registry (e.g. ReliefWeb at 5:00 AM),
+// run standalone, NOT inside runEtl()
+getScheduledSources().forEach((source) => {
+  if (!cron.validate(source.schedule)) {
+    console.error(`❌ Invalid cron schedule for ${source.name}: ${source.schedule}`);
     return;
   }
-
-  try {
-    await logETLStatus(ORG, "running", {
-      startTime,
-      processedCount: 0,
-      successCount: 0,
-      errorCount: 0,
-    });
-
-    const result = await fetchAndProcessReliefwebJobVacancies();
-    const endTime = new Date();
-    const durationSeconds = Math.round((endTime - startTime) / 1000);
-    const jobsInDb = await getJobCount(ORG);
-
-    if (result.success) {
-      await logETLStatus(ORG, "success", {
-        startTime,
-        endTime,
-        durationSeconds,
-        processedCount: result.processedCount || 0,
-        successCount: result.successCount || 0,
-        errorCount: result.errorCount || 0,
-        jobsInDb,
-      });
-      console.log(
-        `✅ ReliefWeb ETL completed: ${result.successCount} jobs upserted, ${result.errorCount} errors`
-      );
-
-      try {
-        const redisClient = require("./redisClient");
-        const cacheKeys = await redisClient.keys("jobs:*");
-        if (cacheKeys.length > 0) {
-          await redisClient.del(cacheKeys);
-          console.log(
-            `🔄 ReliefWeb: Cleared ${cacheKeys.length} cached job entries from Redis`
-          );
-        }
-      } catch (redisError) {
-        console.warn(
-          `⚠️  ReliefWeb: Could not clear Redis cache: ${redisError.message}`
-        );
-      }
-
-      try {
-        await cleanupExpiredAndDuplicateJobs();
-      } catch (cleanupError) {
-        console.warn(
-          `⚠️  ReliefWeb: Database cleanup failed: ${cleanupError.message}`
-        );
-      }
-    } else {
-      await logETLStatus(ORG, "failed", {
-        startTime,
-        endTime,
-        durationSeconds,
-        processedCount: result.processedCount || 0,
-        successCount: result.successCount || 0,
-        errorCount: result.errorCount || 0,
-        errorMessage: result.error,
-        jobsInDb,
-      });
-      console.error(`❌ ReliefWeb ETL failed: ${result.error}`);
-    }
-  } catch (error) {
-    const endTime = new Date();
-    const durationSeconds = Math.round((endTime - startTime) / 1000);
-    await logETLStatus(ORG, "failed", {
-      startTime,
-      endTime,
-      durationSeconds,
-      errorMessage: `Critical error: ${error.message}`,
-    });
-    console.error(`❌ ReliefWeb ETL crashed: ${error.message}`);
-  } finally {
-    await releaseETLLock(ORG);
-  }
-};
+  cron.schedule(source.schedule, async () => {
+    await runScheduledSource(source);
+  });
+});
 
 // Returns true if the error indicates an expired/invalid LinkedIn access token
 const isLinkedInTokenExpired = (error) => {
@@ -0,0 +1,284 @@
+const { pool } = require("../util/db");
+const cache = require("../util/cache");
+const { stableQueryString } = require("../util/query");
+const { normalizeGrade } = require("../etl/grades");
+const { getCountry, normalizeCountry } = require("../etl/gazetteer");
+
+// Hiring trends over every posting we've seen, live or archived. Reads the
+// monthly rollups from src/etl/analytics.js, which the ETL refreshes after
+// each full or scheduled run and then flushes analytics:* — so the TTL only
+// bounds how long an unused entry sits in Redis.
+const TTL_ANALYTICS = 3600; // 1 h
+
+const DEFAULT_MONTHS = 12;
+const MAX_MONTHS = 120;
+const MAX_FILTER_PARTS = 20;
+
+function clampLimit(raw) { return Math.min(50, Math.max(1, parseInt(raw, 10) || 10)); }
+
+// Comma-separated or repeated values, like the /jobs filters
+function listValues(value) {
+  return [].concat(value)
+    .flatMap((raw) => String(raw).split(','))
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .slice(0, MAX_FILTER_PARTS);
+}
+
+// — Months —
+// Rollup rows are keyed by the first day of their month; the API speaks YYYY-MM.
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+const monthIndex = (date) => date.getUTCFullYear() * 12 + date.getUTCMonth();
+const monthLabel = (index) => `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+const monthStart = (index) => `${monthLabel(index)}-01`;
+
+function parseMonth(value) {
+  const match = MONTH_PATTERN.exec(String(value).trim());
+  return match ? parseInt(match[1], 10) * 12 + parseInt(match[2], 10) - 1 : null;
+}
+
+// { from, to } month indexes from ?from= / ?to=, or { error } for a 400.
+// Defaults to the last DEFAULT_MONTHS months, this one included.
+function monthRange(query) {
+  const to = query.to ? parseMonth(query.to) : monthIndex(new Date());
+  if (to === null) return { error: 'to must be a month (YYYY-MM)' };
+  const from = query.from ? parseMonth(query.from) : to - (DEFAULT_MONTHS - 1);
+  if (from === null) return { error: 'from must be a month (YYYY-MM)' };
+  if (from > to) return { error: 'from must not be after to' };
+  if (to - from >= MAX_MONTHS) return { error: `At most ${MAX_MONTHS} months can be requested at once` };
+  return { from, to };
+}
+
+const averageWindow = (days, count) => (count > 0 ? Math.round((days / count) * 10) / 10 : null);
+
+// — Posting trends —
+
+// ?group_by= dimensions: the rollup expression and how a group is labelled
+const POSTING_GROUPS = {
+  organization: "COALESCE(org.short_name, 'Unspecified')",
+  jn:           "COALESCE(NULLIF(p.jn, ''), 'Unspecified')",
+  grade:        "COALESCE(NULLIF(p.grade, ''), 'Unspecified')",
+  country:      "COALESCE(NULLIF(TRIM(p.country_code), ''), 'Unspecified')",
+};
+
+// { where, params } for the posting filters (placeholders from $3 on, after
+// the month range), or { error } for a 400
+function buildPostingFilters(query) {
+  let where = '';
+  const params = [];
+
+  if (query.organization) {
+    params.push(listValues(query.organization));
+    where += ` AND (org.short_name ILIKE ANY($${params.length + 2}::text[]) OR p.organization_id::text = ANY($${params.length + 2}::text[]))`;
+  }
+
+  if (query.jn) {
+    params.push(listValues(query.jn));
+    where += ` AND p.jn ILIKE ANY($${params.length + 2}::text[])`;
+  }
+
+  for (const [key, column, normalize] of [['grade', 'p.grade', normalizeGrade], ['country', 'p.country_code', normalizeCountry]]) {
+    if (!query[key]) continue;
+    const raw = listValues(query[key]);
+    const unknown = raw.find((value) => !normalize(value));
+    if (unknown) return { error: `Unknown ${key}: ${unknown}` };
+    params.push(raw.map(normalize));
+    where += ` AND TRIM(${column}) = ANY($${params.length + 2}::text[])`;
+  }
+
+  return { where, params };
+}
+
+// Opened / closed postings per month, with the average posting window
+// (deadline minus opening date, in days). Filters: organization (short
+// name or id), jn, grade and country. With ?group_by= the top ?limit=
+// groups by postings opened each get their own series.
+module.exports.getPostingTrends = async (req, res) => {
+  try {
+    const groupBy = req.query.group_by || null;
+    if (groupBy && !POSTING_GROUPS[groupBy]) {
+      return res.status(400).json({
+        success: false,
+        message: `group_by must be one of: ${Object.keys(POSTING_GROUPS).join(', ')}`,
+      });
+    }
+
+    const range = monthRange(req.query);
+    if (range.error) return res.status(400).json({ success: false, message: range.error });
+
+    const { where, params, error } = buildPostingFilters(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const cacheKey = `analytics:postings:${stableQueryString(req.query)}`;
+    const cached = await cache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    const result = await pool.query(`
+      SELECT
+        ${groupBy ? POSTING_GROUPS[groupBy] : "'all'"} AS value,
+        to_char(p.month, 'YYYY-MM') AS month,
+        SUM(p.opened) AS opened,
+        SUM(p.closed) AS closed,
+        SUM(p.window_days_total) AS window_days,
+        SUM(p.window_count) AS window_count
+      FROM analytics_postings_monthly p
+      LEFT JOIN organization org ON p.organization_id = org.id
+      WHERE p.month BETWEEN $1::date AND $2::date${where}
+      GROUP BY 1, 2;
+    `, [monthStart(range.from), monthStart(range.to), ...params]);
+
+    const months = [];
+    for (let index = range.from; index <= range.to; index++) months.push(monthLabel(index));
+
+    // value -> { month -> row }, then every group gets every month
+    const groups = new Map();
+    result.rows.forEach((row) => {
+      if (!groups.has(row.value)) groups.set(row.value, new Map());
+      groups.get(row.value).set(row.month, row);
+    });
+    const summarize = (byMonth) => {
+      const totals = { opened: 0, closed: 0, windowDays: 0, windowCount: 0 };
+      const series = months.map((month) => {
+        const row = byMonth.get(month);
+        const entry = {
+          month,
+          opened: row ? parseInt(row.opened, 10) : 0,
+          closed: row ? parseInt(row.closed, 10) : 0,
+          avg_window_days: row ? averageWindow(Number(row.window_days), parseInt(row.window_count, 10)) : null,
+        };
+        totals.opened += entry.opened;
+        totals.closed += entry.closed;
+        totals.windowDays += row ? Number(row.window_days) : 0;
+        totals.windowCount += row ? parseInt(row.window_count, 10) : 0;
+        return entry;
+      });
+      return {
+        summary: {
+          opened: totals.opened,
+          closed: totals.closed,
+          net: totals.opened - totals.closed,
+          avg_window_days: averageWindow(totals.windowDays, totals.windowCount),
+        },
+        series,
+      };
+    };
+
+    const payload = {
+      success: true,
+      timestamp: new Date(),
+      from: monthLabel(range.from),
+      to: monthLabel(range.to),
+      groupBy,
+    };
+    if (groupBy) {
+      const data = [...groups.entries()]
+        .map(([value, byMonth]) => ({ value, ...summarize(byMonth) }))
+        .sort((a, b) => b.summary.opened - a.summary.opened || a.value.localeCompare(b.value));
+      payload.totalRecords = data.length;
+      payload.data = data.slice(0, clampLimit(req.query.limit));
+    } else {
+      const { summary, series } = summarize(groups.get('all') || new Map());
+      payload.summary = summary;
+      payload.data = series;
+    }
+
+    await cache.set(cacheKey, payload, TTL_ANALYTICS);
+    cache.httpCache(res, 600);
+    res.status(200).json(payload);
+  } catch (err) {
+    console.error('[analytics.getPostingTrends]', err);
+    res.status(500).json({ success: false, message: 'Failed to load posting trends' });
+  }
+};
+
+// — Growing duty stations —
+
+const stationLabel = (row) => {
+  const country = row.country_code && getCountry(row.country_code.trim());
+  if (!country || row.duty_station === country.name) return row.duty_station;
+  return `${row.duty_station}, ${country.name}`;
+};
+
+// Duty stations with the largest rise in postings opened over the last
+// ?months= complete months (default 3) against the same number of months
+// before that. Stations need ?min_postings= (default 5) in the recent
+// window; growth_rate is null for stations with none before.
+module.exports.getGrowingDutyStations = async (req, res) => {
+  try {
+    const months = Math.min(12, Math.max(1, parseInt(req.query.months, 10) || 3));
+    const minPostings = Math.max(1, parseInt(req.query.min_postings, 10) || 5);
+    const limit = clampLimit(req.query.limit);
+
+    const countries = req.query.country ? listValues(req.query.country) : [];
+    const unknown = countries.find((value) => !normalizeCountry(value));
+    if (unknown) return res.status(400).json({ success: false, message: `Unknown country: ${unknown}` });
+
+    const cacheKey = `analytics:duty_stations:growing:${stableQueryString(req.query)}`;
+    const cached = await cache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    // Windows end before the current, still-filling month
+    const current = monthIndex(new Date());
+    const recentFrom = current - months;
+    const previousFrom = recentFrom - months;
+
+    const params = [monthStart(previousFrom), monthStart(recentFrom), monthStart(current), minPostings];
+    let where = '';
+    if (countries.length > 0) {
+      params.push(countries.map(normalizeCountry));
+      where += ` AND TRIM(country_code) = ANY($${params.length}::text[])`;
+    }
+    params.push(limit);
+
+    const result = await pool.query(`
+      SELECT
+        duty_station,
+        NULLIF(TRIM(country_code), '') AS country_code,
+        COALESCE(SUM(opened) FILTER (WHERE month >= $2::date), 0) AS recent,
+        COALESCE(SUM(opened) FILTER (WHERE month < $2::date), 0) AS previous
+      FROM analytics_duty_stations_monthly
+      WHERE month >= $1::date AND month < $3::date${where}
+      GROUP BY duty_station, country_code
+      HAVING COALESCE(SUM(opened) FILTER (WHERE month >= $2::date), 0) >= $4
+         AND COALESCE(SUM(opened) FILTER (WHERE month >= $2::date), 0)
+           > COALESCE(SUM(opened) FILTER (WHERE month < $2::date), 0)
+      ORDER BY
+        COALESCE(SUM(opened) FILTER (WHERE month >= $2::date), 0)
+          - COALESCE(SUM(opened) FILTER (WHERE month < $2::date), 0) DESC,
+        recent DESC,
+        duty_station ASC
+      LIMIT $${params.length};
+    `, params);
+
+    const data = result.rows.map((row) => {
+      const recent = parseInt(row.recent, 10);
+      const previous = parseInt(row.previous, 10);
+      return {
+        duty_station: stationLabel(row),
+        country_code: row.country_code,
+        recent,
+        previous,
+        growth: recent - previous,
+        growth_rate: previous > 0 ? Math.round(((recent - previous) / previous) * 1000) / 1000 : null,
+      };
+    });
+
+    const payload = {
+      success: true,
+      timestamp: new Date(),
+      recent: { from: monthLabel(recentFrom), to: monthLabel(current - 1) },
+      previous: { from: monthLabel(previousFrom), to: monthLabel(recentFrom - 1) },
+      totalRecords: data.length,
+      data,
+    };
+
+    await cache.set(cacheKey, payload, TTL_ANALYTICS);
+    cache.httpCache(res, 600);
+    res.status(200).json(payload);
+  } catch (err) {
+    console.error('[analytics.getGrowingDutyStations]', err);
+    res.status(500).json({ success: false, message: 'Failed to load growing duty stations' });
+  }
+};
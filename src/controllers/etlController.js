@@ -1,5 +1,8 @@
+const { v4: uuidv4 } = require("uuid");
 const { pool } = require("../util/db");
 const { getLatestETLStatus, getETLHistory } = require("../etl/shared");
+const { getSources, getSource, getFullRunSources, describeSource } = require("../etl/registry");
+const { getBrowserPoolMetrics } = require("../etl/browser-pool");
 
 // Helper function for consistent API responses
 const sendResponse = (res, status, success, data = null, message = null, error = null) => {
@@ -309,8 +312,9 @@ module.exports.getHealthCheck = async (req, res) => {
         CASE 
           WHEN status = 'running' THEN 1
           WHEN status = 'failed' THEN 2
-          WHEN status = 'success' THEN 3
-          ELSE 4
+          WHEN status = 'degraded' THEN 3
+          WHEN status = 'success' THEN 4
+          ELSE 5
         END,
         organization_name;
     `;
@@ -323,6 +327,12 @@ module.exports.getHealthCheck = async (req, res) => {
     const health = summaryResult.rows[0];
     const organizations = orgsResult.rows;
     
+    // Registered sources that have never run still show up, as idle
+    const seen = new Set(organizations.map(org => org.organization_name));
+    getSources()
+      .filter(source => source.enabled && !seen.has(source.name))
+      .forEach(source => organizations.push({ organization_name: source.name }));
+    
     // Calculate statistics
     const stats = {
       totalOrganizations: parseInt(health.total_organizations) || 0,
@@ -330,7 +340,8 @@ module.exports.getHealthCheck = async (req, res) => {
       currentlyRunning: parseInt(health.currently_running) || 0,
       successfulOrgs: organizations.filter(org => org.status === 'success').length,
       failedOrgs: organizations.filter(org => org.status === 'failed').length,
-      idleOrgs: organizations.filter(org => org.status !== 'running' && org.status !== 'success' && org.status !== 'failed').length,
+      degradedOrgs: organizations.filter(org => org.status === 'degraded').length,
+      idleOrgs: organizations.filter(org => !['running', 'success', 'failed', 'degraded'].includes(org.status)).length,
       totalJobs: organizations.reduce((sum, org) => sum + (parseInt(org.jobs_in_db) || 0), 0),
       avgDuration: organizations.length > 0 ? 
         Math.round(organizations.reduce((sum, org) => sum + (org.duration_seconds || 0), 0) / organizations.length) : 0
@@ -342,6 +353,7 @@ module.exports.getHealthCheck = async (req, res) => {
     // Format organizations data for dashboard with enhanced tracking
     const formattedOrgs = organizations.map(org => ({
       name: org.organization_name,
+      source: getSource(org.organization_name) ? describeSource(getSource(org.organization_name)) : null,
       status: org.status || 'idle',
       lastRun: org.created_at ? formatLastRun(org.created_at) : 'Never',
       jobsProcessed: parseInt(org.jobs_in_db) || 0,
@@ -370,7 +382,8 @@ module.exports.getHealthCheck = async (req, res) => {
         uptime: Math.round(process.uptime()),
         lastActivity: health.last_activity,
         timestamp: new Date()
-      }
+      },
+      browserPool: getBrowserPoolMetrics()
     });
     
   } catch (error) {
@@ -398,30 +411,274 @@ function formatLastRun(timestamp) {
   return lastRun.toLocaleDateString();
 }
 
-// Trigger manual ETL run (placeholder for future implementation)
+// List registered ETL sources (see src/etl/registry.js)
+module.exports.getSources = async (req, res) => {
+  try {
+    const sources = getSources().map(describeSource);
+    
+    sendResponse(res, 200, true, {
+      sources,
+      totalSources: sources.length,
+      enabledSources: sources.filter(source => source.enabled).length
+    });
+    
+  } catch (error) {
+    console.error('Error loading ETL sources:', error);
+    sendResponse(res, 500, false, null, 'Error loading ETL sources', 'REGISTRY_ERROR');
+  }
+};
+
+// Trigger manual ETL run — starts it in the background and returns a run id
 module.exports.triggerETL = async (req, res) => {
   try {
-    const { organizationName } = req.body;
+    const { organizationName } = req.body || {};
     
     // Validate input
     if (organizationName && (typeof organizationName !== 'string' || organizationName.length > 50)) {
       return sendResponse(res, 400, false, null, 'Invalid organization name', 'INVALID_INPUT');
     }
     
+    const { isFullRunInProgress, startEtlRun } = require('../etl/runner');
+    const { acquireETLLock, releaseETLLock } = require('../etl/shared');
+    
+    const job = organizationName ? getSource(organizationName) : null;
+    if (organizationName && !job) {
+      return sendResponse(res, 404, false, null, `Unknown organization: ${organizationName}`, 'ORG_NOT_FOUND');
+    }
+    if (job && !job.enabled) {
+      return sendResponse(res, 409, false, null, `ETL source ${job.name} is disabled`, 'SOURCE_DISABLED');
+    }
+    
+    // Refuse up front rather than queueing a run that would just be skipped
+    if (isFullRunInProgress()) {
+      return sendResponse(res, 409, false, null, 'A full ETL run is already in progress', 'ETL_LOCKED');
+    }
+    
+    // Take the source's lock here, atomically, so a second trigger right
+    // behind this one gets a 409; the run picks it up by its run id
+    const runId = uuidv4();
+    if (job) {
+      const lockResult = await acquireETLLock(job.name, { runId });
+      if (!lockResult.acquired) {
+        return sendResponse(res, 409, false, {
+          runningSince: lockResult.runningSince || null
+        }, lockResult.reason, 'ETL_LOCKED');
+      }
+    }
+    
     // Log the trigger request
-    console.log(`ETL trigger requested by user ${req.user?.id || 'anonymous'} for ${organizationName || 'all organizations'}`);
+    console.log(`ETL trigger requested by user ${req.user?.id || 'anonymous'} for ${job ? job.name : 'all organizations'}`);
     
-    if (organizationName) {
-      sendResponse(res, 202, true, null, `ETL trigger queued for ${organizationName}`, null);
-    } else {
-      sendResponse(res, 202, true, null, "Full ETL trigger queued", null);
+    let run;
+    try {
+      run = startEtlRun(job ? job.name : null, { runId });
+    } catch (startError) {
+      if (job) await releaseETLLock(job.name, { runId });
+      throw startError;
     }
     
+    res.set('Location', `${req.baseUrl}/runs/${run.runId}`);
+    sendResponse(res, 202, true, {
+      runId: run.runId,
+      scope: run.scope,
+      organizations: run.organizations,
+      status: run.status,
+      requestedAt: run.requestedAt,
+      statusUrl: `${req.baseUrl}/runs/${run.runId}`
+    }, job ? `ETL run started for ${job.name}` : 'Full ETL run started');
+    
   } catch (error) {
+    console.error('Error processing ETL trigger request:', error);
     sendResponse(res, 500, false, null, 'Error processing ETL trigger request', 'TRIGGER_ERROR');
   }
 };
 
+// Poll a triggered run: in-memory run record + the etl_status rows it wrote
+module.exports.getETLRun = async (req, res) => {
+  try {
+    const { runId } = req.params;
+    
+    if (!/^[0-9a-f-]{36}$/i.test(runId || '')) {
+      return sendResponse(res, 400, false, null, 'Invalid run id', 'INVALID_RUN_ID');
+    }
+    
+    const { getEtlRun } = require('../etl/runner');
+    const { getETLRunStatus } = require('../etl/shared');
+    
+    const run = getEtlRun(runId);
+    const organizations = await getETLRunStatus(runId);
+    
+    if (!run && organizations.length === 0) {
+      return sendResponse(res, 404, false, null, 'Run not found', 'RUN_NOT_FOUND');
+    }
+    
+    const finished = organizations.filter(org => ['success', 'failed', 'degraded'].includes(org.status)).length;
+    const total = run ? run.organizations.length : organizations.length;
+    
+    sendResponse(res, 200, true, {
+      runId,
+      scope: run ? run.scope : null,
+      // Without the in-memory record (e.g. after a restart) fall back to
+      // whatever the status rows say.
+      status: run ? run.status : (organizations.some(org => org.status === 'running') ? 'running' : 'completed'),
+      requestedAt: run ? run.requestedAt : null,
+      finishedAt: run ? run.finishedAt : null,
+      error: run ? run.error : null,
+      progress: {
+        finishedOrganizations: finished,
+        totalOrganizations: total,
+        percent: total > 0 ? Math.round((finished / total) * 100) : 0
+      },
+      organizations
+    });
+    
+  } catch (error) {
+    handleDatabaseError(error, res, 'ETL run retrieval');
+  }
+};
+
+// Dept strings that matched no organization and were attributed to the
+// default one — the to-do list for organization_alias
+module.exports.getUnmatchedOrganizations = async (req, res) => {
+  try {
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const { getUnmatchedOrganizations, DEFAULT_ORGANIZATION_ID } = require('../etl/organizations');
+    const unmatched = await getUnmatchedOrganizations({ limit });
+
+    sendResponse(res, 200, true, {
+      defaultOrganizationId: DEFAULT_ORGANIZATION_ID,
+      totalUnmatched: unmatched.length,
+      unmatched
+    });
+
+  } catch (error) {
+    handleDatabaseError(error, res, 'unmatched organizations retrieval');
+  }
+};
+
+// Map a dept string to an organization; vacancies that fell back to the
+// default under that name move to it straight away
+module.exports.addOrganizationAlias = async (req, res) => {
+  try {
+    const { alias, organizationId } = req.body || {};
+    const id = parseInt(organizationId, 10);
+
+    if (typeof alias !== 'string' || alias.trim() === '' || alias.length > 255) {
+      return sendResponse(res, 400, false, null, 'alias must be a non-empty string of at most 255 characters', 'INVALID_INPUT');
+    }
+    if (!Number.isInteger(id) || id < 1) {
+      return sendResponse(res, 400, false, null, 'organizationId must be a positive integer', 'INVALID_INPUT');
+    }
+
+    const { addOrganizationAlias } = require('../etl/organizations');
+    const result = await addOrganizationAlias(alias, id);
+
+    console.log(`Organization alias "${result.alias}" → ${result.organizationName} added by user ${req.user?.id || 'anonymous'} (${result.reattributed} vacancies moved)`);
+    if (result.reattributed > 0) {
+      const { clearJobCache } = require('../etl/runner');
+      await clearJobCache('Organization alias');
+    }
+
+    sendResponse(res, 201, true, result, `Alias added for ${result.organizationName}`);
+
+  } catch (error) {
+    if (error.code === 'ORG_NOT_FOUND') {
+      return sendResponse(res, 404, false, null, error.message, error.code);
+    }
+    if (error.code === 'INVALID_ALIAS') {
+      return sendResponse(res, 400, false, null, error.message, error.code);
+    }
+    handleDatabaseError(error, res, 'organization alias creation');
+  }
+};
+
+// Jobs that failed validation during ETL, newest first. Raw payloads can be
+// large, so they are only returned with include_payload=true.
+module.exports.getQuarantine = async (req, res) => {
+  try {
+    const { page, size } = validatePaginationParams(req.query.page, req.query.size);
+    const offset = (page - 1) * size;
+    const { source, run, severity, organization } = req.query;
+    const includePayload = req.query.include_payload === 'true';
+
+    const { QUARANTINE_SEVERITIES } = require('../etl/quarantine');
+    if (severity && !QUARANTINE_SEVERITIES.includes(severity)) {
+      return sendResponse(res, 400, false, null, `severity must be one of: ${QUARANTINE_SEVERITIES.join(', ')}`, 'VALIDATION_ERROR');
+    }
+    if (run && !/^[0-9a-f-]{36}$/i.test(run)) {
+      return sendResponse(res, 400, false, null, 'Invalid run id', 'INVALID_RUN_ID');
+    }
+    if ((source && source.length > 50) || (organization && organization.length > 100)) {
+      return sendResponse(res, 400, false, null, 'Invalid source or organization', 'VALIDATION_ERROR');
+    }
+
+    const conditions = [];
+    const params = [];
+    if (source) {
+      params.push(source);
+      conditions.push(`data_source = $${params.length}`);
+    }
+    if (run) {
+      params.push(run);
+      conditions.push(`run_id = $${params.length}`);
+    }
+    if (severity) {
+      params.push(severity);
+      conditions.push(`severity = $${params.length}`);
+    }
+    if (organization) {
+      params.push(organization.toUpperCase());
+      conditions.push(`UPPER(organization) = $${params.length}`);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const query = `
+      SELECT id, run_id, organization, data_source, job_id, job_title, severity,
+             reason, issues, job_data${includePayload ? ', payload' : ''}, created_at
+      FROM etl_quarantine
+      ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2};
+    `;
+
+    const countQuery = `
+      SELECT severity, COUNT(*) as total FROM etl_quarantine
+      ${where}
+      GROUP BY severity;
+    `;
+
+    const [itemsResult, countResult] = await Promise.all([
+      pool.query(query, [...params, size, offset]),
+      pool.query(countQuery, params)
+    ]);
+
+    const bySeverity = Object.fromEntries(QUARANTINE_SEVERITIES.map(name => [name, 0]));
+    countResult.rows.forEach(row => { bySeverity[row.severity] = parseInt(row.total); });
+    const totalRecords = Object.values(bySeverity).reduce((sum, total) => sum + total, 0);
+    const totalPages = Math.ceil(totalRecords / size);
+
+    sendResponse(res, 200, true, {
+      filters: { source: source || null, run: run || null, severity: severity || null, organization: organization || null },
+      bySeverity,
+      items: itemsResult.rows,
+      pagination: {
+        page,
+        size,
+        totalRecords,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    if (error.message.includes('must be between')) {
+      return sendResponse(res, 400, false, null, error.message, 'VALIDATION_ERROR');
+    }
+    handleDatabaseError(error, res, 'quarantine retrieval');
+  }
+};
+
 // Clear Redis cache for job data
 module.exports.clearCache = async (req, res) => {
   try {
@@ -491,7 +748,7 @@ const fixDatabaseSchema = async (req, res) => {
         CREATE TABLE etl_status (
           id SERIAL PRIMARY KEY,
           organization_name VARCHAR(50) NOT NULL,
-          status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'success', 'failed')),
+          status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'success', 'failed', 'degraded')),
           processed_count INTEGER DEFAULT 0 CHECK (processed_count >= 0),
           success_count INTEGER DEFAULT 0 CHECK (success_count >= 0),
           error_count INTEGER DEFAULT 0 CHECK (error_count >= 0),
@@ -585,7 +842,7 @@ const fixDatabaseSchema = async (req, res) => {
     if (currentCount === 0) {
       console.log("📝 Adding sample ETL status data...");
       
-      const sampleOrgs = ['UNHCR', 'UNICEF', 'UNOPS', 'UNESCO', 'WFP', 'UNDP', 'IMF', 'UNWOMEN', 'ICAO', 'IOM', 'UNFPA', 'INSPIRA'];
+      const sampleOrgs = getFullRunSources().map(source => source.name);
       
       for (const org of sampleOrgs) {
         await pool.query(`
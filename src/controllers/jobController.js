@@ -1,22 +1,61 @@
 const { pool } = require("../util/db");
 const cache = require("../util/cache");
-
-// Whitelist of column names that getFilteredJobs is allowed to filter on.
-// Any other key in req.query is silently ignored. Keeps caller-controlled
-// strings out of the SQL identifier position.
-const FILTERABLE_COLUMNS = new Set([
-  'job_title',
-  'duty_station',
-  'dept',
-  'recruitment_type',
-  'start_date',
-  'end_date',
-  'jn', 'jf', 'jc', 'jl',
+const { stableQueryString } = require("../util/query");
+const { decodeCursor, keysetClauses, keysetPage } = require("../util/cursor");
+const { CANONICAL_GRADES, normalizeGrade, normalizeContractCategory } = require("../etl/grades");
+const { REGIONS, getCountry, normalizeCountry, normalizeRegion } = require("../etl/gazetteer");
+const { ARCHIVE_REASONS } = require("../etl/archive");
+
+// Whitelist of query parameters that getFilteredJobs is allowed to filter
+// on, and how each one is applied. Any other key in req.query is silently
+// ignored. Keeps caller-controlled strings out of the SQL identifier
+// position — only `column` from this map is ever interpolated.
+//
+//   fulltext  websearch_to_tsquery against the column
+//   text      case-insensitive match; comma-separated or repeated values OR together
+//   exact     canonical value via `normalize` ("P-3" → P3); unknown values are a 400
+//   flag      boolean column, true/false (1/0, yes/no); anything else is a 400
+//   date      same calendar day
+//   from/to   inclusive lower/upper bound on a date column
+const FILTERABLE_COLUMNS = new Map([
+  ['job_title',        { column: 'job_title',        type: 'fulltext' }],
+  ['grade',            { column: 'grade',            type: 'exact', normalize: normalizeGrade }],
+  ['contract_category', { column: 'contract_category', type: 'exact', normalize: normalizeContractCategory }],
+  ['duty_station',     { column: 'duty_station',     type: 'text' }],
+  ['country',          { column: 'country_code',     type: 'exact', normalize: normalizeCountry }],
+  ['region',           { column: 'region',           type: 'exact', normalize: normalizeRegion }],
+  ['city',             { column: 'city',             type: 'text' }],
+  ['remote',           { column: 'is_remote',        type: 'flag',  normalize: parseFlag }],
+  ['dept',             { column: 'dept',             type: 'text' }],
+  ['recruitment_type', { column: 'recruitment_type', type: 'text' }],
+  ['jn',               { column: 'jn',               type: 'text' }],
+  ['jf',               { column: 'jf',               type: 'text' }],
+  ['jc',               { column: 'jc',               type: 'text' }],
+  ['jl',               { column: 'jl',               type: 'text' }],
+  ['start_date',       { column: 'start_date',       type: 'date' }],
+  ['end_date',         { column: 'end_date',         type: 'date' }],
+  ['posted_after',     { column: 'start_date',       type: 'from' }],
+  ['posted_before',    { column: 'start_date',       type: 'to' }],
+  ['closing_after',    { column: 'end_date',         type: 'from' }],
+  ['closing_before',   { column: 'end_date',         type: 'to' }],
 ]);
 
+const DATE_FILTER_TYPES = new Set(['date', 'from', 'to']);
+
+// ?sort= values for getFilteredJobs and their default direction.
+// `relevance` needs a job_title filter to rank against; without one it
+// falls back to deadline order.
+const SORT_OPTIONS = {
+  deadline:  { column: 'jv.end_date',      direction: 'ASC' },
+  newest:    { column: 'jv.first_seen_at', direction: 'DESC' },
+  relevance: { column: null,               direction: 'DESC' },
+  title:     { column: 'jv.job_title',     direction: 'ASC' },
+};
+
 // Bound pagination so a hostile client can't pull the whole table.
 // Ceiling is 1000 because Jobs.jsx + HomeHero.jsx fetch up to 500 rows
 // and then filter client-side — keep that working but cap the worst case.
+// New consumers should stream with ?cursor= instead (see util/cursor.js).
 function clampPage(raw)  { return Math.max(1, parseInt(raw, 10) || 1); }
 function clampSize(raw)  { return Math.min(1000, Math.max(1, parseInt(raw, 10) || 10)); }
 
@@ -27,27 +66,45 @@ const TTL_JOB_ROW       = 3600;   // 1 h — single job & paginated jobs lists
 const TTL_AGGREGATION   = 3600;   // 1 h — categories, organizations, duty stations
 const TTL_FILTERED      = 600;    // 10 min — filtered queries (long-tail of unique keys)
 
-// Stable serialization of req.query for cache keys — sorted by name so
-// ?a=1&b=2 and ?b=2&a=1 collide on the same cache entry.
-function stableQueryString(query) {
-  const params = new URLSearchParams();
-  Object.keys(query).sort().forEach((k) => {
-    const v = query[k];
-    if (v !== undefined && v !== null && String(v).trim() !== '') params.set(k, v);
-  });
-  return params.toString();
+// Copies of one vacancy from different sources share a cluster_id (see
+// src/etl/clustering.js). Listings show only the canonical copy unless
+// ?collapse=false; getById lists the others under also_posted_on.
+const wantsCollapsed = (query) => !['false', '0'].includes(String(query.collapse).toLowerCase());
+const collapseClause = (query) => (wantsCollapsed(query) ? ' AND jv.is_canonical' : '');
+
+// Total row count for a listing, cached apart from the pages themselves so
+// paging (offset or cursor) doesn't re-run COUNT(*) on every request.
+// ?count=false skips it and returns totalRecords: null.
+async function loadTotal(query, cacheKey, sql, params, ttl) {
+  if (['false', '0'].includes(String(query.count).toLowerCase())) return null;
+
+  const cached = await cache.get(cacheKey);
+  if (cached) return cached.total;
+
+  const result = await pool.query(sql, params);
+  const total = parseInt(result.rows[0].count, 10);
+  await cache.set(cacheKey, { total }, ttl);
+  return total;
 }
 
 module.exports.getAll = async (req, res) => {
   try {
-    const page = clampPage(req.query.page);
     const size = clampSize(req.query.size);
+    const cursor = req.query.cursor !== undefined ? decodeCursor(req.query.cursor) : undefined;
+    if (cursor === null) {
+      return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    const page = clampPage(req.query.page);
     const offset = (page - 1) * size;
-    const cacheKey = `jobs:all:${page}:${size}`;
+    const pageKey = cursor ? `cursor:${req.query.cursor || 'first'}` : page;
+    const cacheKey = `jobs:all:${pageKey}:${size}:${stableQueryString({ count: req.query.count, collapse: req.query.collapse })}`;
 
     const cached = await cache.get(cacheKey);
     if (cached) return res.json(cached);
 
+    const keyset = cursor ? keysetClauses(cursor, size, 0) : null;
+
     // Note: job_description is intentionally NOT selected — list views in
     // the SPA never render it (it's HTML, often 5–50 KB per row), only
     // JobDetail.jsx does via getById. Empty-string fallback preserves the
@@ -56,24 +113,33 @@ module.exports.getAll = async (req, res) => {
       SELECT
         jv.id, jv.job_id, jv.language, jv.category_code, jv.job_title,
         jv.job_code_title, '' AS job_description, jv.job_family_code,
-        jv.job_level, jv.duty_station, jv.recruitment_type,
+        jv.job_level, jv.grade, jv.contract_category, jv.duty_station,
+        jv.country_code, jv.city, jv.region, jv.is_remote, jv.recruitment_type,
         jv.start_date, jv.end_date, jv.dept, jv.total_count,
         jv.jn, jv.jf, jv.jc, jv.jl, jv.created, jv.data_source,
-        jv.apply_link, jv.source_logo_url,
+        jv.apply_link, jv.source_logo_url, jv.cluster_id,
         org.logo, org.short_name, org.long_name
       FROM job_vacancies jv
       JOIN organization org ON jv.organization_id = org.id
-      ORDER BY jv.end_date ASC
-      LIMIT $1 OFFSET $2;
+      WHERE jv.status = 'open'${collapseClause(req.query)}${keyset ? keyset.where : ''}
+      ORDER BY ${keyset ? keyset.orderBy : 'jv.end_date ASC'}
+      ${keyset ? keyset.limit : 'LIMIT $1 OFFSET $2'};
     `;
 
-    const [result, countResult] = await Promise.all([
-      pool.query(query, [size, offset]),
-      pool.query('SELECT COUNT(*) FROM job_vacancies'),
+    const [result, totalRecords] = await Promise.all([
+      pool.query(query, keyset ? keyset.params : [size, offset]),
+      loadTotal(
+        req.query,
+        `jobs:count:all${wantsCollapsed(req.query) ? '' : ':expanded'}`,
+        `SELECT COUNT(*) FROM job_vacancies jv WHERE jv.status = 'open'${collapseClause(req.query)}`,
+        [],
+        TTL_JOB_ROW
+      ),
     ]);
 
-    const totalRecords = parseInt(countResult.rows[0].count, 10);
-    const payload = { success: true, totalRecords, timestamp: new Date(), data: result.rows };
+    const payload = keyset
+      ? { success: true, totalRecords, timestamp: new Date(), ...keysetPage(result.rows, cursor, size) }
+      : { success: true, totalRecords, timestamp: new Date(), data: result.rows };
 
     await cache.set(cacheKey, payload, TTL_JOB_ROW);
     cache.httpCache(res, 60);
@@ -84,6 +150,17 @@ module.exports.getAll = async (req, res) => {
   }
 };
 
+// Columns of a job's detail view, shared by live and archived jobs
+const JOB_DETAIL_COLUMNS = `
+  jv.id, jv.job_id, jv.language, jv.category_code, jv.job_title,
+  jv.job_code_title, jv.job_description, jv.job_family_code,
+  jv.job_level, jv.grade, jv.contract_category, jv.duty_station,
+  jv.country_code, jv.city, jv.region, jv.is_remote, jv.recruitment_type,
+  jv.start_date, jv.end_date, jv.dept, jv.total_count,
+  jv.jn, jv.jf, jv.jc, jv.jl, jv.created, jv.data_source,
+  jv.apply_link, jv.source_logo_url, jv.cluster_id, jv.is_canonical,
+  org.logo, org.short_name, org.long_name`;
+
 module.exports.getById = async (req, res) => {
   try {
     const id = parseInt(req.params.id, 10);
@@ -97,20 +174,47 @@ module.exports.getById = async (req, res) => {
 
     const query = `
       SELECT
-        jv.id, jv.job_id, jv.language, jv.category_code, jv.job_title,
-        jv.job_code_title, jv.job_description, jv.job_family_code,
-        jv.job_level, jv.duty_station, jv.recruitment_type,
-        jv.start_date, jv.end_date, jv.dept, jv.total_count,
-        jv.jn, jv.jf, jv.jc, jv.jl, jv.created, jv.data_source,
-        jv.apply_link, jv.source_logo_url,
-        org.logo, org.short_name, org.long_name
+        ${JOB_DETAIL_COLUMNS}, jv.status, jv.closed_at,
+        FALSE AS archived
       FROM job_vacancies jv
       LEFT JOIN organization org ON jv.organization_id = org.id
       WHERE jv.id = $1
       LIMIT 1;
     `;
 
-    const result = await pool.query(query, [id]);
+    let result = await pool.query(query, [id]);
+
+    // Jobs the cleanup archived keep their id; they read as closed
+    if (result.rows.length === 0) {
+      result = await pool.query(`
+        SELECT
+          ${JOB_DETAIL_COLUMNS}, 'closed' AS status,
+          COALESCE(jv.closed_at, a.archived_at) AS closed_at,
+          TRUE AS archived, a.archive_reason, a.archived_at
+        FROM job_vacancies_archive a
+        CROSS JOIN LATERAL jsonb_populate_record(NULL::job_vacancies, a.job_data) jv
+        LEFT JOIN organization org ON jv.organization_id = org.id
+        WHERE a.id = $1
+        LIMIT 1;
+      `, [id]);
+    }
+
+    // The same vacancy as posted by other sources, with their apply links
+    const job = result.rows[0];
+    if (job && job.archived) {
+      job.also_posted_on = [];
+    } else if (job) {
+      const copies = job.cluster_id === null ? { rows: [] } : await pool.query(
+        `SELECT jv.id, jv.data_source, jv.apply_link, jv.status, jv.end_date,
+                jv.is_canonical, org.short_name, org.long_name
+         FROM job_vacancies jv
+         LEFT JOIN organization org ON jv.organization_id = org.id
+         WHERE jv.cluster_id = $1 AND jv.id <> $2
+         ORDER BY jv.is_canonical DESC, jv.id ASC;`,
+        [job.cluster_id, id]
+      );
+      job.also_posted_on = copies.rows;
+    }
     const payload = { success: true, timestamp: new Date(), data: result.rows };
 
     await cache.set(cacheKey, payload, TTL_JOB_ROW);
@@ -122,68 +226,601 @@ module.exports.getById = async (req, res) => {
   }
 };
 
+// Full-text search over the weighted search_vector column. websearch_to_tsquery
+// accepts free text (quotes, "or", "-word") without throwing on punctuation.
+const MAX_SEARCH_LENGTH = 200;
+
+module.exports.search = async (req, res) => {
+  try {
+    const q = (req.query.q || '').toString().trim();
+    if (!q) {
+      return res.status(400).json({ success: false, message: 'Query parameter q is required' });
+    }
+    if (q.length > MAX_SEARCH_LENGTH) {
+      return res.status(400).json({ success: false, message: `Query must be at most ${MAX_SEARCH_LENGTH} characters` });
+    }
+
+    const page = clampPage(req.query.page);
+    const size = clampSize(req.query.size);
+    const offset = (page - 1) * size;
+    const cacheKey = `jobs:search:${stableQueryString({ q, page, size, collapse: req.query.collapse })}`;
+
+    const cached = await cache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    // Snippets come from the description with HTML stripped; the full
+    // description itself is left out like in the other list endpoints.
+    const query = `
+      SELECT
+        jv.id, jv.job_id, jv.language, jv.category_code, jv.job_title,
+        jv.job_code_title, '' AS job_description, jv.job_family_code,
+        jv.job_level, jv.grade, jv.contract_category, jv.duty_station,
+        jv.country_code, jv.city, jv.region, jv.is_remote, jv.recruitment_type,
+        jv.start_date, jv.end_date, jv.dept, jv.total_count,
+        jv.jn, jv.jf, jv.jc, jv.jl, jv.created, jv.data_source,
+        jv.apply_link, jv.source_logo_url, jv.cluster_id,
+        org.logo, org.short_name, org.long_name,
+        ts_rank(jv.search_vector, tsq) AS rank,
+        ts_headline('english', jv.job_title, tsq, 'HighlightAll=true') AS title_highlight,
+        ts_headline('english', regexp_replace(coalesce(jv.job_description, ''), '<[^>]+>', ' ', 'g'), tsq,
+                    'MaxFragments=2, MinWords=8, MaxWords=25') AS snippet
+      FROM job_vacancies jv
+      JOIN organization org ON jv.organization_id = org.id,
+           websearch_to_tsquery('english', $1) AS tsq
+      WHERE jv.status = 'open' AND jv.search_vector @@ tsq${collapseClause(req.query)}
+      ORDER BY rank DESC, jv.end_date ASC, jv.id ASC
+      LIMIT $2 OFFSET $3;
+    `;
+
+    const countQuery = `
+      SELECT COUNT(*)
+      FROM job_vacancies jv
+      JOIN organization org ON jv.organization_id = org.id
+      WHERE jv.status = 'open' AND jv.search_vector @@ websearch_to_tsquery('english', $1)${collapseClause(req.query)};
+    `;
+
+    const [result, countResult] = await Promise.all([
+      pool.query(query, [q, size, offset]),
+      pool.query(countQuery, [q]),
+    ]);
+
+    const totalRecords = parseInt(countResult.rows[0].count, 10);
+    const payload = { success: true, totalRecords, timestamp: new Date(), data: result.rows };
+
+    await cache.set(cacheKey, payload, TTL_FILTERED);
+    cache.httpCache(res, 60);
+    res.status(200).json(payload);
+  } catch (err) {
+    console.error('[jobs.search]', err);
+    res.status(500).json({ success: false, message: 'Failed to search jobs' });
+  }
+};
+
+// — Archive —
+// Read-only queries over job_vacancies_archive (src/etl/archive.js) for
+// trend reporting. Filters: organization (short name or id), jn, reason
+// and from / to on the deadline — or on the archive date for jobs that had
+// none. All repeatable or comma-separated like the other filters.
+const ARCHIVE_DATE = 'COALESCE(a.end_date, a.archived_at)';
+
+const ARCHIVE_SUMMARY_GROUPS = {
+  month:        `to_char(date_trunc('month', ${ARCHIVE_DATE}), 'YYYY-MM')`,
+  organization: 'COALESCE(org.short_name, a.data_source)',
+  jn:           "COALESCE(NULLIF(a.jn, ''), 'Unspecified')",
+  reason:       'a.archive_reason',
+};
+
+// { where, params } for the archive filters, or { error } for a 400
+function buildArchiveFilters(query) {
+  let where = '';
+  const params = [];
+
+  const oversized = findOversizedFilter(query, ['organization', 'jn', 'reason']);
+  if (oversized) return { error: oversized };
+
+  for (const key of ['from', 'to']) {
+    const value = String(query[key] || '').trim();
+    if (!value) continue;
+    if (!isCalendarDate(value)) return { error: `${key} must be a date (YYYY-MM-DD)` };
+    params.push(value);
+    where += ` AND ${ARCHIVE_DATE}::date ${key === 'from' ? '>=' : '<='} $${params.length}::date`;
+  }
+
+  if (query.reason) {
+    const reasons = exactValues(query.reason).map((value) => value.toLowerCase());
+    const unknown = reasons.find((value) => !ARCHIVE_REASONS.includes(value));
+    if (unknown) return { error: `Unknown reason: ${unknown}` };
+    params.push(reasons);
+    where += ` AND a.archive_reason = ANY($${params.length}::text[])`;
+  }
+
+  if (query.organization) {
+    params.push(exactValues(query.organization));
+    where += ` AND (org.short_name ILIKE ANY($${params.length}::text[]) OR a.organization_id::text = ANY($${params.length}::text[]))`;
+  }
+
+  if (query.jn) {
+    params.push(filterValues(query.jn));
+    where += ` AND a.jn ILIKE ANY($${params.length}::text[])`;
+  }
+
+  return { where, params };
+}
+
+module.exports.getArchivedJobs = async (req, res) => {
+  try {
+    const cacheKey = `jobs:archive:${stableQueryString(req.query)}`;
+    const cached = await cache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    const { where, params, error } = buildArchiveFilters(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const page = clampPage(req.query.page);
+    const size = clampSize(req.query.size);
+    const offset = (page - 1) * size;
+
+    const query = `
+      SELECT
+        a.id, a.job_id, a.data_source, a.job_title, a.dept, a.jn, a.grade,
+        a.duty_station, a.country_code, a.start_date, a.end_date, a.first_seen_at,
+        a.job_data->>'apply_link' AS apply_link,
+        a.archive_reason, a.archived_at,
+        org.logo, org.short_name, org.long_name
+      FROM job_vacancies_archive a
+      LEFT JOIN organization org ON a.organization_id = org.id
+      WHERE TRUE${where}
+      ORDER BY ${ARCHIVE_DATE} DESC, a.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2};
+    `;
+    const countQuery = `
+      SELECT COUNT(*)
+      FROM job_vacancies_archive a
+      LEFT JOIN organization org ON a.organization_id = org.id
+      WHERE TRUE${where};
+    `;
+
+    const [result, countResult] = await Promise.all([
+      pool.query(query, [...params, size, offset]),
+      pool.query(countQuery, params),
+    ]);
+
+    const totalRecords = parseInt(countResult.rows[0].count, 10);
+    const payload = { success: true, timestamp: new Date(), totalRecords, data: result.rows };
+
+    await cache.set(cacheKey, payload, TTL_FILTERED);
+    cache.httpCache(res, 300);
+    res.status(200).json(payload);
+  } catch (err) {
+    console.error('[jobs.getArchivedJobs]', err);
+    res.status(500).json({ success: false, message: 'Failed to load archived jobs' });
+  }
+};
+
+// Archived job counts per ?group_by= (month, organization, jn or reason),
+// split by reason, over the same filters as getArchivedJobs
+module.exports.getArchiveSummary = async (req, res) => {
+  try {
+    const groupBy = req.query.group_by || 'month';
+    const groupColumn = ARCHIVE_SUMMARY_GROUPS[groupBy];
+    if (!groupColumn) {
+      return res.status(400).json({
+        success: false,
+        message: `group_by must be one of: ${Object.keys(ARCHIVE_SUMMARY_GROUPS).join(', ')}`,
+      });
+    }
+
+    const cacheKey = `jobs:archive:summary:${stableQueryString(req.query)}`;
+    const cached = await cache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    const { where, params, error } = buildArchiveFilters(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const result = await pool.query(`
+      SELECT
+        ${groupColumn} AS value,
+        COUNT(*) AS total,
+        ${ARCHIVE_REASONS.map((reason) => `COUNT(*) FILTER (WHERE a.archive_reason = '${reason}') AS ${reason}`).join(',\n        ')}
+      FROM job_vacancies_archive a
+      LEFT JOIN organization org ON a.organization_id = org.id
+      WHERE TRUE${where}
+      GROUP BY 1
+      ORDER BY ${groupBy === 'month' ? 'value DESC' : 'total DESC, value ASC'}
+      LIMIT 500;
+    `, params);
+
+    const data = result.rows.map((row) => {
+      const entry = { value: row.value, total: parseInt(row.total, 10) };
+      ARCHIVE_REASONS.forEach((reason) => { entry[reason] = parseInt(row[reason], 10); });
+      return entry;
+    });
+    const payload = { success: true, timestamp: new Date(), groupBy, data };
+
+    await cache.set(cacheKey, payload, TTL_FILTERED);
+    cache.httpCache(res, 300);
+    res.status(200).json(payload);
+  } catch (err) {
+    console.error('[jobs.getArchiveSummary]', err);
+    res.status(500).json({ success: false, message: 'Failed to load archive summary' });
+  }
+};
+
+// Revision timeline for one job — answers "was this deadline extended?".
+// Works for closed jobs too, and for rows that no longer exist as long as
+// revisions were recorded for them.
+module.exports.getHistory = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ success: false, message: 'Invalid job id' });
+    }
+
+    const cacheKey = `jobs:history:${id}`;
+    const cached = await cache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    const [jobResult, revisionsResult] = await Promise.all([
+      pool.query(
+        `SELECT id, job_title, end_date, duty_station, job_level, status,
+                first_seen_at, last_seen_at, updated_at
+         FROM job_vacancies
+         WHERE id = $1;`,
+        [id]
+      ),
+      pool.query(
+        `SELECT changed_at, changes
+         FROM job_vacancy_revisions
+         WHERE job_vacancy_id = $1
+         ORDER BY changed_at ASC, id ASC;`,
+        [id]
+      ),
+    ]);
+
+    const job = jobResult.rows[0] || null;
+    const revisions = revisionsResult.rows;
+
+    if (!job && revisions.length === 0) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    const deadlineExtended = revisions.some(({ changes }) =>
+      changes.end_date && changes.end_date.from && changes.end_date.to &&
+      new Date(changes.end_date.to) > new Date(changes.end_date.from)
+    );
+
+    const payload = {
+      success: true,
+      timestamp: new Date(),
+      data: { job, deadline_extended: deadlineExtended, revisions },
+    };
+
+    await cache.set(cacheKey, payload, TTL_JOB_ROW);
+    cache.httpCache(res, 300);
+    res.status(200).json(payload);
+  } catch (err) {
+    console.error('[jobs.getHistory]', err);
+    res.status(500).json({ success: false, message: 'Failed to load job history' });
+  }
+};
+
+// Query values arrive as a string, a comma-separated string or (for
+// repeated keys) an array. Duty stations often contain a comma themselves
+// ("Nairobi, Kenya"), so runs of up to MAX_JOINED_PARTS adjacent
+// comma-separated parts are kept as candidates too — "Nairobi, Kenya,Geneva"
+// matches both stations.
+//
+// Every candidate is a pattern the query has to try, so findOversizedFilter()
+// answers 400 past MAX_FILTER_PARTS values for one key or
+// MAX_FILTER_CANDIDATES candidates over the whole query.
+const MAX_FILTER_PARTS = 20;
+const MAX_JOINED_PARTS = 3;
+const MAX_FILTER_CANDIDATES = 200;
+
+const filterParts = (raw) => String(raw).split(',').map((part) => part.trim()).filter(Boolean);
+
+function filterValues(value) {
+  const values = new Set();
+  [].concat(value).forEach((raw) => {
+    const parts = filterParts(raw).slice(0, MAX_FILTER_PARTS);
+    for (let start = 0; start < parts.length; start++) {
+      for (let end = start + 1; end <= Math.min(parts.length, start + MAX_JOINED_PARTS); end++) {
+        values.add(parts.slice(start, end).join(', '));
+      }
+    }
+  });
+  return [...values];
+}
+
+// A message for the first filter with too many values, or null. `keys`
+// defaults to every FILTERABLE_COLUMNS key; `text` filters count their
+// joined candidates, the rest one per value.
+function findOversizedFilter(query, keys = [...FILTERABLE_COLUMNS.keys()]) {
+  let candidates = 0;
+  for (const key of keys) {
+    if (query[key] === undefined) continue;
+    const parts = [].concat(query[key]).flatMap(filterParts);
+    if (parts.length > MAX_FILTER_PARTS) {
+      return `Too many values for ${key} (at most ${MAX_FILTER_PARTS})`;
+    }
+    const spec = FILTERABLE_COLUMNS.get(key);
+    candidates += spec && spec.type === 'text' ? filterValues(query[key]).length : parts.length;
+  }
+  if (candidates > MAX_FILTER_CANDIDATES) {
+    return `Too many filter values in one query (at most ${MAX_FILTER_CANDIDATES} combinations)`;
+  }
+  return null;
+}
+
+// A real YYYY-MM-DD day. Date.parse() is too lenient ("1", "March 3") for
+// what Postgres' ::date cast accepts, and rolls 2024-02-30 over to March.
+function isCalendarDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// First date-typed filter whose value isn't a date, if any — lets the
+// handler answer 400 instead of letting Postgres reject the cast.
+function findInvalidDateFilter(query) {
+  return Object.keys(query).find((key) => {
+    const spec = FILTERABLE_COLUMNS.get(key);
+    if (!spec || !DATE_FILTER_TYPES.has(spec.type)) return false;
+    const value = String(query[key]).trim();
+    return value !== '' && !isCalendarDate(value);
+  });
+}
+
+// Plain comma/repeat split for canonical values — none of them contain a comma
+function exactValues(value) {
+  return [].concat(value)
+    .flatMap((raw) => String(raw).split(','))
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .slice(0, MAX_FILTER_PARTS);
+}
+
+// 'true' / 'false' for a `flag` filter value, null when it is neither
+function parseFlag(value) {
+  const flag = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(flag)) return 'true';
+  if (['false', '0', 'no'].includes(flag)) return 'false';
+  return null;
+}
+
+// First `exact` / `flag` filter value that doesn't map to a canonical
+// value, as "key: value" — answered with a 400 rather than an empty result
+function findInvalidExactFilter(query) {
+  for (const key of Object.keys(query)) {
+    const spec = FILTERABLE_COLUMNS.get(key);
+    if (!spec || !spec.normalize) continue;
+    const unknown = exactValues(query[key]).find((value) => !spec.normalize(value));
+    if (unknown) return `${key}: ${unknown}`;
+  }
+  return null;
+}
+
+const wantsExpired = (query) => ['true', '1'].includes(String(query.include_expired).toLowerCase());
+
+// Build the dynamic WHERE from FILTERABLE_COLUMNS. Jobs past their
+// deadline are left out unless ?include_expired=true, and non-canonical
+// cluster copies unless ?collapse=false.
+// `exclude` names a column whose filters are all left out (facet counts
+// for jn should still list the other networks while jn=X is selected).
+// Returns " AND ..." clauses whose placeholders start at $1, plus the
+// placeholder of the job_title search term for relevance sorting.
+function buildJobFilters(query, { exclude = null } = {}) {
+  let where = '';
+  const params = [];
+  let titleParam = null;
+
+  Object.entries(query).forEach(([key, value]) => {
+    const spec = FILTERABLE_COLUMNS.get(key);
+    if (!spec || spec.column === exclude) return;
+    if (!value || value.toString().trim() === '') return;
+
+    const column = `jv.${spec.column}`;
+    const placeholder = `$${params.length + 1}`;
+
+    switch (spec.type) {
+      case 'fulltext':
+        // websearch_to_tsquery: AND-of-words, and punctuation can't make
+        // the query throw
+        where += ` AND to_tsvector('english', ${column}) @@ websearch_to_tsquery('english', ${placeholder})`;
+        params.push([].concat(value).join(' '));
+        titleParam = placeholder;
+        break;
+      case 'text':
+        where += ` AND ${column} ILIKE ANY(${placeholder}::text[])`;
+        params.push(filterValues(value));
+        break;
+      case 'exact':
+        where += ` AND ${column} = ANY(${placeholder}::text[])`;
+        params.push([...new Set(exactValues(value).map(spec.normalize).filter(Boolean))]);
+        break;
+      case 'flag':
+        where += ` AND ${column} = ${placeholder}::boolean`;
+        params.push(spec.normalize(exactValues(value)[0]));
+        break;
+      case 'date':
+        where += ` AND ${column}::date = ${placeholder}::date`;
+        params.push(String(value).trim());
+        break;
+      case 'from':
+        where += ` AND ${column}::date >= ${placeholder}::date`;
+        params.push(String(value).trim());
+        break;
+      case 'to':
+        where += ` AND ${column}::date <= ${placeholder}::date`;
+        params.push(String(value).trim());
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (!wantsExpired(query) && exclude !== 'end_date') {
+    where += ' AND (jv.end_date IS NULL OR jv.end_date >= CURRENT_DATE)';
+  }
+  where += collapseClause(query);
+
+  return { where, params, titleParam };
+}
+
+// ORDER BY for ?sort= and ?direction=, always ending on jv.id so pages
+// are stable when the sort column ties.
+function buildJobOrder(query, titleParam) {
+  const sortKey = SORT_OPTIONS[query.sort] ? query.sort : 'deadline';
+  let { column, direction } = SORT_OPTIONS[sortKey];
+  const requested = String(query.direction || '').toUpperCase();
+  if (requested === 'ASC' || requested === 'DESC') direction = requested;
+
+  if (sortKey === 'relevance') {
+    if (!titleParam) return 'jv.end_date ASC NULLS LAST, jv.id ASC';
+    column = `ts_rank(jv.search_vector, websearch_to_tsquery('english', ${titleParam}))`;
+  }
+
+  return `${column} ${direction} NULLS LAST, jv.id ${direction}`;
+}
+
+// Facet dimensions returned by getFilteredJobs?facets=true, plus deadline buckets
+const FACET_DIMENSIONS = ['jn', 'jf', 'jl', 'grade', 'contract_category', 'country_code', 'region', 'dept', 'duty_station', 'recruitment_type'];
+const FACET_LIMIT = 100;
+const DEADLINE_BUCKETS = ['within_7_days', 'within_30_days', 'later', 'no_deadline', 'expired'];
+
+// Only the query keys that change which rows match — the cache key for
+// anything computed over the whole result set (facets, totals).
+function filterQuery(query) {
+  const filters = {};
+  Object.keys(query).forEach((k) => {
+    if (FILTERABLE_COLUMNS.has(k) || k === 'include_expired' || k === 'collapse') filters[k] = query[k];
+  });
+  return filters;
+}
+
+// Facet counts for the active filter set. Cached on the filters alone, so
+// paging through results reuses the same facets.
+async function loadFacets(query) {
+  const filters = filterQuery(query);
+  const cacheKey = `jobs:facets:${stableQueryString(filters)}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) return cached;
+
+  const dimensionQueries = FACET_DIMENSIONS.map((dimension) => {
+    const { where, params } = buildJobFilters(filters, { exclude: dimension });
+    return pool.query(
+      `SELECT jv.${dimension} AS value, COUNT(*) AS total
+       FROM job_vacancies jv
+       WHERE jv.status = 'open'
+         AND jv.${dimension} IS NOT NULL AND jv.${dimension} <> ''${where}
+       GROUP BY jv.${dimension}
+       ORDER BY total DESC, value ASC
+       LIMIT ${FACET_LIMIT};`,
+      params
+    );
+  });
+
+  const deadline = buildJobFilters(filters, { exclude: 'end_date' });
+  const deadlineQuery = pool.query(
+    `SELECT
+       CASE
+         WHEN jv.end_date IS NULL THEN 'no_deadline'
+         WHEN jv.end_date < CURRENT_DATE THEN 'expired'
+         WHEN jv.end_date < CURRENT_DATE + 7 THEN 'within_7_days'
+         WHEN jv.end_date < CURRENT_DATE + 30 THEN 'within_30_days'
+         ELSE 'later'
+       END AS bucket,
+       COUNT(*) AS total
+     FROM job_vacancies jv
+     WHERE jv.status = 'open'${deadline.where}
+     GROUP BY bucket;`,
+    deadline.params
+  );
+
+  const [deadlineResult, ...dimensionResults] = await Promise.all([deadlineQuery, ...dimensionQueries]);
+
+  const facets = {};
+  FACET_DIMENSIONS.forEach((dimension, i) => {
+    facets[dimension] = dimensionResults[i].rows.map((row) => ({ value: row.value, total: parseInt(row.total, 10) }));
+  });
+  const bucketTotals = Object.fromEntries(deadlineResult.rows.map((row) => [row.bucket, parseInt(row.total, 10)]));
+  facets.deadline = DEADLINE_BUCKETS.map((bucket) => ({ bucket, total: bucketTotals[bucket] || 0 }));
+
+  await cache.set(cacheKey, facets, TTL_FILTERED);
+  return facets;
+}
+
 module.exports.getFilteredJobs = async (req, res) => {
   try {
     const cacheKey = `jobs:filter:${stableQueryString(req.query)}`;
     const cached = await cache.get(cacheKey);
     if (cached) return res.json(cached);
 
+    const invalidDate = findInvalidDateFilter(req.query);
+    if (invalidDate) {
+      return res.status(400).json({ success: false, message: `${invalidDate} must be a date (YYYY-MM-DD)` });
+    }
+    const invalidValue = findInvalidExactFilter(req.query);
+    if (invalidValue) {
+      return res.status(400).json({ success: false, message: `Unknown ${invalidValue}` });
+    }
+    const oversized = findOversizedFilter(req.query);
+    if (oversized) return res.status(400).json({ success: false, message: oversized });
+
+    const cursor = req.query.cursor !== undefined ? decodeCursor(req.query.cursor) : undefined;
+    if (cursor === null) {
+      return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+    // Keyset pages follow (end_date, id), so only the default deadline order
+    if (cursor && ((req.query.sort && req.query.sort !== 'deadline') || String(req.query.direction || 'asc').toLowerCase() !== 'asc')) {
+      return res.status(400).json({ success: false, message: 'cursor pagination only supports sort=deadline in ascending order' });
+    }
+
+    const { where, params, titleParam } = buildJobFilters(req.query);
+    const page = clampPage(req.query.page);
+    const size = clampSize(req.query.size);
+    const offset = (page - 1) * size;
+    const keyset = cursor ? keysetClauses(cursor, size, params.length) : null;
+
     // job_description omitted for the same reason as getAll — list views
     // don't render it, and shipping it inflates the filtered-jobs payload
     // by an order of magnitude.
-    let baseQuery = `
+    const baseQuery = `
       SELECT
         jv.id, jv.job_id, jv.language, jv.category_code, jv.job_title,
         jv.job_code_title, '' AS job_description, jv.job_family_code,
-        jv.job_level, jv.duty_station, jv.recruitment_type,
+        jv.job_level, jv.grade, jv.contract_category, jv.duty_station,
+        jv.country_code, jv.city, jv.region, jv.is_remote, jv.recruitment_type,
         jv.start_date, jv.end_date, jv.dept, jv.apply_link,
         jv.total_count, jv.jn, jv.jf, jv.jc, jv.jl, jv.created,
-        jv.data_source, jv.source_logo_url,
+        jv.data_source, jv.source_logo_url, jv.cluster_id,
         org.logo, org.short_name, org.long_name
       FROM job_vacancies jv
       LEFT JOIN organization org ON jv.organization_id = org.id
-      WHERE 1=1
+      WHERE jv.status = 'open'${where}${keyset ? keyset.where : ''}
+      ORDER BY ${keyset ? keyset.orderBy : buildJobOrder(req.query, titleParam)}
+      ${keyset ? keyset.limit : `LIMIT $${params.length + 1} OFFSET $${params.length + 2}`}
     `;
 
-    let countQuery = `
+    const countQuery = `
       SELECT COUNT(jv.id)
       FROM job_vacancies jv
       LEFT JOIN organization org ON jv.organization_id = org.id
-      WHERE 1=1
+      WHERE jv.status = 'open'${where}
     `;
 
-    const queryParams = [];
-
-    // Build the dynamic WHERE — but only for whitelisted column names so
-    // a hostile ?key injection can't reach the SQL identifier position.
-    Object.entries(req.query).forEach(([key, value]) => {
-      if (!FILTERABLE_COLUMNS.has(key)) return;
-      if (!value || value.toString().trim() === '') return;
-
-      if (key === 'job_title') {
-        baseQuery += ` AND to_tsvector('english', job_title) @@ to_tsquery('english', $${queryParams.length + 1})`;
-        countQuery += ` AND to_tsvector('english', job_title) @@ to_tsquery('english', $${queryParams.length + 1})`;
-        queryParams.push(value.split(' ').join(' & '));
-      } else {
-        baseQuery += ` AND ${key} ILIKE $${queryParams.length + 1}`;
-        countQuery += ` AND ${key} ILIKE $${queryParams.length + 1}`;
-        queryParams.push(value);
-      }
-    });
-
-    const page = clampPage(req.query.page);
-    const size = clampSize(req.query.size);
-    const offset = (page - 1) * size;
-    baseQuery += ` ORDER BY end_date ASC LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`;
-    queryParams.push(size, offset);
+    const wantFacets = ['true', '1'].includes(String(req.query.facets).toLowerCase());
 
-    const [result, countResult] = await Promise.all([
-      pool.query(baseQuery, queryParams),
-      pool.query(countQuery, queryParams.slice(0, -2)),
+    const [result, totalRecords, facets] = await Promise.all([
+      pool.query(baseQuery, keyset ? [...params, ...keyset.params] : [...params, size, offset]),
+      loadTotal(req.query, `jobs:count:${stableQueryString(filterQuery(req.query))}`, countQuery, params, TTL_FILTERED),
+      wantFacets ? loadFacets(req.query) : null,
     ]);
 
-    const totalRecords = parseInt(countResult.rows[0].count, 10);
-    const payload = { success: true, timestamp: new Date(), totalRecords, data: result.rows };
+    const payload = keyset
+      ? { success: true, timestamp: new Date(), totalRecords, ...keysetPage(result.rows, cursor, size) }
+      : { success: true, timestamp: new Date(), totalRecords, data: result.rows };
+    if (facets) payload.facets = facets;
 
     await cache.set(cacheKey, payload, TTL_FILTERED);
     cache.httpCache(res, 60);
@@ -196,13 +833,13 @@ module.exports.getFilteredJobs = async (req, res) => {
 
 // — Small helper for the five aggregation endpoints below. Each does the
 //   same thing: cache-check → run a fixed query → cache → respond. —
-async function cachedAggregation(cacheKey, sql, res, label) {
+async function cachedAggregation(cacheKey, sql, res, label, shape = (rows) => rows) {
   try {
     const cached = await cache.get(cacheKey);
     if (cached) return res.json(cached);
 
     const result = await pool.query(sql);
-    const payload = { success: true, timestamp: new Date(), data: result.rows };
+    const payload = { success: true, timestamp: new Date(), data: shape(result.rows) };
 
     await cache.set(cacheKey, payload, TTL_AGGREGATION);
     cache.httpCache(res, 300);
@@ -218,7 +855,7 @@ module.exports.getAllJobCategories = (req, res) =>
     'jobs:categories:list',
     `SELECT jn, COUNT(*) as total
      FROM job_vacancies
-     WHERE jn IS NOT NULL AND jn <> ''
+     WHERE jn IS NOT NULL AND jn <> '' AND status = 'open'
      GROUP BY jn
      ORDER BY jn;`,
     res, 'jobs.categories'
@@ -229,7 +866,7 @@ module.exports.getAllJobFunctionCategories = (req, res) =>
     'jobs:categories:job_function:list',
     `SELECT jf, COUNT(*) as total
      FROM job_vacancies
-     WHERE jf IS NOT NULL AND jf <> ''
+     WHERE jf IS NOT NULL AND jf <> '' AND status = 'open'
      GROUP BY jf
      ORDER BY jf;`,
     res, 'jobs.function_categories'
@@ -241,7 +878,7 @@ module.exports.getAllJobOrganizations = (req, res) =>
     `SELECT jv.dept, org.description, org.logo, COUNT(*) as total
      FROM job_vacancies jv
      INNER JOIN organization org ON jv.organization_id = org.id
-     WHERE jv.dept IS NOT NULL AND jv.dept <> ''
+     WHERE jv.dept IS NOT NULL AND jv.dept <> '' AND jv.status = 'open'
      GROUP BY jv.dept, org.logo, org.description
      ORDER BY total DESC;`,
     res, 'jobs.organizations'
@@ -252,22 +889,123 @@ module.exports.getLogoJobOrganizations = (req, res) =>
     'jobs:organizations:logo:list',
     `SELECT DISTINCT org.logo, org.name
      FROM organization org
-     INNER JOIN job_vacancies jv ON org.id = jv.organization_id;`,
+     INNER JOIN job_vacancies jv ON org.id = jv.organization_id
+     WHERE jv.status = 'open';`,
     res, 'jobs.logo_organizations'
   );
 
+// Duty stations grouped by the gazetteer-resolved country and city
+// rather than their raw spellings — "Nairobi, Kenya", "KEN-Nairobi" and
+// "NAIROBI" are one entry. Filter with ?country=&city= (or ?remote=true
+// for the home-based entries). Strings the gazetteer couldn't place are
+// listed as they are, with a null country_code.
+const dutyStationLabel = (row) => {
+  const country = row.country_code && getCountry(row.country_code.trim());
+  if (!country) return row.is_remote ? 'Home-based' : row.unresolved;
+  const place = row.is_remote && !row.city ? 'Home-based' : row.city;
+  return place ? `${place}, ${country.name}` : country.name;
+};
+
 module.exports.getAllDutyStations = (req, res) =>
   cachedAggregation(
     'jobs:duty_stations:list',
     // Only surface duty stations that have at least one CURRENT opening —
-    // non-expired (end_date today or later) or open-ended (no end_date).
+    // not closed, and non-expired (end_date today or later) or open-ended.
     // Keeps the homepage dropdown and /duty-stations page free of stations
     // whose vacancies have all closed.
-    `SELECT duty_station, COUNT(*) as total
+    `SELECT country_code, city, is_remote, region,
+            CASE WHEN country_code IS NULL AND NOT is_remote THEN duty_station END AS unresolved,
+            COUNT(*) as total
      FROM job_vacancies
      WHERE duty_station IS NOT NULL AND duty_station <> ''
+       AND status = 'open'
        AND (end_date IS NULL OR end_date >= CURRENT_DATE)
-     GROUP BY duty_station
+     GROUP BY country_code, city, is_remote, region, unresolved
      ORDER BY total DESC;`,
-    res, 'jobs.duty_stations'
+    res, 'jobs.duty_stations',
+    (rows) => rows.map((row) => ({
+      duty_station: dutyStationLabel(row),
+      country_code: row.country_code ? row.country_code.trim() : null,
+      city: row.city,
+      region: row.region,
+      is_remote: row.is_remote,
+      total: row.total,
+    }))
+  );
+
+// Countries with at least one current opening, most vacancies first
+module.exports.getCountries = (req, res) =>
+  cachedAggregation(
+    'jobs:countries:list',
+    `SELECT country_code, COUNT(*) AS total,
+            COUNT(*) FILTER (WHERE is_remote) AS remote
+     FROM job_vacancies
+     WHERE country_code IS NOT NULL
+       AND status = 'open'
+       AND (end_date IS NULL OR end_date >= CURRENT_DATE)
+     GROUP BY country_code
+     ORDER BY total DESC, country_code;`,
+    res, 'jobs.countries',
+    (rows) => rows
+      .map((row) => ({ country: getCountry(row.country_code.trim()), row }))
+      .filter(({ country }) => country)
+      .map(({ country, row }) => ({
+        code: country.code,
+        iso3: country.iso3,
+        name: country.name,
+        region: country.region,
+        total: parseInt(row.total, 10),
+        remote: parseInt(row.remote, 10),
+      }))
+  );
+
+// Every region in display order with its current openings — zero-count
+// regions included, like getGrades
+module.exports.getRegions = (req, res) =>
+  cachedAggregation(
+    'jobs:regions:list',
+    `SELECT region, COUNT(*) AS total, COUNT(DISTINCT country_code) AS countries
+     FROM job_vacancies
+     WHERE region IS NOT NULL
+       AND status = 'open'
+       AND (end_date IS NULL OR end_date >= CURRENT_DATE)
+     GROUP BY region;`,
+    res, 'jobs.regions',
+    (rows) => {
+      const byRegion = Object.fromEntries(rows.map((row) => [row.region, row]));
+      return REGIONS.map((region) => ({
+        ...region,
+        total: byRegion[region.code] ? parseInt(byRegion[region.code].total, 10) : 0,
+        countries: byRegion[region.code] ? parseInt(byRegion[region.code].countries, 10) : 0,
+      }));
+    }
   );
+
+// Canonical grades in display order with their open-vacancy counts —
+// zero-count grades included so the filter UI can list them all.
+module.exports.getGrades = async (req, res) => {
+  try {
+    const cacheKey = 'jobs:grades:list';
+    const cached = await cache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    const result = await pool.query(
+      `SELECT grade, COUNT(*) AS total
+       FROM job_vacancies
+       WHERE grade IS NOT NULL
+         AND status = 'open'
+         AND (end_date IS NULL OR end_date >= CURRENT_DATE)
+       GROUP BY grade;`
+    );
+    const totals = Object.fromEntries(result.rows.map((row) => [row.grade, parseInt(row.total, 10)]));
+    const data = CANONICAL_GRADES.map((grade) => ({ ...grade, total: totals[grade.code] || 0 }));
+
+    const payload = { success: true, timestamp: new Date(), data };
+    await cache.set(cacheKey, payload, TTL_AGGREGATION);
+    cache.httpCache(res, 300);
+    res.status(200).json(payload);
+  } catch (err) {
+    console.error('[jobs.grades]', err);
+    res.status(500).json({ success: false, message: 'Failed to load jobs.grades' });
+  }
+};
@@ -0,0 +1,66 @@
+const { Client } = require("pg");
+const { credentials } = require("./db");
+
+/**
+ * Hiring analytics rollups
+ *
+ * GET /api/v1/analytics reads materialized monthly rollups instead of
+ * scanning job_vacancies and job_vacancies_archive on every request. Both
+ * are built over the job_postings_history view, which has every posting
+ * once, live or archived (same-org duplicates and the hidden copies of a
+ * cross-source cluster are left out):
+ *
+ *   analytics_postings_monthly       postings opened and closed per month,
+ *                                    organization, job network, grade and
+ *                                    country, with the summed posting window
+ *                                    (deadline - opened) for averages
+ *   analytics_duty_stations_monthly  postings opened per month and duty
+ *                                    station
+ *
+ * A posting opens on its start date (else when we first saw it) and closes
+ * when it's withdrawn, its deadline passes or — for archived rows without
+ * either — when it was archived. Missing dimensions are stored as 0 / ''
+ * so the rollups' unique keys hold.
+ *
+ * The runner calls refreshAnalyticsRollups() once at the end of a full run
+ * and after each scheduled source's run; a source run on its own through
+ * the API waits for the next of those. Refreshes
+ * are CONCURRENT, so the API keeps reading the previous rollup meanwhile;
+ * a rollup that was never populated gets a plain refresh first.
+ */
+
+const ANALYTICS_VIEWS = ["analytics_postings_monthly", "analytics_duty_stations_monthly"];
+
+// Refresh every rollup; returns { view: milliseconds }
+const refreshAnalyticsRollups = async () => {
+  const client = new Client(credentials);
+  const timings = {};
+  try {
+    await client.connect();
+    const populated = await client.query(`
+      SELECT matviewname, ispopulated
+      FROM pg_matviews
+      WHERE matviewname = ANY($1);
+    `, [ANALYTICS_VIEWS]);
+    const isPopulated = new Map(populated.rows.map((row) => [row.matviewname, row.ispopulated]));
+
+    for (const view of ANALYTICS_VIEWS) {
+      const startedAt = Date.now();
+      // CONCURRENTLY is refused on a view that has never been populated
+      const concurrently = isPopulated.get(view) ? "CONCURRENTLY " : "";
+      await client.query(`REFRESH MATERIALIZED VIEW ${concurrently}${view};`);
+      timings[view] = Date.now() - startedAt;
+    }
+
+    const total = Object.values(timings).reduce((sum, ms) => sum + ms, 0);
+    console.log(`📈 Refreshed ${ANALYTICS_VIEWS.length} analytics rollups in ${total}ms`);
+    return timings;
+  } finally {
+    await client.end();
+  }
+};
+
+module.exports = {
+  ANALYTICS_VIEWS,
+  refreshAnalyticsRollups,
+};
@@ -0,0 +1,103 @@
+const { Client } = require("pg");
+const { credentials } = require("./db");
+
+/**
+ * Job archive
+ *
+ * Jobs the cleanup removes from job_vacancies aren't deleted but moved to
+ * job_vacancies_archive, keeping their id, so trend reports can still count
+ * them and GET /api/v1/jobs/:id still resolves (with `archived: true`).
+ * Each row records why it left:
+ *
+ *   expired    the deadline passed
+ *   duplicate  a same-organization copy of another job
+ *   withdrawn  the source stopped listing it (soft-closed) before it expired
+ *
+ * The columns reports filter on are copied out; job_data holds the whole
+ * row as it was. Nothing is pruned unless ETL_ARCHIVE_RETENTION_DAYS is
+ * set: rows archived more than that many days ago are then deleted after
+ * each full run — and drop out of the analytics history with them.
+ */
+
+const ARCHIVE_REASONS = ["expired", "duplicate", "withdrawn"];
+
+// Off (0) unless configured
+const RETENTION_DAYS = parseInt(process.env.ETL_ARCHIVE_RETENTION_DAYS, 10) || 0;
+
+// Soft-closed jobs without a deadline would otherwise never leave
+const CLOSED_WITHOUT_DEADLINE_DAYS = 30;
+
+// Jobs the expiry cleanup archives: past their deadline, or closed long
+// enough ago when they have none
+const ARCHIVABLE_CONDITION = `(
+  end_date < NOW()
+  OR (status = 'closed' AND end_date IS NULL AND closed_at < NOW() - INTERVAL '${CLOSED_WITHOUT_DEADLINE_DAYS} days')
+)`;
+
+// A closed job was withdrawn by its source, whatever its deadline says
+const REASON_BY_STATUS = `CASE WHEN moved.status = 'closed' THEN 'withdrawn' ELSE 'expired' END`;
+
+// Delete the matching job_vacancies rows and insert them into the archive
+// in one statement. `where` is SQL over job_vacancies with $1.. params.
+const moveToArchive = async (client, where, params, reasonSql) => {
+  const result = await client.query(`
+    WITH moved AS (
+      DELETE FROM job_vacancies
+      WHERE ${where}
+      RETURNING *
+    )
+    INSERT INTO job_vacancies_archive (
+      id, job_id, data_source, organization_id, job_title, dept, jn, grade,
+      duty_station, country_code, start_date, end_date, first_seen_at,
+      archive_reason, job_data
+    )
+    SELECT
+      moved.id, moved.job_id, moved.data_source, moved.organization_id, moved.job_title,
+      moved.dept, moved.jn, moved.grade, moved.duty_station, moved.country_code,
+      moved.start_date, moved.end_date, moved.first_seen_at,
+      ${reasonSql}, to_jsonb(moved) - 'search_vector'
+    FROM moved
+    RETURNING id, data_source, job_id, job_title, start_date, end_date, duty_station, archive_reason;
+  `, params);
+  return result;
+};
+
+// Archive the jobs matching `where` with one reason from ARCHIVE_REASONS
+const archiveJobs = async (client, where, reason, params = []) => {
+  if (!ARCHIVE_REASONS.includes(reason)) {
+    throw new Error(`Unknown archive reason: ${reason}`);
+  }
+  return moveToArchive(client, where, [...params, reason], `$${params.length + 1}`);
+};
+
+// Archive expired jobs ('expired', or 'withdrawn' for closed ones)
+const archiveExpiredJobs = async (client) => moveToArchive(client, ARCHIVABLE_CONDITION, [], REASON_BY_STATUS);
+
+// Delete archived jobs past the retention window
+const pruneArchive = async (retentionDays = RETENTION_DAYS) => {
+  if (!retentionDays || retentionDays <= 0) return 0;
+
+  const client = new Client(credentials);
+  try {
+    await client.connect();
+    const result = await client.query(`
+      DELETE FROM job_vacancies_archive
+      WHERE archived_at < NOW() - make_interval(days => $1);
+    `, [retentionDays]);
+
+    if (result.rowCount > 0) {
+      console.log(`🧺 Pruned ${result.rowCount} archived jobs older than ${retentionDays} days`);
+    }
+    return result.rowCount;
+  } finally {
+    await client.end();
+  }
+};
+
+module.exports = {
+  ARCHIVE_REASONS,
+  ARCHIVABLE_CONDITION,
+  archiveJobs,
+  archiveExpiredJobs,
+  pruneArchive,
+};
@@ -0,0 +1,346 @@
+const puppeteer = require("puppeteer");
+const { getPuppeteerConfig } = require("./shared");
+
+/**
+ * Shared Puppeteer browser pool
+ *
+ * Every Puppeteer user (the scraper engine, the ICAO job monitor) gets its
+ * pages from here instead of launching its own Chrome:
+ *
+ *   withPage(async (page) => ..., options)   one page, closed afterwards
+ *   leaseBrowser(options)                     { newPage, close } stand-in for
+ *                                             a Browser; close() closes the
+ *                                             lease's pages, not Chrome
+ *
+ * Options: timeoutMs (default navigation/wait timeout), blockResources
+ * (default true: images, fonts, media and analytics hosts are aborted),
+ * userAgent and maxLifetimeMs (see below).
+ *
+ * At most BROWSER_POOL_SIZE Chromes (default 1) run, each with at most
+ * BROWSER_PAGES_PER_BROWSER open pages (default 4); further callers wait.
+ * A browser that crashes is dropped and the next page launches a fresh one,
+ * a browser is recycled after RECYCLE_AFTER_PAGES pages, idle browsers are
+ * closed after IDLE_CLOSE_MS, a page left open past its maxLifetimeMs
+ * (default BROWSER_PAGE_MAX_LIFETIME_MS, 5 minutes; the scraper engine
+ * passes its source's run timeout) is force-closed, and any Chrome still running when the process exits is
+ * killed — a crashed run can't leak one. getBrowserPoolMetrics() feeds
+ * GET /api/v1/etl/health.
+ */
+
+const POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE, 10) || 1;
+const PAGES_PER_BROWSER = parseInt(process.env.BROWSER_PAGES_PER_BROWSER, 10) || 4;
+const PAGE_TIMEOUT_MS = parseInt(process.env.BROWSER_PAGE_TIMEOUT_MS, 10) || 30000;
+const PAGE_MAX_LIFETIME_MS = parseInt(process.env.BROWSER_PAGE_MAX_LIFETIME_MS, 10) || 5 * 60 * 1000;
+const IDLE_CLOSE_MS = 60 * 1000;
+const RECYCLE_AFTER_PAGES = 200; // Chrome's memory only grows
+
+const BLOCKED_RESOURCE_TYPES = new Set(["image", "font", "media"]);
+const BLOCKED_HOSTS = [
+  "google-analytics.com",
+  "googletagmanager.com",
+  "doubleclick.net",
+  "googlesyndication.com",
+  "facebook.net",
+  "hotjar.com",
+  "clarity.ms",
+  "nr-data.net",
+  "segment.io",
+  "mixpanel.com",
+];
+
+const browsers = []; // { id, browser, openPages: Set, reserved, served, launchedAt, closing }
+const waiters = [];
+let launching = 0;
+let nextId = 0;
+let idleTimer = null;
+let exitHookInstalled = false;
+
+const metrics = {
+  launched: 0,
+  crashed: 0,
+  recycled: 0,
+  launchFailures: 0,
+  pagesOpened: 0,
+  pagesClosed: 0,
+  pagesTimedOut: 0,
+  requestsBlocked: 0,
+  lastLaunchAt: null,
+  lastCrashAt: null,
+  lastError: null,
+};
+
+const isBlockedUrl = (url) => {
+  let hostname;
+  try {
+    ({ hostname } = new URL(url));
+  } catch (error) {
+    return false;
+  }
+  return BLOCKED_HOSTS.some((host) => hostname === host || hostname.endsWith(`.${host}`));
+};
+
+const wake = () => {
+  waiters.splice(0).forEach((resolve) => resolve());
+};
+
+// Synchronous on purpose: 'exit' handlers can't await
+const installExitHook = () => {
+  if (exitHookInstalled) return;
+  exitHookInstalled = true;
+  process.once("exit", () => {
+    browsers.forEach((entry) => {
+      const child = entry.browser.process();
+      if (child && !child.killed) child.kill("SIGKILL");
+    });
+  });
+};
+
+const retire = (entry, reason) => {
+  if (entry.closing) return;
+  entry.closing = true;
+  const index = browsers.indexOf(entry);
+  if (index !== -1) browsers.splice(index, 1);
+  if (reason === "recycled") metrics.recycled++;
+  console.log(`🧭 Browser pool: closing browser #${entry.id} (${reason})`);
+  entry.browser.close().catch(() => {
+    const child = entry.browser.process();
+    if (child && !child.killed) child.kill("SIGKILL");
+  });
+  wake();
+};
+
+const onDisconnected = (entry) => {
+  const index = browsers.indexOf(entry);
+  if (index !== -1) browsers.splice(index, 1);
+  if (!entry.closing) {
+    entry.closing = true;
+    metrics.crashed++;
+    metrics.lastCrashAt = new Date();
+    console.warn(`💥 Browser pool: browser #${entry.id} disconnected with ${entry.openPages.size} open pages`);
+  }
+  metrics.pagesClosed += entry.openPages.size;
+  entry.openPages.clear();
+  wake();
+};
+
+// The new browser comes back with one page slot already reserved
+const launchBrowser = async () => {
+  launching++;
+  try {
+    const browser = await puppeteer.launch(getPuppeteerConfig());
+    const entry = {
+      id: ++nextId,
+      browser,
+      openPages: new Set(),
+      reserved: 1,
+      served: 0,
+      launchedAt: new Date(),
+      closing: false,
+    };
+    browser.on("disconnected", () => onDisconnected(entry));
+    browsers.push(entry);
+    installExitHook();
+    metrics.launched++;
+    metrics.lastLaunchAt = entry.launchedAt;
+    console.log(`🧭 Browser pool: launched browser #${entry.id} (${browsers.length}/${POOL_SIZE})`);
+    return entry;
+  } catch (error) {
+    metrics.launchFailures++;
+    metrics.lastError = error.message;
+    throw error;
+  } finally {
+    launching--;
+  }
+};
+
+const hasRoom = (entry) =>
+  !entry.closing && entry.browser.isConnected() && entry.openPages.size + entry.reserved < PAGES_PER_BROWSER;
+
+// A browser with a page slot reserved for the caller; waits when full
+const acquireSlot = async () => {
+  for (;;) {
+    const entry = browsers
+      .filter(hasRoom)
+      .sort((a, b) => (a.openPages.size + a.reserved) - (b.openPages.size + b.reserved))[0];
+    if (entry) {
+      entry.reserved++;
+      return entry;
+    }
+    if (browsers.length + launching < POOL_SIZE) {
+      try {
+        return await launchBrowser();
+      } finally {
+        wake(); // a failed launch frees its slot for whoever is waiting
+      }
+    }
+    await new Promise((resolve) => waiters.push(resolve));
+  }
+};
+
+const scheduleIdleClose = () => {
+  clearTimeout(idleTimer);
+  const idle = browsers.every((entry) => entry.openPages.size === 0 && entry.reserved === 0);
+  if (!idle || browsers.length === 0 || waiters.length > 0) return;
+
+  idleTimer = setTimeout(() => {
+    browsers
+      .filter((entry) => entry.openPages.size === 0 && entry.reserved === 0)
+      .forEach((entry) => retire(entry, "idle"));
+  }, IDLE_CLOSE_MS);
+  idleTimer.unref();
+};
+
+const releasePage = (entry, page) => {
+  if (!entry.openPages.delete(page)) return;
+  metrics.pagesClosed++;
+  if (entry.served >= RECYCLE_AFTER_PAGES && entry.openPages.size === 0 && entry.reserved === 0) {
+    retire(entry, "recycled");
+  }
+  wake();
+  scheduleIdleClose();
+};
+
+const preparePage = async (entry, page, {
+  timeoutMs = PAGE_TIMEOUT_MS,
+  blockResources = true,
+  userAgent = null,
+  maxLifetimeMs = PAGE_MAX_LIFETIME_MS,
+}) => {
+  // A page nobody closed (a hung scrape, a forgotten close) is closed for them
+  const watchdog = setTimeout(() => {
+    metrics.pagesTimedOut++;
+    console.warn(`⏱️ Browser pool: closing a page left open for ${Math.round(maxLifetimeMs / 1000)}s on browser #${entry.id}`);
+    page.close().catch(() => {});
+  }, maxLifetimeMs);
+  watchdog.unref();
+
+  const close = page.close.bind(page);
+  page.close = async (...args) => {
+    clearTimeout(watchdog);
+    releasePage(entry, page);
+    await close(...args).catch(() => {});
+  };
+  page.once("close", () => {
+    clearTimeout(watchdog);
+    releasePage(entry, page);
+  });
+
+  page.setDefaultTimeout(timeoutMs);
+  page.setDefaultNavigationTimeout(timeoutMs);
+  if (userAgent) await page.setUserAgent(userAgent);
+
+  if (blockResources) {
+    await page.setRequestInterception(true);
+    page.on("request", (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+      if (BLOCKED_RESOURCE_TYPES.has(request.resourceType()) || isBlockedUrl(request.url())) {
+        metrics.requestsBlocked++;
+        request.abort().catch(() => {});
+      } else {
+        request.continue().catch(() => {});
+      }
+    });
+  }
+};
+
+// A pooled page; the caller must close() it (withPage() does)
+const openPage = async (options = {}) => {
+  clearTimeout(idleTimer);
+
+  for (let attempt = 1; ; attempt++) {
+    const entry = await acquireSlot();
+    let page = null;
+    try {
+      page = await entry.browser.newPage();
+      entry.reserved--;
+      entry.openPages.add(page);
+      entry.served++;
+      metrics.pagesOpened++;
+      await preparePage(entry, page, options);
+      return page;
+    } catch (error) {
+      if (page) {
+        await page.close().catch(() => {});
+      } else {
+        entry.reserved--;
+        wake();
+      }
+      // The browser died under us: once more, on a fresh one
+      if (attempt >= 2 || entry.browser.isConnected()) throw error;
+      console.warn(`♻️ Browser pool: browser #${entry.id} is gone (${error.message}), retrying`);
+    }
+  }
+};
+
+const withPage = async (fn, options = {}) => {
+  const page = await openPage(options);
+  try {
+    return await fn(page);
+  } finally {
+    await page.close();
+  }
+};
+
+// Browser-shaped handle for code written against puppeteer.launch()
+const leaseBrowser = (options = {}) => {
+  const pages = new Set();
+  return {
+    newPage: async () => {
+      const page = await openPage(options);
+      pages.add(page);
+      page.once("close", () => pages.delete(page));
+      return page;
+    },
+    close: async () => {
+      await Promise.all([...pages].map((page) => page.close().catch(() => {})));
+      pages.clear();
+    },
+  };
+};
+
+// Close every browser now (shutdown, tests)
+const shutdownBrowserPool = async () => {
+  clearTimeout(idleTimer);
+  const entries = [...browsers];
+  entries.forEach((entry) => retire(entry, "shutdown"));
+  await Promise.all(entries.map((entry) => entry.browser.close().catch(() => {})));
+};
+
+const getBrowserPoolMetrics = () => ({
+  config: {
+    poolSize: POOL_SIZE,
+    pagesPerBrowser: PAGES_PER_BROWSER,
+    pageTimeoutMs: PAGE_TIMEOUT_MS,
+    pageMaxLifetimeMs: PAGE_MAX_LIFETIME_MS,
+  },
+  openBrowsers: browsers.length,
+  openPages: browsers.reduce((sum, entry) => sum + entry.openPages.size, 0),
+  waiting: waiters.length,
+  browsers: browsers.map((entry) => ({
+    id: entry.id,
+    openPages: entry.openPages.size,
+    pagesServed: entry.served,
+    launchedAt: entry.launchedAt,
+  })),
+  totals: {
+    launched: metrics.launched,
+    crashed: metrics.crashed,
+    recycled: metrics.recycled,
+    launchFailures: metrics.launchFailures,
+    pagesOpened: metrics.pagesOpened,
+    pagesClosed: metrics.pagesClosed,
+    pagesTimedOut: metrics.pagesTimedOut,
+    requestsBlocked: metrics.requestsBlocked,
+  },
+  lastLaunchAt: metrics.lastLaunchAt,
+  lastCrashAt: metrics.lastCrashAt,
+  lastError: metrics.lastError,
+});
+
+module.exports = {
+  openPage,
+  withPage,
+  leaseBrowser,
+  shutdownBrowserPool,
+  getBrowserPoolMetrics,
+};
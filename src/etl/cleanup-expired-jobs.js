@@ -3,13 +3,13 @@
 /**
  * Database Cleanup Script (Expired Jobs + Duplicates)
  * 
- * This script removes:
+ * This script moves to job_vacancies_archive (see archive.js):
  * 1. Job vacancies where the end_date (application deadline) has passed
  * 2. Duplicate job entries (keeps the most recent one)
  * 
  * Usage:
  *   node src/etl/cleanup-expired-jobs.js           # Run cleanup
- *   node src/etl/cleanup-expired-jobs.js --dry-run # Preview what would be deleted
+ *   node src/etl/cleanup-expired-jobs.js --dry-run # Preview what would be archived
  *   node src/etl/cleanup-expired-jobs.js --help    # Show help
  * 
  * Safety Features:
@@ -41,7 +41,7 @@ Usage:
   node src/etl/cleanup-expired-jobs.js [options]
 
 Options:
-  --dry-run, -d    Preview what would be deleted without making changes
+  --dry-run, -d    Preview what would be archived without making changes
   --help, -h       Show this help message
 
 Examples:
@@ -99,14 +99,15 @@ async function main() {
     console.log(`📊 Total Issues Found: ${stats.totalExpiredJobs + stats.totalDuplicateJobs}`);
     console.log(`   📅 Expired Jobs: ${stats.totalExpiredJobs}`);
     console.log(`   🔄 Duplicate Jobs: ${stats.totalDuplicateJobs}`);
+    console.log(`   🔗 Cross-source copies: ${stats.clusteredJobs} jobs in ${stats.duplicateClusters} clusters (${stats.hiddenDuplicateJobs} hidden from listings, kept)`);
     
     if (isDryRun) {
       console.log('🔍 DRY RUN - No changes made');
       console.log('💡 Run without --dry-run to actually clean up the database');
     } else {
       const totalDeleted = stats.deletedExpiredJobs + stats.deletedDuplicateJobs;
-      console.log(`🗑️  Total Jobs Deleted: ${totalDeleted}`);
-      console.log(`   📅 Expired: ${stats.deletedExpiredJobs}`);
+      console.log(`🗄️  Total Jobs Archived: ${totalDeleted}`);
+      console.log(`   📅 Expired: ${stats.deletedExpiredJobs} (${stats.archivedWithdrawnJobs} withdrawn)`);
       console.log(`   🔄 Duplicates: ${stats.deletedDuplicateJobs}`);
       console.log(`✅ Database cleaned successfully`);
     }
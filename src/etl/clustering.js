@@ -0,0 +1,200 @@
+/**
+ * Cross-source duplicate clustering
+ *
+ * The same vacancy is often listed by the agency's own site and again by
+ * ReliefWeb or INSPIRA, with a slightly different title, a duty station
+ * spelled another way and a deadline a day or two apart. Instead of
+ * deleting all but one copy, clusterDuplicateJobs() links open jobs from
+ * different data sources when
+ *
+ *   title     trigram similarity (pg_trgm) of the lower-cased titles is at
+ *             least ETL_CLUSTER_TITLE_SIMILARITY (default 0.6)
+ *   location  same country and city (gazetteer.js), both home-based, or —
+ *             when either country wasn't resolved — the same duty station
+ *             once punctuation and case are stripped. A job without a city
+ *             only matches a same-country one from the same organization or
+ *             with a matching deadline
+ *   deadline  end dates at most ETL_CLUSTER_DEADLINE_DAYS (default 3) apart;
+ *             a job without one only matches the same organization's
+ *
+ * A missing city or deadline never matches on its own: two agencies'
+ * "Programme Analyst" posts in one country stay apart.
+ *
+ * Linked jobs share a cluster_id (the lowest job id in the cluster) and one
+ * of them is_canonical: the agency's own posting over an aggregator's, then
+ * the first posted. Listings show canonical jobs only; GET /jobs/:id lists
+ * the other copies with their apply links. Every row is kept.
+ *
+ * Clusters are rebuilt from scratch on each call, over open jobs only;
+ * changedJobs in the result counts the jobs whose cluster or canonical flag
+ * moved, so callers know whether cached listings are stale.
+ */
+
+const TITLE_SIMILARITY = parseFloat(process.env.ETL_CLUSTER_TITLE_SIMILARITY) || 0.6;
+const DEADLINE_DAYS = parseInt(process.env.ETL_CLUSTER_DEADLINE_DAYS, 10) || 3;
+
+// Sources that re-list other agencies' vacancies; never canonical when the
+// agency's own posting is in the cluster
+const AGGREGATOR_SOURCES = ["reliefweb", "inspira"];
+
+const normalizedStation = (column) =>
+  `lower(regexp_replace(COALESCE(${column}, ''), '[^[:alnum:]]+', '', 'g'))`;
+
+const SAME_ORGANIZATION = "(a.organization_id IS NOT NULL AND a.organization_id = b.organization_id)";
+const DEADLINES_MATCH = `(a.end_date IS NOT NULL AND b.end_date IS NOT NULL
+  AND ABS(a.end_date::date - b.end_date::date) <= $1)`;
+
+// Pairs of open jobs from different sources that look like the same vacancy.
+// `%` uses the trigram index with the threshold set by set_limit().
+const CANDIDATE_PAIRS_QUERY = `
+  SELECT a.id AS a_id, b.id AS b_id
+  FROM job_vacancies a
+  JOIN job_vacancies b
+    ON b.id > a.id
+   AND b.status = 'open'
+   AND b.data_source IS DISTINCT FROM a.data_source
+   AND lower(b.job_title) % lower(a.job_title)
+  WHERE a.status = 'open'
+    AND (
+      (a.country_code IS NOT NULL AND a.country_code = b.country_code
+        AND (lower(a.city) = lower(b.city)
+          OR ((a.city IS NULL OR b.city IS NULL) AND (${SAME_ORGANIZATION} OR ${DEADLINES_MATCH}))))
+      OR (a.is_remote AND b.is_remote)
+      OR ((a.country_code IS NULL OR b.country_code IS NULL)
+        AND ${normalizedStation("a.duty_station")} <> ''
+        AND ${normalizedStation("a.duty_station")} = ${normalizedStation("b.duty_station")})
+    )
+    AND (${DEADLINES_MATCH}
+      OR ((a.end_date IS NULL OR b.end_date IS NULL) AND ${SAME_ORGANIZATION}));
+`;
+
+// Union-find over the candidate pairs: job id -> root id
+const groupPairs = (pairs) => {
+  const parent = new Map();
+  const find = (id) => {
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    while (parent.get(id) !== root) {
+      const next = parent.get(id);
+      parent.set(id, root);
+      id = next;
+    }
+    return root;
+  };
+
+  pairs.forEach(({ a_id: a, b_id: b }) => {
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(Math.max(rootA, rootB), Math.min(rootA, rootB));
+  });
+
+  const groups = new Map(); // root -> [ids]
+  [...parent.keys()].forEach((id) => {
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(id);
+  });
+  return [...groups.values()];
+};
+
+// Agency's own posting first, then the earliest posted
+const compareCanonical = (a, b) => {
+  const aggregatorA = AGGREGATOR_SOURCES.includes(String(a.data_source).toLowerCase());
+  const aggregatorB = AGGREGATOR_SOURCES.includes(String(b.data_source).toLowerCase());
+  if (aggregatorA !== aggregatorB) return aggregatorA ? 1 : -1;
+  const createdA = a.created ? new Date(a.created).getTime() : Infinity;
+  const createdB = b.created ? new Date(b.created).getTime() : Infinity;
+  if (createdA !== createdB) return createdA - createdB;
+  return a.id - b.id;
+};
+
+// Rebuild clusters on the caller's client. With dryRun nothing is written.
+// Returns { clusters, clusteredJobs, hiddenJobs, changedJobs, examples }
+const clusterDuplicateJobs = async (client, { dryRun = false } = {}) => {
+  await client.query("SELECT set_limit($1);", [TITLE_SIMILARITY]);
+  const pairsResult = await client.query(CANDIDATE_PAIRS_QUERY, [DEADLINE_DAYS]);
+  const groups = groupPairs(pairsResult.rows);
+
+  const ids = groups.flat();
+  const jobsResult = ids.length > 0
+    ? await client.query(`
+        SELECT id, data_source, job_title, duty_station, created
+        FROM job_vacancies
+        WHERE id = ANY($1::int[]);
+      `, [ids])
+    : { rows: [] };
+  const jobs = new Map(jobsResult.rows.map((row) => [row.id, row]));
+
+  const assignments = [];
+  const examples = [];
+  groups.forEach((group) => {
+    const members = group.map((id) => jobs.get(id)).filter(Boolean).sort(compareCanonical);
+    if (members.length < 2) return;
+    const clusterId = Math.min(...members.map((job) => job.id));
+    members.forEach((job, index) => assignments.push({ id: job.id, clusterId, canonical: index === 0 }));
+    if (examples.length < 3) {
+      examples.push({
+        jobTitle: members[0].job_title,
+        dutyStation: members[0].duty_station,
+        sources: members.map((job) => job.data_source),
+      });
+    }
+  });
+
+  const previousResult = await client.query(`
+    SELECT id, cluster_id, is_canonical
+    FROM job_vacancies
+    WHERE status = 'open' AND (cluster_id IS NOT NULL OR NOT is_canonical);
+  `);
+  const previous = new Map(previousResult.rows.map((row) => [row.id, row]));
+  const assigned = new Set(assignments.map((entry) => entry.id));
+  const changedJobs =
+    assignments.filter(({ id, clusterId, canonical }) => {
+      const before = previous.get(id);
+      return !before || before.cluster_id !== clusterId || before.is_canonical !== canonical;
+    }).length +
+    [...previous.keys()].filter((id) => !assigned.has(id)).length;
+
+  const stats = {
+    clusters: assignments.filter((entry) => entry.canonical).length,
+    clusteredJobs: assignments.length,
+    hiddenJobs: assignments.filter((entry) => !entry.canonical).length,
+    changedJobs,
+    examples,
+  };
+  if (dryRun || changedJobs === 0) return stats;
+
+  await client.query("BEGIN");
+  try {
+    await client.query(`
+      UPDATE job_vacancies
+      SET cluster_id = NULL, is_canonical = TRUE
+      WHERE status = 'open' AND (cluster_id IS NOT NULL OR NOT is_canonical);
+    `);
+    if (assignments.length > 0) {
+      await client.query(`
+        UPDATE job_vacancies jv
+        SET cluster_id = c.cluster_id, is_canonical = c.is_canonical
+        FROM unnest($1::int[], $2::int[], $3::boolean[]) AS c(id, cluster_id, is_canonical)
+        WHERE jv.id = c.id;
+      `, [
+        assignments.map((entry) => entry.id),
+        assignments.map((entry) => entry.clusterId),
+        assignments.map((entry) => entry.canonical),
+      ]);
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  }
+
+  return stats;
+};
+
+module.exports = {
+  AGGREGATOR_SOURCES,
+  clusterDuplicateJobs,
+};
@@ -5,7 +5,7 @@
 CREATE TABLE IF NOT EXISTS etl_status (
     id SERIAL PRIMARY KEY,
     organization_name VARCHAR(50) NOT NULL,
-    status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'success', 'failed')),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'success', 'failed', 'degraded')),
     processed_count INTEGER DEFAULT 0 CHECK (processed_count >= 0),
     success_count INTEGER DEFAULT 0 CHECK (success_count >= 0),
     error_count INTEGER DEFAULT 0 CHECK (error_count >= 0),
@@ -21,6 +21,54 @@ CREATE TABLE IF NOT EXISTS etl_status (
     CONSTRAINT valid_time_range CHECK (end_time IS NULL OR end_time >= start_time)
 );
 
+-- Run id shared by every etl_status row written by one ETL run, so a manually
+-- triggered run (POST /api/v1/etl/trigger) can be polled by id.
+ALTER TABLE etl_status
+    ADD COLUMN IF NOT EXISTS run_id VARCHAR(36);
+
+-- Per-run change counts from the incremental upsert
+ALTER TABLE etl_status
+    ADD COLUMN IF NOT EXISTS inserted_count INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS updated_count INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS unchanged_count INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS disappeared_count INTEGER DEFAULT 0;
+
+-- Drift detection (src/etl/drift.js): the share of a run's jobs with
+-- duty_station / end_date / jn, and why a run was marked 'degraded'
+ALTER TABLE etl_status
+    ADD COLUMN IF NOT EXISTS fill_rates JSONB,
+    ADD COLUMN IF NOT EXISTS drift_reasons JSONB;
+
+-- Databases created before 'degraded' existed
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'etl_status_status_check'
+          AND pg_get_constraintdef(oid) NOT LIKE '%degraded%'
+    ) THEN
+        ALTER TABLE etl_status DROP CONSTRAINT etl_status_status_check;
+        ALTER TABLE etl_status ADD CONSTRAINT etl_status_status_check
+            CHECK (status IN ('running', 'success', 'failed', 'degraded', 'starting', 'stopping', 'cancelled'));
+    END IF;
+END $$;
+
+-- Per-host request / error counts of a run (src/etl/http-client.js)
+ALTER TABLE etl_status
+    ADD COLUMN IF NOT EXISTS http_stats JSONB;
+
+-- ETL locks (acquireETLLock in src/etl/shared.js): one row per running
+-- source, taken atomically so two triggers can't both start it. Rows
+-- older than 4 hours are treated as stale and taken over.
+CREATE TABLE IF NOT EXISTS etl_locks (
+    organization_name VARCHAR(100) PRIMARY KEY,
+    run_id VARCHAR(36),
+    acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_etl_status_run_id
+    ON etl_status(run_id);
+
 -- Performance indexes for ETL status queries
 CREATE INDEX IF NOT EXISTS idx_etl_status_org_created 
     ON etl_status(organization_name, created_at DESC);
@@ -42,6 +90,301 @@ CREATE INDEX IF NOT EXISTS idx_etl_status_dashboard
 ALTER TABLE job_vacancies
     ADD COLUMN IF NOT EXISTS source_logo_url TEXT;
 
+-- Incremental ETL: content hash for skip-when-unchanged upserts, and separate
+-- first/last-seen and content-change timestamps (`created` is no longer reset
+-- on every run). Existing rows are backfilled from `created`.
+ALTER TABLE job_vacancies
+    ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS first_seen_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+UPDATE job_vacancies
+SET first_seen_at = COALESCE(first_seen_at, created, NOW()),
+    last_seen_at = COALESCE(last_seen_at, created, NOW()),
+    updated_at = COALESCE(updated_at, created, NOW())
+WHERE first_seen_at IS NULL OR last_seen_at IS NULL OR updated_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_job_vacancies_source_last_seen
+    ON job_vacancies(data_source, last_seen_at);
+
+CREATE INDEX IF NOT EXISTS idx_job_vacancies_first_seen
+    ON job_vacancies(first_seen_at DESC);
+
+-- Soft-close: jobs the source stopped listing are marked 'closed' instead of
+-- lingering until end_date. Closed jobs are hidden from listings but still
+-- readable by id.
+ALTER TABLE job_vacancies
+    ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'open',
+    ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_job_vacancies_open_end_date
+    ON job_vacancies(end_date) WHERE status = 'open';
+
+-- Keyset pagination (?cursor=) walks (end_date, id) with open-ended jobs last
+CREATE INDEX IF NOT EXISTS idx_job_vacancies_open_cursor
+    ON job_vacancies((COALESCE(end_date, 'infinity')), id) WHERE status = 'open';
+
+-- Revision timeline for each vacancy: one row per upsert that changed a
+-- tracked field, e.g. {"end_date": {"from": "...", "to": "..."}}. The
+-- description is tracked as description_hash. No FK on purpose — history
+-- outlives the vacancy row.
+CREATE TABLE IF NOT EXISTS job_vacancy_revisions (
+    id SERIAL PRIMARY KEY,
+    job_vacancy_id INTEGER NOT NULL,
+    changes JSONB NOT NULL,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_vacancy_revisions_job
+    ON job_vacancy_revisions(job_vacancy_id, changed_at);
+
+-- Canonical grade (P1-P5, D1-D2, NO-A-NO-D, G1-G7, SB1-SB5, SC1-SC11,
+-- CONSULTANCY, INTERNSHIP, UNV) and contract category, normalized from the
+-- raw job_level / jl / recruitment_type by src/etl/grades.js
+ALTER TABLE job_vacancies
+    ADD COLUMN IF NOT EXISTS grade VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS contract_category VARCHAR(30);
+
+CREATE INDEX IF NOT EXISTS idx_job_vacancies_open_grade
+    ON job_vacancies(grade) WHERE status = 'open';
+
+-- Raw source payload per vacancy and ETL run: API JSON or detail page HTML,
+-- gzipped. reprocess-etl.js re-runs a source's transform over them; rows
+-- older than ETL_SNAPSHOT_RETENTION_DAYS are pruned after each full run.
+CREATE TABLE IF NOT EXISTS etl_payload_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    run_id VARCHAR(36) NOT NULL,
+    organization VARCHAR(100) NOT NULL,
+    data_source VARCHAR(50),
+    job_id VARCHAR(255),
+    format VARCHAR(10) NOT NULL DEFAULT 'json',   -- 'json' | 'html'
+    payload BYTEA NOT NULL,
+    context JSONB,                                -- listing values for scraped pages
+    captured_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_etl_payload_snapshots_run
+    ON etl_payload_snapshots(organization, run_id, id);
+
+CREATE INDEX IF NOT EXISTS idx_etl_payload_snapshots_captured
+    ON etl_payload_snapshots(captured_at);
+
+-- Duty station resolved by src/etl/gazetteer.js: ISO 3166-1 alpha-2
+-- country, city, UN M49 region and a home-based / remote flag
+ALTER TABLE job_vacancies
+    ADD COLUMN IF NOT EXISTS country_code CHAR(2),
+    ADD COLUMN IF NOT EXISTS city VARCHAR(120),
+    ADD COLUMN IF NOT EXISTS region VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS is_remote BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_job_vacancies_open_country
+    ON job_vacancies(country_code, city) WHERE status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_job_vacancies_open_region
+    ON job_vacancies(region) WHERE status = 'open';
+
+-- Extra names for an organization, matched exactly after normalization by
+-- src/etl/organizations.js (e.g. "UNV" or "UN Volunteers" -> UNV)
+CREATE TABLE IF NOT EXISTS organization_alias (
+    id SERIAL PRIMARY KEY,
+    alias VARCHAR(255) NOT NULL,
+    normalized_name VARCHAR(255) NOT NULL UNIQUE,
+    organization_id INTEGER NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_alias_organization
+    ON organization_alias(organization_id);
+
+-- Dept strings that matched no organization and fell back to the default,
+-- listed by GET /api/v1/etl/organizations/unmatched
+CREATE TABLE IF NOT EXISTS organization_unmatched (
+    normalized_name VARCHAR(255) PRIMARY KEY,
+    dept VARCHAR(255) NOT NULL,
+    occurrences INTEGER NOT NULL DEFAULT 0,
+    first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Jobs that failed validation (src/etl/validation.js): 'rejected' ones were
+-- not stored, 'suspicious' ones were. Listed by GET /api/v1/etl/quarantine
+CREATE TABLE IF NOT EXISTS etl_quarantine (
+    id BIGSERIAL PRIMARY KEY,
+    run_id VARCHAR(36),
+    organization VARCHAR(100),
+    data_source VARCHAR(50),
+    job_id VARCHAR(255),
+    job_title VARCHAR(500),
+    severity VARCHAR(12) NOT NULL,
+    reason TEXT NOT NULL,
+    issues JSONB NOT NULL,
+    job_data JSONB,
+    payload JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_etl_quarantine_source_created
+    ON etl_quarantine(data_source, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_etl_quarantine_run
+    ON etl_quarantine(run_id);
+
+CREATE INDEX IF NOT EXISTS idx_etl_quarantine_created
+    ON etl_quarantine(created_at);
+
+-- Source responses kept between runs so the next request can be
+-- conditional (If-None-Match / If-Modified-Since); see src/etl/http-client.js
+CREATE TABLE IF NOT EXISTS http_cache (
+    url_hash CHAR(40) PRIMARY KEY,
+    url TEXT NOT NULL,
+    host VARCHAR(255) NOT NULL,
+    etag TEXT,
+    last_modified TEXT,
+    status SMALLINT NOT NULL,
+    headers JSONB,
+    body TEXT NOT NULL,
+    fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_http_cache_fetched_at
+    ON http_cache(fetched_at);
+
+-- Copies of one vacancy posted by different sources (the agency, ReliefWeb,
+-- INSPIRA) share a cluster_id; listings show only the canonical copy.
+-- See src/etl/clustering.js.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE job_vacancies
+    ADD COLUMN IF NOT EXISTS cluster_id INTEGER,
+    ADD COLUMN IF NOT EXISTS is_canonical BOOLEAN NOT NULL DEFAULT TRUE;
+
+CREATE INDEX IF NOT EXISTS idx_job_vacancies_cluster
+    ON job_vacancies(cluster_id) WHERE cluster_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_job_vacancies_open_title_trgm
+    ON job_vacancies USING GIN (lower(job_title) gin_trgm_ops) WHERE status = 'open';
+
+-- Jobs the cleanup removes (expired, same-org duplicate, withdrawn by the
+-- source) are moved here with their original id instead of being deleted.
+-- job_data is the full row; the columns reports filter on are copied out.
+-- See src/etl/archive.js.
+CREATE TABLE IF NOT EXISTS job_vacancies_archive (
+    id INTEGER PRIMARY KEY,
+    job_id TEXT,
+    data_source TEXT,
+    organization_id INTEGER,
+    job_title TEXT,
+    dept TEXT,
+    jn TEXT,
+    grade VARCHAR(20),
+    duty_station TEXT,
+    country_code CHAR(2),
+    start_date TIMESTAMP,
+    end_date TIMESTAMP,
+    first_seen_at TIMESTAMPTZ,
+    archive_reason VARCHAR(12) NOT NULL
+        CHECK (archive_reason IN ('expired', 'duplicate', 'withdrawn')),
+    archived_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    job_data JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_vacancies_archive_org_end_date
+    ON job_vacancies_archive(organization_id, end_date);
+
+CREATE INDEX IF NOT EXISTS idx_job_vacancies_archive_jn
+    ON job_vacancies_archive(jn);
+
+CREATE INDEX IF NOT EXISTS idx_job_vacancies_archive_end_date
+    ON job_vacancies_archive(end_date);
+
+CREATE INDEX IF NOT EXISTS idx_job_vacancies_archive_archived_at
+    ON job_vacancies_archive(archived_at);
+
+-- Hiring analytics (GET /api/v1/analytics, src/etl/analytics.js): every
+-- posting, live or archived, once — same-org duplicates and non-canonical
+-- cross-source copies are left out — and monthly rollups over it. The
+-- rollups are refreshed after each ETL run; the unique indexes are what
+-- REFRESH MATERIALIZED VIEW CONCURRENTLY needs.
+CREATE OR REPLACE VIEW job_postings_history AS
+SELECT
+  jv.id, jv.organization_id, jv.jn, jv.grade, jv.country_code,
+  COALESCE(NULLIF(jv.city, ''), jv.duty_station) AS duty_station,
+  COALESCE(jv.start_date, jv.first_seen_at, jv.created)::date AS opened_on,
+  CASE
+    WHEN jv.status = 'closed' THEN jv.closed_at::date
+    WHEN jv.end_date < NOW() THEN jv.end_date::date
+  END AS closed_on,
+  jv.end_date::date AS deadline,
+  FALSE AS archived
+FROM job_vacancies jv
+WHERE jv.is_canonical
+UNION ALL
+SELECT
+  a.id, a.organization_id, a.jn, a.grade, a.country_code,
+  COALESCE(NULLIF(a.job_data->>'city', ''), a.duty_station) AS duty_station,
+  COALESCE(a.start_date, a.first_seen_at, (a.job_data->>'created')::timestamp)::date AS opened_on,
+  COALESCE((a.job_data->>'closed_at')::timestamptz, a.end_date, a.archived_at)::date AS closed_on,
+  a.end_date::date AS deadline,
+  TRUE AS archived
+FROM job_vacancies_archive a
+WHERE a.archive_reason <> 'duplicate'
+  AND COALESCE((a.job_data->>'is_canonical')::boolean, TRUE);
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS analytics_postings_monthly AS
+SELECT
+  month, organization_id, jn, grade, country_code,
+  SUM(opened)::int AS opened,
+  SUM(closed)::int AS closed,
+  SUM(window_days)::bigint AS window_days_total,
+  SUM(window_count)::int AS window_count
+FROM (
+  SELECT
+    date_trunc('month', opened_on)::date AS month,
+    COALESCE(organization_id, 0) AS organization_id, COALESCE(jn, '') AS jn, COALESCE(grade, '') AS grade, COALESCE(country_code, '') AS country_code,
+    1 AS opened, 0 AS closed,
+    CASE WHEN deadline >= opened_on THEN deadline - opened_on END AS window_days,
+    CASE WHEN deadline >= opened_on THEN 1 ELSE 0 END AS window_count
+  FROM job_postings_history
+  WHERE opened_on IS NOT NULL
+  UNION ALL
+  SELECT
+    date_trunc('month', closed_on)::date AS month,
+    COALESCE(organization_id, 0) AS organization_id, COALESCE(jn, '') AS jn, COALESCE(grade, '') AS grade, COALESCE(country_code, '') AS country_code,
+    0 AS opened, 1 AS closed, NULL AS window_days, 0 AS window_count
+  FROM job_postings_history
+  WHERE closed_on IS NOT NULL
+) events
+GROUP BY month, organization_id, jn, grade, country_code;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_analytics_postings_monthly_key
+    ON analytics_postings_monthly(month, organization_id, jn, grade, country_code);
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS analytics_duty_stations_monthly AS
+SELECT
+  date_trunc('month', opened_on)::date AS month,
+  duty_station,
+  COALESCE(country_code, '') AS country_code,
+  COUNT(*)::int AS opened
+FROM job_postings_history
+WHERE opened_on IS NOT NULL AND NULLIF(TRIM(duty_station), '') IS NOT NULL
+GROUP BY 1, 2, 3;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_analytics_duty_stations_monthly_key
+    ON analytics_duty_stations_monthly(month, duty_station, country_code);
+
+-- Weighted full-text search vector used by GET /api/v1/jobs/search:
+-- title (A) > organization / job network / duty station (B) > description (C)
+ALTER TABLE job_vacancies ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(job_title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(dept, '') || ' ' || coalesce(jn, '') || ' ' || coalesce(duty_station, '')), 'B') ||
+        setweight(to_tsvector('english', regexp_replace(coalesce(job_description, ''), '<[^>]+>', ' ', 'g')), 'C')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_job_vacancies_search_vector
+    ON job_vacancies USING GIN (search_vector);
+
 -- Add indexes to existing job_vacancies table for better performance
 CREATE INDEX IF NOT EXISTS idx_job_vacancies_data_source
     ON job_vacancies(data_source);
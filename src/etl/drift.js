@@ -0,0 +1,143 @@
+const { Client } = require("pg");
+const { credentials } = require("./db");
+
+/**
+ * Drift detection
+ *
+ * A scraper whose site was redesigned doesn't fail — it "succeeds" with 0
+ * jobs, or with jobs whose duty station and deadline came back empty.
+ * After every successful run the runner calls detectDrift(), which compares
+ * the run against the organization's last ETL_DRIFT_BASELINE_RUNS (default
+ * 10) successful runs in etl_status:
+ *
+ *   count      jobs saved fell more than ETL_DRIFT_COUNT_DROP (default 0.5,
+ *              i.e. 50%) below the baseline median
+ *   fill rate  the share of this run's jobs with duty_station, end_date or
+ *              jn fell more than ETL_DRIFT_FILL_RATE_DROP (default 0.5)
+ *              below that field's baseline median
+ *
+ * Either makes the run 'degraded': the runner skips the source's
+ * destructive cleanup and sends an alert (notifier.js). Degraded runs are
+ * left out of later baselines, so a broken scraper can't become the new
+ * normal. Until ETL_DRIFT_MIN_BASELINE_RUNS (default 3) successful runs
+ * exist nothing is flagged.
+ */
+
+const FILL_RATE_FIELDS = ["duty_station", "end_date", "jn"];
+
+const BASELINE_RUNS = parseInt(process.env.ETL_DRIFT_BASELINE_RUNS, 10) || 10;
+const MIN_BASELINE_RUNS = parseInt(process.env.ETL_DRIFT_MIN_BASELINE_RUNS, 10) || 3;
+const COUNT_DROP = parseFloat(process.env.ETL_DRIFT_COUNT_DROP) || 0.5;
+const FILL_RATE_DROP = parseFloat(process.env.ETL_DRIFT_FILL_RATE_DROP) || 0.5;
+
+// Sources this small swing by a few jobs run to run; too noisy to judge
+const MIN_BASELINE_JOBS = 5;
+// A field the source rarely fills can't "collapse"
+const MIN_BASELINE_FILL_RATE = 0.2;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+// Share of the jobs a run saw (last_seen_at >= since) with each field set:
+// { sample, duty_station, end_date, jn }, or null if it saw none
+const measureFillRates = async (dataSource, since) => {
+  const client = new Client(credentials);
+  try {
+    await client.connect();
+    const result = await client.query(`
+      SELECT
+        COUNT(*) AS sample,
+        ${FILL_RATE_FIELDS.map((field) => `COUNT(*) FILTER (WHERE NULLIF(TRIM(${field}::text), '') IS NOT NULL) AS ${field}`).join(",\n        ")}
+      FROM job_vacancies
+      WHERE data_source = $1 AND last_seen_at >= $2;
+    `, [dataSource, since]);
+
+    const row = result.rows[0];
+    const sample = parseInt(row.sample, 10) || 0;
+    if (sample === 0) return null;
+
+    const rates = { sample };
+    FILL_RATE_FIELDS.forEach((field) => {
+      rates[field] = round((parseInt(row[field], 10) || 0) / sample);
+    });
+    return rates;
+  } finally {
+    await client.end();
+  }
+};
+
+// Medians over the organization's recent successful runs (excluding `runId`)
+const getDriftBaseline = async (organizationName, runId = null, runs = BASELINE_RUNS) => {
+  const client = new Client(credentials);
+  try {
+    await client.connect();
+    const result = await client.query(`
+      SELECT success_count, fill_rates
+      FROM etl_status
+      WHERE organization_name = $1
+        AND status = 'success'
+        AND run_id IS DISTINCT FROM $2
+      ORDER BY created_at DESC
+      LIMIT $3;
+    `, [organizationName, runId, runs]);
+
+    const fillRates = {};
+    FILL_RATE_FIELDS.forEach((field) => {
+      const values = result.rows
+        .map((row) => row.fill_rates && row.fill_rates[field])
+        .filter((value) => typeof value === "number");
+      fillRates[field] = values.length >= MIN_BASELINE_RUNS ? median(values) : null;
+    });
+
+    return {
+      runs: result.rows.length,
+      successCount: median(result.rows.map((row) => row.success_count || 0)),
+      fillRates,
+    };
+  } finally {
+    await client.end();
+  }
+};
+
+// Compare a finished run with the baseline:
+// { degraded, reasons: [string], fillRates, baseline }
+const detectDrift = async ({ organizationName, dataSource, runId, successCount, since }) => {
+  const [fillRates, baseline] = await Promise.all([
+    measureFillRates(dataSource, since),
+    getDriftBaseline(organizationName, runId),
+  ]);
+  const reasons = [];
+
+  if (baseline.runs >= MIN_BASELINE_RUNS && baseline.successCount >= MIN_BASELINE_JOBS) {
+    const floor = baseline.successCount * (1 - COUNT_DROP);
+    if (successCount < floor) {
+      reasons.push(`${successCount} jobs saved vs a median of ${baseline.successCount} over the last ${baseline.runs} runs`);
+    }
+  }
+
+  if (fillRates) {
+    FILL_RATE_FIELDS.forEach((field) => {
+      const expected = baseline.fillRates[field];
+      if (expected === null || expected < MIN_BASELINE_FILL_RATE) return;
+      if (fillRates[field] < expected * (1 - FILL_RATE_DROP)) {
+        reasons.push(`${field} filled on ${percent(fillRates[field])} of jobs vs ${percent(expected)} usually`);
+      }
+    });
+  }
+
+  return { degraded: reasons.length > 0, reasons, fillRates, baseline };
+};
+
+module.exports = {
+  FILL_RATE_FIELDS,
+  measureFillRates,
+  getDriftBaseline,
+  detectDrift,
+};
@@ -2,11 +2,63 @@ require("dotenv").config();
 
 const { Client } = require('pg');
 const { credentials } = require("./db");
-const { getOrganizationId, upsertJobVacancy, validateJobData } = require("./shared");  
+const { getOrganizationId, upsertJobVacancy } = require("./shared");  
+const { NO_SNAPSHOTS } = require("./snapshots");
+const { politeFetch } = require("./http-client");
 const url = 'https://careers.un.org/api/public/opening/jo/list/filteredV2/en'; // Replace with your API endpoint
 
+// Map one careers.un.org opening to a job_vacancies row
+async function toJobData(job) {
+    const {
+        jobId,
+        language,
+        categoryCode,
+        jobTitle,
+        jobCodeTitle,
+        jobDescription,
+        jobFamilyCode,
+        jobLevel,
+        dutyStation,
+        recruitmentType,
+        startDate,
+        endDate,
+        dept,
+        totalCount,
+        jn,
+        jf,
+        jc,
+        jl
+    } = job;
+
+    const orgId = await getOrganizationId(dept?.name); // Get organization id
+
+    return {
+        job_id: jobId,
+        language: language || 'EN',
+        category_code: categoryCode || '',
+        job_title: jobTitle,
+        job_code_title: jobCodeTitle || '',
+        job_description: jobDescription || '',
+        job_family_code: jobFamilyCode || '',
+        job_level: jobLevel || '',
+        duty_station: dutyStation?.[0]?.description || '',
+        recruitment_type: recruitmentType || '',
+        start_date: startDate ? new Date(startDate) : null,
+        end_date: endDate ? new Date(endDate) : null,
+        dept: dept?.name || '',
+        total_count: totalCount || null,
+        jn: jn?.name || '',
+        jf: jf?.Name || '',
+        jc: jc?.name || '',
+        jl: jl?.name || '',
+        data_source: 'inspira',
+        organization_id: orgId,
+        apply_link: `https://careers.un.org/jobSearchDescription/${jobId}?language=en`
+    };
+}
+
 // Function to fetch and process job vacancies
-async function fetchAndProcessInspiraJobVacancies() {
+async function fetchAndProcessInspiraJobVacancies({ snapshots = NO_SNAPSHOTS } = {}) {
     console.log("============================================");
 
     console.log("UN Secretariate Job Vacancies ETL started...");
@@ -36,7 +88,7 @@ async function fetchAndProcessInspiraJobVacancies() {
         };
 
         try {
-            const response = await fetch(url, {
+            const response = await politeFetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -53,58 +105,14 @@ async function fetchAndProcessInspiraJobVacancies() {
 
             // Save data to PostgreSQL database using UPSERT to prevent duplicates
             for (const job of data.data.list) {
-              const {
-                  jobId,
-                  language,
-                  categoryCode,
-                  jobTitle,
-                  jobCodeTitle,
-                  jobDescription,
-                  jobFamilyCode,
-                  jobLevel,
-                  dutyStation,
-                  recruitmentType,
-                  startDate,
-                  endDate,
-                  dept,
-                  totalCount,
-                  jn,
-                  jf,
-                  jc,
-                  jl
-                  
-              } = job;
-  
+              const { jobTitle } = job;
+
               try {
-                const orgId = await getOrganizationId(dept?.name); // Get organization id
-
-                // Prepare job data for upsert
-                const jobData = {
-                  job_id: jobId,
-                  language: language || 'EN',
-                  category_code: categoryCode || '',
-                  job_title: jobTitle,
-                  job_code_title: jobCodeTitle || '',
-                  job_description: jobDescription || '',
-                  job_family_code: jobFamilyCode || '',
-                  job_level: jobLevel || '',
-                  duty_station: dutyStation?.[0]?.description || '',
-                  recruitment_type: recruitmentType || '',
-                  start_date: startDate ? new Date(startDate) : null,
-                  end_date: endDate ? new Date(endDate) : null,
-                  dept: dept?.name || '',
-                  total_count: totalCount || null,
-                  jn: jn?.name || '',
-                  jf: jf?.Name || '',
-                  jc: jc?.name || '',
-                  jl: jl?.name || '',
-                  data_source: 'inspira',
-                  organization_id: orgId,
-                  apply_link: `https://careers.un.org/jobSearchDescription/${jobId}?language=en`
-                };
+                await snapshots.add(job.jobId, job);
+                const jobData = await toJobData(job);
 
                 // Use upsert to prevent duplicates
-                const result = await upsertJobVacancy(client, jobData, 'INSPIRA');
+                const result = await upsertJobVacancy(client, jobData, 'INSPIRA', { payload: job });
                 
                 if (result.success) {
                   console.log(`✅ INSPIRA: ${result.action} "${result.jobTitle}"`);
@@ -126,4 +134,15 @@ async function fetchAndProcessInspiraJobVacancies() {
     await client.end(); // Close the database connection
 }
 
-module.exports = { fetchAndProcessInspiraJobVacancies };
\ No newline at end of file
+// ETL source registry entry (see registry.js)
+const source = {
+  name: 'INSPIRA',
+  dataSource: 'inspira',
+  schedule: 'full',
+  strategy: 'api',
+  enabled: true,
+  run: fetchAndProcessInspiraJobVacancies,
+  transform: toJobData,
+};
+
+module.exports = { fetchAndProcessInspiraJobVacancies, source };
\ No newline at end of file
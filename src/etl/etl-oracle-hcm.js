@@ -0,0 +1,233 @@
+require("dotenv").config();
+
+const { Client } = require('pg');
+const { credentials } = require("./db");
+const { getOrganizationId, upsertJobVacancy } = require("./shared");
+const { NO_SNAPSHOTS } = require("./snapshots");
+const { politeFetch } = require("./http-client");
+
+/**
+ * Oracle HCM Candidate Experience connector
+ *
+ * UNDP, IOM, UNFPA, UN Women and ICAO all publish vacancies through Oracle
+ * Recruiting Cloud. The list (recruitingCEJobRequisitions) and detail
+ * (recruitingCEJobRequisitionDetails) endpoints are the same everywhere —
+ * only the tenant host, the career site number and the flex fields each
+ * agency configured differ. Onboarding another Oracle-hosted agency is one
+ * entry in ORACLE_HCM_AGENCIES.
+ *
+ * Flex fields are matched by their Prompt (case-insensitive), never by
+ * position in requisitionFlexFields — agencies reorder them freely.
+ */
+
+const PAGE_SIZE = 25;
+
+// Job column -> flex field prompts to try, in order. Agencies override or
+// extend this with their own `flexFields`. The grade feeds both job_level
+// (what grade normalization and the job_level filter read first) and jl.
+const DEFAULT_FLEX_FIELDS = {
+    dept: ['Agency'],
+    job_level: ['Grade'],
+    jl: ['Grade'],
+    jn: ['Practice Area'],
+};
+
+// {host}, {siteNumber} and {id} are filled in per requisition
+const DEFAULT_APPLY_LINK = '{host}/hcmUI/CandidateExperience/en/sites/{siteNumber}/job/{id}';
+
+const ORACLE_HCM_AGENCIES = [
+    {
+        name: 'UNDP',
+        dataSource: 'undp',
+        host: 'https://estm.fa.em2.oraclecloud.com',
+        siteNumber: 'CX_1',
+    },
+    {
+        name: 'IOM',
+        dataSource: 'iom',
+        host: 'https://fa-evlj-saasfaprod1.fa.ocs.oraclecloud.com',
+        siteNumber: 'CX_1001',
+    },
+    {
+        name: 'UNFPA',
+        dataSource: 'unfpa',
+        host: 'https://estm.fa.em2.oraclecloud.com',
+        siteNumber: 'CX_2003',
+    },
+    {
+        name: 'UNWOMEN',
+        dataSource: 'unwomen',
+        host: 'https://estm.fa.em2.oraclecloud.com',
+        siteNumber: 'CX_1001',
+    },
+    {
+        name: 'ICAO',
+        dataSource: 'icao',
+        host: 'https://estm.fa.em2.oraclecloud.com',
+        siteNumber: 'CX_3001',
+    },
+];
+
+const listUrl = (agency, offset) =>
+    `${agency.host}/hcmRestApi/resources/latest/recruitingCEJobRequisitions?onlyData=true&expand=all` +
+    `&finder=findReqs;siteNumber=${agency.siteNumber},limit=${PAGE_SIZE},offset=${offset}`;
+
+const detailUrl = (agency, id) =>
+    `${agency.host}/hcmRestApi/resources/latest/recruitingCEJobRequisitionDetails?expand=all&onlyData=true` +
+    `&finder=ById;Id=%22${id}%22,siteNumber=${agency.siteNumber}`;
+
+const applyLink = (agency, id) =>
+    (agency.applyLink || DEFAULT_APPLY_LINK)
+        .replace('{host}', agency.host)
+        .replace('{siteNumber}', agency.siteNumber)
+        .replace('{id}', id);
+
+// Value of the first flex field whose Prompt matches one of `prompts`
+function flexFieldValue(flexFields, prompts) {
+    const wanted = prompts.map((prompt) => prompt.toLowerCase());
+    for (const prompt of wanted) {
+        const field = flexFields.find((f) => (f.Prompt || '').trim().toLowerCase() === prompt);
+        if (field && field.Value) return field.Value;
+    }
+    return '';
+}
+
+async function fetchJson(url, { cache = false } = {}) {
+    const response = await politeFetch(url, {}, { cache });
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+}
+
+// Map one requisition (list entry + detail) to a job_vacancies row
+async function toJobData(agency, job, detail) {
+    const flexFieldPrompts = { ...DEFAULT_FLEX_FIELDS, ...agency.flexFields };
+    const flexFields = detail.requisitionFlexFields || [];
+    const flex = (column) => flexFieldValue(flexFields, flexFieldPrompts[column] || []);
+
+    const dept = flex('dept') || agency.name;
+    const orgId = await getOrganizationId(dept);
+
+    return {
+        job_id: job.Id,
+        language: job.Language,
+        category_code: detail.Category,
+        job_title: job.Title,
+        job_code_title: job.JobFunction,
+        job_description: detail.ExternalDescriptionStr,
+        job_family_code: job.JobFamily,
+        job_level: flex('job_level'),
+        duty_station: job.PrimaryLocation || '',
+        recruitment_type: detail.RequisitionType,
+        start_date: detail.ExternalPostedStartDate ? new Date(detail.ExternalPostedStartDate) : null,
+        end_date: detail.ExternalPostedEndDate ? new Date(detail.ExternalPostedEndDate) : null,
+        dept,
+        total_count: null,
+        jn: flex('jn'),
+        jf: flex('jf'),
+        jc: flex('jc'),
+        jl: flex('jl'),
+        created: new Date(),
+        data_source: agency.dataSource,
+        organization_id: orgId,
+        apply_link: applyLink(agency, job.Id),
+    };
+}
+
+// Fetch every open requisition on the agency's career site and upsert it
+async function fetchAndProcessOracleHcmJobVacancies(agency, { signal, snapshots = NO_SNAPSHOTS } = {}) {
+    console.log("==================================");
+    console.log(`${agency.name} Job Vacancies ETL started...`);
+    console.log("==================================");
+
+    const client = new Client(credentials);
+    await client.connect();
+
+    let page = 0;
+    let totalPages = 1; // Initialize to 1 to enter the loop
+    let totalProcessed = 0;
+    let totalErrors = 0;
+    // A listing page we couldn't read means the run saw only part of the
+    // site — report failure so soft-close doesn't treat the rest as gone.
+    let listingError = null;
+
+    try {
+        while (page < totalPages) {
+            if (signal && signal.aborted) {
+                listingError = `run aborted after ${page} pages`;
+                console.warn(`⏹️  ${agency.name}: ${listingError}`);
+                break;
+            }
+
+            let data;
+            try {
+                data = await fetchJson(listUrl(agency, page * PAGE_SIZE));
+            } catch (error) {
+                console.error('❌ Error fetching page data:', error);
+                listingError = `page ${page + 1}: ${error.message}`;
+                break; // Break the loop on fetch error
+            }
+
+            const result = (data.items && data.items[0]) || {};
+            totalPages = Math.ceil((result.TotalJobsCount || 0) / PAGE_SIZE);
+
+            for (const job of result.requisitionList || []) {
+                try {
+                    const detailData = await fetchJson(detailUrl(agency, job.Id), { cache: true });
+                    const detail = (detailData.items && detailData.items[0]) || {};
+                    await snapshots.add(job.Id, { job, detail });
+                    const jobData = await toJobData(agency, job, detail);
+
+                    const result = await upsertJobVacancy(client, jobData, agency.name, { payload: { job, detail } });
+                    if (!result.success) {
+                        console.error(`❌ Failed to save job ${job.Id}:`, result.error);
+                        totalErrors++;
+                        continue;
+                    }
+                    console.log(`✅ ${job.Title}`);
+                    totalProcessed++;
+                } catch (jobError) {
+                    console.error(`❌ Error processing job ${job.Id}:`, jobError.message);
+                    totalErrors++;
+                }
+            }
+
+            page++;
+        }
+    } finally {
+        await client.end();
+    }
+
+    console.log("==================================");
+    console.log(`${agency.name} ETL Summary${listingError ? ' (FAILED)' : ''}:`);
+    console.log(`✅ Successfully processed: ${totalProcessed} jobs`);
+    console.log(`❌ Errors encountered: ${totalErrors} jobs`);
+    console.log("==================================");
+
+    return {
+        success: !listingError,
+        error: listingError ? `Failed to read ${agency.name} listing (${listingError})` : undefined,
+        processedCount: totalProcessed + totalErrors,
+        successCount: totalProcessed,
+        errorCount: totalErrors,
+    };
+}
+
+// ETL source registry entries (see registry.js), one per agency
+const sources = ORACLE_HCM_AGENCIES.map((agency) => ({
+    name: agency.name,
+    dataSource: agency.dataSource,
+    schedule: 'full',
+    strategy: 'api',
+    enabled: agency.enabled !== false,
+    run: (options) => fetchAndProcessOracleHcmJobVacancies(agency, options),
+    transform: ({ job, detail }) => toJobData(agency, job, detail),
+}));
+
+module.exports = {
+    ORACLE_HCM_AGENCIES,
+    fetchAndProcessOracleHcmJobVacancies,
+    flexFieldValue,
+    sources,
+};
@@ -2,6 +2,7 @@ require("dotenv").config();
 
 const { Client } = require('pg');
 const { credentials } = require("./db");
+const { politeFetch } = require("./http-client");
 const path = require('path');
 
 const url = 'https://careers.un.org/api/admin/un-entity/en'; // Replace with your API endpoint
@@ -21,7 +22,7 @@ async function fetchOrganizationList() {
     
 
         try {
-            const response = await fetch("https://careers.un.org/api/admin/un-entity/en");
+            const response = await politeFetch("https://careers.un.org/api/admin/un-entity/en");
 
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
@@ -7,6 +7,7 @@ const {
   upsertJobVacancy,
   safeApiCall,
 } = require("./shared");
+const { NO_SNAPSHOTS } = require("./snapshots");
 
 const BASE_URL = "https://api.reliefweb.int/v2/jobs";
 const MAX_JOBS = 1000;
@@ -144,6 +145,14 @@ const transformJob = (item) => {
   };
 };
 
+// transformJob() plus the organization id lookup
+const toJobData = async (item) => {
+  const jobData = transformJob(item);
+  if (!jobData) return null;
+  jobData.organization_id = await getOrganizationId(jobData.dept);
+  return jobData;
+};
+
 const fetchPage = async (appname, offset) => {
   const params = new URLSearchParams({
     appname,
@@ -173,7 +182,7 @@ const fetchPage = async (appname, offset) => {
   return Array.isArray(result.data?.data) ? result.data.data : [];
 };
 
-async function fetchAndProcessReliefwebJobVacancies() {
+async function fetchAndProcessReliefwebJobVacancies({ snapshots = NO_SNAPSHOTS } = {}) {
   console.log("=========================================");
   console.log("ReliefWeb Job Vacancies ETL started...");
   console.log("=========================================");
@@ -207,6 +216,7 @@ async function fetchAndProcessReliefwebJobVacancies() {
 
       const batch = pageItems.slice(0, remaining);
       for (const item of batch) {
+        await snapshots.add(item && item.id, item);
         const jobData = transformJob(item);
         if (!jobData) {
           errorCount++;
@@ -219,7 +229,8 @@ async function fetchAndProcessReliefwebJobVacancies() {
           const upsertResult = await upsertJobVacancy(
             client,
             jobData,
-            ORG_NAME
+            ORG_NAME,
+            { payload: item }
           );
           if (upsertResult.success) {
             successCount++;
@@ -266,6 +277,19 @@ async function fetchAndProcessReliefwebJobVacancies() {
   }
 }
 
+// ETL source registry entry (see registry.js). ReliefWeb is not part of
+// the full runEtl() sequence — it gets its own daily slot.
+const source = {
+  name: ORG_NAME,
+  dataSource: DATA_SOURCE,
+  schedule: "0 5 * * *",
+  strategy: "api",
+  enabled: true,
+  run: fetchAndProcessReliefwebJobVacancies,
+  transform: toJobData,
+};
+
 module.exports = {
   fetchAndProcessReliefwebJobVacancies,
+  source,
 };
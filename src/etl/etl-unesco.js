@@ -1,578 +1,70 @@
-require("dotenv").config();
+const { createScraperSource } = require("./scraper-engine");
 
-const { Client } = require('pg');
-const { credentials } = require("./db");
-const { getOrganizationId, upsertJobVacancy, validateJobData, getPuppeteerConfig } = require("./shared");
-const cheerio = require('cheerio');
-const puppeteer = require('puppeteer');
+/**
+ * UNESCO careers (careers.unesco.org) — a SuccessFactors career site with a
+ * paged results table, scraped with the declarative engine in
+ * scraper-engine.js.
+ */
 
-const baseUrl = 'https://careers.unesco.org';
-const listingUrl = 'https://careers.unesco.org/go/All-jobs-openings/782502/';
+// The results table renders each title twice ("TitleTitle"); keep one copy
+const dedupeRepeatedTitle = (title) => {
+  if (title.length <= 10) return title;
 
-// Helper function to add delay between requests (rate limiting)
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  const half = Math.floor(title.length / 2);
+  if (title.substring(0, half) === title.substring(half)) return title.substring(0, half);
 
-// Extract job ID from UNESCO job URL
-const extractJobId = (jobUrl) => {
-  // UNESCO URLs have format: https://careers.unesco.org/job/Title/ID/
-  const match = jobUrl.match(/\/job\/[^\/]+\/(\d+)\/?$/);
-  return match ? match[1] : null;
-};
+  const words = title.split(' ');
+  const midPoint = Math.floor(words.length / 2);
+  const firstHalf = words.slice(0, midPoint).join(' ');
+  if (firstHalf.length > 5 && firstHalf === words.slice(midPoint).join(' ')) return firstHalf;
 
-// Parse deadline date from UNESCO format
-const parseDeadline = (deadlineText) => {
-  if (!deadlineText) return null;
-  
-  try {
-    // UNESCO uses formats like "14-Aug-2025", "01-SEP-2025", "31-DEC-2025"
-    const cleanText = deadlineText.trim();
-    const date = new Date(cleanText);
-    return isNaN(date.getTime()) ? null : date;
-  } catch (error) {
-    console.warn(`Failed to parse deadline: ${deadlineText}`);
-    return null;
-  }
+  return title;
 };
 
-// Scrape job listings from the main UNESCO jobs page using Puppeteer
-const scrapeJobListings = async () => {
-  console.log("🔍 Scraping UNESCO job listings with Puppeteer...");
-  
-  let browser = null;
-  try {
-    // Launch Puppeteer with Docker-friendly configuration
-    browser = await puppeteer.launch(getPuppeteerConfig());
-    
-    const page = await browser.newPage();
-    
-    // Set user agent to appear more like a real browser
-    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36');
-    
-    console.log("🌐 Navigating to UNESCO jobs page...");
-    
-    // Navigate to the page and wait for network to be idle
-    await page.goto(listingUrl, { 
-      waitUntil: 'networkidle2', 
-      timeout: 30000 
-    });
-    
-    console.log("⏳ Waiting for page to fully load...");
-    await delay(5000);
-    
-    // Try to wait for job listings table to appear
-    try {
-      await page.waitForSelector('table, .job-listing, [role="table"]', { timeout: 15000 });
-      console.log("✅ Job listings table found on page");
-    } catch (waitError) {
-      console.log("⚠️ No specific job table selectors found, proceeding with page content...");
-    }
-    
-    const allJobs = [];
-    let currentPage = 1;
-    let hasMorePages = true;
-    // Limit pages for testing, use 10 for production
-    const maxPages = process.env.NODE_ENV === 'test' ? 1 : 10;
-    
-    while (hasMorePages && currentPage <= maxPages) {
-      console.log(`📄 Processing page ${currentPage}...`);
-      
-      // Get current page content
-      const html = await page.content();
-      const $ = cheerio.load(html);
-      
-      // Extract jobs from current page
-      const pageJobs = [];
-      
-      // Strategy 1: Look for job rows in table
-      $('table tr').each((index, element) => {
-        const $row = $(element);
-        
-        // Skip header row
-        if ($row.find('th').length > 0) return;
-        
-        const cells = $row.find('td');
-        if (cells.length >= 5) { // Title, Location, Type, Grade, Closing date
-          const $titleCell = $(cells[0]);
-          const $locationCell = $(cells[1]);
-          const $typeCell = $(cells[2]);
-          const $gradeCell = $(cells[3]);
-          const $deadlineCell = $(cells[4]);
-          
-          // Extract job link and title
-          const jobLink = $titleCell.find('a').attr('href');
-          let jobTitle = $titleCell.find('a').text().trim();
-          
-          // Fix duplicate title issue - UNESCO seems to duplicate job titles
-          // Look for pattern like "TitleTitle" and extract just "Title"
-          if (jobTitle.length > 10) {
-            const halfPoint = Math.floor(jobTitle.length / 2);
-            const firstHalf = jobTitle.substring(0, halfPoint);
-            const secondHalf = jobTitle.substring(halfPoint);
-            
-            // If the two halves are identical, use just the first half
-            if (firstHalf === secondHalf) {
-              jobTitle = firstHalf;
-            } else {
-              // Try splitting by words and checking for duplicated phrases
-              const words = jobTitle.split(' ');
-              const midPoint = Math.floor(words.length / 2);
-              const firstHalfWords = words.slice(0, midPoint).join(' ');
-              const secondHalfWords = words.slice(midPoint).join(' ');
-              
-              if (firstHalfWords === secondHalfWords && firstHalfWords.length > 5) {
-                jobTitle = firstHalfWords;
-              }
-            }
-          }
-          
-          if (jobLink && jobTitle) {
-            const fullJobUrl = jobLink.startsWith('http') ? jobLink : baseUrl + jobLink;
-            const jobId = extractJobId(fullJobUrl);
-            
-            const jobData = {
-              id: jobId,
-              title: jobTitle,
-              url: fullJobUrl,
-              location: $locationCell.text().trim(),
-              type: $typeCell.text().trim(),
-              grade: $gradeCell.text().trim(),
-              deadline: parseDeadline($deadlineCell.text().trim())
-            };
-            
-            pageJobs.push(jobData);
-          }
-        }
-      });
-      
-      // Alternative strategy: Look for other job listing structures
-      if (pageJobs.length === 0) {
-        $('[href*="/job/"]').each((index, element) => {
-          const $link = $(element);
-          const jobUrl = $link.attr('href');
-          const jobTitle = $link.text().trim();
-          
-          if (jobUrl && jobTitle) {
-            const fullJobUrl = jobUrl.startsWith('http') ? jobUrl : baseUrl + jobUrl;
-            const jobId = extractJobId(fullJobUrl);
-            
-            // Try to find additional details in the same row or nearby elements
-            const $container = $link.closest('tr, .job-item, .vacancy-item');
-            
-            const jobData = {
-              id: jobId,
-              title: jobTitle,
-              url: fullJobUrl,
-              location: '',
-              type: '',
-              grade: '',
-              deadline: null
-            };
-            
-            pageJobs.push(jobData);
-          }
-        });
-      }
-      
-      console.log(`📋 Found ${pageJobs.length} jobs on page ${currentPage}`);
-      allJobs.push(...pageJobs);
-      
-      // Check for pagination and navigate to next page
-      hasMorePages = false;
-      
-      try {
-        // Look for pagination controls using valid CSS selectors
-        const paginationSelectors = [
-          '.pagination a',
-          'a[href*="page"]',
-          'a[href*="782502"]',
-          '.pagination-next',
-          '[data-page]'
-        ];
-        
-        let nextPageLink = null;
-        for (const selector of paginationSelectors) {
-          const links = await page.$$(selector);
-          if (links.length > 0) {
-            nextPageLink = links[0];
-            break;
-          }
-        }
-        
-        // Alternative: Look for page numbers
-        if (!nextPageLink) {
-          const nextPageNumber = currentPage + 1;
-          const pageLinks = await page.$$(`a[href*="${nextPageNumber}"]`);
-          if (pageLinks.length > 0) {
-            nextPageLink = pageLinks[0];
-          }
-        }
-        
-        if (nextPageLink) {
-          console.log(`🔄 Navigating to page ${currentPage + 1}...`);
-          await nextPageLink.click();
-          await page.waitForLoadState?.('networkidle') || await delay(3000);
-          currentPage++;
-          hasMorePages = true;
-        } else {
-          console.log("📄 No more pages found");
-        }
-        
-      } catch (pageError) {
-        console.log(`⚠️ Pagination error: ${pageError.message}`);
-        hasMorePages = false;
-      }
-      
-      // Safety check: if no jobs found on this page, stop
-      if (pageJobs.length === 0) {
-        console.log("⚠️ No jobs found on current page, stopping pagination");
-        hasMorePages = false;
-      }
-    }
-    
-    console.log(`✅ Total jobs found: ${allJobs.length}`);
-    return allJobs;
-    
-  } catch (error) {
-    console.error("❌ Error scraping UNESCO job listings:", error.message);
-    return [];
-  } finally {
-    if (browser) {
-      await browser.close();
-    }
-  }
-};
+const definition = {
+  name: 'UNESCO',
+  dataSource: 'UNESCO',
+  organization: 'UNESCO',
+  baseUrl: 'https://careers.unesco.org',
+  listingUrl: 'https://careers.unesco.org/go/All-jobs-openings/782502/',
+  waitFor: 'table, .job-listing, [role="table"]',
+  jobId: /\/job\/[^/]+\/(\d+)\/?$/,
 
-// Scrape detailed job information from individual job pages
-const scrapeJobDetails = async (jobUrl, maxRetries = 3) => {
-  let browser = null;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      browser = await puppeteer.launch(getPuppeteerConfig());
-      
-      const page = await browser.newPage();
-      await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36');
-      
-      console.log(`🔍 Scraping job details from: ${jobUrl} (attempt ${attempt})`);
-      
-      await page.goto(jobUrl, { 
-        waitUntil: 'networkidle2', 
-        timeout: 30000 
-      });
-      
-      await delay(2000);
-      
-      const html = await page.content();
-      const $ = cheerio.load(html);
-      
-      // Extract job details from the page
-      const jobDetails = {
-        title: '',
-        description: '',
-        requirements: '',
-        location: '',
-        deadline: null,
-        startDate: null,
-        endDate: null,
-        type: '',
-        grade: '',
-        dutyStation: '',
-        contractType: '',
-        department: '',
-        salary: ''
-      };
-      
-      // Extract title
-      const titleSelectors = [
-        'h1',
-        '.job-title',
-        '[data-automation-id="jobPostingHeader"]',
-        '.vacancy-title'
-      ];
-      
-      for (const selector of titleSelectors) {
-        const title = $(selector).first().text().trim();
-        if (title) {
-          jobDetails.title = title;
-          break;
-        }
-      }
-      
-      // Extract job description from UNESCO's specific structure
-      const descriptionSelectors = [
-        '.joblayouttoken',
-        '.jobDisplay',
-        '.job',
-        '.content'
-      ];
-      
-      for (const selector of descriptionSelectors) {
-        const description = $(selector).text().trim();
-        if (description && description.length > 100) {
-          // Clean up the description - remove extra whitespace and normalize
-          const cleanDescription = description
-            .replace(/\s+/g, ' ')
-            .replace(/\n+/g, '\n')
-            .trim();
-          jobDetails.description = cleanDescription;
-          break;
-        }
-      }
-      
-      // Extract requirements
-      const requirementsSelectors = [
-        '.requirements',
-        '#requirements',
-        '[data-automation-id="requirements"]',
-        '.qualifications',
-        'h3:contains("Requirements") + *',
-        'h3:contains("Qualifications") + *'
-      ];
-      
-      for (const selector of requirementsSelectors) {
-        const requirements = $(selector).text().trim();
-        if (requirements && requirements.length > 20) {
-          jobDetails.requirements = requirements;
-          break;
-        }
-      }
-      
-      // Extract location/duty station from UNESCO's specific structure
-      const locationSelectors = [
-        '.joblayouttoken:contains("Duty Station")',
-        '.jobDisplay:contains("Duty Station")',
-        '.job:contains("Duty Station")'
-      ];
-      
-      for (const selector of locationSelectors) {
-        const content = $(selector).text();
-        if (content) {
-          // Extract duty station from text like "Duty Station: Kabul"
-          const dutyStationMatch = content.match(/Duty Station:\s*([^\n\r]+)/i);
-          if (dutyStationMatch) {
-            const location = dutyStationMatch[1].trim();
-            jobDetails.location = location;
-            jobDetails.dutyStation = location;
-            break;
-          }
-        }
-      }
-      
-      // Extract deadline from UNESCO's specific structure
-      const deadlineSelectors = [
-        '.joblayouttoken:contains("Closing date")',
-        '.jobDisplay:contains("Closing date")',
-        '.job:contains("Closing date")'
-      ];
-      
-      for (const selector of deadlineSelectors) {
-        const content = $(selector).text();
-        if (content) {
-          // Extract closing date from text like "Closing date: 14-Aug-2025"
-          const closingDateMatch = content.match(/Closing date:\s*([^\n\r]+)/i);
-          if (closingDateMatch) {
-            const deadlineText = closingDateMatch[1].trim();
-            jobDetails.deadline = parseDeadline(deadlineText);
-            if (jobDetails.deadline) break;
-          }
-        }
-      }
-      
-      // Extract contract type and grade from UNESCO's specific structure
-      const content = $('.joblayouttoken, .jobDisplay, .job').text();
-      if (content) {
-        // Extract contract type from text like "Type of contract: Service Contract"
-        const contractMatch = content.match(/Type of contract:\s*([^\n\r]+)/i);
-        if (contractMatch) {
-          jobDetails.type = contractMatch[1].trim();
-          jobDetails.contractType = contractMatch[1].trim();
-        }
-        
-        // Extract grade from text like "Grade: Level 3"
-        const gradeMatch = content.match(/Grade:\s*([^\n\r]+)/i);
-        if (gradeMatch) {
-          jobDetails.grade = gradeMatch[1].trim();
-        }
-        
-        // Extract department from text like "Parent Sector: Education Sector (ED)"
-        const sectorMatch = content.match(/Parent Sector:\s*([^\n\r]+)/i);
-        if (sectorMatch) {
-          jobDetails.department = sectorMatch[1].trim();
-        }
-      }
-      
-      // Set dates properly
-      if (!jobDetails.startDate) {
-        jobDetails.startDate = new Date();
-      }
-      if (jobDetails.deadline) {
-        jobDetails.endDate = jobDetails.deadline;
-      } else if (!jobDetails.endDate) {
-        // Default to 30 days from now if no deadline found
-        jobDetails.endDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
-      }
-      
-      return jobDetails;
-      
-    } catch (error) {
-      console.error(`❌ Attempt ${attempt} failed for ${jobUrl}:`, error.message);
-      
-      if (attempt === maxRetries) {
-        console.error(`❌ Failed to scrape ${jobUrl} after ${maxRetries} attempts`);
-        return null;
-      }
-      
-      // Wait before retrying
-      await delay(2000 * attempt);
-    } finally {
-      if (browser) {
-        await browser.close();
-        browser = null;
-      }
-    }
-  }
-  
-  return null;
-};
+  // Columns: title, location, contract type, grade, closing date
+  listing: {
+    row: 'table tr',
+    link: 'td:first-child a[href*="/job/"]',
+    fields: {
+      title: { selector: 'td:first-child a', transform: dedupeRepeatedTitle },
+      location: { cell: 1 },
+      contractType: { cell: 2 },
+      level: { cell: 3 },
+      deadline: { cell: 4, type: 'date' },
+    },
+  },
 
-// Main ETL function
-const fetchAndProcessUnescoJobVacancies = async () => {
-  console.log("==================================");
-  console.log("UNESCO Job Vacancies ETL started...");
-  console.log("==================================");
-  
-  const client = new Client(credentials);
-  let jobsProcessed = 0;
-  let jobsSuccessful = 0;
-  let jobsErrored = 0;
-  
-  try {
-    await client.connect();
-    
-    // Get UNESCO organization ID
-    const organizationId = await getOrganizationId('UNESCO');
-    console.log(`🏢 UNESCO Organization ID: ${organizationId}`);
-    
-    // Step 1: Scrape job listings
-    const jobListings = await scrapeJobListings();
-    
-    if (jobListings.length === 0) {
-      console.log("⚠️ No job listings found");
-      return;
-    }
-    
-    console.log(`📋 Found ${jobListings.length} job listings to process`);
-    
-    // Limit to first 5 jobs for testing (remove this line for production)
-    const jobsToProcess = process.env.NODE_ENV === 'test' ? jobListings.slice(0, 5) : jobListings;
-    console.log(`📝 Processing ${jobsToProcess.length} jobs...`);
-    
-    // Step 2: Process each job
-    for (const [index, job] of jobsToProcess.entries()) {
-      jobsProcessed++;
-      
-      try {
-        console.log(`\n📄 Processing job ${index + 1}/${jobListings.length}: ${job.title}`);
-        
-        // Get detailed job information
-        const jobDetails = await scrapeJobDetails(job.url);
-        
-        if (!jobDetails) {
-          console.log(`⚠️ Failed to get details for: ${job.title}`);
-          jobsErrored++;
-          continue;
-        }
-        
-        // Merge basic info with detailed info
-        const completeJobData = {
-          job_id: job.id || `unesco_${index}`,
-          job_title: jobDetails.title || job.title,
-          job_description: jobDetails.description || '',
-          job_requirements: jobDetails.requirements || '',
-          job_url: job.url,
-          start_date: jobDetails.startDate,
-          end_date: jobDetails.endDate,
-          duty_station: jobDetails.dutyStation || job.location || '',
-          organization_id: organizationId,
-          data_source: 'UNESCO',
-          recruitment_type: jobDetails.contractType || job.type || '',
-          job_level: jobDetails.grade || job.grade || '',
-          dept: jobDetails.department || '',
-          salary: jobDetails.salary || '',
-          apply_link: job.url
-        };
-        
-        // Validate job data
-        const validation = validateJobData(completeJobData);
-        if (!validation.isValid) {
-          console.log(`❌ Invalid job data for "${completeJobData.job_title}": ${validation.errors.join(', ')}`);
-          jobsErrored++;
-          continue;
-        }
-        
-        // Upsert job vacancy
-        const upsertResult = await upsertJobVacancy(client, completeJobData);
-        
-        if (upsertResult.success) {
-          console.log(`✅ ${completeJobData.job_title}`);
-          jobsSuccessful++;
-        } else {
-          console.log(`❌ Failed to save "${completeJobData.job_title}": ${upsertResult.error}`);
-          jobsErrored++;
-        }
-        
-        // Rate limiting
-        await delay(1000);
-        
-      } catch (error) {
-        console.error(`❌ Error processing job "${job.title}":`, error.message);
-        jobsErrored++;
-      }
-    }
-    
-  } catch (error) {
-    console.error("❌ UNESCO ETL Error:", error);
-    
-    await client.end();
-    
-    // Print summary
-    console.log("==================================");
-    console.log("UNESCO ETL Summary (FAILED):");
-    console.log(`✅ Successfully processed: ${jobsSuccessful} jobs`);
-    console.log(`❌ Errors encountered: ${jobsErrored} jobs`);
-    console.log(`❌ Critical error: ${error.message}`);
-    console.log("==================================");
-    
-    return {
-      success: false,
-      error: error.message,
-      processedCount: jobsSuccessful + jobsErrored,
-      successCount: jobsSuccessful,
-      errorCount: jobsErrored
-    };
-  } finally {
-    if (client && !client._ending) {
-      await client.end();
-    }
-  }
-  
-  // Success case
-  console.log("==================================");
-  console.log("UNESCO ETL Summary (SUCCESS):");
-  console.log(`✅ Successfully processed: ${jobsSuccessful} jobs`);
-  console.log(`❌ Errors encountered: ${jobsErrored} jobs`);
-  console.log("==================================");
-  
-  return {
-    success: true,
-    processedCount: jobsSuccessful + jobsErrored,
-    successCount: jobsSuccessful,
-    errorCount: jobsErrored
-  };
+  pagination: {
+    strategy: 'numbered',
+    selector: '.pagination a',
+    maxPages: 10,
+  },
+
+  detail: {
+    retries: 2,
+    content: ['.joblayouttoken', '.jobDisplay', '.job', '.content'],
+    remove: ['nav', 'header', 'footer', 'script', 'style'],
+    fields: {
+      title: { selector: 'h1' },
+      location: { pattern: /Duty Station:\s*([^\n]+)/i },
+      deadline: { pattern: /Closing date:\s*([^\n]+)/i, type: 'date' },
+      contractType: { pattern: /Type of contract:\s*([^\n]+)/i },
+      level: { pattern: /Grade:\s*([^\n]+)/i },
+      department: { pattern: /Parent Sector:\s*([^\n]+)/i },
+    },
+  },
 };
 
-module.exports = {
-  fetchAndProcessUnescoJobVacancies,
-  scrapeJobListings,
-  scrapeJobDetails
-};
\ No newline at end of file
+// ETL source registry entry (see registry.js)
+const source = createScraperSource(definition);
+
+module.exports = { definition, source, dedupeRepeatedTitle };
@@ -0,0 +1,239 @@
+require("dotenv").config();
+
+const { Client } = require("pg");
+const { credentials } = require("./db");
+const { getOrganizationId, upsertJobVacancy } = require("./shared");
+const { createLimiter } = require("./scheduler");
+const { NO_SNAPSHOTS } = require("./snapshots");
+const { politeFetch } = require("./http-client");
+
+/**
+ * Workday CXS connector
+ *
+ * WFP, IMF and UNHCR publish vacancies on Workday career sites, which all
+ * expose the same candidate-experience API:
+ *
+ *   POST {host}/wday/cxs/{tenant}/{site}/jobs           paged job list
+ *   GET  {host}/wday/cxs/{tenant}/{site}{externalPath}  one posting
+ *
+ * Each organisation is one entry in WORKDAY_TENANTS:
+ *
+ *   {
+ *     name: 'WFP', dataSource: 'wfp',
+ *     host: 'https://wd3.myworkdaysite.com', tenant: 'wfp', site: 'job_openings',
+ *     locale: 'en-US',          // optional, Accept-Language + apply link
+ *     appliedFacets: {},        // optional, Workday facet filters for the list
+ *     detailConcurrency: 4,     // optional, parallel detail requests
+ *     applyLink: '...',         // optional template, see DEFAULT_APPLY_LINK
+ *   }
+ */
+
+const PAGE_SIZE = 20; // Workday caps the CXS list at 20 per request
+const DEFAULT_LOCALE = 'en-US';
+const DEFAULT_DETAIL_CONCURRENCY = 4;
+
+// {host}, {locale}, {tenant}, {site} and {jobPostingId} are filled in per posting
+const DEFAULT_APPLY_LINK = '{host}/{locale}/{site}/details/{jobPostingId}';
+
+const WORKDAY_TENANTS = [
+  {
+    name: 'WFP',
+    dataSource: 'wfp',
+    host: 'https://wd3.myworkdaysite.com',
+    tenant: 'wfp',
+    site: 'job_openings',
+    // myworkdaysite.com hosts many tenants, so links carry the tenant too
+    applyLink: '{host}/{locale}/recruiting/{tenant}/{site}/details/{jobPostingId}',
+  },
+  {
+    name: 'IMF',
+    dataSource: 'imf',
+    host: 'https://imf.wd5.myworkdayjobs.com',
+    tenant: 'imf',
+    site: 'IMF',
+  },
+  {
+    name: 'UNHCR',
+    dataSource: 'unhcr',
+    host: 'https://unhcr.wd3.myworkdayjobs.com',
+    tenant: 'unhcr',
+    site: 'External',
+  },
+];
+
+const apiBase = (tenant) => `${tenant.host}/wday/cxs/${tenant.tenant}/${tenant.site}`;
+
+const applyLink = (tenant, jobPostingId) =>
+  (tenant.applyLink || DEFAULT_APPLY_LINK)
+    .replace('{host}', tenant.host)
+    .replace('{locale}', tenant.locale || DEFAULT_LOCALE)
+    .replace('{tenant}', tenant.tenant)
+    .replace('{site}', tenant.site)
+    .replace('{jobPostingId}', jobPostingId);
+
+async function fetchJson(url, tenant, options = {}, { cache = false } = {}) {
+  const response = await politeFetch(url, {
+    ...options,
+    headers: {
+      "Accept": "application/json",
+      "Accept-Language": tenant.locale || DEFAULT_LOCALE,
+      ...options.headers,
+    },
+  }, { cache });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+}
+
+// One page of the job list
+const fetchJobPage = (tenant, offset) =>
+  fetchJson(`${apiBase(tenant)}/jobs`, tenant, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      appliedFacets: tenant.appliedFacets || {},
+      limit: PAGE_SIZE,
+      offset,
+      searchText: "",
+    }),
+  });
+
+// Map a list entry + its jobPostingInfo detail to a job_vacancies row
+function toJobData(tenant, posting, detail, orgId) {
+  const info = detail.jobPostingInfo || {};
+
+  return {
+    job_id: info.id,
+    language: (tenant.locale || DEFAULT_LOCALE).split('-')[0].toUpperCase(),
+    category_code: (posting.bulletFields && posting.bulletFields[0]) || '',
+    job_title: posting.title || info.title,
+    job_code_title: info.jobPostingId,
+    job_description: info.jobDescription || '',
+    job_family_code: '',
+    job_level: '',
+    duty_station: info.location || posting.locationsText || '',
+    recruitment_type: info.timeType || '',
+    start_date: info.startDate ? new Date(info.startDate) : null,
+    end_date: info.endDate ? new Date(info.endDate) : null,
+    dept: (detail.hiringOrganization && detail.hiringOrganization.name) || '',
+    total_count: posting.total || null,
+    jn: '',
+    jf: '',
+    jc: '',
+    jl: '',
+    created: new Date(),
+    data_source: tenant.dataSource,
+    organization_id: orgId,
+    apply_link: applyLink(tenant, info.jobPostingId),
+  };
+}
+
+// Fetch every posting on the tenant's career site and upsert it
+async function fetchAndProcessWorkdayJobVacancies(tenant, { signal, snapshots = NO_SNAPSHOTS } = {}) {
+  console.log("==================================");
+  console.log(`${tenant.name} Job Vacancies ETL started...`);
+  console.log("==================================");
+
+  const client = new Client(credentials);
+  const detailLane = createLimiter(tenant.detailConcurrency || DEFAULT_DETAIL_CONCURRENCY);
+  let totalProcessed = 0;
+  let totalErrors = 0;
+  // A list page we couldn't read means the run saw only part of the site —
+  // report failure so soft-close doesn't treat the rest as gone.
+  let listingError = null;
+
+  const processPosting = async (posting, orgId) => {
+    try {
+      const detail = await fetchJson(`${apiBase(tenant)}${posting.externalPath}`, tenant, {}, { cache: true });
+      await snapshots.add(detail.jobPostingInfo && detail.jobPostingInfo.id, { posting, detail });
+      const jobData = toJobData(tenant, posting, detail, orgId);
+
+      const result = await upsertJobVacancy(client, jobData, tenant.name, { payload: { posting, detail } });
+      if (!result.success) {
+        console.error(`❌ Failed to save job ${jobData.job_id}:`, result.error);
+        totalErrors++;
+        return;
+      }
+      console.log(`✅ ${posting.title}`);
+      totalProcessed++;
+    } catch (jobError) {
+      console.error(`❌ Error processing job ${posting.title}:`, jobError.message);
+      totalErrors++;
+    }
+  };
+
+  try {
+    await client.connect();
+    const orgId = await getOrganizationId(tenant.name);
+
+    let page = 0;
+    let totalPages = 1; // Initialize to 1 to enter the loop
+
+    while (page < totalPages) {
+      if (signal && signal.aborted) {
+        listingError = `run aborted after ${page} pages`;
+        console.warn(`⏹️  ${tenant.name}: ${listingError}`);
+        break;
+      }
+
+      let data;
+      try {
+        data = await fetchJobPage(tenant, page * PAGE_SIZE);
+      } catch (error) {
+        console.error("❌ Error fetching page data:", error);
+        listingError = `page ${page + 1}: ${error.message}`;
+        break; // Break the loop on fetch error
+      }
+
+      // Workday only reports the total on the first page
+      if (page === 0) {
+        totalPages = Math.ceil((data.total || 0) / PAGE_SIZE);
+      }
+
+      await Promise.all((data.jobPostings || []).map((posting) =>
+        detailLane(() => processPosting(posting, orgId))
+      ));
+
+      page++;
+    }
+  } catch (error) {
+    listingError = error.message;
+    console.error(`❌ ${tenant.name} ETL failed:`, error.message);
+  } finally {
+    await client.end();
+  }
+
+  console.log("==================================");
+  console.log(`${tenant.name} ETL Summary${listingError ? ' (FAILED)' : ''}:`);
+  console.log(`✅ Successfully processed: ${totalProcessed} jobs`);
+  console.log(`❌ Errors encountered: ${totalErrors} jobs`);
+  console.log("==================================");
+
+  return {
+    success: !listingError,
+    error: listingError ? `Failed to read ${tenant.name} listing (${listingError})` : undefined,
+    processedCount: totalProcessed + totalErrors,
+    successCount: totalProcessed,
+    errorCount: totalErrors,
+  };
+}
+
+// ETL source registry entries (see registry.js), one per tenant
+const sources = WORKDAY_TENANTS.map((tenant) => ({
+  name: tenant.name,
+  dataSource: tenant.dataSource,
+  schedule: 'full',
+  strategy: 'api',
+  enabled: tenant.enabled !== false,
+  run: (options) => fetchAndProcessWorkdayJobVacancies(tenant, options),
+  transform: async ({ posting, detail }) =>
+    toJobData(tenant, posting, detail, await getOrganizationId(tenant.name)),
+}));
+
+module.exports = {
+  WORKDAY_TENANTS,
+  fetchAndProcessWorkdayJobVacancies,
+  sources,
+};
@@ -0,0 +1,216 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+/**
+ * Offline fixtures: record an ETL run's traffic, replay it later
+ *
+ *   ETL_FIXTURES=record node run-etl.js UNOPS   # live run, traffic saved
+ *   ETL_FIXTURES=replay node run-etl.js UNOPS   # same run, no network
+ *
+ * (or `--record` / `--replay` on run-etl.js). Each source gets one file,
+ * fixtures/etl/<source>.json (ETL_FIXTURES_DIR to move it), holding:
+ *
+ *   responses  every fetch() response — this covers safeApiCall and the
+ *              API connectors — keyed by method, URL and a hash of the body
+ *   pages      per Puppeteer page URL, the ordered results of content(),
+ *              evaluate() and $$eval() calls, replayed in the same order
+ *
+ * Replay serves those back without touching the network or launching
+ * Chrome, so a parser fix can be checked end to end against a local
+ * Postgres before the nightly run. Anything the recording doesn't cover
+ * fails loudly instead of falling through to the live site.
+ */
+
+const FIXTURE_MODES = ["record", "replay"];
+const FIXTURES_DIR = process.env.ETL_FIXTURES_DIR || path.join(__dirname, "..", "..", "fixtures", "etl");
+
+const sessions = new AsyncLocalStorage();
+let liveFetch = null;
+
+const getFixtureMode = () => {
+  const mode = (process.env.ETL_FIXTURES || "").toLowerCase();
+  return FIXTURE_MODES.includes(mode) ? mode : null;
+};
+
+const fixturePath = (sourceName) =>
+  path.join(FIXTURES_DIR, `${sourceName.toLowerCase().replace(/[^a-z0-9-]+/g, "-")}.json`);
+
+const isReplaying = () => {
+  const session = sessions.getStore();
+  return Boolean(session && session.mode === "replay");
+};
+
+// — fetch —
+
+const requestKey = (input, init = {}) => {
+  const url = typeof input === "string" ? input : input.url || String(input);
+  const method = (init.method || (input && input.method) || "GET").toUpperCase();
+  const body = init.body ? crypto.createHash("sha1").update(String(init.body)).digest("hex").slice(0, 12) : "";
+  return [method, url, body].filter(Boolean).join(" ");
+};
+
+const toResponse = (entry) =>
+  new Response(entry.status === 204 || entry.status === 304 ? null : entry.body, {
+    status: entry.status,
+    statusText: entry.statusText,
+    headers: entry.headers,
+  });
+
+// Installed once; requests outside a fixture session go straight through
+const fixtureFetch = async (input, init) => {
+  const session = sessions.getStore();
+  if (!session) return liveFetch(input, init);
+
+  const key = requestKey(input, init);
+
+  if (session.mode === "replay") {
+    const entry = session.data.responses[key];
+    if (!entry) {
+      throw new Error(`No recorded response for ${key} in ${session.file}`);
+    }
+    return toResponse(entry);
+  }
+
+  const response = await liveFetch(input, init);
+  // The body is stored decoded, so its transfer headers no longer apply
+  const headers = Object.fromEntries(response.headers.entries());
+  delete headers["content-encoding"];
+  delete headers["content-length"];
+  const entry = {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+    body: await response.text(),
+  };
+  session.data.responses[key] = entry;
+  return toResponse(entry);
+};
+
+const installFetch = () => {
+  if (liveFetch) return;
+  liveFetch = global.fetch;
+  global.fetch = fixtureFetch;
+};
+
+// — Puppeteer —
+
+// Wrap a live page so every content()/evaluate()/$$eval() result is taped
+// under the URL it was loaded from
+const recordingPage = (page, session) => {
+  let tape = null;
+  const taped = (call, fn) => async (...args) => {
+    const value = await fn(...args);
+    if (tape) tape.push({ call, value });
+    return value;
+  };
+
+  return new Proxy(page, {
+    get(target, prop) {
+      if (prop === "goto") {
+        return async (url, options) => {
+          tape = session.data.pages[url] = session.data.pages[url] || [];
+          return target.goto(url, options);
+        };
+      }
+      if (prop === "content" || prop === "evaluate" || prop === "$$eval") {
+        return taped(prop, target[prop].bind(target));
+      }
+      const value = target[prop];
+      return typeof value === "function" ? value.bind(target) : value;
+    },
+  });
+};
+
+// A stand-in page that plays a URL's tape back in order
+const replayPage = (session) => {
+  let url = null;
+  const next = (call) => async () => {
+    const tape = session.data.pages[url] || [];
+    const position = session.cursors[url] || 0;
+    const entry = tape[position];
+    if (!entry || entry.call !== call) {
+      throw new Error(`No recorded ${call}() for ${url} (step ${position}) in ${session.file}`);
+    }
+    session.cursors[url] = position + 1;
+    return entry.value;
+  };
+
+  return {
+    goto: async (pageUrl) => {
+      if (!session.data.pages[pageUrl]) {
+        throw new Error(`No recorded page for ${pageUrl} in ${session.file}`);
+      }
+      url = pageUrl;
+    },
+    content: next("content"),
+    evaluate: next("evaluate"),
+    $$eval: next("$$eval"),
+    setUserAgent: async () => {},
+    waitForSelector: async () => {},
+    waitForNetworkIdle: async () => {},
+    close: async () => {},
+  };
+};
+
+// Browser for the current run: replay needs no Chrome at all
+const openBrowser = async (launch) => {
+  const session = sessions.getStore();
+  if (session && session.mode === "replay") {
+    return { newPage: async () => replayPage(session), close: async () => {} };
+  }
+
+  const browser = await launch();
+  if (!session) return browser;
+
+  return {
+    newPage: async () => recordingPage(await browser.newPage(), session),
+    close: () => browser.close(),
+  };
+};
+
+// — Sessions —
+
+// Run `fn` (one source's ETL run) inside a fixture session when
+// ETL_FIXTURES is set; a no-op otherwise
+const withFixtures = async (sourceName, fn) => {
+  const mode = getFixtureMode();
+  if (!mode) return fn();
+
+  const file = fixturePath(sourceName);
+  let data = { source: sourceName, recordedAt: new Date().toISOString(), responses: {}, pages: {} };
+
+  if (mode === "replay") {
+    if (!fs.existsSync(file)) {
+      throw new Error(`No fixtures for ${sourceName} at ${file} — record them first with ETL_FIXTURES=record`);
+    }
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+    console.log(`📼 ${sourceName}: replaying fixtures recorded ${data.recordedAt}`);
+  } else {
+    console.log(`🔴 ${sourceName}: recording fixtures to ${file}`);
+  }
+
+  installFetch();
+  const session = { mode, file, data, cursors: {} };
+
+  try {
+    return await sessions.run(session, fn);
+  } finally {
+    if (mode === "record") {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(data, null, 2));
+      console.log(`💾 ${sourceName}: saved ${Object.keys(data.responses).length} responses, ` +
+        `${Object.keys(data.pages).length} pages`);
+    }
+  }
+};
+
+module.exports = {
+  FIXTURE_MODES,
+  getFixtureMode,
+  fixturePath,
+  isReplaying,
+  openBrowser,
+  withFixtures,
+};
@@ -0,0 +1,437 @@
+/**
+ * Duty station gazetteer
+ *
+ * Sources write duty_station however they like — "Nairobi, Kenya",
+ * "KEN-Nairobi", "Home-based", "Juba, Malakal, South Sudan" (ReliefWeb's
+ * multi-location strings), "Congo, Democratic Republic of the".
+ * normalizeDutyStation() maps one onto:
+ *
+ *   country_code  ISO 3166-1 alpha-2 of the first country mentioned
+ *   city          a known city of that country, else the leftover place name
+ *   region        UN M49 region of the country (see REGIONS)
+ *   is_remote     home-based / remote work
+ *
+ * Everything is resolved offline from the tables below — no geocoding
+ * calls during the ETL. Unknown strings come back with nulls; the raw
+ * value stays in duty_station and upsertJobVacancy() stores these next
+ * to it. Add a missing spelling as an alias rather than special-casing it.
+ */
+
+const REGIONS = [
+  { code: 'africa', label: 'Africa' },
+  { code: 'americas', label: 'Americas' },
+  { code: 'asia', label: 'Asia' },
+  { code: 'europe', label: 'Europe' },
+  { code: 'oceania', label: 'Oceania' },
+];
+
+// alpha-2  alpha-3  region  Name[/alias...]  |  City[/alias...], ...
+// The first name is the display name.
+const COUNTRY_TABLE = `
+AF AFG asia     Afghanistan | Kabul, Herat, Mazar-i-Sharif/Mazar-e-Sharif, Kandahar, Jalalabad, Kunduz, Bamyan
+AL ALB europe   Albania | Tirana/Tirane
+DZ DZA africa   Algeria | Algiers/Alger, Tindouf, Oran
+AS ASM oceania  American Samoa | Pago Pago
+AD AND europe   Andorra | Andorra la Vella
+AO AGO africa   Angola | Luanda
+AI AIA americas Anguilla | The Valley
+AG ATG americas Antigua and Barbuda | St. John's/Saint John's
+AR ARG americas Argentina | Buenos Aires
+AM ARM asia     Armenia | Yerevan
+AW ABW americas Aruba | Oranjestad
+AU AUS oceania  Australia | Canberra, Sydney, Melbourne, Brisbane, Perth
+AT AUT europe   Austria | Vienna/Wien, Salzburg, Innsbruck
+AZ AZE asia     Azerbaijan | Baku
+BS BHS americas Bahamas/The Bahamas | Nassau
+BH BHR asia     Bahrain | Manama
+BD BGD asia     Bangladesh | Dhaka, Cox's Bazar/Coxs Bazar/Cox Bazar, Chittagong/Chattogram, Sylhet, Khulna
+BB BRB americas Barbados | Bridgetown
+BY BLR europe   Belarus | Minsk
+BE BEL europe   Belgium | Brussels/Bruxelles/Brussel, Antwerp, Liege
+BZ BLZ americas Belize | Belmopan, Belize City
+BJ BEN africa   Benin | Cotonou, Porto-Novo, Parakou
+BM BMU americas Bermuda
+BT BTN asia     Bhutan | Thimphu
+BO BOL americas Bolivia/Bolivia (Plurinational State of)/Plurinational State of Bolivia/Bolivia, Plurinational State of | La Paz, Santa Cruz de la Sierra/Santa Cruz, Cochabamba, Sucre
+BA BIH europe   Bosnia and Herzegovina/Bosnia & Herzegovina/Bosnia | Sarajevo, Banja Luka, Mostar, Tuzla
+BW BWA africa   Botswana | Gaborone
+BR BRA americas Brazil/Brasil | Brasilia, Rio de Janeiro, Sao Paulo, Boa Vista, Manaus, Recife, Salvador
+VG VGB americas British Virgin Islands | Road Town
+BN BRN asia     Brunei Darussalam/Brunei | Bandar Seri Begawan
+BG BGR europe   Bulgaria | Sofia
+BF BFA africa   Burkina Faso | Ouagadougou, Bobo-Dioulasso, Kaya, Dori, Fada N'Gourma
+BI BDI africa   Burundi | Bujumbura, Gitega, Ngozi, Muyinga
+CV CPV africa   Cabo Verde/Cape Verde | Praia
+KH KHM asia     Cambodia | Phnom Penh, Siem Reap, Battambang
+CM CMR africa   Cameroon | Yaounde, Douala, Maroua, Bamenda, Buea, Bertoua
+CA CAN americas Canada | Montreal, Ottawa, Toronto, Vancouver
+KY CYM americas Cayman Islands | George Town
+CF CAF africa   Central African Republic/CAR | Bangui, Bambari, Bria, Bouar, Kaga-Bandoro, Bossangoa, Paoua
+TD TCD africa   Chad/Tchad | N'Djamena/Ndjamena, Abeche, Moundou, Bol, Goz Beida, Farchana, Iriba
+CL CHL americas Chile | Santiago, Valparaiso
+CN CHN asia     China | Beijing, Shanghai, Guangzhou, Chengdu
+CO COL americas Colombia | Bogota, Medellin, Cali, Cucuta, Barranquilla, Pasto, Quibdo, Riohacha, Arauca
+KM COM africa   Comoros | Moroni
+CG COG africa   Congo/Republic of the Congo/Republic of Congo/Congo, Republic of/Congo, Republic of the/Congo-Brazzaville/Congo (Brazzaville) | Brazzaville, Pointe-Noire, Betou
+CK COK oceania  Cook Islands | Avarua
+CR CRI americas Costa Rica | San Jose
+CI CIV africa   Côte d'Ivoire/Cote d'Ivoire/Cote dIvoire/Ivory Coast | Abidjan, Yamoussoukro, Bouake, Man, Korhogo
+HR HRV europe   Croatia | Zagreb
+CU CUB americas Cuba | Havana/La Habana
+CW CUW americas Curaçao/Curacao | Willemstad
+CY CYP asia     Cyprus | Nicosia
+CZ CZE europe   Czechia/Czech Republic | Prague/Praha
+KP PRK asia     Democratic People's Republic of Korea/DPR Korea/DPRK/North Korea/Korea, Democratic People's Republic of | Pyongyang
+CD COD africa   Democratic Republic of the Congo/Democratic Republic of Congo/DR Congo/DRC/D.R. Congo/RDC/Congo, Democratic Republic of the/Congo, The Democratic Republic of the/Congo (DRC)/Congo (Kinshasa)/Congo-Kinshasa | Kinshasa, Goma, Bukavu, Bunia, Kalemie, Kananga, Lubumbashi, Uvira, Beni, Mbandaka, Kisangani, Tshikapa, Kindu
+DK DNK europe   Denmark | Copenhagen/Kobenhavn
+DJ DJI africa   Djibouti | Djibouti City/Djibouti-ville
+DM DMA americas Dominica | Roseau
+DO DOM americas Dominican Republic | Santo Domingo
+EC ECU americas Ecuador | Quito, Guayaquil, Lago Agrio, Tulcan, Cuenca
+EG EGY africa   Egypt | Cairo, Alexandria, Aswan
+SV SLV americas El Salvador | San Salvador
+GQ GNQ africa   Equatorial Guinea | Malabo
+ER ERI africa   Eritrea | Asmara
+EE EST europe   Estonia | Tallinn
+SZ SWZ africa   Eswatini/Swaziland/Kingdom of Eswatini | Mbabane
+ET ETH africa   Ethiopia | Addis Ababa/Addis Abeba/Addis, Gambella/Gambela, Jijiga, Mekelle, Dire Dawa, Bahir Dar, Semera, Dollo Ado/Melkadida, Assosa/Asosa, Shire, Hawassa
+FK FLK americas Falkland Islands/Falkland Islands (Malvinas) | Stanley
+FO FRO europe   Faroe Islands | Torshavn
+FJ FJI oceania  Fiji | Suva, Nadi, Lautoka
+FI FIN europe   Finland | Helsinki
+FR FRA europe   France | Paris, Lyon, Marseille, Strasbourg, Toulouse, Montpellier
+GF GUF americas French Guiana | Cayenne
+PF PYF oceania  French Polynesia | Papeete
+GA GAB africa   Gabon | Libreville
+GM GMB africa   Gambia/The Gambia/Gambia, The | Banjul
+GE GEO asia     Georgia | Tbilisi
+DE DEU europe   Germany/Deutschland | Bonn, Berlin, Hamburg, Frankfurt, Munich/Munchen
+GH GHA africa   Ghana | Accra, Kumasi, Tamale
+GI GIB europe   Gibraltar
+GR GRC europe   Greece | Athens, Thessaloniki, Lesvos/Lesbos/Mytilene
+GL GRL americas Greenland | Nuuk
+GD GRD americas Grenada | St. George's/Saint George's
+GP GLP americas Guadeloupe | Basse-Terre
+GU GUM oceania  Guam | Hagatna
+GT GTM americas Guatemala | Guatemala City/Ciudad de Guatemala
+GN GIN africa   Guinea/Guinee | Conakry, Nzerekore, Kankan
+GW GNB africa   Guinea-Bissau/Guinea Bissau | Bissau
+GY GUY americas Guyana | Georgetown
+HT HTI americas Haiti | Port-au-Prince/Port au Prince, Cap-Haitien, Les Cayes, Jacmel
+VA VAT europe   Holy See/Vatican/Vatican City
+HN HND americas Honduras | Tegucigalpa, San Pedro Sula
+HK HKG asia     Hong Kong/Hong Kong SAR/Hong Kong, China
+HU HUN europe   Hungary | Budapest
+IS ISL europe   Iceland | Reykjavik
+IN IND asia     India | New Delhi/Delhi, Mumbai, Chennai, Kolkata, Bengaluru/Bangalore, Hyderabad, Lucknow, Patna, Bhopal, Jaipur, Guwahati
+ID IDN asia     Indonesia | Jakarta, Kupang, Banda Aceh, Makassar, Jayapura, Surabaya
+IR IRN asia     Iran/Iran (Islamic Republic of)/Islamic Republic of Iran/Iran, Islamic Republic of | Tehran, Kerman, Mashhad, Shiraz, Esfahan/Isfahan
+IQ IRQ asia     Iraq | Baghdad, Erbil/Arbil, Duhok/Dohuk, Mosul, Basra/Basrah, Sulaymaniyah/Sulaimaniya, Kirkuk, Ramadi
+IE IRL europe   Ireland | Dublin
+IL ISR asia     Israel | Jerusalem, Tel Aviv
+IT ITA europe   Italy/Italia | Rome/Roma, Turin/Torino, Florence/Firenze, Brindisi, Milan/Milano, Trieste, Naples/Napoli, Venice/Venezia, Bologna
+JM JAM americas Jamaica | Kingston
+JP JPN asia     Japan | Tokyo, Yokohama, Kobe, Hiroshima, Osaka
+JO JOR asia     Jordan | Amman, Irbid, Zarqa, Mafraq, Azraq, Zaatari/Za'atari, Aqaba
+KZ KAZ asia     Kazakhstan | Astana, Almaty
+KE KEN africa   Kenya | Nairobi, Kisumu, Mombasa, Kakuma, Dadaab, Lodwar, Garissa, Nakuru, Eldoret, Kalobeyei
+KI KIR oceania  Kiribati | Tarawa/South Tarawa
+XK XKX europe   Kosovo/Kosovo (as per UNSCR 1244)/Kosovo (UNSCR 1244)/Kosovo under UNSCR 1244 | Pristina/Prishtina/Prishtine
+KW KWT asia     Kuwait | Kuwait City
+KG KGZ asia     Kyrgyzstan/Kyrgyz Republic | Bishkek, Osh
+LA LAO asia     Lao People's Democratic Republic/Lao PDR/Laos | Vientiane
+LV LVA europe   Latvia | Riga
+LB LBN asia     Lebanon/Liban | Beirut, Zahle, Tyre/Sour, Saida/Sidon, Baalbek
+LS LSO africa   Lesotho | Maseru
+LR LBR africa   Liberia | Monrovia
+LY LBY africa   Libya | Tripoli, Benghazi, Misrata, Sabha
+LI LIE europe   Liechtenstein | Vaduz
+LT LTU europe   Lithuania | Vilnius
+LU LUX europe   Luxembourg | Luxembourg City
+MO MAC asia     Macao/Macau/Macao SAR
+MG MDG africa   Madagascar | Antananarivo, Toamasina, Fort-Dauphin/Tolagnaro
+MW MWI africa   Malawi | Lilongwe, Blantyre, Dzaleka
+MY MYS asia     Malaysia | Kuala Lumpur, Penang, Kota Kinabalu
+MV MDV asia     Maldives | Male
+ML MLI africa   Mali | Bamako, Gao, Timbuktu/Tombouctou, Mopti, Kidal, Menaka, Segou, Kayes
+MT MLT europe   Malta | Valletta
+MH MHL oceania  Marshall Islands | Majuro
+MQ MTQ americas Martinique | Fort-de-France
+MR MRT africa   Mauritania/Mauritanie | Nouakchott, Bassikounou, Nouadhibou
+MU MUS africa   Mauritius | Port Louis
+YT MYT africa   Mayotte | Mamoudzou
+MX MEX americas Mexico | Mexico City/Ciudad de Mexico, Tapachula, Tijuana, Monterrey, Ciudad Juarez, Merida
+FM FSM oceania  Micronesia/Micronesia (Federated States of)/Federated States of Micronesia/Micronesia, Federated States of | Palikir, Pohnpei
+MC MCO europe   Monaco
+MN MNG asia     Mongolia | Ulaanbaatar/Ulan Bator
+ME MNE europe   Montenegro | Podgorica
+MS MSR americas Montserrat | Brades
+MA MAR africa   Morocco/Maroc | Rabat, Casablanca, Marrakech
+MZ MOZ africa   Mozambique | Maputo, Pemba, Beira, Nampula, Quelimane, Tete, Montepuez
+MM MMR asia     Myanmar/Burma | Yangon, Nay Pyi Taw/Naypyidaw/Naypyitaw, Sittwe, Myitkyina, Lashio, Mandalay
+NA NAM africa   Namibia | Windhoek
+NR NRU oceania  Nauru | Yaren
+NP NPL asia     Nepal | Kathmandu, Pokhara, Nepalgunj, Biratnagar
+NL NLD europe   Netherlands/The Netherlands/Netherlands (Kingdom of the)/Kingdom of the Netherlands/Holland | The Hague/Den Haag/Hague, Amsterdam, Rotterdam, Maastricht
+NC NCL oceania  New Caledonia | Noumea
+NZ NZL oceania  New Zealand | Wellington, Auckland
+NI NIC americas Nicaragua | Managua
+NE NER africa   Niger | Niamey, Diffa, Agadez, Maradi, Tillaberi, Tahoua, Zinder
+NG NGA africa   Nigeria | Abuja, Lagos, Maiduguri, Yola, Damaturu, Port Harcourt, Kano, Sokoto, Calabar, Ogoja
+NU NIU oceania  Niue | Alofi
+MK MKD europe   North Macedonia/Macedonia/Republic of North Macedonia/The former Yugoslav Republic of Macedonia | Skopje
+MP MNP oceania  Northern Mariana Islands | Saipan
+NO NOR europe   Norway | Oslo
+OM OMN asia     Oman | Muscat
+PK PAK asia     Pakistan | Islamabad, Karachi, Lahore, Peshawar, Quetta, Multan, Hyderabad
+PW PLW oceania  Palau | Ngerulmud, Koror
+PS PSE asia     State of Palestine/Palestine/Palestine, State of/Occupied Palestinian Territory/Occupied Palestinian Territories/Palestinian Territories/oPt/West Bank/Gaza Strip | Jerusalem, Gaza, Ramallah, Hebron, Nablus, Jenin, Rafah, Khan Younis/Khan Yunis
+PA PAN americas Panama | Panama City/Ciudad de Panama
+PG PNG oceania  Papua New Guinea | Port Moresby, Lae, Buka
+PY PRY americas Paraguay | Asuncion
+PE PER americas Peru | Lima, Tumbes, Cusco, Iquitos
+PH PHL asia     Philippines | Manila, Cotabato, Davao, Cebu, Zamboanga, Marawi, Tacloban, Quezon City
+PL POL europe   Poland | Warsaw/Warszawa, Krakow, Rzeszow, Lublin
+PT PRT europe   Portugal | Lisbon/Lisboa
+PR PRI americas Puerto Rico | San Juan
+QA QAT asia     Qatar | Doha
+KR KOR asia     Republic of Korea/South Korea/Korea, Republic of/Korea (Republic of) | Seoul, Incheon, Songdo, Busan
+MD MDA europe   Republic of Moldova/Moldova/Moldova, Republic of | Chisinau, Balti
+RE REU africa   Réunion/Reunion | Saint-Denis
+RO ROU europe   Romania | Bucharest, Iasi, Suceava
+RU RUS europe   Russian Federation/Russia | Moscow, Saint Petersburg/St. Petersburg
+RW RWA africa   Rwanda | Kigali, Huye, Rubavu, Kirehe, Mahama
+SH SHN africa   Saint Helena | Jamestown
+KN KNA americas Saint Kitts and Nevis/St. Kitts and Nevis | Basseterre
+LC LCA americas Saint Lucia/St. Lucia | Castries
+VC VCT americas Saint Vincent and the Grenadines/St. Vincent and the Grenadines | Kingstown
+WS WSM oceania  Samoa | Apia
+SM SMR europe   San Marino
+ST STP africa   Sao Tome and Principe/São Tomé and Príncipe | Sao Tome
+SA SAU asia     Saudi Arabia | Riyadh, Jeddah
+SN SEN africa   Senegal | Dakar, Saint-Louis, Ziguinchor
+RS SRB europe   Serbia | Belgrade/Beograd, Novi Sad
+SC SYC africa   Seychelles
+SL SLE africa   Sierra Leone | Freetown, Bo, Kenema
+SG SGP asia     Singapore
+SX SXM americas Sint Maarten | Philipsburg
+SK SVK europe   Slovakia/Slovak Republic | Bratislava
+SI SVN europe   Slovenia | Ljubljana
+SB SLB oceania  Solomon Islands | Honiara
+SO SOM africa   Somalia | Mogadishu, Hargeisa, Garowe, Baidoa, Kismayo, Bosaso, Galkayo, Beledweyne/Beletweyne, Dhusamareb, Doolow/Dollow, Berbera
+ZA ZAF africa   South Africa | Pretoria, Johannesburg, Cape Town, Durban
+SS SSD africa   South Sudan | Juba, Malakal, Bentiu, Wau, Bor, Rumbek, Aweil, Torit, Yambio, Renk, Maban, Kuajok, Yei, Pibor
+ES ESP europe   Spain/Espana | Madrid, Valencia, Barcelona, Seville/Sevilla
+LK LKA asia     Sri Lanka | Colombo, Jaffna, Trincomalee
+SD SDN africa   Sudan | Khartoum, Port Sudan, El Fasher/Al Fasher, Nyala, El Geneina/Geneina, Kassala, Kadugli, Gedaref/Al Qadarif, Zalingei, Ed Daein, El Obeid, Kosti, Damazine, Wad Madani, Dongola
+SR SUR americas Suriname | Paramaribo
+SE SWE europe   Sweden | Stockholm, Gothenburg
+CH CHE europe   Switzerland/Suisse/Schweiz | Geneva/Geneve/Genf, Bern/Berne, Zurich, Lausanne, Basel
+SY SYR asia     Syrian Arab Republic/Syria | Damascus, Aleppo, Homs, Hama, Qamishli, Tartous/Tartus, Lattakia/Latakia, Deir ez-Zor/Deir-ez-Zor/Deir Ezzor, Idlib, Hasakeh/Al-Hasakah, Raqqa, Daraa, Sweida
+TJ TJK asia     Tajikistan | Dushanbe, Khujand
+TH THA asia     Thailand | Bangkok, Chiang Mai, Mae Sot
+TL TLS asia     Timor-Leste/East Timor | Dili
+TG TGO africa   Togo | Lome
+TK TKL oceania  Tokelau
+TO TON oceania  Tonga | Nuku'alofa/Nukualofa
+TT TTO americas Trinidad and Tobago | Port of Spain/Port-of-Spain
+TN TUN africa   Tunisia/Tunisie | Tunis, Sfax, Zarzis
+TR TUR asia     Türkiye/Turkiye/Turkey | Ankara, Istanbul, Gaziantep, Izmir, Hatay/Antakya, Sanliurfa, Van, Adana, Mersin, Kilis
+TM TKM asia     Turkmenistan | Ashgabat
+TC TCA americas Turks and Caicos Islands | Cockburn Town
+TV TUV oceania  Tuvalu | Funafuti
+UG UGA africa   Uganda | Kampala, Gulu, Arua, Mbarara, Moroto, Entebbe, Adjumani, Yumbe, Hoima, Kyangwali, Nakivale
+UA UKR europe   Ukraine | Kyiv/Kiev, Lviv, Kharkiv/Kharkov, Odesa/Odessa, Dnipro, Zaporizhzhia, Kramatorsk, Uzhhorod, Sloviansk, Mykolaiv, Kherson, Chernivtsi, Vinnytsia
+AE ARE asia     United Arab Emirates/UAE | Abu Dhabi, Dubai
+GB GBR europe   United Kingdom/UK/U.K./United Kingdom of Great Britain and Northern Ireland/Great Britain/England/Scotland/Wales/Northern Ireland | London, Edinburgh, Cambridge, Oxford, Manchester, Glasgow, Cardiff, Belfast
+TZ TZA africa   United Republic of Tanzania/Tanzania/Tanzania, United Republic of | Dar es Salaam, Dodoma, Kigoma, Kasulu, Kibondo, Zanzibar, Arusha, Mwanza
+US USA americas United States/United States of America/USA/U.S.A./U.S./US | New York/New York City/NYC/New York, NY, Washington DC/Washington D.C./Washington, Atlanta, Chicago, Boston, San Francisco, Los Angeles, Seattle, Miami, Houston
+UY URY americas Uruguay | Montevideo
+UZ UZB asia     Uzbekistan | Tashkent, Termez, Samarkand
+VU VUT oceania  Vanuatu | Port Vila
+VE VEN americas Venezuela/Venezuela (Bolivarian Republic of)/Bolivarian Republic of Venezuela/Venezuela, Bolivarian Republic of | Caracas, Maracaibo, San Cristobal, Ciudad Guayana, Puerto Ayacucho
+VN VNM asia     Viet Nam/Vietnam | Hanoi/Ha Noi, Ho Chi Minh City/Saigon, Da Nang
+WF WLF oceania  Wallis and Futuna | Mata-Utu
+EH ESH africa   Western Sahara | Laayoune
+YE YEM asia     Yemen | Sana'a/Sanaa, Aden, Hodeidah/Al Hudaydah, Marib, Taiz/Ta'iz, Ibb, Saada/Sa'ada, Mukalla/Al Mukalla, Sayun/Seiyun
+ZM ZMB africa   Zambia | Lusaka, Ndola, Kasama, Mantapala
+ZW ZWE africa   Zimbabwe | Harare, Bulawayo, Mutare
+`;
+
+// Work that isn't tied to a duty station
+const REMOTE_PATTERN = /\b(home[\s-]*based|remote(ly)?|tele[\s-]?work(ing)?|telecommut\w*|work(ing)? from home|anywhere)\b/i;
+
+// Leftover text that is never a city
+const NOT_A_CITY = /^(global|worldwide|anywhere|multiple|various|several|tbd|to be determined|n\/?a|none|other|headquarters|hq|field|regional|and|or|\d+)\b|\btravel|\blocations?\b|\bduty stations?\b|\bcountries\b/i;
+
+// Lower-case, accents off, anything else non-alphanumeric to a space —
+// one character in, one out, so match offsets line up with the raw string
+const foldText = (value) =>
+  Array.from(value, (char) => {
+    const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()[0] || ' ';
+    return /[a-z0-9]/.test(base) ? base : ' ';
+  }).join('');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const foldedKey = (value) => foldText(value).trim().replace(/\s+/g, ' ');
+
+const COUNTRIES = [];
+const countriesByCode = new Map();
+const placeIndex = new Map(); // folded name -> { country } | { cities: [country...], city }
+
+const addPlace = (name, entry) => {
+  const key = foldedKey(name);
+  if (!key) return;
+  const existing = placeIndex.get(key);
+  if (!existing) {
+    placeIndex.set(key, entry);
+  } else if (existing.cities && entry.cities) {
+    existing.cities.push(...entry.cities);
+  } else if (entry.country) {
+    // A country name wins over a city of the same name (Djibouti, Kuwait)
+    placeIndex.set(key, entry);
+  }
+};
+
+COUNTRY_TABLE.trim().split('\n').forEach((line) => {
+  const [head, cityList = ''] = line.split('|');
+  const [, code, iso3, region, names] = head.trim().match(/^(\S+)\s+(\S+)\s+(\S+)\s+(.+)$/);
+  const [name, ...aliases] = names.trim().split('/').map((n) => n.trim());
+  const country = { code, iso3, name, region };
+  COUNTRIES.push(country);
+  countriesByCode.set(code, country);
+  [name, ...aliases].forEach((alias) => addPlace(alias, { country }));
+
+  cityList.split(',').map((c) => c.trim()).filter(Boolean).forEach((cityNames) => {
+    const [city, ...cityAliases] = cityNames.split('/').map((n) => n.trim());
+    [city, ...cityAliases].forEach((alias) => addPlace(alias, { cities: [country], city }));
+  });
+});
+
+// One alternation, longest names first, so "Democratic Republic of the
+// Congo" beats "Congo" and "South Sudan" beats "Sudan" at the same spot
+const PLACE_PATTERN = new RegExp(
+  `(?<![a-z0-9])(${[...placeIndex.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((key) => key.split(' ').map(escapeRegExp).join(' +'))
+    .join('|')})(?![a-z0-9])`,
+  'g'
+);
+
+const ISO3_CODES = new Map(COUNTRIES.map((c) => [c.iso3, c]));
+// "KEN-Nairobi", "KEN Nairobi", or a bare "KEN"/"KE" segment
+const CODE_SEGMENT = /^([A-Z]{2,3})(?:\s*[-:]\s*|\s+|$)/;
+
+const toTitleCase = (value) =>
+  value === value.toUpperCase() || value === value.toLowerCase()
+    ? value.toLowerCase().replace(/(^|[\s'-])(\p{L})/gu, (m, sep, letter) => sep + letter.toUpperCase())
+    : value;
+
+const codeCountry = (segment, allowAlpha2) => {
+  const match = segment.match(CODE_SEGMENT);
+  if (!match) return null;
+  const code = match[1];
+  if (code.length === 3) return ISO3_CODES.get(code) ? { country: ISO3_CODES.get(code), rest: segment.slice(match[0].length) } : null;
+  // Two letters only count on their own and with nothing else recognised
+  // ("Lodwar, KE"), never as a prefix
+  return allowAlpha2 && match[0].length === segment.length && countriesByCode.has(code)
+    ? { country: countriesByCode.get(code), rest: '' }
+    : null;
+};
+
+const EMPTY = { country_code: null, city: null, region: null, is_remote: false };
+const memo = new Map();
+const MEMO_LIMIT = 5000;
+
+const resolveDutyStation = (raw) => {
+  const is_remote = REMOTE_PATTERN.test(raw);
+  const folded = foldText(raw);
+
+  // Every known place in order of appearance; matched spans are blanked
+  // out of `leftover` so only unknown names remain there
+  const places = [];
+  let leftover = raw;
+  for (const match of folded.matchAll(PLACE_PATTERN)) {
+    const entry = placeIndex.get(match[1].replace(/ +/g, ' '));
+    places.push(entry);
+    leftover = leftover.slice(0, match.index) + '|'.repeat(match[1].length) + leftover.slice(match.index + match[1].length);
+  }
+
+  // ISO codes ("KEN-Nairobi") only when no country is named — "CA" in
+  // "Los Angeles, CA" is a state, not Canada
+  const segments = leftover.split(/[|,;/()\n]|\s[-–]\s/).map((s) => s.trim()).filter(Boolean);
+  const named = places.some((p) => p.country);
+  const unknown = [];
+  segments.forEach((segment) => {
+    const coded = named ? null : codeCountry(segment, places.length === 0);
+    if (coded) {
+      places.push({ country: coded.country });
+      if (coded.rest.trim()) unknown.push(coded.rest.trim());
+    } else {
+      unknown.push(segment);
+    }
+  });
+
+  const firstCountry = places.find((p) => p.country);
+  const firstCity = places.find((p) => p.cities && (!firstCountry || p.cities.includes(firstCountry.country)));
+  const country = firstCountry
+    ? firstCountry.country
+    : firstCity && firstCity.cities[0];
+
+  if (!country) return { ...EMPTY, is_remote };
+
+  // A known city filed under another country ("Tripoli, Lebanon") still
+  // names the place better than any leftover text
+  const namedCity = firstCity || places.find((p) => p.cities);
+  let city = namedCity ? namedCity.city : null;
+  if (!city) {
+    const name = unknown.find((segment) =>
+      /\p{L}{2}/u.test(segment) && segment.length <= 60 && !NOT_A_CITY.test(segment) && !REMOTE_PATTERN.test(segment));
+    city = name ? toTitleCase(name.replace(/\s+/g, ' ')) : null;
+  }
+
+  return { country_code: country.code, city, region: country.region, is_remote };
+};
+
+// { country_code, city, region, is_remote } for a raw duty_station string
+const normalizeDutyStation = (raw) => {
+  if (raw === null || raw === undefined) return { ...EMPTY };
+  const value = String(raw).trim();
+  if (!value) return { ...EMPTY };
+
+  if (!memo.has(value)) {
+    if (memo.size >= MEMO_LIMIT) memo.clear();
+    memo.set(value, resolveDutyStation(value));
+  }
+  return { ...memo.get(value) };
+};
+
+// ISO alpha-2 for a filter value: "KE", "ken", "Kenya", "Côte d'Ivoire"
+const normalizeCountry = (raw) => {
+  if (raw === null || raw === undefined) return null;
+  const value = String(raw).trim();
+  if (!value) return null;
+  const upper = value.toUpperCase();
+  if (countriesByCode.has(upper)) return upper;
+  if (ISO3_CODES.has(upper)) return ISO3_CODES.get(upper).code;
+  const entry = placeIndex.get(foldedKey(value));
+  return entry && entry.country ? entry.country.code : null;
+};
+
+const normalizeRegion = (raw) => {
+  if (raw === null || raw === undefined) return null;
+  const value = foldedKey(String(raw));
+  const region = REGIONS.find((r) => r.code === value || foldedKey(r.label) === value);
+  return region ? region.code : null;
+};
+
+const getCountry = (code) => countriesByCode.get(code) || null;
+
+module.exports = {
+  REGIONS,
+  COUNTRIES,
+  getCountry,
+  normalizeCountry,
+  normalizeRegion,
+  normalizeDutyStation,
+};
@@ -0,0 +1,151 @@
+/**
+ * Canonical grade and contract category
+ *
+ * Sources describe level and contract however they like — "P-3", "P3",
+ * "NOB", "G5", "LICA Specialist-11", "Consultancy", "Temporary Job
+ * Opening". normalizeJobGrade() maps a vacancy's raw job_level, jl,
+ * recruitment_type and title onto:
+ *
+ *   grade              one of CANONICAL_GRADES (P1–P5, D1–D2, NO-A–NO-D,
+ *                      G1–G7, SB1–SB5, SC1–SC11, CONSULTANCY, INTERNSHIP, UNV)
+ *   contract_category  one of CONTRACT_CATEGORIES
+ *
+ * Either is null when nothing recognisable was found. The raw values stay
+ * in their columns; upsertJobVacancy() stores these next to them.
+ */
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+// In display order — GET /jobs/grades lists them this way
+const CANONICAL_GRADES = [
+  ...range(1, 5).map((n) => ({ code: `P${n}`, label: `P-${n}`, group: 'professional' })),
+  ...range(1, 2).map((n) => ({ code: `D${n}`, label: `D-${n}`, group: 'director' })),
+  ...['A', 'B', 'C', 'D'].map((l) => ({ code: `NO-${l}`, label: `NO-${l}`, group: 'national_officer' })),
+  ...range(1, 7).map((n) => ({ code: `G${n}`, label: `G-${n}`, group: 'general_service' })),
+  ...range(1, 5).map((n) => ({ code: `SB${n}`, label: `SB-${n}`, group: 'service_contract' })),
+  ...range(1, 11).map((n) => ({ code: `SC${n}`, label: `SC-${n}`, group: 'service_contract' })),
+  { code: 'CONSULTANCY', label: 'Consultancy', group: 'consultancy' },
+  { code: 'INTERNSHIP', label: 'Internship', group: 'internship' },
+  { code: 'UNV', label: 'UN Volunteer', group: 'volunteer' },
+];
+
+const GRADE_CODES = new Set(CANONICAL_GRADES.map((g) => g.code));
+
+const CONTRACT_CATEGORIES = [
+  'fixed_term',
+  'temporary',
+  'consultancy',
+  'service_contract',
+  'internship',
+  'volunteer',
+];
+
+// Level codes, tried in order against an upper-cased value. Each returns
+// the canonical code or null (e.g. SC-12 doesn't exist).
+const GRADE_PATTERNS = [
+  [/\bSB[\s-]?([1-5])\b/, (m) => `SB${m[1]}`],
+  [/\bSC[\s-]?(\d{1,2})\b/, (m) => (m[1] >= 1 && m[1] <= 11 ? `SC${Number(m[1])}` : null)],
+  [/\bNO[\s-]?([A-D])\b/, (m) => `NO-${m[1]}`],
+  [/\bNATIONAL OFFICER\W+(?:GRADE\W+)?([A-D])\b/, (m) => `NO-${m[1]}`],
+  [/\bP[\s-]?([1-5])\b/, (m) => `P${m[1]}`],
+  [/\bD[\s-]?([12])\b/, (m) => `D${m[1]}`],
+  [/\bGS?[\s-]?([1-7])\b/, (m) => `G${m[1]}`],
+  [/\bINTERN(SHIP)?\b/, () => 'INTERNSHIP'],
+  [/\bUNV\b|\bUN VOLUNTEER|\bVOLUNTEER\b/, () => 'UNV'],
+  [/\bCONSULT(ANT|ANCY|ANTS)?\b|\bINDIVIDUAL CONSULTANT\b/, () => 'CONSULTANCY'],
+];
+
+// Titles only count when they lead with the engagement type or carry a
+// grade in brackets — "Internship Programme Coordinator" is staff.
+const TITLE_PATTERNS = [
+  [/[([]\s*(P|D|G|GS|NO|SB|SC)[\s-]?([1-9]\d?|[A-D])\s*[)\]]/, (m) => normalizeGrade(`${m[1]}-${m[2]}`)],
+  [/^\s*INTERN(SHIP)?(\s*[-–:(,|]|\s+(IN|AT|WITH|FOR)\b|\s*$)/, () => 'INTERNSHIP'],
+  [/^\s*(NATIONAL |INTERNATIONAL )?(UNV|UN VOLUNTEER)\b/, () => 'UNV'],
+  [/^\s*(NATIONAL |INTERNATIONAL )?CONSULT(ANT|ANCY)\b/, () => 'CONSULTANCY'],
+];
+
+const CONTRACT_PATTERNS = [
+  [/\bINTERN(SHIP)?\b/, 'internship'],
+  [/\bUNV\b|\bVOLUNTEER/, 'volunteer'],
+  [/\bTEMP(ORARY)?\b|\bTA\b|\bTJO\b/, 'temporary'],
+  [/\bCONSULT|\bINDIVIDUAL CONTRACT|\b[IL]?ICA\b|\bIC\b/, 'consultancy'],
+  [/\bSERVICE CONTRACT|\bSB[\s-]?\d|\bSC[\s-]?\d|\b[NI]?PSA\b/, 'service_contract'],
+  [/\bFIXED[\s-]?TERM\b|\bFTA?\b|\bCONTINUING\b|\bPERMANENT\b/, 'fixed_term'],
+];
+
+// Contract category implied by the grade alone, when the text says nothing
+const GRADE_CONTRACT = {
+  service_contract: 'service_contract',
+  consultancy: 'consultancy',
+  internship: 'internship',
+  volunteer: 'volunteer',
+};
+
+const firstMatch = (patterns, value) => {
+  for (const [pattern, toCode] of patterns) {
+    const match = value.match(pattern);
+    if (match) {
+      const code = toCode(match);
+      if (code) return code;
+    }
+  }
+  return null;
+};
+
+// Canonical grade for one raw value ("P-3", "p3", "GS-5", "NOB", ...)
+const normalizeGrade = (raw) => {
+  if (raw === null || raw === undefined) return null;
+  const value = String(raw).toUpperCase().replace(/_/g, ' ').trim();
+  if (!value) return null;
+  if (GRADE_CODES.has(value)) return value;
+  return firstMatch(GRADE_PATTERNS, value);
+};
+
+// Canonical contract category for one raw value, accepting the category
+// names themselves in any case/separator ("Fixed-term", "fixed_term")
+const normalizeContractCategory = (raw) => {
+  if (raw === null || raw === undefined) return null;
+  const value = String(raw).toUpperCase().trim();
+  if (!value) return null;
+  const asCategory = value.toLowerCase().replace(/[\s-]+/g, '_');
+  if (CONTRACT_CATEGORIES.includes(asCategory)) return asCategory;
+  for (const [pattern, category] of CONTRACT_PATTERNS) {
+    if (pattern.test(value)) return category;
+  }
+  return null;
+};
+
+const gradeGroup = (code) => {
+  const grade = CANONICAL_GRADES.find((g) => g.code === code);
+  return grade ? grade.group : null;
+};
+
+// { grade, contract_category } for a vacancy row with raw source values
+const normalizeJobGrade = (job) => {
+  const levelValues = [job.job_level, job.jl, job.recruitment_type];
+
+  let grade = null;
+  for (const value of levelValues) {
+    grade = normalizeGrade(value);
+    if (grade) break;
+  }
+  if (!grade && job.job_title) {
+    grade = firstMatch(TITLE_PATTERNS, String(job.job_title).toUpperCase());
+  }
+
+  const contract_category =
+    normalizeContractCategory(job.recruitment_type) ||
+    normalizeContractCategory([job.job_level, job.jl].filter(Boolean).join(' ')) ||
+    GRADE_CONTRACT[gradeGroup(grade)] ||
+    null;
+
+  return { grade, contract_category };
+};
+
+module.exports = {
+  CANONICAL_GRADES,
+  CONTRACT_CATEGORIES,
+  normalizeGrade,
+  normalizeContractCategory,
+  normalizeJobGrade,
+};
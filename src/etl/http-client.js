@@ -0,0 +1,330 @@
+const crypto = require("crypto");
+const { Pool } = require("pg");
+const { credentials } = require("./db");
+const { getRunContext } = require("./run-context");
+const { getFixtureMode } = require("./fixtures");
+
+/**
+ * Polite HTTP client for ETL connectors
+ *
+ * politeFetch(url, init, options) is a drop-in for fetch() — same
+ * arguments, resolves to a Response — that every connector uses so a
+ * source's servers see a well-behaved client:
+ *
+ *   per host    at most ETL_HTTP_HOST_CONCURRENCY requests in flight
+ *               (default 2) and ETL_HTTP_HOST_RPS requests per second
+ *               (default 2); HOST_LIMITS overrides both for known hosts
+ *   retries     network errors, timeouts, 429 and 5xx are retried with
+ *               backoff; a Retry-After pauses every request to that host
+ *   cache       with { cache: true } a GET is stored in http_cache and
+ *               revalidated next time with If-None-Match / If-Modified-Since;
+ *               a 304 is answered from the stored body. { cache: { maxAgeMs } }
+ *               also skips the request while the stored copy is that fresh.
+ *
+ * Options: retries (default 3), timeoutMs (per attempt, default 30000),
+ * cache. The current run's abort signal (run-context.js) cancels waits and
+ * requests when the source times out. Per-host counts are collected into
+ * the run context's httpStats, which the runner saves on the etl_status row.
+ *
+ * Fixture runs (ETL_FIXTURES) bypass the cache so every request reaches
+ * the recorder.
+ */
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.ETL_HTTP_HOST_CONCURRENCY, 10) || 2;
+const DEFAULT_RPS = parseFloat(process.env.ETL_HTTP_HOST_RPS) || 2;
+const CACHE_RETENTION_DAYS = parseInt(process.env.ETL_HTTP_CACHE_RETENTION_DAYS, 10) || 30;
+const MAX_RETRY_AFTER_MS = 2 * 60 * 1000; // longer than this and we give up instead
+const MAX_CACHED_BODY_CHARS = 2 * 1024 * 1024;
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Matched against the request's hostname and its parent domains
+const HOST_LIMITS = {
+  "api.reliefweb.int": { concurrency: 1, rps: 1 },
+  "myworkdayjobs.com": { concurrency: 2, rps: 1 },
+};
+
+const hosts = new Map(); // hostname -> { active, queue, nextSlotAt, pausedUntil }
+
+let cachePool = null;
+const getCachePool = () => {
+  if (!cachePool) {
+    cachePool = new Pool({ ...credentials, max: 2, idleTimeoutMillis: 10000, allowExitOnIdle: true });
+    cachePool.on("error", (error) => console.warn(`⚠️ HTTP cache connection error: ${error.message}`));
+  }
+  return cachePool;
+};
+
+const limitsFor = (hostname) => {
+  const parts = hostname.split(".");
+  for (let i = 0; i < parts.length - 1; i++) {
+    const limits = HOST_LIMITS[parts.slice(i).join(".")];
+    if (limits) return { concurrency: DEFAULT_CONCURRENCY, rps: DEFAULT_RPS, ...limits };
+  }
+  return { concurrency: DEFAULT_CONCURRENCY, rps: DEFAULT_RPS };
+};
+
+const hostState = (hostname) => {
+  if (!hosts.has(hostname)) {
+    hosts.set(hostname, { active: 0, queue: [], nextSlotAt: 0, pausedUntil: 0 });
+  }
+  return hosts.get(hostname);
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) return reject(signal.reason || new Error("Aborted"));
+  const timer = setTimeout(done, ms);
+  function done() {
+    if (signal) signal.removeEventListener("abort", onAbort);
+    resolve();
+  }
+  function onAbort() {
+    clearTimeout(timer);
+    reject(signal.reason || new Error("Aborted"));
+  }
+  if (signal) signal.addEventListener("abort", onAbort, { once: true });
+});
+
+// Wait for a concurrency slot, then for the host's next request slot
+const acquireHost = async (hostname, signal) => {
+  const state = hostState(hostname);
+  const { concurrency, rps } = limitsFor(hostname);
+
+  while (state.active >= concurrency) {
+    await new Promise((resolve) => state.queue.push(resolve));
+  }
+  state.active++;
+
+  try {
+    const now = Date.now();
+    const startAt = Math.max(now, state.nextSlotAt, state.pausedUntil);
+    state.nextSlotAt = startAt + 1000 / rps;
+    if (startAt > now) await sleep(startAt - now, signal);
+  } catch (error) {
+    releaseHost(hostname);
+    throw error;
+  }
+};
+
+const releaseHost = (hostname) => {
+  const state = hostState(hostname);
+  state.active--;
+  const next = state.queue.shift();
+  if (next) next();
+};
+
+// Signal for one attempt: aborts with the run's signal or after timeoutMs.
+// Built by hand because AbortSignal.any() needs Node 20.3 and the images
+// run Node 18. Call done() once the attempt settles to drop the timer and
+// listener.
+const attemptSignal = (signal, timeoutMs) => {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason || new Error("Aborted"));
+  const timer = setTimeout(() => {
+    controller.abort(new DOMException(`Request timed out after ${timeoutMs}ms`, "TimeoutError"));
+  }, timeoutMs);
+  if (signal) {
+    if (signal.aborted) onAbort();
+    else signal.addEventListener("abort", onAbort, { once: true });
+  }
+  return {
+    signal: controller.signal,
+    done: () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+    },
+  };
+};
+
+// Retry-After is seconds or an HTTP date; ms to wait, or null
+const retryAfterMs = (response) => {
+  const value = response.headers.get("retry-after");
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// — Stats —
+
+const recordStat = (hostname, field, amount = 1) => {
+  const { httpStats } = getRunContext();
+  if (!httpStats) return;
+  const stats = httpStats[hostname] || (httpStats[hostname] = {
+    requests: 0, errors: 0, retries: 0, throttled: 0, notModified: 0, cacheHits: 0, totalMs: 0,
+  });
+  stats[field] += amount;
+};
+
+// — Cache —
+
+const cacheKey = (url) => crypto.createHash("sha1").update(url).digest("hex");
+
+const readCache = async (url) => {
+  try {
+    const result = await getCachePool().query(`
+      SELECT etag, last_modified, status, headers, body, fetched_at
+      FROM http_cache WHERE url_hash = $1;
+    `, [cacheKey(url)]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.warn(`⚠️ HTTP cache read failed for ${url}: ${error.message}`);
+    return null;
+  }
+};
+
+const writeCache = async (url, hostname, { status, headers, body }) => {
+  if (body.length > MAX_CACHED_BODY_CHARS) return;
+  try {
+    await getCachePool().query(`
+      INSERT INTO http_cache (url_hash, url, host, etag, last_modified, status, headers, body, fetched_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+      ON CONFLICT (url_hash) DO UPDATE SET
+        etag = EXCLUDED.etag,
+        last_modified = EXCLUDED.last_modified,
+        status = EXCLUDED.status,
+        headers = EXCLUDED.headers,
+        body = EXCLUDED.body,
+        fetched_at = NOW();
+    `, [cacheKey(url), url, hostname, headers.etag || null, headers["last-modified"] || null, status, JSON.stringify(headers), body]);
+  } catch (error) {
+    console.warn(`⚠️ HTTP cache write failed for ${url}: ${error.message}`);
+  }
+};
+
+const touchCache = async (url) => {
+  await getCachePool()
+    .query(`UPDATE http_cache SET fetched_at = NOW() WHERE url_hash = $1;`, [cacheKey(url)])
+    .catch(() => {});
+};
+
+const cachedResponse = (entry, source) =>
+  new Response(entry.body, {
+    status: entry.status,
+    headers: { ...entry.headers, "x-etl-cache": source },
+  });
+
+// The body is stored decoded, so its transfer headers no longer apply
+const storableHeaders = (response) => {
+  const headers = Object.fromEntries(response.headers.entries());
+  delete headers["content-encoding"];
+  delete headers["content-length"];
+  delete headers["set-cookie"];
+  return headers;
+};
+
+// Delete cache entries not fetched within the retention window
+const pruneHttpCache = async (retentionDays = CACHE_RETENTION_DAYS) => {
+  const result = await getCachePool().query(`
+    DELETE FROM http_cache
+    WHERE fetched_at < NOW() - make_interval(days => $1);
+  `, [retentionDays]);
+
+  if (result.rowCount > 0) {
+    console.log(`🧺 Pruned ${result.rowCount} cached HTTP responses older than ${retentionDays} days`);
+  }
+  return result.rowCount;
+};
+
+// — Requests —
+
+const politeFetch = async (url, init = {}, { retries = 3, timeoutMs = 30000, cache = false } = {}) => {
+  const { hostname } = new URL(url);
+  const { signal: runSignal } = getRunContext();
+  const signal = init.signal || runSignal;
+  const method = (init.method || "GET").toUpperCase();
+  const useCache = Boolean(cache) && method === "GET" && !getFixtureMode();
+  const maxAgeMs = (cache && cache.maxAgeMs) || 0;
+
+  const cached = useCache ? await readCache(url) : null;
+  if (cached && maxAgeMs > 0 && Date.now() - new Date(cached.fetched_at).getTime() < maxAgeMs) {
+    recordStat(hostname, "cacheHits");
+    return cachedResponse(cached, "hit");
+  }
+
+  const headers = { ...init.headers };
+  if (cached && cached.etag) headers["If-None-Match"] = cached.etag;
+  if (cached && cached.last_modified) headers["If-Modified-Since"] = cached.last_modified;
+
+  for (let attempt = 1; ; attempt++) {
+    await acquireHost(hostname, signal);
+    const startedAt = Date.now();
+    let response = null;
+    let failure = null;
+    let requestSignal = null;
+    try {
+      requestSignal = attemptSignal(signal, timeoutMs);
+      response = await fetch(url, { ...init, headers, signal: requestSignal.signal });
+    } catch (error) {
+      failure = error;
+    } finally {
+      if (requestSignal) requestSignal.done();
+      recordStat(hostname, "requests");
+      recordStat(hostname, "totalMs", Date.now() - startedAt);
+      releaseHost(hostname);
+    }
+
+    if (failure) {
+      recordStat(hostname, "errors");
+      if (attempt >= retries || (signal && signal.aborted)) throw failure;
+      console.warn(`HTTP attempt ${attempt} failed for ${url}: ${failure.message}`);
+      recordStat(hostname, "retries");
+      await sleep(Math.pow(2, attempt) * 1000, signal);
+      continue;
+    }
+
+    if (response.status === 304 && cached) {
+      recordStat(hostname, "notModified");
+      await touchCache(url);
+      return cachedResponse(cached, "revalidated");
+    }
+
+    if (RETRYABLE_STATUSES.has(response.status)) {
+      recordStat(hostname, "errors");
+      const waitMs = retryAfterMs(response);
+      if (response.status === 429 || waitMs !== null) recordStat(hostname, "throttled");
+      if (attempt >= retries || (waitMs !== null && waitMs > MAX_RETRY_AFTER_MS)) return response;
+
+      const delayMs = waitMs !== null ? waitMs : Math.pow(2, attempt) * 1000;
+      if (waitMs !== null) {
+        // The host asked for a break: hold every request to it, not just this one
+        const state = hostState(hostname);
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + waitMs);
+        console.warn(`⏳ ${hostname} asked to retry after ${Math.round(waitMs / 1000)}s (HTTP ${response.status})`);
+      } else {
+        console.warn(`HTTP attempt ${attempt} failed for ${url}: HTTP ${response.status}`);
+      }
+      recordStat(hostname, "retries");
+      await response.body?.cancel().catch(() => {});
+      await sleep(delayMs, signal);
+      continue;
+    }
+
+    if (!response.ok) {
+      recordStat(hostname, "errors");
+      return response;
+    }
+
+    if (!useCache) return response;
+
+    const stored = { status: response.status, headers: storableHeaders(response), body: await response.text() };
+    await writeCache(url, hostname, stored);
+    return new Response(stored.body, { status: stored.status, headers: stored.headers });
+  }
+};
+
+// Parsed JSON of a successful response; throws on any other status
+const fetchJson = async (url, init = {}, options = {}) => {
+  const response = await politeFetch(url, init, options);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+};
+
+module.exports = {
+  HOST_LIMITS,
+  politeFetch,
+  fetchJson,
+  pruneHttpCache,
+};
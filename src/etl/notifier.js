@@ -0,0 +1,100 @@
+const axios = require("axios");
+const nodemailer = require("nodemailer");
+
+/**
+ * ETL alerts
+ *
+ * notifyAlert({ type, organization, runId, subject, message, details })
+ * hands an alert to every registered channel. Two are built in and switch
+ * on from the environment:
+ *
+ *   email    ETL_ALERT_EMAIL_TO, sent through the MONITOR_EMAIL_USER /
+ *            MONITOR_EMAIL_PASS Gmail account the job monitor uses
+ *   webhook  ETL_ALERT_WEBHOOK_URL, POSTed the alert as JSON (Slack and
+ *            Teams incoming webhooks read its `text`)
+ *
+ * Other channels plug in with registerNotifier(name, send), where
+ * send(alert) returns a promise. A failing channel is logged and never
+ * fails the ETL.
+ */
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const channels = new Map(); // name -> send(alert)
+
+const registerNotifier = (name, send) => {
+  channels.set(name, send);
+};
+
+const unregisterNotifier = (name) => channels.delete(name);
+
+const getNotifiers = () => [...channels.keys()];
+
+const alertText = (alert) => `${alert.subject}\n\n${alert.message}`;
+
+let transporter = null;
+const sendEmail = async (alert) => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      service: 'gmail',
+      auth: {
+        user: process.env.MONITOR_EMAIL_USER,
+        pass: process.env.MONITOR_EMAIL_PASS
+      }
+    });
+  }
+
+  const details = alert.details
+    ? `<pre>${JSON.stringify(alert.details, null, 2).replace(/</g, '&lt;')}</pre>`
+    : '';
+  await transporter.sendMail({
+    from: process.env.MONITOR_EMAIL_USER,
+    to: process.env.ETL_ALERT_EMAIL_TO,
+    subject: `[UNJobZone ETL] ${alert.subject}`,
+    text: alertText(alert),
+    html: `<p>${alert.message.replace(/</g, '&lt;').replace(/\n/g, '<br>')}</p>${details}`
+  });
+};
+
+const sendWebhook = async (alert) => {
+  await axios.post(process.env.ETL_ALERT_WEBHOOK_URL, {
+    text: alertText(alert),
+    ...alert
+  }, { timeout: WEBHOOK_TIMEOUT_MS });
+};
+
+if (process.env.ETL_ALERT_EMAIL_TO && process.env.MONITOR_EMAIL_USER && process.env.MONITOR_EMAIL_PASS) {
+  registerNotifier('email', sendEmail);
+}
+if (process.env.ETL_ALERT_WEBHOOK_URL) {
+  registerNotifier('webhook', sendWebhook);
+}
+
+// Send to every channel; resolves to the names that delivered
+const notifyAlert = async (alert) => {
+  const payload = { createdAt: new Date().toISOString(), ...alert };
+  if (channels.size === 0) {
+    console.log(`🔕 No ETL alert channels configured — ${alert.subject}`);
+    return [];
+  }
+
+  const names = [...channels.keys()];
+  const results = await Promise.allSettled(names.map((name) => channels.get(name)(payload)));
+  const delivered = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      delivered.push(names[index]);
+    } else {
+      console.warn(`⚠️ ETL alert via ${names[index]} failed: ${result.reason && result.reason.message}`);
+    }
+  });
+  if (delivered.length > 0) console.log(`🚨 ETL alert sent via ${delivered.join(', ')}: ${alert.subject}`);
+  return delivered;
+};
+
+module.exports = {
+  registerNotifier,
+  unregisterNotifier,
+  getNotifiers,
+  notifyAlert,
+};
@@ -0,0 +1,262 @@
+const { Client } = require("pg");
+const { credentials } = require("./db");
+
+/**
+ * Organization matching
+ *
+ * Maps a source's dept string ("UNDP", "United Nations Children's Fund
+ * (UNICEF)", "UN Women") to an organization id by exact match after
+ * normalization — case, accents, punctuation, "&" vs "and" and a leading
+ * "The" don't matter, but a substring never matches. Candidates are the
+ * organization's code, short_name, name and long_name plus every row of
+ * organization_alias; an alias wins over a column, and among columns the
+ * lowest organization id wins, so the same dept always lands on the same
+ * organization.
+ *
+ * The lookup is loaded once and reused for LOOKUP_TTL_MS, so an ETL run
+ * costs one query rather than one connection per vacancy. Dept strings
+ * that match nothing fall back to DEFAULT_ORGANIZATION_ID ("UN") and are
+ * counted in organization_unmatched — GET /api/v1/etl/organizations/unmatched
+ * lists them and POST /api/v1/etl/organizations/aliases maps one.
+ */
+
+const DEFAULT_ORGANIZATION_ID = 128; // "UN"
+const LOOKUP_TTL_MS = 10 * 60 * 1000;
+const ORGANIZATION_COLUMNS = ["code", "short_name", "name", "long_name"];
+
+let lookup = null; // Promise<Map<normalized name, organization id>>
+let loadedAt = 0;
+const unmatched = new Map(); // normalized name -> { dept, occurrences }
+
+const normalizeOrganizationName = (value) =>
+  String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/['’`]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .replace(/^the /, "");
+
+// "United Nations Children's Fund (UNICEF)" is tried as a whole, then
+// without the parenthetical, then as "UNICEF"
+const nameCandidates = (dept) => {
+  const raw = String(dept || "");
+  const inner = [...raw.matchAll(/\(([^)]+)\)/g)].map((m) => m[1]);
+  const outer = raw.replace(/\([^)]*\)/g, " ");
+  return [...new Set([raw, outer, ...inner].map(normalizeOrganizationName).filter(Boolean))];
+};
+
+const loadLookup = async () => {
+  const client = new Client(credentials);
+  await client.connect();
+  try {
+    const [organizations, aliases] = await Promise.all([
+      client.query(`SELECT id, ${ORGANIZATION_COLUMNS.join(", ")} FROM organization ORDER BY id;`),
+      client.query(`SELECT alias, organization_id FROM organization_alias ORDER BY id;`),
+    ]);
+
+    const names = new Map();
+    aliases.rows.forEach((row) => {
+      const key = normalizeOrganizationName(row.alias);
+      if (key && !names.has(key)) names.set(key, row.organization_id);
+    });
+    ORGANIZATION_COLUMNS.forEach((column) => {
+      organizations.rows.forEach((row) => {
+        const key = normalizeOrganizationName(row[column]);
+        if (key && !names.has(key)) names.set(key, row.id);
+      });
+    });
+    return names;
+  } finally {
+    await client.end();
+  }
+};
+
+const getLookup = () => {
+  if (!lookup || Date.now() - loadedAt > LOOKUP_TTL_MS) {
+    loadedAt = Date.now();
+    lookup = loadLookup().catch((error) => {
+      lookup = null; // retry on the next call instead of caching the failure
+      throw error;
+    });
+  }
+  return lookup;
+};
+
+// Drop the cached lookup so the next match sees new organizations/aliases
+const resetOrganizationLookup = () => {
+  lookup = null;
+};
+
+const recordUnmatched = (dept) => {
+  const key = normalizeOrganizationName(dept);
+  const entry = unmatched.get(key) || { dept: String(dept).trim().slice(0, 255), occurrences: 0 };
+  entry.occurrences++;
+  unmatched.set(key, entry);
+};
+
+async function getOrganizationId(dept) {
+  const candidates = nameCandidates(dept);
+  if (candidates.length === 0) return DEFAULT_ORGANIZATION_ID;
+
+  try {
+    const names = await getLookup();
+    const match = candidates.find((name) => names.has(name));
+    if (match) return names.get(match);
+
+    recordUnmatched(dept);
+    return DEFAULT_ORGANIZATION_ID;
+  } catch (error) {
+    console.error('Error loading organization lookup:', error.message);
+    return DEFAULT_ORGANIZATION_ID; // return default id in case of error
+  }
+}
+
+// Persist the dept strings that fell back to the default since the last
+// flush. Called by the runner after each source; never throws.
+const flushUnmatchedOrganizations = async () => {
+  if (unmatched.size === 0) return 0;
+  const entries = [...unmatched.entries()];
+  unmatched.clear();
+
+  const client = new Client(credentials);
+  try {
+    await client.connect();
+    for (const [normalizedName, { dept, occurrences }] of entries) {
+      await client.query(`
+        INSERT INTO organization_unmatched (normalized_name, dept, occurrences)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (normalized_name) DO UPDATE SET
+          dept = EXCLUDED.dept,
+          occurrences = organization_unmatched.occurrences + EXCLUDED.occurrences,
+          last_seen_at = NOW();
+      `, [normalizedName.slice(0, 255), dept, occurrences]);
+    }
+    console.log(`🏷️  ${entries.length} unmatched organization names recorded (see /api/v1/etl/organizations/unmatched)`);
+    return entries.length;
+  } catch (error) {
+    console.warn(`⚠️  Failed to record unmatched organization names: ${error.message}`);
+    return 0;
+  } finally {
+    await client.end().catch(() => {});
+  }
+};
+
+// Unmatched dept strings, most frequent first, with how many open
+// vacancies currently carry each one
+const getUnmatchedOrganizations = async ({ limit = 100 } = {}) => {
+  const client = new Client(credentials);
+  await client.connect();
+  try {
+    const result = await client.query(`
+      SELECT normalized_name, dept, occurrences, first_seen_at, last_seen_at
+      FROM organization_unmatched
+      ORDER BY occurrences DESC, last_seen_at DESC
+      LIMIT $1;
+    `, [limit]);
+    if (result.rows.length === 0) return [];
+
+    // Open vacancies still on the default, counted per normalized dept
+    const vacancies = await client.query(`
+      SELECT dept, COUNT(*) AS total
+      FROM job_vacancies
+      WHERE organization_id = $1 AND status = 'open'
+      GROUP BY dept;
+    `, [DEFAULT_ORGANIZATION_ID]);
+    const openByName = new Map();
+    vacancies.rows.forEach((row) => {
+      const key = normalizeOrganizationName(row.dept);
+      openByName.set(key, (openByName.get(key) || 0) + parseInt(row.total, 10));
+    });
+
+    return result.rows.map((row) => ({
+      ...row,
+      openVacancies: openByName.get(row.normalized_name) || 0,
+    }));
+  } finally {
+    await client.end();
+  }
+};
+
+// Map `alias` to an organization, and move the vacancies that fell back to
+// the default under that dept onto it. Throws with `code` set:
+// ORG_NOT_FOUND, INVALID_ALIAS, or Postgres' 23505 for a known alias.
+const addOrganizationAlias = async (alias, organizationId) => {
+  const normalizedName = normalizeOrganizationName(alias);
+  if (!normalizedName) {
+    throw Object.assign(new Error('Alias is empty once normalized'), { code: 'INVALID_ALIAS' });
+  }
+
+  const client = new Client(credentials);
+  await client.connect();
+  try {
+    const organization = await client.query(`SELECT id, name FROM organization WHERE id = $1;`, [organizationId]);
+    if (organization.rows.length === 0) {
+      throw Object.assign(new Error(`Unknown organization id: ${organizationId}`), { code: 'ORG_NOT_FOUND' });
+    }
+
+    await client.query('BEGIN');
+    await client.query(`
+      INSERT INTO organization_alias (alias, normalized_name, organization_id)
+      VALUES ($1, $2, $3);
+    `, [String(alias).trim(), normalizedName, organizationId]);
+
+    // Same normalization as matching, so done here rather than in SQL.
+    // Rows whose job already exists under the target are left for the
+    // duplicate cleanup rather than violating the unique key.
+    const depts = await client.query(`
+      SELECT DISTINCT dept FROM job_vacancies WHERE organization_id = $1;
+    `, [DEFAULT_ORGANIZATION_ID]);
+    const matching = depts.rows
+      .map((row) => row.dept)
+      .filter((dept) => nameCandidates(dept).includes(normalizedName));
+
+    let reattributed = 0;
+    if (matching.length > 0) {
+      const moved = await client.query(`
+        UPDATE job_vacancies jv
+        SET organization_id = $1, updated_at = NOW()
+        WHERE jv.organization_id = $2 AND jv.dept = ANY($3::text[])
+          AND NOT EXISTS (
+            SELECT 1 FROM job_vacancies other
+            WHERE other.job_id = jv.job_id AND other.data_source = jv.data_source
+              AND other.organization_id = $1
+          );
+      `, [organizationId, DEFAULT_ORGANIZATION_ID, matching]);
+      reattributed = moved.rowCount;
+    }
+
+    const reported = await client.query(`SELECT normalized_name, dept FROM organization_unmatched;`);
+    const resolved = reported.rows
+      .filter((row) => nameCandidates(row.dept).includes(normalizedName))
+      .map((row) => row.normalized_name);
+    await client.query(`DELETE FROM organization_unmatched WHERE normalized_name = ANY($1::text[]);`, [resolved]);
+    await client.query('COMMIT');
+    resetOrganizationLookup();
+
+    return {
+      alias: String(alias).trim(),
+      normalizedName,
+      organizationId: organization.rows[0].id,
+      organizationName: organization.rows[0].name,
+      reattributed,
+    };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    await client.end();
+  }
+};
+
+module.exports = {
+  DEFAULT_ORGANIZATION_ID,
+  normalizeOrganizationName,
+  getOrganizationId,
+  resetOrganizationLookup,
+  flushUnmatchedOrganizations,
+  getUnmatchedOrganizations,
+  addOrganizationAlias,
+};
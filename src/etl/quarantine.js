@@ -0,0 +1,82 @@
+const { Client } = require("pg");
+const { credentials } = require("./db");
+const { getRunContext } = require("./run-context");
+
+/**
+ * Quarantine for jobs that failed validation
+ *
+ * upsertJobVacancy() runs every vacancy through validateJobRecord()
+ * (validation.js). Rejected jobs are not stored; suspicious ones are
+ * stored as usual. Both are written here with their issues, the mapped
+ * row and the raw source payload, tagged with the current run (see
+ * run-context.js), so GET /api/v1/etl/quarantine shows what the ETL
+ * dropped or doubted and why. A suspicious job is written when it is new
+ * or its content changed, not again on every unchanged sighting. Rows older than ETL_QUARANTINE_RETENTION_DAYS
+ * (default 30) are pruned after each full run.
+ */
+
+const QUARANTINE_SEVERITIES = ["rejected", "suspicious"];
+const RETENTION_DAYS = parseInt(process.env.ETL_QUARANTINE_RETENTION_DAYS, 10) || 30;
+
+// Dates and such survive JSON; anything unserializable is dropped
+const toJson = (value) => {
+  if (value === undefined || value === null) return null;
+  try {
+    return JSON.stringify(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Record one job. Uses the caller's client (the upsert's connection);
+// a failure here is logged and never fails the upsert.
+const quarantineJob = async (client, { severity, issues, jobData, payload, organizationName }) => {
+  const { runId = null, organization = null } = getRunContext();
+  try {
+    await client.query(`
+      INSERT INTO etl_quarantine
+        (run_id, organization, data_source, job_id, job_title, severity, reason, issues, job_data, payload)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10);
+    `, [
+      runId,
+      organization || organizationName || null,
+      jobData.data_source ? String(jobData.data_source).slice(0, 50) : null,
+      jobData.job_id !== undefined && jobData.job_id !== null ? String(jobData.job_id).slice(0, 255) : null,
+      jobData.job_title ? String(jobData.job_title).slice(0, 500) : null,
+      severity,
+      issues.map((issue) => issue.message).join('; '),
+      JSON.stringify(issues),
+      toJson(jobData),
+      toJson(payload === undefined ? null : payload),
+    ]);
+    return true;
+  } catch (error) {
+    console.warn(`⚠️ ${organizationName || organization}: Could not quarantine job ${jobData.job_id}: ${error.message}`);
+    return false;
+  }
+};
+
+// Delete quarantine rows past the retention window
+const pruneQuarantine = async (retentionDays = RETENTION_DAYS) => {
+  const client = new Client(credentials);
+  try {
+    await client.connect();
+    const result = await client.query(`
+      DELETE FROM etl_quarantine
+      WHERE created_at < NOW() - make_interval(days => $1);
+    `, [retentionDays]);
+
+    if (result.rowCount > 0) {
+      console.log(`🧯 Pruned ${result.rowCount} quarantined jobs older than ${retentionDays} days`);
+    }
+    return result.rowCount;
+  } finally {
+    await client.end();
+  }
+};
+
+module.exports = {
+  QUARANTINE_SEVERITIES,
+  quarantineJob,
+  pruneQuarantine,
+};
@@ -0,0 +1,129 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * ETL source registry
+ *
+ * Every src/etl/etl-*.js file that ingests vacancies exports a `source`
+ * descriptor next to its fetch function:
+ *
+ *   const source = {
+ *     name: 'IMF',          // organization name used in etl_status and locks
+ *     dataSource: 'imf',    // value written to job_vacancies.data_source
+ *     schedule: 'full',     // 'full' = part of runEtl(), or a cron expression
+ *     strategy: 'api',      // 'api' | 'puppeteer'
+ *     enabled: true,        // false keeps the file on disk but out of every run
+ *     timeoutMinutes: 30,   // optional hard limit, see getTimeoutMinutes()
+ *     run: fetchAndProcessImfJobVacancies,
+ *     transform: toJobData, // optional, payload snapshot -> job row (see snapshots.js)
+ *   };
+ *
+ * A connector serving several agencies (etl-oracle-hcm.js, etl-workday.js) exports a
+ * `sources` array of the same descriptors instead.
+ *
+ * The registry discovers those files on first use, so adding an agency is
+ * a matter of dropping in a new etl-*.js — runEtl(), the /etl endpoints and
+ * run-etl.js all read from here.
+ */
+
+const STRATEGIES = ['api', 'puppeteer'];
+const FULL_RUN = 'full';
+
+// Default hard timeout per strategy. Both stay under the 2 h after which
+// cleanupStaleRunningStatuses() would give up on a 'running' row anyway.
+const DEFAULT_TIMEOUT_MINUTES = { api: 30, puppeteer: 90 };
+
+let sources = null;
+
+const validateSource = (source, file) => {
+  const problems = [];
+  if (!source.name || typeof source.name !== 'string') problems.push('name');
+  if (!source.dataSource || typeof source.dataSource !== 'string') problems.push('dataSource');
+  if (!source.schedule || typeof source.schedule !== 'string') problems.push('schedule');
+  if (!STRATEGIES.includes(source.strategy)) problems.push('strategy');
+  if (typeof source.enabled !== 'boolean') problems.push('enabled');
+  if (typeof source.run !== 'function') problems.push('run');
+  if (source.timeoutMinutes !== undefined && !(source.timeoutMinutes > 0)) problems.push('timeoutMinutes');
+  if (source.transform !== undefined && typeof source.transform !== 'function') problems.push('transform');
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ETL source in ${file}: bad or missing ${problems.join(', ')}`);
+  }
+};
+
+const loadSources = () => {
+  const files = fs.readdirSync(__dirname)
+    .filter((file) => /^etl-.+\.js$/.test(file))
+    .sort();
+
+  const loaded = [];
+  for (const file of files) {
+    const { source, sources: fileSources } = require(path.join(__dirname, file));
+    // helpers like etl-org.js / etl-blog.js export neither
+    const descriptors = fileSources || (source ? [source] : []);
+
+    for (const descriptor of descriptors) {
+      validateSource(descriptor, file);
+      const name = descriptor.name.toUpperCase();
+      if (loaded.some((s) => s.name === name)) {
+        throw new Error(`Duplicate ETL source name ${name} in ${file}`);
+      }
+      loaded.push({ ...descriptor, name, file });
+    }
+  }
+
+  // API sources first: they're quick, so fresh data lands before the slow
+  // Puppeteer scrapers start.
+  return loaded.sort((a, b) =>
+    STRATEGIES.indexOf(a.strategy) - STRATEGIES.indexOf(b.strategy) ||
+    a.name.localeCompare(b.name)
+  );
+};
+
+// All registered sources, including disabled ones
+const getSources = () => {
+  if (!sources) sources = loadSources();
+  return sources;
+};
+
+// Case-insensitive lookup by organization name
+const getSource = (name) => {
+  if (!name) return null;
+  const upper = name.toUpperCase();
+  return getSources().find((source) => source.name === upper) || null;
+};
+
+// Enabled sources that run as part of the full runEtl() sequence
+const getFullRunSources = () =>
+  getSources().filter((source) => source.enabled && source.schedule === FULL_RUN);
+
+// Enabled sources with their own cron schedule (e.g. ReliefWeb)
+const getScheduledSources = () =>
+  getSources().filter((source) => source.enabled && source.schedule !== FULL_RUN);
+
+// Hard timeout for one run of a source: its own timeoutMinutes, else
+// ETL_SOURCE_TIMEOUT_MINUTES, else the strategy default.
+const getTimeoutMinutes = (source) =>
+  source.timeoutMinutes ||
+  parseInt(process.env.ETL_SOURCE_TIMEOUT_MINUTES, 10) ||
+  DEFAULT_TIMEOUT_MINUTES[source.strategy];
+
+// Plain-data view of a source for API responses
+const describeSource = (source) => ({
+  name: source.name,
+  dataSource: source.dataSource,
+  schedule: source.schedule,
+  strategy: source.strategy,
+  enabled: source.enabled,
+  timeoutMinutes: getTimeoutMinutes(source),
+});
+
+module.exports = {
+  FULL_RUN,
+  getSources,
+  getSource,
+  getFullRunSources,
+  getScheduledSources,
+  getTimeoutMinutes,
+  describeSource,
+};
@@ -0,0 +1,22 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+/**
+ * The ETL run a piece of code is executing in
+ *
+ * runOrganizationEtl() runs each source inside withRunContext({ runId,
+ * organization, dataSource }), so code deep inside a connector (the
+ * upsert, the quarantine) can tag what it writes with the run without
+ * every connector passing the id along. Outside a run — tests, ad-hoc
+ * scripts — getRunContext() returns an empty object.
+ */
+
+const runs = new AsyncLocalStorage();
+
+const withRunContext = (context, fn) => runs.run({ ...context }, fn);
+
+const getRunContext = () => runs.getStore() || {};
+
+module.exports = {
+  withRunContext,
+  getRunContext,
+};
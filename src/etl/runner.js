@@ -0,0 +1,641 @@
+require("dotenv").config();
+
+const { v4: uuidv4 } = require("uuid");
+
+const { FULL_RUN, getSource, getFullRunSources, getTimeoutMinutes } = require("./registry");
+const { createLimiter, runWithTimeout, ETLTimeoutError } = require("./scheduler");
+const { withFixtures } = require("./fixtures");
+const { createSnapshotWriter, getLatestSnapshotRunId, reprocessSnapshots, pruneSnapshots } = require("./snapshots");
+const { flushUnmatchedOrganizations } = require("./organizations");
+const { withRunContext } = require("./run-context");
+const { pruneQuarantine } = require("./quarantine");
+const { detectDrift } = require("./drift");
+const { notifyAlert } = require("./notifier");
+const { pruneHttpCache } = require("./http-client");
+const { pruneArchive } = require("./archive");
+const { refreshAnalyticsRollups } = require("./analytics");
+
+const {
+  logETLStatus,
+  updateETLProgress,
+  getJobCount,
+  getDatabaseTime,
+  getJobChangeCounts,
+  closeDisappearedJobs,
+  cleanupStaleRunningStatuses,
+  cleanupExpiredAndDuplicateJobs,
+  acquireETLLock,
+  releaseETLLock,
+} = require("./shared");
+
+// API sources run side by side up to this limit; Puppeteer scrapes always
+// run one at a time (each browser is a few hundred MB).
+const API_CONCURRENCY = parseInt(process.env.ETL_CONCURRENCY, 10) || 3;
+
+// Cleanup deletes across every organization's rows, so concurrent sources
+// must not run it on top of each other.
+const cleanupLane = createLimiter(1);
+
+const clearJobCache = async (name) => {
+  try {
+    const redisClient = require('../redisClient');
+    const cacheKeys = await redisClient.keys('jobs:*');
+
+    if (cacheKeys.length > 0) {
+      await redisClient.del(cacheKeys);
+      console.log(`🔄 ${name}: Cleared ${cacheKeys.length} cached job entries from Redis`);
+    }
+  } catch (redisError) {
+    console.warn(`⚠️  ${name}: Could not clear Redis cache: ${redisError.message}`);
+  }
+};
+
+// Rebuild the analytics rollups and drop the analytics responses cached
+// from the previous ones. Never throws: stale analytics beat a failed run.
+const refreshAnalytics = async () => {
+  try {
+    await refreshAnalyticsRollups();
+    const cache = require('../util/cache');
+    await cache.delByPrefix('analytics:*');
+  } catch (refreshError) {
+    console.warn("⚠️ Failed to refresh analytics rollups:", refreshError.message);
+  }
+};
+
+// Run one registered source end-to-end: lock → 'running' status → fetch
+// (with a hard timeout) → drift check → 'success'/'degraded'/'failed'
+// status → unlock → cache flush + cleanup (skipped when degraded). A source
+// that times out is reported failed right away but keeps its lock until it
+// really stops. Never throws; the outcome says what happened so callers can
+// aggregate. `concurrent` lets other organizations run at the same time.
+const runOrganizationEtl = async (source, { runId = null, concurrent = false } = {}) => {
+  const { name, dataSource, run } = source;
+  const startTime = new Date();
+  let statusLogged = false;
+  // Ad-hoc runs get their own id so their payload snapshots can be reprocessed
+  runId = runId || uuidv4();
+  let flushRunOutputs = async () => {};
+  let timedOut = null;
+
+  // A timed-out source may still be upserting: keep its lock, and flush
+  // what it wrote, until it actually stops
+  const releaseLock = async () => {
+    if (!timedOut) return releaseETLLock(name, { runId });
+    console.warn(`⏳ ${name}: Holding the lock until the timed-out run stops`);
+    timedOut.settled
+      .then(flushRunOutputs)
+      .catch((flushError) => console.warn(`⚠️  ${name}: Flushing the timed-out run failed: ${flushError.message}`))
+      .finally(() => releaseETLLock(name, { runId }));
+    return true;
+  };
+
+  try {
+    console.log(`\n🏢 Processing ${name}...`);
+
+    // Acquire ETL lock so the same organization never runs twice (and, unless
+    // concurrent, nothing else runs alongside it)
+    const lockResult = await acquireETLLock(name, { allowConcurrent: concurrent, runId });
+    if (!lockResult.acquired) {
+      console.log(`⏳ Skipping ${name}: ${lockResult.reason}`);
+      return { name, success: false, skipped: true, error: lockResult.reason };
+    }
+
+    // Log start status
+    await logETLStatus(name, 'running', {
+      runId,
+      startTime,
+      processedCount: 0,
+      successCount: 0,
+      errorCount: 0
+    });
+    await updateETLProgress(name, 5, 'Fetching vacancies from source');
+
+    // Cut-off for this run's inserted/updated/unchanged/disappeared counts
+    const changesSince = await getDatabaseTime();
+    // Filled per host by http-client.js while the source runs
+    const httpStats = {};
+
+    // Call ETL function directly (they now return proper status)
+    let result = { success: false, error: 'Unknown error' };
+
+    try {
+      const timeoutMinutes = getTimeoutMinutes(source);
+      const snapshots = createSnapshotWriter({ organization: name, dataSource, runId });
+      flushRunOutputs = async () => {
+        const stored = await snapshots.flush();
+        if (stored > 0) console.log(`🗄️  ${name}: Stored ${stored} payload snapshots for run ${runId}`);
+        await flushUnmatchedOrganizations();
+        Object.entries(httpStats).forEach(([host, stats]) => {
+          console.log(`🌐 ${name} → ${host}: ${stats.requests} requests, ${stats.errors} errors, ${stats.retries} retries, ${stats.notModified} not modified`);
+        });
+      };
+      try {
+        result = await runWithTimeout(
+          (signal) => withRunContext(
+            { runId, organization: name, dataSource, signal, httpStats },
+            () => withFixtures(name, () => run({ signal, snapshots }))
+          ),
+          timeoutMinutes * 60 * 1000,
+          name
+        );
+      } catch (runError) {
+        if (runError instanceof ETLTimeoutError) timedOut = runError;
+        throw runError;
+      } finally {
+        if (!timedOut) await flushRunOutputs();
+      }
+
+      // Ensure result has required properties
+      if (!result || typeof result !== 'object') {
+        console.warn(`⚠️ ${name} ETL function returned invalid result format, treating as success`);
+        result = {
+          success: true,
+          processedCount: 0,
+          successCount: 0,
+          errorCount: 0
+        };
+      }
+
+      // Provide defaults for missing properties
+      result.processedCount = result.processedCount || 0;
+      result.successCount = result.successCount || 0;
+      result.errorCount = result.errorCount || 0;
+
+      if (result.success) {
+        console.log(`✅ ${name} ETL completed: ${result.successCount} jobs saved, ${result.errorCount} errors`);
+      } else {
+        console.error(`❌ ${name} ETL failed: ${result.error}`);
+      }
+
+    } catch (error) {
+      if (error instanceof ETLTimeoutError) {
+        console.error(`⏱️ ${error.message} — marking as failed`);
+      } else {
+        console.error(`❌ ${name} ETL function threw unhandled error:`, error.message);
+      }
+      // Counts are per job, and none were processed: etl_status rejects
+      // more errors than processed jobs (valid_counts)
+      result = {
+        success: false,
+        error: error.message,
+        processedCount: 0,
+        successCount: 0,
+        errorCount: 0
+      };
+    }
+
+    await updateETLProgress(name, 90, 'Recording results');
+
+    const endTime = new Date();
+    const durationSeconds = Math.round((endTime - startTime) / 1000);
+    const jobsInDb = await getJobCount(name, dataSource);
+    const changes = await getJobChangeCounts(dataSource, changesSince);
+
+    // 📉 A redesigned site "succeeds" with few or half-empty jobs; compare
+    // the run with the source's recent ones before trusting it
+    let drift = null;
+    if (result.success) {
+      try {
+        drift = await detectDrift({
+          organizationName: name,
+          dataSource,
+          runId,
+          successCount: result.successCount,
+          since: changesSince
+        });
+      } catch (driftError) {
+        console.warn(`⚠️  ${name}: Drift check failed: ${driftError.message}`);
+      }
+    }
+    const degraded = Boolean(drift && drift.degraded);
+
+    // A failed or degraded run didn't see the whole listing, so "not seen" means nothing
+    if (!result.success || degraded) changes.disappearedCount = 0;
+
+    console.log(`🔁 ${name} changes: ${changes.insertedCount} new, ${changes.updatedCount} updated, ${changes.unchangedCount} unchanged, ${changes.disappearedCount} disappeared`);
+
+    let status = result.success ? 'success' : 'failed';
+    let errorMessage = result.success ? null : result.error;
+    if (degraded) {
+      status = 'degraded';
+      errorMessage = `Drift detected: ${drift.reasons.join('; ')}`;
+    }
+
+    await logETLStatus(name, status, {
+      runId,
+      startTime,
+      endTime,
+      durationSeconds,
+      processedCount: result.processedCount,
+      successCount: result.successCount,
+      errorCount: result.errorCount,
+      errorMessage,
+      jobsInDb,
+      fillRates: drift ? drift.fillRates : null,
+      driftReasons: degraded ? drift.reasons : null,
+      httpStats,
+      ...changes
+    });
+    statusLogged = true;
+
+    // Release ETL lock
+    await releaseLock();
+
+    if (!result.success) {
+      return { name, success: false, error: result.error };
+    }
+
+    if (degraded) {
+      console.warn(`📉 ${name}: ${errorMessage} — skipping cleanup for this run`);
+      await notifyAlert({
+        type: 'etl_drift',
+        organization: name,
+        dataSource,
+        runId,
+        subject: `${name} ETL degraded`,
+        message: `The ${name} run ${runId} looks broken, so its cleanup was skipped:\n- ${drift.reasons.join('\n- ')}`,
+        details: {
+          successCount: result.successCount,
+          fillRates: drift.fillRates,
+          baseline: drift.baseline
+        }
+      });
+
+      // The jobs it did save are still new data
+      await clearJobCache(name);
+      return { name, success: true, degraded: true, driftReasons: drift.reasons, processedCount: result.processedCount, changes };
+    }
+
+    // 🚪 Soft-close vacancies the source stopped listing (withdrawn early)
+    try {
+      await closeDisappearedJobs(dataSource, changesSince);
+    } catch (closeError) {
+      console.warn(`⚠️  ${name}: Closing disappeared jobs failed: ${closeError.message}`);
+    }
+
+    // 🔄 Clear Redis cache after successful ETL
+    await clearJobCache(name);
+
+    // 🧹 Database cleanup after each organization's ETL
+    console.log(`🧹 ${name}: Running database cleanup (expired jobs + duplicates)...`);
+    try {
+      const cleanupStats = await cleanupLane(() => cleanupExpiredAndDuplicateJobs());
+      const totalDeleted = (cleanupStats.deletedExpiredJobs || 0) + (cleanupStats.deletedDuplicateJobs || 0);
+
+      if (totalDeleted > 0) {
+        console.log(`🗑️  ${name}: Cleanup completed - ${totalDeleted} jobs archived (${cleanupStats.deletedExpiredJobs || 0} expired, ${cleanupStats.deletedDuplicateJobs || 0} duplicates)`);
+      } else {
+        console.log(`✅ ${name}: Database is clean - no expired or duplicate jobs found`);
+      }
+    } catch (cleanupError) {
+      console.warn(`⚠️  ${name}: Database cleanup failed: ${cleanupError.message}`);
+      // Don't fail the entire ETL process if cleanup fails
+    }
+
+    return { name, success: true, processedCount: result.processedCount, changes };
+
+  } catch (error) {
+    const endTime = new Date();
+    const durationSeconds = Math.round((endTime - startTime) / 1000);
+
+    console.error(`❌ Critical error processing ${name}:`, error.message);
+
+    // Ensure status is logged even if there was a critical error
+    if (!statusLogged) {
+      try {
+        const jobsInDb = await getJobCount(name, dataSource);
+
+        await logETLStatus(name, 'failed', {
+          runId,
+          startTime,
+          endTime,
+          durationSeconds,
+          errorMessage: `Critical error: ${error.message}`,
+          jobsInDb
+        });
+      } catch (statusError) {
+        console.error(`❌ Failed to log status for ${name}:`, statusError.message);
+      }
+    }
+
+    // Still try to release lock even if status logging failed
+    try {
+      await releaseLock();
+    } catch (lockError) {
+      console.error(`❌ Failed to release lock for ${name}:`, lockError.message);
+    }
+
+    return { name, success: false, error: error.message };
+  }
+};
+
+// Set while a full runEtl() is in flight (cron or manual trigger) so a
+// second full run can't be started on top of it.
+let fullRunInProgress = false;
+
+const isFullRunInProgress = () => fullRunInProgress;
+
+const runEtl = async ({ runId = null } = {}) => {
+  console.log("🚀 Starting complete ETL process...", new Date());
+
+  if (fullRunInProgress) {
+    console.log("⏳ Skipping full ETL: another full run is still in progress");
+    return { successful: [], failed: [], degraded: [], totalProcessed: 0, totalErrors: 0, skipped: true };
+  }
+  fullRunInProgress = true;
+
+  const etlResults = {
+    successful: [],
+    failed: [],
+    totalProcessed: 0,
+    totalErrors: 0,
+    degraded: [],
+    changes: { inserted: 0, updated: 0, unchanged: 0, disappeared: 0 }
+  };
+
+  try {
+    // 🧹 Clean up any stale 'running' statuses before starting new ETL
+    try {
+      console.log("🧹 Cleaning up stale 'running' statuses...");
+      const cleanedCount = await cleanupStaleRunningStatuses();
+      if (cleanedCount > 0) {
+        console.log(`✅ Cleaned up ${cleanedCount} stale 'running' statuses`);
+      } else {
+        console.log("✅ No stale 'running' statuses found");
+      }
+    } catch (cleanupError) {
+      console.warn("⚠️ Failed to cleanup stale statuses:", cleanupError.message);
+    }
+
+    // API sources share one lane, Puppeteer scrapes another; both lanes run
+    // at the same time so a slow scrape doesn't hold up the API sources.
+    const apiLane = createLimiter(API_CONCURRENCY);
+    const browserLane = createLimiter(1);
+    const sources = getFullRunSources();
+
+    console.log(`⚙️  Running ${sources.length} sources (API concurrency ${API_CONCURRENCY}, Puppeteer serialized)`);
+
+    const outcomes = await Promise.all(sources.map((source) => {
+      const lane = source.strategy === 'puppeteer' ? browserLane : apiLane;
+      return lane(() => runOrganizationEtl(source, { runId, concurrent: true }));
+    }));
+
+    for (const outcome of outcomes) {
+      if (outcome.success) {
+        etlResults.successful.push(outcome.name);
+        if (outcome.degraded) etlResults.degraded.push({ name: outcome.name, reasons: outcome.driftReasons });
+        etlResults.totalProcessed += outcome.processedCount || 0;
+        etlResults.changes.inserted += outcome.changes.insertedCount;
+        etlResults.changes.updated += outcome.changes.updatedCount;
+        etlResults.changes.unchanged += outcome.changes.unchangedCount;
+        etlResults.changes.disappeared += outcome.changes.disappearedCount;
+      } else {
+        etlResults.failed.push({ name: outcome.name, error: outcome.error });
+        if (!outcome.skipped) etlResults.totalErrors++;
+      }
+    }
+
+    // 🧹 Final Database Cleanup - Safety check after all organizations complete
+    // This is a final safety net to catch anything that might have been missed
+    console.log("\n🧹 Running final database cleanup (safety check)...");
+    try {
+      const finalCleanupStats = await cleanupLane(() => cleanupExpiredAndDuplicateJobs());
+
+      // Add final cleanup results to ETL results
+      etlResults.finalCleanup = {
+        totalExpiredJobs: finalCleanupStats.totalExpiredJobs,
+        totalDuplicateJobs: finalCleanupStats.totalDuplicateJobs,
+        deletedExpiredJobs: finalCleanupStats.deletedExpiredJobs || 0,
+        deletedDuplicateJobs: finalCleanupStats.deletedDuplicateJobs || 0,
+        errorCount: finalCleanupStats.errorCount || 0,
+        durationSeconds: finalCleanupStats.durationSeconds || 0
+      };
+
+      const totalFinalDeleted = (finalCleanupStats.deletedExpiredJobs || 0) + (finalCleanupStats.deletedDuplicateJobs || 0);
+
+      if (totalFinalDeleted > 0) {
+        console.log(`🗑️  Final cleanup completed: ${totalFinalDeleted} jobs archived (${finalCleanupStats.deletedExpiredJobs || 0} expired, ${finalCleanupStats.deletedDuplicateJobs || 0} duplicates)`);
+      } else {
+        console.log("✅ Final cleanup: Database is clean - no additional expired or duplicate jobs found!");
+      }
+
+    } catch (cleanupError) {
+      console.error("❌ Final database cleanup failed:", cleanupError.message);
+      etlResults.finalCleanup = { error: cleanupError.message };
+    }
+
+    // 🗄️ Drop raw payload snapshots past the retention window
+    try {
+      await pruneSnapshots();
+    } catch (pruneError) {
+      console.warn("⚠️ Failed to prune payload snapshots:", pruneError.message);
+    }
+
+    // 🧯 Drop quarantined jobs past the retention window
+    try {
+      await pruneQuarantine();
+    } catch (pruneError) {
+      console.warn("⚠️ Failed to prune quarantined jobs:", pruneError.message);
+    }
+
+    // 🧺 Drop cached source responses nobody has asked for in a while
+    try {
+      await pruneHttpCache();
+    } catch (pruneError) {
+      console.warn("⚠️ Failed to prune the HTTP cache:", pruneError.message);
+    }
+
+    // 🧺 Drop archived jobs past their retention
+    try {
+      await pruneArchive();
+    } catch (pruneError) {
+      console.warn("⚠️ Failed to prune archived jobs:", pruneError.message);
+    }
+
+    // 📈 Roll the run's postings into the hiring analytics
+    await refreshAnalytics();
+  } finally {
+    fullRunInProgress = false;
+  }
+
+  // ETL Summary Report
+  console.log("\n" + "=".repeat(50));
+  console.log("📋 ETL PROCESS SUMMARY");
+  console.log("=".repeat(50));
+  console.log(`✅ Successful: ${etlResults.successful.length} organizations`);
+  etlResults.successful.forEach(org => console.log(`   ✓ ${org}`));
+
+  if (etlResults.degraded.length > 0) {
+    console.log(`📉 Degraded: ${etlResults.degraded.length} organizations (cleanup skipped)`);
+    etlResults.degraded.forEach(({ name, reasons }) => console.log(`   ! ${name}: ${reasons.join('; ')}`));
+  }
+
+  if (etlResults.failed.length > 0) {
+    console.log(`❌ Failed: ${etlResults.failed.length} organizations`);
+    etlResults.failed.forEach(({ name, error }) => console.log(`   ✗ ${name}: ${error}`));
+  }
+
+  console.log(`📊 Total Organizations Processed: ${getFullRunSources().length}`);
+  console.log(`🔁 Job Changes: ${etlResults.changes.inserted} new, ${etlResults.changes.updated} updated, ${etlResults.changes.unchanged} unchanged, ${etlResults.changes.disappeared} disappeared`);
+
+  // Include cleanup summary
+  console.log(`🧹 Database Cleanup Summary:`);
+  console.log(`   • Per-Organization Cleanup: Ran after each successful ETL (not after degraded ones)`);
+
+  if (etlResults.finalCleanup && !etlResults.finalCleanup.error) {
+    const totalFinalDeleted = (etlResults.finalCleanup.deletedExpiredJobs || 0) + (etlResults.finalCleanup.deletedDuplicateJobs || 0);
+    if (totalFinalDeleted > 0) {
+      console.log(`   • Final Safety Check: ${totalFinalDeleted} additional jobs archived (${etlResults.finalCleanup.deletedExpiredJobs || 0} expired, ${etlResults.finalCleanup.deletedDuplicateJobs || 0} duplicates)`);
+    } else {
+      console.log(`   • Final Safety Check: No additional cleanup needed - database was already clean`);
+    }
+  } else if (etlResults.finalCleanup?.error) {
+    console.log(`   ❌ Final Safety Check: Failed - ${etlResults.finalCleanup.error}`);
+  }
+
+  console.log(`⏰ ETL Process Completed: ${new Date()}`);
+  console.log("=".repeat(50));
+
+  // Return summary for potential monitoring/alerting
+  return etlResults;
+};
+
+// Sources with their own cron schedule (ReliefWeb) run outside runEtl()
+const runScheduledSource = async (source, { runId = null } = {}) => {
+  console.log("\n🌐 ==========================================");
+  console.log(`🌐 Running scheduled ${source.name} ETL...`, new Date());
+  console.log("============================================");
+
+  const outcome = await runOrganizationEtl(source, { runId });
+  if (outcome.success) await refreshAnalytics();
+
+  // Unlike the full run, a skipped scheduled run is surfaced on the
+  // dashboard — it's the only ingestion the source gets that slot.
+  if (outcome.skipped) {
+    await logETLStatus(source.name, 'failed', {
+      runId,
+      startTime: new Date(),
+      endTime: new Date(),
+      durationSeconds: 0,
+      errorMessage: outcome.error,
+    });
+  }
+
+  return outcome;
+};
+
+// Re-derive a source's jobs from the raw payloads stored for one of its
+// runs (default: the latest) — no scraping. Refused while the source's own
+// ETL is running; the job cache is flushed afterwards. Quarantine rows are
+// tagged with the replayed run's id.
+const reprocessSource = async (source, runId = null) => {
+  const { name } = source;
+
+  const lockResult = await acquireETLLock(name, { allowConcurrent: true });
+  if (!lockResult.acquired) {
+    return { name, success: false, skipped: true, error: lockResult.reason };
+  }
+
+  try {
+    const targetRunId = runId || await getLatestSnapshotRunId(name);
+    const result = await withRunContext(
+      { runId: targetRunId, organization: name, dataSource: source.dataSource },
+      () => reprocessSnapshots(source, targetRunId)
+    );
+    await flushUnmatchedOrganizations();
+    if (result.success) await clearJobCache(name);
+    return { name, ...result };
+  } catch (error) {
+    console.error(`❌ ${name}: Reprocessing failed:`, error.message);
+    return { name, success: false, error: error.message };
+  } finally {
+    await releaseETLLock(name);
+  }
+};
+
+/**
+ * Manually triggered runs (POST /api/v1/etl/trigger)
+ */
+
+// In-memory record of triggered runs so callers can poll by run id. Per
+// process and reset on restart, same as the rate limiter — the etl_status
+// rows tagged with the run id are the durable record.
+const triggeredRuns = new Map();
+const MAX_TRACKED_RUNS = 50;
+
+const trackRun = (run) => {
+  triggeredRuns.set(run.runId, run);
+  while (triggeredRuns.size > MAX_TRACKED_RUNS) {
+    triggeredRuns.delete(triggeredRuns.keys().next().value);
+  }
+};
+
+// Start an ETL run in the background and return its tracking record
+// immediately. `organizationName` null means the full runEtl() sequence.
+// Pass the `runId` the source's lock was taken with, if any, so the run
+// picks that lock up instead of being refused by it.
+const startEtlRun = (organizationName = null, { runId = uuidv4() } = {}) => {
+  const source = organizationName ? getSource(organizationName) : null;
+  if (organizationName && !source) {
+    throw new Error(`Unknown organization: ${organizationName}`);
+  }
+  if (source && !source.enabled) {
+    throw new Error(`ETL source ${source.name} is disabled`);
+  }
+
+  const run = {
+    runId,
+    scope: source ? source.name : 'ALL',
+    organizations: source ? [source.name] : getFullRunSources().map((s) => s.name),
+    status: 'running',
+    requestedAt: new Date(),
+    finishedAt: null,
+    error: null,
+  };
+  trackRun(run);
+
+  let task;
+  if (!source) {
+    task = runEtl({ runId });
+  } else if (source.schedule !== FULL_RUN) {
+    task = runScheduledSource(source, { runId });
+  } else {
+    // A single full-run source leaves the rollups to the next full run
+    task = runOrganizationEtl(source, { runId });
+  }
+
+  task
+    .then((result) => {
+      if (source) {
+        run.status = result.success ? 'completed' : 'failed';
+        run.error = result.success ? null : result.error;
+      } else {
+        run.status = result.skipped ? 'failed' : 'completed';
+        run.error = result.skipped ? 'Another full ETL run was already in progress' : null;
+      }
+    })
+    .catch((error) => {
+      run.status = 'failed';
+      run.error = error.message;
+      console.error(`❌ Triggered ETL run ${runId} crashed:`, error.message);
+    })
+    .finally(() => {
+      run.finishedAt = new Date();
+    });
+
+  return run;
+};
+
+const getEtlRun = (runId) => triggeredRuns.get(runId) || null;
+
+module.exports = {
+  runOrganizationEtl,
+  runEtl,
+  runScheduledSource,
+  reprocessSource,
+  isFullRunInProgress,
+  startEtlRun,
+  getEtlRun,
+  clearJobCache,
+  refreshAnalytics,
+};
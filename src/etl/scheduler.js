@@ -0,0 +1,68 @@
+/**
+ * Concurrency helpers for the ETL runner
+ */
+
+// Run at most `concurrency` tasks at once; the rest wait in FIFO order.
+// Returns a function that schedules a task and resolves with its result.
+const createLimiter = (concurrency) => {
+  const limit = Math.max(1, parseInt(concurrency, 10) || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
+
+class ETLTimeoutError extends Error {
+  constructor(name, timeoutMs, settled) {
+    super(`${name} ETL timed out after ${Math.round(timeoutMs / 60000)} minutes`);
+    this.name = 'ETLTimeoutError';
+    // Resolves once the abandoned task has actually stopped (never rejects)
+    this.settled = settled;
+  }
+}
+
+// Race `task(signal)` against a hard timeout. On timeout the signal is
+// aborted and the promise rejects with ETLTimeoutError. JavaScript can't
+// kill the task itself — sources that watch the signal stop early, the rest
+// keep going with their results ignored. The error's `settled` promise says
+// when the task is really done; the runner holds the source's lock until
+// then so a new run can't start on top of it.
+const runWithTimeout = (task, timeoutMs, name) => {
+  const controller = new AbortController();
+  let timer;
+
+  const running = Promise.resolve().then(() => task(controller.signal));
+  const settled = running.then(() => {}, () => {});
+
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new ETLTimeoutError(name, timeoutMs, settled));
+    }, timeoutMs);
+  });
+
+  return Promise.race([running, timeout])
+    .finally(() => clearTimeout(timer));
+};
+
+module.exports = {
+  createLimiter,
+  runWithTimeout,
+  ETLTimeoutError,
+};
@@ -0,0 +1,556 @@
+require("dotenv").config();
+
+const { Client } = require('pg');
+const { credentials } = require("./db");
+const { getOrganizationId, upsertJobVacancy } = require("./shared");
+const { openBrowser, isReplaying } = require("./fixtures");
+const { NO_SNAPSHOTS } = require("./snapshots");
+const { leaseBrowser } = require("./browser-pool");
+const { getTimeoutMinutes } = require("./registry");
+const cheerio = require('cheerio');
+
+/**
+ * Declarative Puppeteer scraper engine
+ *
+ * HTML-only career sites (UNICEF, UNOPS, UNESCO) are described by a plain
+ * definition object and run by scrapeSite() — pages from the shared
+ * browser pool (browser-pool.js), pagination, row parsing, detail pages,
+ * date fallbacks and upserts live here once.
+ * A layout change on a site should be a selector edit in its etl-*.js file.
+ *
+ *   {
+ *     name: 'UNOPS', dataSource: 'unops', organization: 'UNOPS',
+ *     baseUrl: 'https://jobs.unops.org',
+ *     listingUrl: 'https://jobs.unops.org/Pages/ViewVacancy/VAListing.aspx',
+ *     waitFor: 'table',               // optional selector awaited after load
+ *     settleMs: 5000,                 // optional pause after load (WAF challenges etc.)
+ *     jobId: /id=(\d+)/,              // first capture group of the detail URL
+ *
+ *     listing: {
+ *       row: 'table tr',              // one element per vacancy
+ *       link: 'a[href*="VADetails"]', // detail link inside the row
+ *       fields: { level: { cell: 1 }, location: { cell: 2 }, deadline: { cell: 3, type: 'date' } },
+ *     },
+ *
+ *     pagination: { strategy: 'numbered', selector: 'a[href*="Page$"]', maxPages: 10 },
+ *
+ *     detail: {
+ *       content: ['#MainPageContent', 'main'],  // description container, first long enough wins
+ *       remove: ['nav', 'script'],              // stripped before reading text
+ *       fields: { location: { pattern: /Duty station:\s*([^\n]+)/i } },
+ *     },
+ *
+ *     dates: { startBeforeEndDays: 90 },  // start date derived from the deadline
+ *   }
+ *
+ * Fields — both listing and detail extractors produce the same keys:
+ *   title, location, deadline, startDate, endDate, contractType, level,
+ *   category, department. Detail values win over listing values.
+ *
+ * Extractor options:
+ *   selector   CSS selector (relative to the row on listings, the page on details)
+ *   cell       index of the row's <td>, listings only
+ *   attr       read an attribute instead of text
+ *   pattern    regex run over the text (or over the whole detail text when
+ *              there's no selector); the first capture group is the value
+ *   type       'date' parses the value, anything else keeps trimmed text
+ *   transform  (value) => value, for the odd site quirk
+ *
+ * Pagination strategies:
+ *   none        everything is on the first page
+ *   click-more  click a "More jobs" button until the row count stops growing
+ *               ({ selector: [...], text: /more|load/i, maxClicks })
+ *   next-page   click a "next" link and parse each page ({ selector, maxPages })
+ *   numbered    click the link whose text is the next page number ({ selector, maxPages })
+ */
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36';
+const NAVIGATION_TIMEOUT_MS = 30000;
+const PAGINATION_WAIT_MS = 3000;
+const DETAIL_DELAY_MS = 1500; // pause between detail pages, be respectful
+const MAX_DESCRIPTION_LENGTH = 25000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Column limits carried over from the per-site scrapers
+const FIELD_LIMITS = {
+  category_code: 30,
+  job_title: 500,
+  job_level: 20,
+  duty_station: 100,
+  recruitment_type: 100,
+  jn: 100,
+  jl: 100,
+};
+
+// Replayed fixtures (see fixtures.js) have nothing to wait for
+const delay = (ms) => isReplaying() ? Promise.resolve() : new Promise(resolve => setTimeout(resolve, ms));
+
+const truncateField = (value, maxLength) => {
+  if (!value) return '';
+  const str = String(value).trim();
+  return str.length <= maxLength ? str : str.substring(0, maxLength - 3) + '...';
+};
+
+// Dates as the sites print them: "7 Aug 2025 11:55 PM", "24-Aug-2025", ...
+const parseDate = (text) => {
+  if (!text) return null;
+  if (text instanceof Date) return isNaN(text.getTime()) ? null : text;
+  const clean = String(text)
+    .replace(/^(Deadline|Closing date|Application deadline):\s*/i, '')
+    .replace(/\b(Greenwich Standard Time|GMT|UTC)\b.*$/i, '')
+    .trim();
+  const date = new Date(clean);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const absoluteUrl = (href, definition) => {
+  try {
+    return new URL(href, definition.listingUrl).toString();
+  } catch (error) {
+    return null;
+  }
+};
+
+// Text of an element with block boundaries kept as line breaks, so detail
+// patterns can stop at the end of a line instead of guessing the next label.
+const blockText = ($, $el) => {
+  const $copy = $el.clone();
+  $copy.find('br').replaceWith('\n');
+  $copy.find('p, li, tr, div, section, h1, h2, h3, h4, h5, h6, dt, dd').each((i, el) => {
+    $(el).append('\n');
+  });
+  return $copy.text()
+    .split('\n')
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// Apply one extractor spec to an element ($scope) or to free text
+const extract = ($, $scope, spec, text) => {
+  if (typeof spec === 'function') return spec($scope, $);
+
+  let value;
+  if (spec.cell !== undefined) {
+    value = $scope.find('td').eq(spec.cell).text();
+  } else if (spec.selector) {
+    const $target = $scope.find(spec.selector).first();
+    value = spec.attr ? $target.attr(spec.attr) : $target.text();
+  } else {
+    value = text;
+  }
+
+  if (value && spec.pattern) {
+    const match = String(value).match(spec.pattern);
+    value = match ? match[1] : '';
+  }
+
+  value = value ? String(value).replace(/\s+/g, ' ').trim() : '';
+  if (spec.transform) value = spec.transform(value);
+  if (spec.type === 'date') return parseDate(value);
+  return value;
+};
+
+const extractFields = ($, $scope, fields = {}, text) => {
+  const values = {};
+  for (const [key, spec] of Object.entries(fields)) {
+    const value = extract($, $scope, spec, text);
+    if (value) values[key] = value;
+  }
+  return values;
+};
+
+// — Listing —
+
+// Parse every vacancy row currently rendered on the page
+const parseListing = (html, definition) => {
+  const $ = cheerio.load(html);
+  const { listing } = definition;
+  const rows = [];
+
+  $(listing.row).each((index, element) => {
+    const $row = $(element);
+    const $link = $row.is(listing.link) ? $row : $row.find(listing.link).first();
+    const href = $link.attr('href');
+    if (!href) return;
+
+    const url = absoluteUrl(href, definition);
+    if (!url) return;
+
+    const values = extractFields($, $row, listing.fields);
+    const title = values.title || $link.text().replace(/\s+/g, ' ').trim();
+    if (!title || title.length < (listing.minTitleLength || 3)) return;
+
+    rows.push({ ...values, url, title });
+  });
+
+  return rows;
+};
+
+// Click the first element matching one of the selectors or the text pattern
+const clickControl = async (page, { selector, text }) => {
+  const selectors = [].concat(selector || []);
+  return page.evaluate((selectors, textSource, textFlags) => {
+    let target = null;
+    for (const sel of selectors) {
+      target = document.querySelector(sel);
+      if (target) break;
+    }
+    if (!target && textSource) {
+      const pattern = new RegExp(textSource, textFlags);
+      target = Array.from(document.querySelectorAll('button, a, [role="button"]'))
+        .find((el) => pattern.test(el.textContent.trim()));
+    }
+    if (!target) return false;
+    target.click();
+    return true;
+  }, selectors, text ? text.source : null, text ? text.flags : '');
+};
+
+// Click the link whose text is exactly the given page number
+const clickPageNumber = (page, selector, pageNumber) =>
+  page.evaluate((selector, label) => {
+    const target = Array.from(document.querySelectorAll(selector))
+      .find((el) => el.textContent.trim() === label);
+    if (!target) return false;
+    target.click();
+    return true;
+  }, selector, String(pageNumber));
+
+// Let a click settle: either a full postback or an XHR refresh
+const waitAfterClick = async (page, waitMs) => {
+  await page.waitForNetworkIdle({ idleTime: 500, timeout: NAVIGATION_TIMEOUT_MS }).catch(() => {});
+  await delay(waitMs);
+};
+
+// Walk the listing with the configured pagination strategy and return the
+// unique vacancies found
+const scrapeListing = async (page, definition, signal) => {
+  const pagination = { strategy: 'none', ...definition.pagination };
+  const waitMs = pagination.waitMs || PAGINATION_WAIT_MS;
+  const seen = new Map();
+
+  const collect = async () => {
+    const rows = parseListing(await page.content(), definition);
+    let added = 0;
+    for (const row of rows) {
+      if (!seen.has(row.url)) {
+        seen.set(row.url, row);
+        added++;
+      }
+    }
+    return added;
+  };
+
+  if (pagination.strategy === 'click-more') {
+    const maxClicks = pagination.maxClicks || 10;
+    for (let clicks = 0; clicks < maxClicks && !(signal && signal.aborted); clicks++) {
+      const before = await page.$$eval(definition.listing.link, (els) => els.length);
+      if (!(await clickControl(page, pagination))) break;
+      await waitAfterClick(page, waitMs);
+      const after = await page.$$eval(definition.listing.link, (els) => els.length);
+      console.log(`📊 ${definition.name}: ${before} → ${after} listing links`);
+      if (after <= before) break;
+    }
+    await collect();
+  } else {
+    const maxPages = pagination.strategy === 'none' ? 1 : (pagination.maxPages || 10);
+    for (let pageNumber = 1; pageNumber <= maxPages; pageNumber++) {
+      const added = await collect();
+      console.log(`📄 ${definition.name}: page ${pageNumber}, ${added} new vacancies`);
+      if (added === 0 || pageNumber === maxPages || (signal && signal.aborted)) break;
+
+      const clicked = pagination.strategy === 'numbered'
+        ? await clickPageNumber(page, pagination.selector, pageNumber + 1)
+        : await clickControl(page, pagination);
+      if (!clicked) break;
+      await waitAfterClick(page, waitMs);
+    }
+  }
+
+  return Array.from(seen.values());
+};
+
+// — Detail —
+
+// Description text: the first content container long enough to be the
+// posting, minus the definition's removal selectors and strip patterns
+const extractDescription = ($, detail) => {
+  (detail.remove || []).forEach((selector) => $(selector).remove());
+
+  const minLength = detail.minContentLength || 200;
+  let description = '';
+  for (const selector of detail.content || []) {
+    const $el = $(selector).first();
+    if ($el.length === 0) continue;
+    description = blockText($, $el);
+    if (description.length >= minLength) break;
+  }
+  if (description.length < minLength) description = blockText($, $('body'));
+
+  for (const pattern of detail.strip || []) {
+    description = description.replace(pattern, '');
+  }
+
+  if (detail.startAt) {
+    const starts = detail.startAt
+      .map((marker) => description.indexOf(marker))
+      .filter((index) => index !== -1);
+    if (starts.length > 0) description = description.substring(Math.min(...starts));
+  }
+
+  description = description.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    description = description.substring(0, MAX_DESCRIPTION_LENGTH) + '...';
+  }
+  return description;
+};
+
+// Field values and description from one detail page's HTML
+const parseDetail = (html, definition) => {
+  const detail = definition.detail || {};
+  const $ = cheerio.load(html);
+  const selectorFields = {};
+  const textFields = {};
+  for (const [key, spec] of Object.entries(detail.fields || {})) {
+    (typeof spec !== 'function' && !spec.selector ? textFields : selectorFields)[key] = spec;
+  }
+
+  // Selector-based fields read the untouched page; text patterns run
+  // over the cleaned description
+  const values = extractFields($, $.root(), selectorFields);
+  const description = extractDescription($, detail);
+  return { ...values, ...extractFields($, $.root(), textFields, description), description };
+};
+
+// Rendered HTML of a detail page, or null when every attempt failed
+const scrapeDetail = async (browser, url, definition) => {
+  const detail = definition.detail || {};
+  const attempts = (detail.retries || 0) + 1;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const page = await browser.newPage();
+    try {
+      await page.setUserAgent(USER_AGENT);
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: NAVIGATION_TIMEOUT_MS });
+      if (detail.settleMs) await delay(detail.settleMs);
+      if (detail.waitFor) {
+        await page.waitForSelector(detail.waitFor, { timeout: 10000 }).catch(() => {
+          console.log("⚠️ Job content selectors not found, proceeding with full page...");
+        });
+      }
+      return await page.content();
+    } catch (error) {
+      console.error(`❌ Attempt ${attempt} failed for ${url}:`, error.message);
+      if (attempt < attempts) await delay(2000 * attempt);
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  return null;
+};
+
+// — Mapping —
+
+// Start/end dates from what the site gives: end = duration end, else the
+// deadline; start = duration start, else startBeforeEndDays before the end.
+// Anything the site doesn't give stays null — a date made up from the clock
+// would change on every run, so the job would hash as updated each time and
+// pile up deadline revisions. Open-ended jobs leave through soft-close.
+const resolveDates = (job, dates = {}) => {
+  const endDate = job.endDate || job.deadline || null;
+  let startDate = job.startDate || null;
+
+  if (!startDate && endDate && dates.startBeforeEndDays) {
+    startDate = new Date(endDate.getTime() - dates.startBeforeEndDays * DAY_MS);
+  }
+
+  return { startDate, endDate };
+};
+
+const jobIdFromUrl = (definition, url) => {
+  const match = url.match(definition.jobId);
+  return match ? match[1] : null;
+};
+
+const toJobData = (definition, job, orgId) => {
+  const { startDate, endDate } = resolveDates(job, definition.dates);
+
+  return {
+    job_id: jobIdFromUrl(definition, job.url),
+    language: 'EN',
+    category_code: truncateField(job.category, FIELD_LIMITS.category_code),
+    job_title: truncateField(job.title, FIELD_LIMITS.job_title),
+    job_code_title: '',
+    job_description: job.description || '',
+    job_family_code: '',
+    job_level: truncateField(job.level, FIELD_LIMITS.job_level),
+    duty_station: truncateField(job.location, FIELD_LIMITS.duty_station),
+    recruitment_type: truncateField(job.contractType, FIELD_LIMITS.recruitment_type),
+    start_date: startDate,
+    end_date: endDate,
+    dept: job.department || definition.organization || definition.name,
+    total_count: null,
+    jn: truncateField(job.category, FIELD_LIMITS.jn),
+    jf: '',
+    jc: '',
+    jl: truncateField(job.level, FIELD_LIMITS.jl),
+    data_source: definition.dataSource,
+    organization_id: orgId,
+    apply_link: job.url,
+  };
+};
+
+// Merge detail over listing values, skipping empty detail values
+const mergeJob = (listingRow, detail) => {
+  const job = { ...listingRow };
+  for (const [key, value] of Object.entries(detail || {})) {
+    if (value) job[key] = value;
+  }
+  return job;
+};
+
+// Listing values read back from a payload snapshot: dates were stored as
+// ISO strings
+const reviveListingRow = (definition, row) => {
+  const revived = { ...row };
+  for (const [key, spec] of Object.entries(definition.listing.fields || {})) {
+    if (spec.type === 'date' && revived[key]) revived[key] = parseDate(revived[key]);
+  }
+  return revived;
+};
+
+// Re-map a stored detail page (see snapshots.js) without scraping
+const transformSnapshot = async (definition, html, listingRow) => {
+  const detail = html && definition.detail ? parseDetail(html, definition) : {};
+  const orgId = await getOrganizationId(definition.organization || definition.name);
+  return toJobData(definition, mergeJob(reviveListingRow(definition, listingRow), detail), orgId);
+};
+
+// — Run —
+
+// Scrape one site end to end and upsert every vacancy found
+async function scrapeSite(definition, { signal, snapshots = NO_SNAPSHOTS, pageLifetimeMs } = {}) {
+  const { name } = definition;
+  console.log("==================================");
+  console.log(`${name} Job Vacancies ETL started...`);
+  console.log("==================================");
+
+  const client = new Client(credentials);
+  let browser = null;
+  let totalProcessed = 0;
+  let totalSuccess = 0;
+  let totalErrors = 0;
+
+  const summary = (error) => {
+    console.log("==================================");
+    console.log(`${name} ETL Summary (${error ? 'FAILED' : 'SUCCESS'}):`);
+    console.log(`📊 Total processed: ${totalProcessed} jobs`);
+    console.log(`✅ Successfully saved: ${totalSuccess} jobs`);
+    console.log(`❌ Errors encountered: ${totalErrors} jobs`);
+    if (error) console.log(`❌ Critical error: ${error}`);
+    console.log("==================================");
+
+    return {
+      success: !error,
+      error: error || undefined,
+      processedCount: totalProcessed,
+      successCount: totalSuccess,
+      errorCount: totalErrors,
+    };
+  };
+
+  try {
+    await client.connect();
+    const orgId = await getOrganizationId(definition.organization || name);
+
+    browser = await openBrowser(() => leaseBrowser({ timeoutMs: NAVIGATION_TIMEOUT_MS, maxLifetimeMs: pageLifetimeMs }));
+    const page = await browser.newPage();
+    await page.setUserAgent(USER_AGENT);
+
+    console.log(`🌐 Navigating to ${name} jobs page...`);
+    await page.goto(definition.listingUrl, { waitUntil: 'networkidle2', timeout: NAVIGATION_TIMEOUT_MS });
+    if (definition.settleMs) await delay(definition.settleMs);
+    if (definition.waitFor) {
+      await page.waitForSelector(definition.waitFor, { timeout: 15000 }).catch(() => {
+        console.log("⚠️ No listing selectors found, proceeding with page content...");
+      });
+    }
+
+    const listings = await scrapeListing(page, definition, signal);
+    await page.close();
+
+    if (listings.length === 0) {
+      return summary('No job listings found — the site layout may have changed');
+    }
+    console.log(`📋 Processing ${listings.length} ${name} job listings...`);
+
+    for (const [index, listingRow] of listings.entries()) {
+      if (signal && signal.aborted) {
+        return summary(`run aborted after ${index} of ${listings.length} jobs`);
+      }
+      totalProcessed++;
+
+      try {
+        console.log(`🔄 Processing job ${index + 1}/${listings.length}: ${listingRow.title}`);
+        const html = definition.detail ? await scrapeDetail(browser, listingRow.url, definition) : '';
+        if (html === null) {
+          totalErrors++;
+          continue;
+        }
+        await snapshots.add(jobIdFromUrl(definition, listingRow.url), html, { format: 'html', context: listingRow });
+
+        const detail = html ? parseDetail(html, definition) : {};
+        const jobData = toJobData(definition, mergeJob(listingRow, detail), orgId);
+        const result = await upsertJobVacancy(client, jobData, name, { payload: { listing: listingRow, html } });
+        if (result.success) {
+          console.log(`✅ ${result.action}: ${jobData.job_title}`);
+          totalSuccess++;
+        } else {
+          console.error(`❌ Failed to save job ${jobData.job_id}:`, result.error);
+          totalErrors++;
+        }
+      } catch (jobError) {
+        console.error(`❌ Error processing job:`, jobError.message);
+        totalErrors++;
+      }
+
+      if (index < listings.length - 1) await delay(definition.detailDelayMs ?? DETAIL_DELAY_MS);
+    }
+
+    return summary();
+  } catch (error) {
+    console.error(`❌ ${name} ETL failed:`, error.message);
+    return summary(error.message);
+  } finally {
+    if (browser) await browser.close().catch(() => {});
+    await client.end().catch(() => {});
+  }
+}
+
+// Registry descriptor (see registry.js) for a scraper definition. Pages may
+// stay open as long as the run may take — a slow click-more listing would
+// otherwise outlive the browser pool's default page lifetime.
+const createScraperSource = (definition) => {
+  const source = {
+    name: definition.name,
+    dataSource: definition.dataSource,
+    schedule: definition.schedule || 'full',
+    strategy: 'puppeteer',
+    enabled: definition.enabled !== false,
+    ...(definition.timeoutMinutes ? { timeoutMinutes: definition.timeoutMinutes } : {}),
+    transform: (html, listingRow) => transformSnapshot(definition, html, listingRow),
+  };
+  source.run = (options) =>
+    scrapeSite(definition, { ...options, pageLifetimeMs: getTimeoutMinutes(source) * 60 * 1000 });
+  return source;
+};
+
+module.exports = {
+  scrapeSite,
+  createScraperSource,
+  parseListing,
+  parseDate,
+};
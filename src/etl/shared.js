@@ -2,35 +2,14 @@ require("dotenv").config();
 
 const { Client } = require("pg");
 const { credentials } = require("./db");
-
-async function getOrganizationId(dept) {
-  const client = new Client(credentials);
-  await client.connect();
-  
-  try {
-    const query = `
-      SELECT id FROM organization
-      WHERE code ILIKE $1
-      OR name ILIKE $1
-      OR short_name ILIKE $1
-      OR long_name ILIKE $1
-      LIMIT 1
-    `;
-    const values = [`%${dept}%`];
-    const res = await client.query(query, values);
-    if (res.rows.length > 0) {
-      return res.rows[0].id;
-    } else {
-      console.log('No matching department found, returning default id 128');
-      return 128; // default to UN
-    }
-  } catch (error) {
-    console.error('Error fetching or saving data:', error);
-    return 128; // return default id in case of error
-  } finally {
-    await client.end();
-  }
-}
+const { normalizeJobGrade } = require("./grades");
+const { normalizeDutyStation } = require("./gazetteer");
+const { getOrganizationId } = require("./organizations");
+const { validateJobRecord } = require("./validation");
+const { quarantineJob } = require("./quarantine");
+const { politeFetch } = require("./http-client");
+const { clusterDuplicateJobs } = require("./clustering");
+const { ARCHIVABLE_CONDITION, archiveJobs, archiveExpiredJobs } = require("./archive");
 
 async function removeDuplicateJobVacancies() {
   console.log("===========================");
@@ -127,40 +106,25 @@ const validateJobData = (job, requiredFields = []) => {
   };
 };
 
-// Safe API call with retries and timeout
+// Safe API call with retries and timeout. Throttling, Retry-After and
+// backoff come from the polite HTTP client (http-client.js).
 const safeApiCall = async (url, options = {}, retries = 3, timeout = 30000) => {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-  
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const response = await fetch(url, {
-        ...options,
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      return { success: true, data };
-      
-    } catch (error) {
-      console.warn(`API call attempt ${attempt} failed for ${url}:`, error.message);
-      
-      if (attempt === retries) {
-        return { 
-          success: false, 
-          error: `Failed after ${retries} attempts: ${error.message}` 
-        };
-      }
-      
-      // Wait before retry (exponential backoff)
-      await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
+  try {
+    const response = await politeFetch(url, options, { retries, timeoutMs: timeout });
+    
+    if (!response.ok) {
+      return { success: false, error: `HTTP ${response.status}: ${response.statusText}` };
     }
+    
+    const data = await response.json();
+    return { success: true, data };
+    
+  } catch (error) {
+    console.warn(`API call failed for ${url}:`, error.message);
+    return { 
+      success: false, 
+      error: `Failed after ${retries} attempts: ${error.message}` 
+    };
   }
 };
 
@@ -279,15 +243,153 @@ const checkApiHealth = async (url, organizationName) => {
   return true;
 };
 
-// Smart upsert function to prevent duplicates during insertion
-const upsertJobVacancy = async (client, jobData, organizationName) => {
+// Columns that make up a vacancy's content, in hash order. Bookkeeping
+// columns (created, *_seen_at, updated_at) are deliberately not included.
+const CONTENT_HASH_COLUMNS = [
+  'language', 'category_code', 'job_title', 'job_code_title', 'job_description',
+  'job_family_code', 'job_level', 'duty_station', 'recruitment_type', 'start_date',
+  'end_date', 'dept', 'total_count', 'jn', 'jf', 'jc', 'jl', 'apply_link', 'source_logo_url',
+];
+
+// Dates arrive as Date objects or assorted strings depending on the source;
+// normalize so the same deadline always hashes the same way.
+const normalizeHashValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return isNaN(value) ? '' : value.toISOString();
+  return String(value).trim();
+};
+
+// sha256 over the content columns of an (already defaulted) vacancy row
+const computeContentHash = (row) => {
+  const crypto = require('crypto');
+  const payload = CONTENT_HASH_COLUMNS.map((column) => normalizeHashValue(row[column])).join('\u241F');
+  return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+// Fields whose changes are kept in job_vacancy_revisions. The description is
+// compared by md5 — the timeline only needs to say that it changed.
+const REVISION_TRACKED_COLUMNS = `
+  job_title, end_date, duty_station, job_level, md5(job_description) AS description_hash
+`;
+
+const revisionValue = (value) => (value instanceof Date ? value.toISOString() : value);
+
+// Record one revision row listing every tracked field that differs between
+// the stored row before and after an upsert. No-op when nothing tracked changed.
+const recordJobRevision = async (client, jobVacancyId, previous, current) => {
+  const changes = {};
+  ['job_title', 'end_date', 'duty_station', 'job_level', 'description_hash'].forEach((field) => {
+    const from = revisionValue(previous[field]);
+    const to = revisionValue(current[field]);
+    if ((from ?? null) !== (to ?? null)) changes[field] = { from: from ?? null, to: to ?? null };
+  });
+
+  if (Object.keys(changes).length === 0) return false;
+
+  await client.query(
+    'INSERT INTO job_vacancy_revisions (job_vacancy_id, changes) VALUES ($1, $2);',
+    [jobVacancyId, JSON.stringify(changes)]
+  );
+  return true;
+};
+
+// Whether a replayed job should be left alone: its live row is no longer
+// open, or it has no live row because the cleanup archived it
+const isClosedOrArchived = async (client, jobData, liveRow) => {
+  if (liveRow) return liveRow.status !== 'open';
+  const archived = await client.query(`
+    SELECT 1 FROM job_vacancies_archive
+    WHERE job_id = $1 AND data_source = $2 AND organization_id IS NOT DISTINCT FROM $3
+    LIMIT 1;
+  `, [String(jobData.job_id), jobData.data_source, jobData.organization_id]);
+  return archived.rows.length > 0;
+};
+
+// Incremental upsert. Returns action 'inserted', 'updated' or 'unchanged':
+// an unchanged vacancy (same content hash) only gets last_seen_at bumped,
+// and `created`/first_seen_at are never reset on a re-sighting. Any sighting
+// reopens a vacancy that closeDisappearedJobs() had closed.
+// The job is first checked against its source's schema (validation.js):
+// rejected jobs come back as action 'quarantined' and are not stored;
+// suspicious ones are stored. Both go to etl_quarantine along with
+// `payload`, the raw source record the job was mapped from — suspicious
+// ones only when they are new or their content changed, not on every
+// sighting of the same vacancy.
+// With `reprocess` (a snapshot replay, not a sighting) only the mapped
+// columns are rewritten: status, closed_at and last_seen_at stay as they
+// are, and a job that has since been closed or archived comes back as
+// action 'skipped' instead of being reopened or stored again.
+const upsertJobVacancy = async (client, jobData, organizationName, { payload, reprocess = false } = {}) => {
   try {
-    // Validate required fields
-    const requiredFields = ['job_id', 'job_title', 'data_source'];
-    const validation = validateJobData(jobData, requiredFields);
-    if (!validation.isValid) {
-      console.warn(`⚠️ ${organizationName}: Skipping invalid job - ${validation.errors.join(', ')}`);
-      return { success: false, error: validation.errors.join(', ') };
+    const validation = validateJobRecord(jobData || {});
+    if (validation.rejected.length > 0) {
+      const reason = validation.rejected.map((issue) => issue.message).join(', ');
+      console.warn(`⚠️ ${organizationName}: Quarantined invalid job ${jobData && jobData.job_id} - ${reason}`);
+      await quarantineJob(client, { severity: 'rejected', issues: validation.rejected, jobData: jobData || {}, payload, organizationName });
+      return { success: false, action: 'quarantined', error: reason };
+    }
+    const row = {
+      language: jobData.language || 'EN',
+      category_code: jobData.category_code || '',
+      job_title: jobData.job_title,
+      job_code_title: jobData.job_code_title || '',
+      job_description: jobData.job_description || '',
+      job_family_code: jobData.job_family_code || '',
+      job_level: jobData.job_level || '',
+      duty_station: jobData.duty_station || '',
+      recruitment_type: jobData.recruitment_type || '',
+      start_date: jobData.start_date,
+      end_date: jobData.end_date,
+      dept: jobData.dept || '',
+      total_count: jobData.total_count || null,
+      jn: jobData.jn || '',
+      jf: jobData.jf || '',
+      jc: jobData.jc || '',
+      jl: jobData.jl || '',
+      apply_link: jobData.apply_link || '',
+      source_logo_url: jobData.source_logo_url || null,
+    };
+    const contentHash = computeContentHash(row);
+    // Derived from the raw columns, so not part of the hash — but refreshed
+    // on every sighting so rule changes in grades.js / gazetteer.js reach
+    // existing rows
+    const { grade, contract_category } = normalizeJobGrade(row);
+    const { country_code, city, region, is_remote } = normalizeDutyStation(row.duty_station);
+
+    // Fast path: already stored with identical content — just record the sighting
+    const touchResult = await client.query(`
+      UPDATE job_vacancies
+      SET ${reprocess ? '' : "last_seen_at = NOW(), status = 'open', closed_at = NULL,"}
+          grade = $5, contract_category = $6,
+          country_code = $7, city = $8, region = $9, is_remote = $10
+      WHERE job_id = $1 AND data_source = $2 AND organization_id IS NOT DISTINCT FROM $3
+        AND content_hash = $4${reprocess ? " AND status = 'open'" : ''}
+      RETURNING id, job_title;
+    `, [jobData.job_id, jobData.data_source, jobData.organization_id, contentHash, grade, contract_category,
+        country_code, city, region, is_remote]);
+
+    if (touchResult.rows.length > 0) {
+      return {
+        success: true,
+        jobTitle: touchResult.rows[0].job_title,
+        action: 'unchanged'
+      };
+    }
+
+    // Content changed (or new job) — keep the tracked fields we're about to
+    // overwrite so the change lands in job_vacancy_revisions
+    const previousResult = await client.query(`
+      SELECT id, status, ${REVISION_TRACKED_COLUMNS}
+      FROM job_vacancies
+      WHERE job_id = $1 AND data_source = $2 AND organization_id IS NOT DISTINCT FROM $3;
+    `, [jobData.job_id, jobData.data_source, jobData.organization_id]);
+
+    if (reprocess && await isClosedOrArchived(client, jobData, previousResult.rows[0])) {
+      return { success: true, jobTitle: row.job_title, action: 'skipped' };
+    }
+
+    if (validation.suspicious.length > 0) {
+      await quarantineJob(client, { severity: 'suspicious', issues: validation.suspicious, jobData, payload, organizationName });
     }
 
     // Use UPSERT with ON CONFLICT to prevent duplicates
@@ -296,8 +398,10 @@ const upsertJobVacancy = async (client, jobData, organizationName) => {
         job_id, language, category_code, job_title, job_code_title, job_description,
         job_family_code, job_level, duty_station, recruitment_type, start_date, end_date,
         dept, total_count, jn, jf, jc, jl, created, data_source, organization_id, apply_link,
-        source_logo_url
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)
+        source_logo_url, content_hash, grade, contract_category, country_code, city, region, is_remote,
+        first_seen_at, last_seen_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, NOW(), $19, $20, $21, $22, $23,
+                $24, $25, $26, $27, $28, $29, NOW(), NOW(), NOW())
       ON CONFLICT (job_id, data_source, organization_id)
       DO UPDATE SET
         language = EXCLUDED.language,
@@ -319,37 +423,67 @@ const upsertJobVacancy = async (client, jobData, organizationName) => {
         jl = EXCLUDED.jl,
         apply_link = EXCLUDED.apply_link,
         source_logo_url = EXCLUDED.source_logo_url,
-        created = NOW()
-      RETURNING id, job_title,
+        content_hash = EXCLUDED.content_hash,
+        grade = EXCLUDED.grade,
+        contract_category = EXCLUDED.contract_category,
+        country_code = EXCLUDED.country_code,
+        city = EXCLUDED.city,
+        region = EXCLUDED.region,
+        is_remote = EXCLUDED.is_remote,
+        ${reprocess ? '' : "last_seen_at = NOW(), status = 'open', closed_at = NULL,"}
+        updated_at = NOW()
+      ${reprocess ? "WHERE job_vacancies.status = 'open'" : ''}
+      RETURNING id, ${REVISION_TRACKED_COLUMNS},
       CASE WHEN xmax = 0 THEN 'inserted' ELSE 'updated' END as action;
     `;
 
     const result = await client.query(upsertQuery, [
       jobData.job_id,
-      jobData.language || 'EN',
-      jobData.category_code || '',
-      jobData.job_title,
-      jobData.job_code_title || '',
-      jobData.job_description || '',
-      jobData.job_family_code || '',
-      jobData.job_level || '',
-      jobData.duty_station || '',
-      jobData.recruitment_type || '',
-      jobData.start_date,
-      jobData.end_date,
-      jobData.dept || '',
-      jobData.total_count || null,
-      jobData.jn || '',
-      jobData.jf || '',
-      jobData.jc || '',
-      jobData.jl || '',
-      new Date(),
+      row.language,
+      row.category_code,
+      row.job_title,
+      row.job_code_title,
+      row.job_description,
+      row.job_family_code,
+      row.job_level,
+      row.duty_station,
+      row.recruitment_type,
+      row.start_date,
+      row.end_date,
+      row.dept,
+      row.total_count,
+      row.jn,
+      row.jf,
+      row.jc,
+      row.jl,
       jobData.data_source,
       jobData.organization_id,
-      jobData.apply_link || '',
-      jobData.source_logo_url || null,
+      row.apply_link,
+      row.source_logo_url,
+      contentHash,
+      grade,
+      contract_category,
+      country_code,
+      city,
+      region,
+      is_remote,
     ]);
 
+    // Closed between the check above and the upsert
+    if (result.rows.length === 0) {
+      return { success: true, jobTitle: row.job_title, action: 'skipped' };
+    }
+
+    const stored = result.rows[0];
+    if (stored.action === 'updated' && previousResult.rows.length > 0) {
+      try {
+        await recordJobRevision(client, stored.id, previousResult.rows[0], stored);
+      } catch (revisionError) {
+        // History is a nice-to-have; never fail the upsert over it
+        console.warn(`⚠️ ${organizationName}: Could not record revision for job ${jobData.job_id}: ${revisionError.message}`);
+      }
+    }
+
     return { 
       success: true, 
       jobTitle: result.rows[0].job_title,
@@ -385,7 +519,7 @@ const logETLStatus = async (organizationName, status, stats = {}) => {
       CREATE TABLE IF NOT EXISTS etl_status (
         id SERIAL PRIMARY KEY,
         organization_name VARCHAR(50) NOT NULL,
-        status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'success', 'failed', 'starting', 'stopping', 'cancelled')),
+        status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'success', 'failed', 'degraded', 'starting', 'stopping', 'cancelled')),
         processed_count INTEGER DEFAULT 0 CHECK (processed_count >= 0),
         success_count INTEGER DEFAULT 0 CHECK (success_count >= 0),
         error_count INTEGER DEFAULT 0 CHECK (error_count >= 0),
@@ -397,6 +531,14 @@ const logETLStatus = async (organizationName, status, stats = {}) => {
         current_step VARCHAR(100), -- Track current step of ETL process
         progress_percent INTEGER DEFAULT 0 CHECK (progress_percent >= 0 AND progress_percent <= 100),
         estimated_remaining_seconds INTEGER,
+        run_id VARCHAR(36), -- Groups the rows of one (possibly manually triggered) run
+        inserted_count INTEGER DEFAULT 0, -- Change counts from incremental upserts
+        updated_count INTEGER DEFAULT 0,
+        unchanged_count INTEGER DEFAULT 0,
+        disappeared_count INTEGER DEFAULT 0,
+        fill_rates JSONB, -- Share of the run's jobs with duty_station / end_date / jn (drift.js)
+        drift_reasons JSONB, -- Why a run was marked 'degraded'
+        http_stats JSONB, -- Per-host request / error counts (http-client.js)
         created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
         
         -- Enhanced constraints
@@ -410,7 +552,15 @@ const logETLStatus = async (organizationName, status, stats = {}) => {
       ALTER TABLE etl_status 
       ADD COLUMN IF NOT EXISTS current_step VARCHAR(100),
       ADD COLUMN IF NOT EXISTS progress_percent INTEGER DEFAULT 0 CHECK (progress_percent >= 0 AND progress_percent <= 100),
-      ADD COLUMN IF NOT EXISTS estimated_remaining_seconds INTEGER;
+      ADD COLUMN IF NOT EXISTS estimated_remaining_seconds INTEGER,
+      ADD COLUMN IF NOT EXISTS run_id VARCHAR(36),
+      ADD COLUMN IF NOT EXISTS inserted_count INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS updated_count INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS unchanged_count INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS disappeared_count INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS fill_rates JSONB,
+      ADD COLUMN IF NOT EXISTS drift_reasons JSONB,
+      ADD COLUMN IF NOT EXISTS http_stats JSONB;
     `);
     
     console.log(`📊 Logging ETL status for ${organizationName}: ${status}${stats.currentStep ? ` - ${stats.currentStep}` : ''}`);
@@ -429,14 +579,16 @@ const logETLStatus = async (organizationName, status, stats = {}) => {
     
     let result;
     
-    if (checkResult.rows.length > 0 && (status === 'success' || status === 'failed')) {
+    if (checkResult.rows.length > 0 && (status === 'success' || status === 'failed' || status === 'degraded')) {
       // Update existing 'running' record to completion status
       const updateQuery = `
         UPDATE etl_status 
         SET status = $1, processed_count = $2, success_count = $3, error_count = $4, 
             error_message = $5, end_time = $6, duration_seconds = $7, jobs_in_db = $8,
-            current_step = $9, progress_percent = $10, estimated_remaining_seconds = $11
-        WHERE id = $12
+            current_step = $9, progress_percent = $10, estimated_remaining_seconds = $11,
+            inserted_count = $12, updated_count = $13, unchanged_count = $14, disappeared_count = $15,
+            fill_rates = $16, drift_reasons = $17, http_stats = $18
+        WHERE id = $19
         RETURNING id;
       `;
       
@@ -450,8 +602,15 @@ const logETLStatus = async (organizationName, status, stats = {}) => {
         stats.durationSeconds || null,
         stats.jobsInDb || 0,
         stats.currentStep || null,
-        status === 'success' ? 100 : (stats.progressPercent || 0),
+        status === 'success' || status === 'degraded' ? 100 : (stats.progressPercent || 0),
         stats.estimatedRemainingSeconds || null,
+        stats.insertedCount || 0,
+        stats.updatedCount || 0,
+        stats.unchangedCount || 0,
+        stats.disappearedCount || 0,
+        stats.fillRates ? JSON.stringify(stats.fillRates) : null,
+        stats.driftReasons ? JSON.stringify(stats.driftReasons) : null,
+        stats.httpStats && Object.keys(stats.httpStats).length > 0 ? JSON.stringify(stats.httpStats) : null,
         checkResult.rows[0].id
       ]);
       
@@ -461,8 +620,9 @@ const logETLStatus = async (organizationName, status, stats = {}) => {
       const insertQuery = `
         INSERT INTO etl_status 
         (organization_name, status, processed_count, success_count, error_count, error_message, 
-         start_time, end_time, duration_seconds, jobs_in_db, current_step, progress_percent, estimated_remaining_seconds)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         start_time, end_time, duration_seconds, jobs_in_db, current_step, progress_percent, estimated_remaining_seconds,
+         run_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
         RETURNING id;
       `;
       
@@ -479,7 +639,8 @@ const logETLStatus = async (organizationName, status, stats = {}) => {
         stats.jobsInDb || 0,
         stats.currentStep || null,
         stats.progressPercent || 0,
-        stats.estimatedRemainingSeconds || null
+        stats.estimatedRemainingSeconds || null,
+        stats.runId || null
       ]);
       
       console.log(`📝 Created new ETL record for ${organizationName}: ${status}`);
@@ -567,6 +728,7 @@ const forceCleanupAllRunningStatuses = async () => {
     `;
     
     const result = await client.query(forceQuery);
+    const locksResult = await client.query('DELETE FROM etl_locks RETURNING organization_name;');
     
     if (result.rows.length > 0) {
       console.log(`🧹 Force-cleaned ${result.rows.length} running statuses:`);
@@ -574,8 +736,11 @@ const forceCleanupAllRunningStatuses = async () => {
         console.log(`   - ${row.organization_name} (started: ${row.start_time})`);
       });
     }
+    if (locksResult.rows.length > 0) {
+      console.log(`🔓 Dropped ${locksResult.rows.length} ETL locks: ${locksResult.rows.map((row) => row.organization_name).join(', ')}`);
+    }
     
-    return result.rows.length;
+    return Math.max(result.rows.length, locksResult.rows.length);
     
   } catch (error) {
     console.error("Error force-cleaning running statuses:", error);
@@ -630,7 +795,18 @@ const cleanupStaleRunningStatuses = async () => {
 };
 
 // ETL Mutex - Ensure only one organization runs ETL at a time
-const acquireETLLock = async (organizationName) => {
+// The lock is a row in etl_locks, taken inside a transaction that holds an
+// advisory lock, so two callers can't both see it free and both start.
+// `allowConcurrent` skips the "another organization is running" check — the
+// runner passes it when its own scheduler is deciding what runs side by side.
+// `runId` marks the holder: taking a lock the same run already holds
+// succeeds (the trigger endpoint locks before the run starts), and
+// releasing with a run id only frees that run's lock. Locks older than
+// STALE_LOCK_HOURS belong to a crashed process and are taken over.
+const STALE_LOCK_HOURS = 4;
+const ETL_LOCK_KEY = 'etl_locks';
+
+const acquireETLLock = async (organizationName, { allowConcurrent = false, runId = null } = {}) => {
   const { Client } = require('pg');
   const { credentials } = require("./db");
   
@@ -638,60 +814,60 @@ const acquireETLLock = async (organizationName) => {
   
   try {
     await client.connect();
-    
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1));', [ETL_LOCK_KEY]);
+
+    await client.query(`
+      DELETE FROM etl_locks
+      WHERE acquired_at < NOW() - make_interval(hours => $1);
+    `, [STALE_LOCK_HOURS]);
+
+    const heldResult = await client.query(`
+      SELECT organization_name, run_id, acquired_at
+      FROM etl_locks
+      ORDER BY acquired_at DESC;
+    `);
+    const own = heldResult.rows.find((row) => row.organization_name === organizationName);
+    const other = heldResult.rows.find((row) => row.organization_name !== organizationName);
+
     // Check if any other organization is currently running
-    const runningQuery = `
-      SELECT organization_name, start_time 
-      FROM etl_status 
-      WHERE status = 'running' 
-        AND organization_name != $1
-        AND start_time > NOW() - INTERVAL '4 hours'
-      ORDER BY start_time DESC
-      LIMIT 1;
-    `;
-    
-    const runningResult = await client.query(runningQuery, [organizationName]);
-    
-    if (runningResult.rows.length > 0) {
-      const runningOrg = runningResult.rows[0];
-      const timeSinceStart = Math.round((new Date() - new Date(runningOrg.start_time)) / 1000 / 60);
+    if (!allowConcurrent && other) {
+      await client.query('ROLLBACK');
+      const timeSinceStart = Math.round((new Date() - new Date(other.acquired_at)) / 1000 / 60);
       
-      console.log(`⏳ ETL lock denied: ${runningOrg.organization_name} is currently running (started ${timeSinceStart} minutes ago)`);
+      console.log(`⏳ ETL lock denied: ${other.organization_name} is currently running (started ${timeSinceStart} minutes ago)`);
       return { 
         acquired: false, 
-        reason: `${runningOrg.organization_name} is currently running ETL`,
-        runningSince: runningOrg.start_time
+        reason: `${other.organization_name} is currently running ETL`,
+        runningSince: other.acquired_at
       };
     }
     
     // Check if this organization is already running
-    const selfRunningQuery = `
-      SELECT start_time 
-      FROM etl_status 
-      WHERE status = 'running' 
-        AND organization_name = $1
-        AND start_time > NOW() - INTERVAL '4 hours'
-      ORDER BY start_time DESC
-      LIMIT 1;
-    `;
-    
-    const selfRunningResult = await client.query(selfRunningQuery, [organizationName]);
-    
-    if (selfRunningResult.rows.length > 0) {
-      const timeSinceStart = Math.round((new Date() - new Date(selfRunningResult.rows[0].start_time)) / 1000 / 60);
+    if (own && !(runId && own.run_id === runId)) {
+      await client.query('ROLLBACK');
+      const timeSinceStart = Math.round((new Date() - new Date(own.acquired_at)) / 1000 / 60);
       
       console.log(`⏳ ETL lock denied: ${organizationName} is already running (started ${timeSinceStart} minutes ago)`);
       return { 
         acquired: false, 
         reason: `${organizationName} is already running ETL`,
-        runningSince: selfRunningResult.rows[0].start_time
+        runningSince: own.acquired_at
       };
     }
+
+    await client.query(`
+      INSERT INTO etl_locks (organization_name, run_id, acquired_at)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (organization_name) DO UPDATE SET acquired_at = NOW();
+    `, [organizationName, runId]);
+    await client.query('COMMIT');
     
     console.log(`🔒 ETL lock acquired for ${organizationName}`);
     return { acquired: true };
     
   } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
     console.error(`Error acquiring ETL lock for ${organizationName}:`, error);
     return { 
       acquired: false, 
@@ -702,8 +878,8 @@ const acquireETLLock = async (organizationName) => {
   }
 };
 
-// Release ETL lock (this happens automatically when status changes from 'running')
-const releaseETLLock = async (organizationName) => {
+// Release ETL lock and clean up any 'running' status the run left behind
+const releaseETLLock = async (organizationName, { runId = null } = {}) => {
   const { Client } = require('pg');
   const { credentials } = require("./db");
   
@@ -711,6 +887,12 @@ const releaseETLLock = async (organizationName) => {
   
   try {
     await client.connect();
+
+    await client.query(`
+      DELETE FROM etl_locks
+      WHERE organization_name = $1
+        AND ($2::text IS NULL OR run_id = $2);
+    `, [organizationName, runId]);
     
     // Double-check: ensure any remaining 'running' status is cleaned up
     const cleanupQuery = `
@@ -719,10 +901,11 @@ const releaseETLLock = async (organizationName) => {
       WHERE organization_name = $1 
         AND status = 'running' 
         AND start_time > NOW() - INTERVAL '4 hours'
+        AND ($2::text IS NULL OR run_id = $2)
       RETURNING id;
     `;
     
-    const result = await client.query(cleanupQuery, [organizationName]);
+    const result = await client.query(cleanupQuery, [organizationName, runId]);
     
     if (result.rows.length > 0) {
       console.log(`🧹 Cleaned up ${result.rows.length} remaining 'running' status for ${organizationName}`);
@@ -740,7 +923,9 @@ const releaseETLLock = async (organizationName) => {
 };
 
 // Get current job count for organization
-const getJobCount = async (organizationName) => {
+// dataSource defaults to the lower-cased organization name, which is what
+// most ETLs write; sources that differ (e.g. UNESCO) pass it explicitly.
+const getJobCount = async (organizationName, dataSource = organizationName.toLowerCase()) => {
   const { Client } = require('pg');
   const { credentials } = require("./db");
   
@@ -750,7 +935,7 @@ const getJobCount = async (organizationName) => {
     await client.connect();
     const result = await client.query(
       'SELECT COUNT(*) as count FROM job_vacancies WHERE data_source = $1',
-      [organizationName.toLowerCase()]
+      [dataSource]
     );
     return parseInt(result.rows[0].count);
   } catch (error) {
@@ -831,11 +1016,160 @@ const getETLHistory = async (organizationName, limit = 10) => {
   }
 };
 
+// Get every etl_status row written by one run (see runner.startEtlRun)
+const getETLRunStatus = async (runId) => {
+  const { Client } = require('pg');
+  const { credentials } = require("./db");
+  
+  const client = new Client(credentials);
+  
+  try {
+    await client.connect();
+    
+    const query = `
+      SELECT organization_name, status, processed_count, success_count, error_count,
+             error_message, start_time, end_time, duration_seconds, jobs_in_db,
+             current_step, progress_percent, estimated_remaining_seconds,
+             inserted_count, updated_count, unchanged_count, disappeared_count, created_at
+      FROM etl_status 
+      WHERE run_id = $1 
+      ORDER BY start_time ASC NULLS LAST, id ASC;
+    `;
+    
+    const result = await client.query(query, [runId]);
+    return result.rows;
+    
+  } finally {
+    await client.end();
+  }
+};
+
+// Current database time. Change counts compare against timestamps written
+// with NOW(), so the cut-off has to come from the same clock.
+const getDatabaseTime = async () => {
+  const client = new Client(credentials);
+  
+  try {
+    await client.connect();
+    const result = await client.query('SELECT NOW() AS now');
+    return result.rows[0].now;
+  } finally {
+    await client.end();
+  }
+};
+
+// What one run did to a source's rows since `since` (taken at run start):
+// new rows, rows whose content changed, rows re-seen unchanged, and open rows
+// the source no longer lists. Disappeared is only meaningful after a complete run.
+const getJobChangeCounts = async (dataSource, since) => {
+  const client = new Client(credentials);
+  
+  try {
+    await client.connect();
+    const result = await client.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE first_seen_at >= $2) AS inserted,
+        COUNT(*) FILTER (WHERE first_seen_at < $2 AND updated_at >= $2) AS updated,
+        COUNT(*) FILTER (WHERE last_seen_at >= $2 AND updated_at < $2) AS unchanged,
+        COUNT(*) FILTER (WHERE status = 'open' AND (last_seen_at < $2 OR last_seen_at IS NULL)) AS disappeared
+      FROM job_vacancies
+      WHERE data_source = $1;
+    `, [dataSource, since]);
+    
+    const row = result.rows[0];
+    return {
+      insertedCount: parseInt(row.inserted) || 0,
+      updatedCount: parseInt(row.updated) || 0,
+      unchangedCount: parseInt(row.unchanged) || 0,
+      disappearedCount: parseInt(row.disappeared) || 0
+    };
+  } catch (error) {
+    console.error(`Error counting job changes for ${dataSource}:`, error.message);
+    return { insertedCount: 0, updatedCount: 0, unchangedCount: 0, disappearedCount: 0 };
+  } finally {
+    await client.end();
+  }
+};
+
+// Soft-close a source's open vacancies that its latest successful run
+// (started at `since`) didn't list — the agency withdrew them early. Closed
+// rows drop out of listings but stay readable by id. If the run saw fewer
+// than `minSeenRatio` of the previously open rows it was probably a partial
+// scrape, so nothing is closed.
+const closeDisappearedJobs = async (dataSource, since, {
+  minSeenRatio = parseFloat(process.env.ETL_CLOSE_MIN_SEEN_RATIO) || 0.5
+} = {}) => {
+  const client = new Client(credentials);
+  
+  try {
+    await client.connect();
+    
+    const countResult = await client.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE last_seen_at >= $2) AS seen,
+        COUNT(*) FILTER (WHERE status = 'open' AND (last_seen_at < $2 OR last_seen_at IS NULL)) AS missing
+      FROM job_vacancies
+      WHERE data_source = $1;
+    `, [dataSource, since]);
+    
+    const seen = parseInt(countResult.rows[0].seen) || 0;
+    const missing = parseInt(countResult.rows[0].missing) || 0;
+    
+    if (missing === 0) {
+      return { closedCount: 0, skipped: false };
+    }
+    
+    const seenRatio = seen / (seen + missing);
+    if (seenRatio < minSeenRatio) {
+      const reason = `only ${seen} of ${seen + missing} open jobs seen (${Math.round(seenRatio * 100)}% < ${Math.round(minSeenRatio * 100)}%)`;
+      console.warn(`⚠️  ${dataSource}: Not closing disappeared jobs — ${reason}`);
+      return { closedCount: 0, skipped: true, reason };
+    }
+    
+    const closeResult = await client.query(`
+      UPDATE job_vacancies
+      SET status = 'closed', closed_at = NOW()
+      WHERE data_source = $1
+        AND status = 'open'
+        AND (last_seen_at < $2 OR last_seen_at IS NULL)
+      RETURNING id;
+    `, [dataSource, since]);
+    
+    if (closeResult.rowCount > 0) {
+      console.log(`🚪 ${dataSource}: Closed ${closeResult.rowCount} jobs no longer listed by the source`);
+    }
+    
+    return { closedCount: closeResult.rowCount, skipped: false };
+    
+  } finally {
+    await client.end();
+  }
+};
+
 /**
- * Expired Job Cleanup - Remove jobs past their end_date
+ * Expired Job Cleanup - Move jobs past their end_date to the archive
  */
 
-// Cleanup expired jobs where end_date < NOW()
+// Run clusterDuplicateJobs() and copy its counts onto the cleanup stats
+const clusterCrossSourceDuplicates = async (client, stats, dryRun) => {
+  console.log(`\n🔗 Step 5: Clustering cross-source duplicates${dryRun ? " (dry run)" : ""}...`);
+  const clusterStats = await clusterDuplicateJobs(client, { dryRun });
+  stats.duplicateClusters = clusterStats.clusters;
+  stats.clusteredJobs = clusterStats.clusteredJobs;
+  stats.hiddenDuplicateJobs = clusterStats.hiddenJobs;
+
+  if (clusterStats.clusters > 0) {
+    console.log(`   🌐 ${clusterStats.clusteredJobs} jobs in ${clusterStats.clusters} clusters, ${clusterStats.changedJobs} changed since last time`);
+    clusterStats.examples.forEach((example) => {
+      console.log(`      🌐 "${example.jobTitle}" in ${example.dutyStation} — ${example.sources.join(", ")}`);
+    });
+  } else {
+    console.log("   ✅ No cross-source duplicates found");
+  }
+  return clusterStats;
+};
+
+// Archive expired jobs (end_date < NOW()) and same-org duplicates, see archive.js
 const cleanupExpiredAndDuplicateJobs = async (client = null, dryRun = false) => {
   let ownClient = false;
   
@@ -855,6 +1189,10 @@ const cleanupExpiredAndDuplicateJobs = async (client = null, dryRun = false) =>
     totalDuplicateJobs: 0,
     deletedExpiredJobs: 0,
     deletedDuplicateJobs: 0,
+    archivedWithdrawnJobs: 0,
+    duplicateClusters: 0,
+    clusteredJobs: 0,
+    hiddenDuplicateJobs: 0,
     errorCount: 0,
     organizationBreakdown: {},
     startTime: new Date(),
@@ -863,10 +1201,11 @@ const cleanupExpiredAndDuplicateJobs = async (client = null, dryRun = false) =>
   };
 
   try {
-    // Step 1: Check for duplicates (same-org and cross-org)
+    // Step 1: Check for same-org duplicates. Copies of a job from different
+    // sources aren't deleted — Step 5 clusters them (see clustering.js).
     console.log("🔍 Step 1: Checking for duplicate jobs...");
     console.log("   📋 Same-org logic: Same organization + title + start/end dates + location = duplicate");
-    console.log("   📋 Cross-org logic: Same title + location + end date = duplicate (keep first posted)");
+    console.log("   📋 Cross-source copies: clustered after cleanup, rows kept");
     
     // Check for same-organization duplicates (same title + dates + location within organization)
     const sameOrgQuery = `
@@ -884,6 +1223,7 @@ const cleanupExpiredAndDuplicateJobs = async (client = null, dryRun = false) =>
           organization_id,
           COUNT(*) as duplicate_count
         FROM job_vacancies
+        WHERE status = 'open'
         GROUP BY job_title, start_date, end_date, duty_station, data_source, organization_id
         HAVING COUNT(*) > 1
       ) duplicates
@@ -891,32 +1231,10 @@ const cleanupExpiredAndDuplicateJobs = async (client = null, dryRun = false) =>
       ORDER BY total_duplicates DESC
     `;
     
-    // Check for cross-organization duplicates (same title + location + end_date)
-    const crossOrgQuery = `
-      SELECT 
-        COUNT(*) as duplicate_groups,
-        SUM(duplicate_count - 1) as total_duplicates
-      FROM (
-        SELECT 
-          job_title,
-          duty_station,
-          end_date,
-          COUNT(*) as duplicate_count
-        FROM job_vacancies
-        GROUP BY job_title, duty_station, end_date
-        HAVING COUNT(*) > 1 AND COUNT(DISTINCT data_source) > 1
-      ) duplicates
-    `;
-    
-    const [sameOrgResult, crossOrgResult] = await Promise.all([
-      client.query(sameOrgQuery),
-      client.query(crossOrgQuery)
-    ]);
-    
+    const sameOrgResult = await client.query(sameOrgQuery);
     const sameOrgDuplicates = sameOrgResult.rows.reduce((sum, row) => sum + parseInt(row.total_duplicates), 0);
-    const crossOrgDuplicates = parseInt(crossOrgResult.rows[0]?.total_duplicates || 0);
-    
-    stats.totalDuplicateJobs = sameOrgDuplicates + crossOrgDuplicates;
+
+    stats.totalDuplicateJobs = sameOrgDuplicates;
     
     if (stats.totalDuplicateJobs > 0) {
       console.log(`📊 Found ${stats.totalDuplicateJobs} duplicate jobs:`);
@@ -928,34 +1246,6 @@ const cleanupExpiredAndDuplicateJobs = async (client = null, dryRun = false) =>
         });
       }
       
-      if (crossOrgDuplicates > 0) {
-        console.log(`   🌐 Cross-organization duplicates: ${crossOrgDuplicates} jobs`);
-      }
-      
-      // Show examples of cross-org duplicates
-      if (crossOrgDuplicates > 0) {
-        const crossOrgExampleQuery = `
-          SELECT 
-            job_title,
-            duty_station,
-            end_date,
-            COUNT(*) as duplicate_count,
-            STRING_AGG(DISTINCT data_source, ', ') as organizations
-          FROM job_vacancies
-          GROUP BY job_title, duty_station, end_date
-          HAVING COUNT(*) > 1 AND COUNT(DISTINCT data_source) > 1
-          ORDER BY duplicate_count DESC
-          LIMIT 3
-        `;
-        const crossOrgExampleResult = await client.query(crossOrgExampleQuery);
-        console.log("   📝 Examples of cross-organization duplicates:");
-        crossOrgExampleResult.rows.forEach(row => {
-          const endDate = row.end_date ? row.end_date.toDateString() : 'No end date';
-          console.log(`      🌐 "${row.job_title}" in ${row.duty_station} (ends: ${endDate})`);
-          console.log(`         Posted by: ${row.organizations} (${row.duplicate_count} copies)`);
-        });
-      }
-      
       // Show examples of same-org duplicates  
       if (sameOrgDuplicates > 0) {
         const sameOrgExampleQuery = `
@@ -967,6 +1257,7 @@ const cleanupExpiredAndDuplicateJobs = async (client = null, dryRun = false) =>
             data_source,
             COUNT(*) as duplicate_count
           FROM job_vacancies
+          WHERE status = 'open'
           GROUP BY job_title, start_date, end_date, duty_station, data_source, organization_id
           HAVING COUNT(*) > 1
           ORDER BY duplicate_count DESC
@@ -995,7 +1286,7 @@ const cleanupExpiredAndDuplicateJobs = async (client = null, dryRun = false) =>
         MIN(end_date) as oldest_expired,
         MAX(end_date) as newest_expired
       FROM job_vacancies 
-      WHERE end_date < NOW()
+      WHERE ${ARCHIVABLE_CONDITION}
       GROUP BY data_source
       ORDER BY expired_count DESC
     `;
@@ -1024,60 +1315,35 @@ const cleanupExpiredAndDuplicateJobs = async (client = null, dryRun = false) =>
     
     if (stats.totalExpiredJobs === 0 && stats.totalDuplicateJobs === 0) {
       console.log("\n✅ Database is clean - no expired jobs or duplicates found!");
+      await clusterCrossSourceDuplicates(client, stats, dryRun);
       stats.endTime = new Date();
       stats.durationSeconds = Math.round((stats.endTime - stats.startTime) / 1000);
       return stats;
     }
 
     if (dryRun) {
-      console.log("\n🔍 DRY RUN MODE - No jobs will be deleted");
-      console.log(`   Would delete: ${stats.totalExpiredJobs} expired jobs + ${stats.totalDuplicateJobs} duplicates`);
+      console.log("\n🔍 DRY RUN MODE - No jobs will be archived");
+      console.log(`   Would archive: ${stats.totalExpiredJobs} expired jobs + ${stats.totalDuplicateJobs} duplicates`);
+      await clusterCrossSourceDuplicates(client, stats, dryRun);
       stats.endTime = new Date();
       stats.durationSeconds = Math.round((stats.endTime - stats.startTime) / 1000);
       return stats;
     }
 
-    console.log("\n🗑️  Starting cleanup process...");
+    console.log("\n🗄️  Starting cleanup process (removed jobs go to job_vacancies_archive)...");
 
-    // Step 3: Remove duplicate jobs (keep the earliest posted)
+    // Step 3: Archive duplicate jobs
     if (stats.totalDuplicateJobs > 0) {
-      console.log("🗑️  Removing duplicate jobs...");
+      console.log("🗄️  Archiving duplicate jobs...");
       
       let totalDeleted = 0;
       const deletedSamples = [];
       
-      // First: Remove cross-organization duplicates (keep earliest posted)
-      if (crossOrgDuplicates > 0) {
-        console.log("   🌐 Removing cross-organization duplicates (keeping first posted)...");
-        const deleteCrossOrgQuery = `
-          DELETE FROM job_vacancies
-          WHERE id IN (
-            SELECT id FROM (
-              SELECT id,
-                     ROW_NUMBER() OVER (
-                         PARTITION BY job_title, duty_station, end_date
-                         ORDER BY created ASC, id ASC
-                     ) AS rn
-              FROM job_vacancies
-            ) t
-            WHERE rn > 1
-          )
-          RETURNING data_source, job_id, job_title, duty_station, end_date, created
-        `;
-        
-        const deleteCrossOrgResult = await client.query(deleteCrossOrgQuery);
-        totalDeleted += deleteCrossOrgResult.rowCount;
-        deletedSamples.push(...deleteCrossOrgResult.rows);
-        
-        console.log(`   ✅ Removed ${deleteCrossOrgResult.rowCount} cross-organization duplicates`);
-      }
-      
-      // Second: Remove same-organization duplicates (keep most recent)
+      // Remove same-organization duplicates (keep most recent)
       if (sameOrgDuplicates > 0) {
-        console.log("   🏢 Removing same-organization duplicates (keeping most recent)...");
-        const deleteSameOrgQuery = `
-          DELETE FROM job_vacancies
-          WHERE id IN (
+        console.log("   🏢 Archiving same-organization duplicates (keeping most recent)...");
+        const sameOrgDuplicateIds = `
+          id IN (
             SELECT id FROM (
               SELECT id,
                      ROW_NUMBER() OVER (
@@ -1085,24 +1351,24 @@ const cleanupExpiredAndDuplicateJobs = async (client = null, dryRun = false) =>
                          ORDER BY created DESC, id DESC
                      ) AS rn
               FROM job_vacancies
+              WHERE status = 'open'
             ) t
             WHERE rn > 1
           )
-          RETURNING data_source, job_id, job_title, start_date, end_date, duty_station, created
         `;
         
-        const deleteSameOrgResult = await client.query(deleteSameOrgQuery);
+        const deleteSameOrgResult = await archiveJobs(client, sameOrgDuplicateIds, 'duplicate');
         totalDeleted += deleteSameOrgResult.rowCount;
         deletedSamples.push(...deleteSameOrgResult.rows);
         
-        console.log(`   ✅ Removed ${deleteSameOrgResult.rowCount} same-organization duplicates`);
+        console.log(`   ✅ Archived ${deleteSameOrgResult.rowCount} same-organization duplicates`);
       }
       
       stats.deletedDuplicateJobs = totalDeleted;
-      console.log(`✅ Total removed: ${totalDeleted} duplicate jobs`);
+      console.log(`✅ Total archived: ${totalDeleted} duplicate jobs`);
       
       if (deletedSamples.length > 0) {
-        console.log("📝 Sample deleted duplicates:");
+        console.log("📝 Sample archived duplicates:");
         deletedSamples.slice(0, 5).forEach(job => {
           const startDate = job.start_date ? job.start_date.toDateString() : 'No start date';
           const endDate = job.end_date ? job.end_date.toDateString() : 'No end date';
@@ -1114,26 +1380,22 @@ const cleanupExpiredAndDuplicateJobs = async (client = null, dryRun = false) =>
       }
     }
 
-    // Step 4: Remove expired jobs
+    // Step 4: Archive expired jobs (closed ones as withdrawn)
 
     if (stats.totalExpiredJobs > 0) {
-      console.log("🗑️  Removing expired jobs...");
-      const deleteExpiredQuery = `
-        DELETE FROM job_vacancies 
-        WHERE end_date < NOW()
-        RETURNING data_source, job_id, job_title, end_date
-      `;
-
-      const deleteExpiredResult = await client.query(deleteExpiredQuery);
+      console.log("🗄️  Archiving expired jobs...");
+      const deleteExpiredResult = await archiveExpiredJobs(client);
       stats.deletedExpiredJobs = deleteExpiredResult.rowCount;
+      stats.archivedWithdrawnJobs = deleteExpiredResult.rows.filter(job => job.archive_reason === 'withdrawn').length;
       
-      console.log(`✅ Removed ${stats.deletedExpiredJobs} expired jobs`);
+      console.log(`✅ Archived ${stats.deletedExpiredJobs} expired jobs (${stats.archivedWithdrawnJobs} withdrawn by their source)`);
       
-      // Log some examples of deleted jobs
+      // Log some examples of archived jobs
       if (deleteExpiredResult.rows.length > 0) {
-        console.log("📝 Sample deleted expired jobs:");
+        console.log("📝 Sample archived expired jobs:");
         deleteExpiredResult.rows.slice(0, 3).forEach(job => {
-          console.log(`   🗑️  ${job.data_source.toUpperCase()}: "${job.job_title}" (expired: ${job.end_date.toDateString()})`);
+          const endDate = job.end_date ? job.end_date.toDateString() : 'no deadline';
+          console.log(`   🗄️  ${job.data_source.toUpperCase()}: "${job.job_title}" (${job.archive_reason}: ${endDate})`);
         });
         
         if (deleteExpiredResult.rows.length > 3) {
@@ -1142,9 +1404,12 @@ const cleanupExpiredAndDuplicateJobs = async (client = null, dryRun = false) =>
       }
     }
 
+    // Step 5: Cluster copies of the same job from different sources
+    const clusterStats = await clusterCrossSourceDuplicates(client, stats, dryRun);
+
     // 🔄 Clear Redis cache after cleanup
     const deletedJobsCount = stats.deletedExpiredJobs + stats.deletedDuplicateJobs;
-    if (deletedJobsCount > 0) {
+    if (deletedJobsCount > 0 || clusterStats.changedJobs > 0) {
       try {
         const redisClient = require('../redisClient');
         
@@ -1170,9 +1435,10 @@ const cleanupExpiredAndDuplicateJobs = async (client = null, dryRun = false) =>
 
     console.log("\n✅ ==========================================");
     console.log("📅 Database Cleanup Completed Successfully");
-    console.log(`🗑️  Total Deleted: ${totalDeleted} jobs`);
+    console.log(`🗄️  Total Archived: ${totalDeleted} jobs`);
     console.log(`   📅 Expired: ${stats.deletedExpiredJobs} jobs`);
     console.log(`   🔄 Duplicates: ${stats.deletedDuplicateJobs} jobs`);
+    console.log(`🔗 Clustered: ${stats.clusteredJobs} jobs in ${stats.duplicateClusters} clusters (${stats.hiddenDuplicateJobs} hidden from listings)`);
     console.log(`⏱️  Duration: ${stats.durationSeconds}s`);
     console.log("============================================");
 
@@ -1239,6 +1505,7 @@ const getJobsExpiringSoon = async (daysAhead = 7) => {
         MAX(end_date) as latest_expiry
       FROM job_vacancies 
       WHERE end_date BETWEEN CURRENT_DATE AND CURRENT_DATE + INTERVAL '${daysAhead} days'
+        AND status = 'open'
       GROUP BY data_source
       ORDER BY expiring_count DESC
     `;
@@ -1399,11 +1666,16 @@ module.exports = {
   processJobSafely,
   checkApiHealth,
   upsertJobVacancy,
+  computeContentHash,
   logETLStatus,
   updateETLProgress,
   getJobCount,
   getLatestETLStatus,
   getETLHistory,
+  getETLRunStatus,
+  getDatabaseTime,
+  getJobChangeCounts,
+  closeDisappearedJobs,
   cleanupExpiredJobs,
   cleanupExpiredAndDuplicateJobs,
   getJobsExpiringSoon,
@@ -0,0 +1,213 @@
+const zlib = require("zlib");
+const { Client } = require("pg");
+const { credentials } = require("./db");
+const { upsertJobVacancy } = require("./shared");
+
+/**
+ * Raw payload snapshots
+ *
+ * Every run stores what the source actually returned for each vacancy —
+ * the API JSON, or the detail page HTML for scraped sites — gzipped in
+ * etl_payload_snapshots under the run id. When a mapping bug is fixed,
+ * reprocessSnapshots() replays a stored run through the source's
+ * `transform` and upsertJobVacancy() without scraping again. A replay only
+ * rewrites the mapped columns: it doesn't count as a sighting, and jobs
+ * closed or archived since that run are left alone.
+ *
+ * Sources opt in by taking `snapshots` from their run options and exporting
+ * a `transform(payload, context)` that turns one stored payload back into a
+ * job_vacancies row:
+ *
+ *   await snapshots.add(job.Id, { job, detail });          // JSON
+ *   await snapshots.add(id, html, { format: 'html',       // HTML plus the
+ *                                   context: listingRow }); // listing values
+ *
+ * Snapshots older than ETL_SNAPSHOT_RETENTION_DAYS (default 14) are pruned
+ * after each full run.
+ */
+
+const SNAPSHOT_FORMATS = ["json", "html"];
+const RETENTION_DAYS = parseInt(process.env.ETL_SNAPSHOT_RETENTION_DAYS, 10) || 14;
+const FLUSH_SIZE = 50;
+const REPROCESS_BATCH_SIZE = 100;
+
+// For sources run outside the runner (tests, ad-hoc scripts)
+const NO_SNAPSHOTS = { add: async () => {}, flush: async () => 0 };
+
+// Buffered writer for one source run. Write failures are logged and
+// dropped — losing a snapshot must never fail the ETL itself.
+const createSnapshotWriter = ({ organization, dataSource, runId }) => {
+  let buffer = [];
+  let stored = 0;
+
+  const flush = async () => {
+    if (buffer.length === 0) return stored;
+    const rows = buffer;
+    buffer = [];
+
+    const params = [];
+    const values = rows.map((row, i) => {
+      params.push(...row);
+      const base = i * 7;
+      return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7})`;
+    });
+
+    const client = new Client(credentials);
+    try {
+      await client.connect();
+      await client.query(`
+        INSERT INTO etl_payload_snapshots (run_id, organization, data_source, job_id, format, payload, context)
+        VALUES ${values.join(", ")};
+      `, params);
+      stored += rows.length;
+    } catch (error) {
+      console.warn(`⚠️  ${organization}: Failed to store ${rows.length} payload snapshots: ${error.message}`);
+    } finally {
+      await client.end().catch(() => {});
+    }
+    return stored;
+  };
+
+  const add = async (jobId, payload, { format = "json", context = null } = {}) => {
+    if (!SNAPSHOT_FORMATS.includes(format)) {
+      throw new Error(`Unknown snapshot format: ${format}`);
+    }
+    const raw = format === "json" ? JSON.stringify(payload) : String(payload);
+    buffer.push([
+      runId,
+      organization,
+      dataSource,
+      jobId === undefined || jobId === null ? null : String(jobId),
+      format,
+      zlib.gzipSync(raw),
+      context ? JSON.stringify(context) : null,
+    ]);
+    if (buffer.length >= FLUSH_SIZE) await flush();
+  };
+
+  return { add, flush };
+};
+
+const decodePayload = (row) => {
+  const raw = zlib.gunzipSync(row.payload).toString("utf8");
+  return row.format === "json" ? JSON.parse(raw) : raw;
+};
+
+// Most recent run of `organization` that has snapshots
+const getLatestSnapshotRunId = async (organization) => {
+  const client = new Client(credentials);
+  try {
+    await client.connect();
+    const result = await client.query(`
+      SELECT run_id FROM etl_payload_snapshots
+      WHERE organization = $1
+      ORDER BY captured_at DESC, id DESC
+      LIMIT 1;
+    `, [organization]);
+    return result.rows.length > 0 ? result.rows[0].run_id : null;
+  } finally {
+    await client.end();
+  }
+};
+
+// Re-run `source.transform` + upsertJobVacancy over every payload stored
+// for one run (default: the latest). Returns the runner's result shape.
+const reprocessSnapshots = async (source, runId = null) => {
+  const { name } = source;
+
+  if (typeof source.transform !== "function") {
+    return { success: false, error: `${name} does not support reprocessing (no transform)` };
+  }
+
+  const targetRunId = runId || await getLatestSnapshotRunId(name);
+  if (!targetRunId) {
+    return { success: false, error: `No payload snapshots stored for ${name}` };
+  }
+
+  console.log(`♻️  ${name}: Reprocessing payload snapshots from run ${targetRunId}...`);
+
+  const client = new Client(credentials);
+  let processedCount = 0;
+  let successCount = 0;
+  let skippedCount = 0;
+  let errorCount = 0;
+
+  try {
+    await client.connect();
+
+    let lastId = 0;
+    for (;;) {
+      const batch = await client.query(`
+        SELECT id, job_id, format, payload, context
+        FROM etl_payload_snapshots
+        WHERE organization = $1 AND run_id = $2 AND id > $3
+        ORDER BY id
+        LIMIT $4;
+      `, [name, targetRunId, lastId, REPROCESS_BATCH_SIZE]);
+
+      if (batch.rows.length === 0) break;
+      lastId = batch.rows[batch.rows.length - 1].id;
+
+      for (const row of batch.rows) {
+        processedCount++;
+        try {
+          const payload = decodePayload(row);
+          const jobData = await source.transform(payload, row.context);
+          if (!jobData) {
+            console.warn(`⚠️  ${name}: Snapshot for job ${row.job_id} no longer maps to a job`);
+            errorCount++;
+            continue;
+          }
+
+          const result = await upsertJobVacancy(client, jobData, name, { payload, reprocess: true });
+          if (result.action === 'skipped') {
+            skippedCount++;
+          } else if (result.success) {
+            successCount++;
+          } else {
+            errorCount++;
+          }
+        } catch (error) {
+          console.error(`❌ ${name}: Failed to reprocess job ${row.job_id}:`, error.message);
+          errorCount++;
+        }
+      }
+    }
+  } finally {
+    await client.end();
+  }
+
+  if (processedCount === 0) {
+    return { success: false, error: `No payload snapshots stored for ${name} run ${targetRunId}` };
+  }
+
+  console.log(`♻️  ${name}: Reprocessed ${processedCount} snapshots (${successCount} saved, ${skippedCount} closed or archived since, ${errorCount} errors)`);
+  return { success: true, runId: targetRunId, processedCount, successCount, skippedCount, errorCount };
+};
+
+// Delete snapshots past the retention window
+const pruneSnapshots = async (retentionDays = RETENTION_DAYS) => {
+  const client = new Client(credentials);
+  try {
+    await client.connect();
+    const result = await client.query(`
+      DELETE FROM etl_payload_snapshots
+      WHERE captured_at < NOW() - make_interval(days => $1);
+    `, [retentionDays]);
+
+    if (result.rowCount > 0) {
+      console.log(`🗄️  Pruned ${result.rowCount} payload snapshots older than ${retentionDays} days`);
+    }
+    return result.rowCount;
+  } finally {
+    await client.end();
+  }
+};
+
+module.exports = {
+  NO_SNAPSHOTS,
+  createSnapshotWriter,
+  getLatestSnapshotRunId,
+  reprocessSnapshots,
+  pruneSnapshots,
+};
@@ -232,8 +232,8 @@ module.exports.postJobNetworkPostsToLinkedIn = async (jobNetwork) => {
       FROM 
         public.job_vacancies
       WHERE 
-        jn = $1
-      ORDER BY organization_id, created DESC
+        jn = $1 AND status = 'open'
+      ORDER BY organization_id, first_seen_at DESC NULLS LAST
       LIMIT 5
     `;
 
@@ -258,8 +258,8 @@ module.exports.postJobNetworkPostsToLinkedIn = async (jobNetwork) => {
         FROM 
           public.job_vacancies
         WHERE 
-          jn = $1
-        ORDER BY created DESC
+          jn = $1 AND status = 'open'
+        ORDER BY first_seen_at DESC NULLS LAST
         LIMIT ${remainingSlots}
       `;
 
@@ -573,8 +573,9 @@ module.exports.postExpiringSoonJobPostsToLinkedIn = async () => {
       FROM 
         public.job_vacancies
       WHERE 
-        DATE(end_date) = CURRENT_DATE OR DATE(end_date) = CURRENT_DATE + INTERVAL '1 day'
-      ORDER BY organization_id, created DESC
+        (DATE(end_date) = CURRENT_DATE OR DATE(end_date) = CURRENT_DATE + INTERVAL '1 day')
+        AND status = 'open'
+      ORDER BY organization_id, first_seen_at DESC NULLS LAST
       LIMIT 5
     `;
 
@@ -598,8 +599,9 @@ module.exports.postExpiringSoonJobPostsToLinkedIn = async () => {
         FROM 
           public.job_vacancies
         WHERE 
-          DATE(end_date) = CURRENT_DATE OR DATE(end_date) = CURRENT_DATE + INTERVAL '1 day'
-        ORDER BY created DESC
+          (DATE(end_date) = CURRENT_DATE OR DATE(end_date) = CURRENT_DATE + INTERVAL '1 day')
+          AND status = 'open'
+        ORDER BY first_seen_at DESC NULLS LAST
         LIMIT ${remainingSlots}
       `;
 
@@ -1291,8 +1293,8 @@ const postJobNetworkPostsToFacebook = async (jobNetwork) => {
       FROM 
         public.job_vacancies
       WHERE 
-        jn = $1
-      ORDER BY organization_id, created DESC
+        jn = $1 AND status = 'open'
+      ORDER BY organization_id, first_seen_at DESC NULLS LAST
       LIMIT 5
     `;
 
@@ -1317,8 +1319,8 @@ const postJobNetworkPostsToFacebook = async (jobNetwork) => {
         FROM 
           public.job_vacancies
         WHERE 
-          jn = $1
-        ORDER BY created DESC
+          jn = $1 AND status = 'open'
+        ORDER BY first_seen_at DESC NULLS LAST
         LIMIT ${remainingSlots}
       `;
 
@@ -1584,8 +1586,9 @@ const postExpiringSoonJobPostsToFacebook = async () => {
       FROM 
         public.job_vacancies
       WHERE 
-        DATE(end_date) = CURRENT_DATE OR DATE(end_date) = CURRENT_DATE + INTERVAL '1 day'
-      ORDER BY organization_id, created DESC
+        (DATE(end_date) = CURRENT_DATE OR DATE(end_date) = CURRENT_DATE + INTERVAL '1 day')
+        AND status = 'open'
+      ORDER BY organization_id, first_seen_at DESC NULLS LAST
       LIMIT 5
     `;
 
@@ -1608,8 +1611,9 @@ const postExpiringSoonJobPostsToFacebook = async () => {
         FROM 
           public.job_vacancies
         WHERE 
-          DATE(end_date) = CURRENT_DATE OR DATE(end_date) = CURRENT_DATE + INTERVAL '1 day'
-        ORDER BY created DESC
+          (DATE(end_date) = CURRENT_DATE OR DATE(end_date) = CURRENT_DATE + INTERVAL '1 day')
+          AND status = 'open'
+        ORDER BY first_seen_at DESC NULLS LAST
         LIMIT ${remainingSlots}
       `;
 
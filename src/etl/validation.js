@@ -0,0 +1,184 @@
+/**
+ * Job record validation
+ *
+ * Every vacancy is checked against a schema before upsertJobVacancy()
+ * stores it: BASE_SCHEMA, plus the overrides in SOURCE_SCHEMAS for its
+ * data_source. A schema is
+ *
+ *   fields  column -> { type, required, maxLength, minLength, min, severity }
+ *           type is 'string', 'date', 'url' or 'integer'
+ *   rules   [{ id, severity, check(job, now) -> message | null }]
+ *           for anything that spans fields (deadline before posting date)
+ *
+ * A failed check is 'rejected' (the job is not stored) unless it is marked
+ * severity: 'suspicious' (stored, but flagged). Either way the job lands in
+ * etl_quarantine with its issues and raw payload — a suspicious one only
+ * when it is new or changed — see quarantine.js.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lengths follow the job_vacancies columns, so an over-long value is
+// reported here instead of failing the INSERT
+const BASE_SCHEMA = {
+  fields: {
+    job_id: { type: 'string', required: true, maxLength: 255 },
+    job_title: { type: 'string', required: true, minLength: 3, maxLength: 500 },
+    data_source: { type: 'string', required: true, maxLength: 50 },
+    language: { type: 'string', maxLength: 10 },
+    category_code: { type: 'string', maxLength: 30 },
+    job_code_title: { type: 'string', maxLength: 255 },
+    job_family_code: { type: 'string', maxLength: 255 },
+    job_level: { type: 'string', maxLength: 20 },
+    duty_station: { type: 'string', maxLength: 100 },
+    recruitment_type: { type: 'string', maxLength: 100 },
+    dept: { type: 'string', maxLength: 255 },
+    jn: { type: 'string', maxLength: 100 },
+    jf: { type: 'string', maxLength: 255 },
+    jc: { type: 'string', maxLength: 255 },
+    jl: { type: 'string', maxLength: 100 },
+    job_description: { type: 'string' },
+    start_date: { type: 'date' },
+    end_date: { type: 'date' },
+    apply_link: { type: 'url', maxLength: 2048 },
+    source_logo_url: { type: 'url', maxLength: 2048 },
+    total_count: { type: 'integer', min: 0 },
+    organization_id: { type: 'integer', min: 1 },
+  },
+  rules: [
+    {
+      id: 'end_before_start',
+      severity: 'rejected',
+      check: (job) => job.start_date && job.end_date && toDate(job.end_date) < toDate(job.start_date)
+        ? `end_date ${isoDay(job.end_date)} is before start_date ${isoDay(job.start_date)}`
+        : null,
+    },
+    {
+      id: 'deadline_passed',
+      severity: 'suspicious',
+      check: (job, now) => job.end_date && toDate(job.end_date) < new Date(now.getTime() - DAY_MS)
+        ? `deadline ${isoDay(job.end_date)} has already passed`
+        : null,
+    },
+    {
+      id: 'deadline_far',
+      severity: 'suspicious',
+      check: (job, now) => job.end_date && toDate(job.end_date) > new Date(now.getTime() + 365 * DAY_MS)
+        ? `deadline ${isoDay(job.end_date)} is more than a year away`
+        : null,
+    },
+    {
+      id: 'posted_in_future',
+      severity: 'suspicious',
+      check: (job, now) => job.start_date && toDate(job.start_date) > new Date(now.getTime() + 30 * DAY_MS)
+        ? `start_date ${isoDay(job.start_date)} is more than 30 days ahead`
+        : null,
+    },
+  ],
+};
+
+// Per-source overrides, merged field by field over BASE_SCHEMA. Keyed by
+// the data_source value the connector writes.
+const SOURCE_SCHEMAS = {
+  // API sources: every vacancy has a link and a closing date
+  undp: { fields: { apply_link: { required: true }, end_date: { required: true } } },
+  iom: { fields: { apply_link: { required: true }, end_date: { required: true } } },
+  unfpa: { fields: { apply_link: { required: true }, end_date: { required: true } } },
+  unwomen: { fields: { apply_link: { required: true }, end_date: { required: true } } },
+  icao: { fields: { apply_link: { required: true }, end_date: { required: true } } },
+  wfp: { fields: { apply_link: { required: true } } },
+  imf: { fields: { apply_link: { required: true } } },
+  unhcr: { fields: { apply_link: { required: true } } },
+  inspira: { fields: { end_date: { required: true } } },
+  reliefweb: { fields: { apply_link: { required: true }, start_date: { required: true } } },
+
+  // Scraped sites: a near-empty description usually means the detail page
+  // layout changed rather than that the posting is short
+  unicef: { fields: { job_description: { minLength: 200, severity: 'suspicious' } } },
+  unops: { fields: { job_description: { minLength: 200, severity: 'suspicious' } } },
+  UNESCO: { fields: { job_description: { minLength: 200, severity: 'suspicious' } } },
+};
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value));
+const isoDay = (value) => {
+  const date = toDate(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 10);
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const schemaFor = (dataSource) => {
+  const override = SOURCE_SCHEMAS[dataSource];
+  if (!override) return BASE_SCHEMA;
+
+  const fields = { ...BASE_SCHEMA.fields };
+  Object.entries(override.fields || {}).forEach(([field, spec]) => {
+    fields[field] = { ...fields[field], ...spec };
+  });
+  return { fields, rules: [...BASE_SCHEMA.rules, ...(override.rules || [])] };
+};
+
+// Problem with one field value, or null
+const checkField = (field, spec, value) => {
+  if (isBlank(value)) {
+    return spec.required ? `${field} is required` : null;
+  }
+
+  switch (spec.type) {
+    case 'date':
+      if (Number.isNaN(toDate(value).getTime())) return `${field} is not a valid date: ${String(value).slice(0, 50)}`;
+      return null;
+    case 'integer':
+      if (!Number.isInteger(Number(value))) return `${field} must be an integer`;
+      if (spec.min !== undefined && Number(value) < spec.min) return `${field} must be at least ${spec.min}`;
+      return null;
+    case 'url': {
+      let url;
+      try {
+        url = new URL(String(value));
+      } catch (error) {
+        return `${field} is not a valid URL: ${String(value).slice(0, 100)}`;
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return `${field} must be an http(s) URL`;
+      break;
+    }
+    case 'string':
+      if (typeof value === 'object') return `${field} must be text`;
+      break;
+    default:
+      break;
+  }
+
+  const length = String(value).length;
+  if (spec.maxLength && length > spec.maxLength) return `${field} is ${length} characters (max ${spec.maxLength})`;
+  if (spec.minLength && String(value).trim().length < spec.minLength) return `${field} is shorter than ${spec.minLength} characters`;
+  return null;
+};
+
+// { rejected: [issue], suspicious: [issue] }, each issue { field, rule, message }
+const validateJobRecord = (job, now = new Date()) => {
+  const result = { rejected: [], suspicious: [] };
+  const { fields, rules } = schemaFor(job && job.data_source);
+
+  Object.entries(fields).forEach(([field, spec]) => {
+    const message = checkField(field, spec, job[field]);
+    if (message) result[spec.severity || 'rejected'].push({ field, rule: 'field', message });
+  });
+
+  // Cross-field rules only make sense on values that parsed
+  const datesValid = result.rejected.every((issue) => issue.field !== 'start_date' && issue.field !== 'end_date');
+  if (datesValid) {
+    rules.forEach((rule) => {
+      const message = rule.check(job, now);
+      if (message) result[rule.severity || 'rejected'].push({ field: null, rule: rule.id, message });
+    });
+  }
+
+  return result;
+};
+
+module.exports = {
+  BASE_SCHEMA,
+  SOURCE_SCHEMAS,
+  validateJobRecord,
+};
@@ -3,7 +3,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const cron = require('node-cron');
-const puppeteer = require('puppeteer');
+const { withPage } = require('./etl/browser-pool');
 const cheerio = require('cheerio');
 const axios = require('axios');
 
@@ -66,23 +66,17 @@ class JobMonitor {
    * Fetch job data from ICAO website
    */
   async fetchJobData() {
-    let browser = null;
-    
     try {
-      // Try Puppeteer first
+      // Try Puppeteer first, on a page from the shared browser pool
       console.log('🌐 Fetching ICAO job data with Puppeteer...');
-      browser = await puppeteer.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+      const content = await withPage(async (page) => {
+        await page.goto(this.targetUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+        
+        // Wait for job list to load
+        await page.waitForSelector('[data-automation-id="jobTitle"], .job-item, .jobTitle', { timeout: 10000 });
+        
+        return page.content();
       });
-      
-      const page = await browser.newPage();
-      await page.goto(this.targetUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-      
-      // Wait for job list to load
-      await page.waitForSelector('[data-automation-id="jobTitle"], .job-item, .jobTitle', { timeout: 10000 });
-      
-      const content = await page.content();
       const $ = cheerio.load(content);
       
       const jobs = [];
@@ -95,8 +89,6 @@ class JobMonitor {
       
       const pageHash = crypto.createHash('md5').update(content).digest('hex');
       
-      await browser.close();
-      
       console.log(`✅ Puppeteer scraping complete: Found ${jobs.length} jobs`);
       
       return {
@@ -110,10 +102,6 @@ class JobMonitor {
     } catch (puppeteerError) {
       console.warn('⚠️  Puppeteer failed, trying fallback method:', puppeteerError.message);
       
-      if (browser) {
-        try { await browser.close(); } catch (e) { }
-      }
-      
       // Fallback to axios + cheerio
       try {
         console.log('🌐 Fetching with fallback method (axios)...');
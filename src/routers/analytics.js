@@ -0,0 +1,223 @@
+const express = require("express");
+const router = express.Router();
+const { auth } = require("../middleware/auth");
+
+const {
+  getPostingTrends,
+  getGrowingDutyStations,
+} = require("../controllers/analyticsController");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PostingMonth:
+ *       type: object
+ *       properties:
+ *         month:
+ *           type: string
+ *           example: "2026-03"
+ *         opened:
+ *           type: integer
+ *           description: Postings that opened this month
+ *         closed:
+ *           type: integer
+ *           description: Postings whose deadline passed or that were withdrawn this month
+ *         avg_window_days:
+ *           type: number
+ *           nullable: true
+ *           description: Average days from opening to deadline of the postings opened this month
+ *     PostingSummary:
+ *       type: object
+ *       properties:
+ *         opened:
+ *           type: integer
+ *         closed:
+ *           type: integer
+ *         net:
+ *           type: integer
+ *           description: opened minus closed
+ *         avg_window_days:
+ *           type: number
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/v1/analytics/postings:
+ *   get:
+ *     summary: Postings opened and closed per month, with the average posting window
+ *     description: |
+ *       Counts every posting once, whether it is still listed or has been archived. Same-organization duplicates and the hidden copies of a cross-source cluster are left out.
+ *       Computed from rollups refreshed at the end of each full or scheduled ETL run.
+ *       Without `group_by` the response has one `summary` and a monthly series in `data`; with it, `data` has the top `limit` groups by postings opened, each with its own summary and series.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2025-11"
+ *         description: First month (YYYY-MM); defaults to 11 months before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "2026-10"
+ *         description: Last month (YYYY-MM); defaults to the current month. At most 120 months per request.
+ *       - in: query
+ *         name: organization
+ *         schema:
+ *           type: string
+ *         description: Organization short name or id; comma-separated for several
+ *       - in: query
+ *         name: jn
+ *         schema:
+ *           type: string
+ *         description: Job network; comma-separated for several
+ *       - in: query
+ *         name: grade
+ *         schema:
+ *           type: string
+ *         description: Grade (P3, NOC, ...); comma-separated for several
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Country code or name; comma-separated for several
+ *       - in: query
+ *         name: group_by
+ *         schema:
+ *           type: string
+ *           enum: [organization, jn, grade, country]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *         description: Number of groups returned with group_by
+ *     responses:
+ *       200:
+ *         description: Monthly posting series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 from:
+ *                   type: string
+ *                 to:
+ *                   type: string
+ *                 groupBy:
+ *                   type: string
+ *                   nullable: true
+ *                 totalRecords:
+ *                   type: integer
+ *                   description: Number of groups before the limit (group_by only)
+ *                 summary:
+ *                   $ref: '#/components/schemas/PostingSummary'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     oneOf:
+ *                       - $ref: '#/components/schemas/PostingMonth'
+ *                       - type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                           summary:
+ *                             $ref: '#/components/schemas/PostingSummary'
+ *                           series:
+ *                             type: array
+ *                             items:
+ *                               $ref: '#/components/schemas/PostingMonth'
+ *       400:
+ *         description: Invalid month, group_by, grade or country
+ */
+router.get("/postings", auth, getPostingTrends);
+
+/**
+ * @swagger
+ * /api/v1/analytics/duty-stations/growing:
+ *   get:
+ *     summary: Duty stations with the largest rise in postings
+ *     description: |
+ *       Compares postings opened over the last `months` complete months with the same number of months before that, live and archived postings alike.
+ *       Only stations with more postings than before and at least `min_postings` in the recent window are listed.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: months
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *           maximum: 12
+ *       - in: query
+ *         name: min_postings
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Country code or name; comma-separated for several
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Growing duty stations, largest rise first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 recent:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                 previous:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       duty_station:
+ *                         type: string
+ *                         example: Nairobi, Kenya
+ *                       country_code:
+ *                         type: string
+ *                       recent:
+ *                         type: integer
+ *                       previous:
+ *                         type: integer
+ *                       growth:
+ *                         type: integer
+ *                       growth_rate:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Relative rise (0.5 = +50%); null when the station had no postings before
+ *       400:
+ *         description: Unknown country
+ */
+router.get("/duty-stations/growing", auth, getGrowingDutyStations);
+
+module.exports = router;
@@ -8,7 +8,12 @@ const {
   getOrganizationHistory,
   getStatistics,
   getHealthCheck,
+  getSources,
   triggerETL,
+  getETLRun,
+  getUnmatchedOrganizations,
+  addOrganizationAlias,
+  getQuarantine,
   clearCache,
   fixDatabaseSchema,
   testLinkedInETL,
@@ -51,8 +56,8 @@ router.get("/health", getHealthCheck);
  *           description: Name of the organization
  *         status:
  *           type: string
- *           enum: [running, success, failed]
- *           description: Current ETL status
+ *           enum: [running, success, degraded, failed]
+ *           description: Current ETL status — `degraded` is a run that finished but drifted from its recent baseline (see drift_reasons)
  *         processed_count:
  *           type: integer
  *           description: Number of jobs processed
@@ -328,6 +333,57 @@ router.get("/history/:organizationName", auth, getOrganizationHistory);
  */
 router.get("/statistics", auth, getStatistics);
 
+/**
+ * @swagger
+ * /api/v1/etl/sources:
+ *   get:
+ *     summary: List registered ETL sources
+ *     description: Every agency ETL discovered by the source registry (src/etl/registry.js), with its schedule and fetch strategy
+ *     tags: [ETL Monitoring]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered ETL sources
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/APIResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         sources:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               name:
+ *                                 type: string
+ *                               dataSource:
+ *                                 type: string
+ *                               schedule:
+ *                                 type: string
+ *                                 description: "'full' when part of the scheduled full run, otherwise a cron expression"
+ *                               strategy:
+ *                                 type: string
+ *                                 enum: [api, puppeteer]
+ *                               enabled:
+ *                                 type: boolean
+ *                               timeoutMinutes:
+ *                                 type: integer
+ *                                 description: Hard per-run timeout after which the run is marked failed
+ *                         totalSources:
+ *                           type: integer
+ *                         enabledSources:
+ *                           type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/sources", auth, getSources);
+
 /**
  * @swagger
  * /api/v1/etl/health:
@@ -361,6 +417,54 @@ router.get("/statistics", auth, getStatistics);
  *                           format: date-time
  *                         uptime:
  *                           type: number
+ *                         browserPool:
+ *                           type: object
+ *                           description: Shared Puppeteer pool in this process
+ *                           properties:
+ *                             openBrowsers:
+ *                               type: integer
+ *                             openPages:
+ *                               type: integer
+ *                             waiting:
+ *                               type: integer
+ *                               description: Callers waiting for a free page
+ *                             browsers:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   id:
+ *                                     type: integer
+ *                                   openPages:
+ *                                     type: integer
+ *                                   pagesServed:
+ *                                     type: integer
+ *                                   launchedAt:
+ *                                     type: string
+ *                                     format: date-time
+ *                             totals:
+ *                               type: object
+ *                               properties:
+ *                                 launched:
+ *                                   type: integer
+ *                                 crashed:
+ *                                   type: integer
+ *                                 recycled:
+ *                                   type: integer
+ *                                 launchFailures:
+ *                                   type: integer
+ *                                 pagesOpened:
+ *                                   type: integer
+ *                                 pagesClosed:
+ *                                   type: integer
+ *                                 pagesTimedOut:
+ *                                   type: integer
+ *                                 requestsBlocked:
+ *                                   type: integer
+ *                             lastCrashAt:
+ *                               type: string
+ *                               format: date-time
+ *                               nullable: true
  *       503:
  *         description: ETL system is degraded
  */
@@ -383,23 +487,346 @@ router.get("/statistics", auth, getStatistics);
  *               organizationName:
  *                 type: string
  *                 maxLength: 50
- *                 description: Optional - specific organization to run ETL for
+ *                 description: Optional - specific organization to run ETL for (omit for the full run)
  *     responses:
  *       202:
- *         description: ETL trigger accepted and queued
+ *         description: ETL run started in the background. Poll the returned statusUrl for progress.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/APIResponse'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/APIResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         runId:
+ *                           type: string
+ *                           format: uuid
+ *                         scope:
+ *                           type: string
+ *                           description: Organization name, or ALL for the full run
+ *                         organizations:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         status:
+ *                           type: string
+ *                         requestedAt:
+ *                           type: string
+ *                           format: date-time
+ *                         statusUrl:
+ *                           type: string
  *       400:
  *         description: Invalid organization name
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Unknown organization
+ *       409:
+ *         description: An ETL run for this organization (or a full run) is already in progress, or the source is disabled
  *       429:
  *         description: Too many requests
  */
 router.post("/trigger", auth, triggerETL);
 
+/**
+ * @swagger
+ * /api/v1/etl/runs/{runId}:
+ *   get:
+ *     summary: Get the progress of a triggered ETL run
+ *     tags: [ETL Monitoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Run id returned by POST /api/v1/etl/trigger
+ *     responses:
+ *       200:
+ *         description: Run status with per-organization progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/APIResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         runId:
+ *                           type: string
+ *                         scope:
+ *                           type: string
+ *                         status:
+ *                           type: string
+ *                           enum: [running, completed, failed]
+ *                         progress:
+ *                           type: object
+ *                           properties:
+ *                             finishedOrganizations:
+ *                               type: integer
+ *                             totalOrganizations:
+ *                               type: integer
+ *                             percent:
+ *                               type: integer
+ *                         organizations:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/ETLStatus'
+ *       400:
+ *         description: Invalid run id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Run not found
+ */
+router.get("/runs/:runId", auth, getETLRun);
+
+/**
+ * @swagger
+ * /api/v1/etl/organizations/unmatched:
+ *   get:
+ *     summary: Dept strings that matched no organization
+ *     description: |
+ *       Organization names seen by the ETL that matched no organization
+ *       code, name or alias and were attributed to the default
+ *       organization, most frequent first. Map one with
+ *       POST /api/v1/etl/organizations/aliases.
+ *     tags: [ETL Monitoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Unmatched organization names
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/APIResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         defaultOrganizationId:
+ *                           type: integer
+ *                         totalUnmatched:
+ *                           type: integer
+ *                         unmatched:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               normalized_name:
+ *                                 type: string
+ *                               dept:
+ *                                 type: string
+ *                                 description: Last raw spelling seen
+ *                               occurrences:
+ *                                 type: integer
+ *                                 description: Vacancies processed under this name since it was first seen
+ *                               openVacancies:
+ *                                 type: integer
+ *                                 description: Open vacancies currently attributed to the default organization under this name
+ *                               first_seen_at:
+ *                                 type: string
+ *                                 format: date-time
+ *                               last_seen_at:
+ *                                 type: string
+ *                                 format: date-time
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/organizations/unmatched", auth, getUnmatchedOrganizations);
+
+/**
+ * @swagger
+ * /api/v1/etl/organizations/aliases:
+ *   post:
+ *     summary: Map an organization name to an organization
+ *     description: |
+ *       Adds an alias used by the ETL's organization matching. Vacancies
+ *       already attributed to the default organization under that name are
+ *       moved to the organization, and the name leaves the unmatched list.
+ *     tags: [ETL Monitoring]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [alias, organizationId]
+ *             properties:
+ *               alias:
+ *                 type: string
+ *                 example: UN Volunteers
+ *               organizationId:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Alias added
+ *       400:
+ *         description: Invalid alias or organization id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Organization not found
+ *       409:
+ *         description: The alias is already mapped
+ */
+router.post("/organizations/aliases", auth, addOrganizationAlias);
+
+/**
+ * @swagger
+ * /api/v1/etl/quarantine:
+ *   get:
+ *     summary: Jobs that failed validation
+ *     description: |
+ *       Vacancies the ETL checked against their source's validation schema
+ *       and found wanting, newest first. `rejected` jobs were not stored;
+ *       `suspicious` ones were stored but flagged (once per new or changed
+ *       version of the job, not per sighting). Each item carries the
+ *       issues, the mapped row and, with include_payload=true, the raw
+ *       source payload. Rows are kept for ETL_QUARANTINE_RETENTION_DAYS.
+ *     tags: [ETL Monitoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: source
+ *         description: data_source of the job (e.g. undp, reliefweb)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: run
+ *         description: ETL run id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [rejected, suspicious]
+ *       - in: query
+ *         name: organization
+ *         description: Organization the ETL ran for (case-insensitive)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: include_payload
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Quarantined jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/APIResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         bySeverity:
+ *                           type: object
+ *                           properties:
+ *                             rejected:
+ *                               type: integer
+ *                             suspicious:
+ *                               type: integer
+ *                         items:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: integer
+ *                               run_id:
+ *                                 type: string
+ *                               organization:
+ *                                 type: string
+ *                               data_source:
+ *                                 type: string
+ *                               job_id:
+ *                                 type: string
+ *                               job_title:
+ *                                 type: string
+ *                               severity:
+ *                                 type: string
+ *                               reason:
+ *                                 type: string
+ *                               issues:
+ *                                 type: array
+ *                                 items:
+ *                                   type: object
+ *                                   properties:
+ *                                     field:
+ *                                       type: string
+ *                                       nullable: true
+ *                                     rule:
+ *                                       type: string
+ *                                     message:
+ *                                       type: string
+ *                               job_data:
+ *                                 type: object
+ *                               payload:
+ *                                 description: Only with include_payload=true
+ *                               created_at:
+ *                                 type: string
+ *                                 format: date-time
+ *                         pagination:
+ *                           type: object
+ *                           properties:
+ *                             page:
+ *                               type: integer
+ *                             size:
+ *                               type: integer
+ *                             totalRecords:
+ *                               type: integer
+ *                             totalPages:
+ *                               type: integer
+ *                             hasNext:
+ *                               type: boolean
+ *                             hasPrev:
+ *                               type: boolean
+ *       400:
+ *         description: Invalid severity, run id or pagination
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/quarantine", auth, getQuarantine);
+
 /**
  * @swagger
  * /api/v1/etl/clear-cache:
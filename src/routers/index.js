@@ -6,10 +6,12 @@ const jobs = require("./job");
 const organizations = require("./organization");
 const blogs = require("./blog");
 const etl = require("./etl");
+const analytics = require("./analytics");
 
 router.use("/jobs", jobs);
 router.use("/organizations", organizations);
 router.use("/blogs", blogs);
 router.use("/etl", etl);
+router.use("/analytics", analytics);
 
 module.exports = router;
@@ -4,13 +4,20 @@ const {auth} = require("../middleware/auth");
 
 const {
   getAll,
+  search,
   getById, 
+  getHistory,
+  getArchivedJobs,
+  getArchiveSummary,
   getFilteredJobs,
   getAllJobCategories,
   getAllJobOrganizations,
   getAllJobFunctionCategories,
   getAllDutyStations,
-  getLogoJobOrganizations
+  getLogoJobOrganizations,
+  getGrades,
+  getCountries,
+  getRegions
 
 } = require("../controllers/jobController");
 /**
@@ -68,6 +75,31 @@ const {
  *         job_level:
  *           type: string
  *           description: Job Level
+ *         grade:
+ *           type: string
+ *           nullable: true
+ *           description: Canonical grade normalized from the source's level fields (e.g. P3, NO-B, G5, CONSULTANCY)
+ *         contract_category:
+ *           type: string
+ *           nullable: true
+ *           enum: [fixed_term, temporary, consultancy, service_contract, internship, volunteer]
+ *           description: Canonical contract category normalized from the source's contract and level fields
+ *         country_code:
+ *           type: string
+ *           nullable: true
+ *           description: ISO 3166-1 alpha-2 country resolved from duty_station
+ *         city:
+ *           type: string
+ *           nullable: true
+ *           description: City resolved from duty_station
+ *         region:
+ *           type: string
+ *           nullable: true
+ *           enum: [africa, americas, asia, europe, oceania]
+ *           description: UN M49 region of the country
+ *         is_remote:
+ *           type: boolean
+ *           description: Home-based / remote position
  *         duty_station:
  *           type: string
  *           description: Duty Station
@@ -101,6 +133,50 @@ const {
  *         data_source:
  *           type: string
  *           description: Data Source
+ *         status:
+ *           type: string
+ *           enum: [open, closed]
+ *           description: "'closed' once the source stops listing the job (only returned by /jobs/{id}; listings show open jobs only)"
+ *         closed_at:
+ *           type: string
+ *           format: date-time
+ *           description: When the job was closed, null while open
+ *         cluster_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Shared by copies of the same vacancy posted by different sources (e.g. the agency and ReliefWeb); null when the job has none
+ *         archived:
+ *           type: boolean
+ *           description: True for a job moved to the archive (only returned by /jobs/{id})
+ *         archive_reason:
+ *           type: string
+ *           enum: [expired, duplicate, withdrawn]
+ *           description: Why an archived job was archived (only present when archived)
+ *         is_canonical:
+ *           type: boolean
+ *           description: Whether this copy represents its cluster in listings (only returned by /jobs/{id})
+ *         also_posted_on:
+ *           type: array
+ *           description: The other copies of this vacancy, with their source and apply link (only returned by /jobs/{id})
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               data_source:
+ *                 type: string
+ *               apply_link:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *               end_date:
+ *                 type: string
+ *               is_canonical:
+ *                 type: boolean
+ *               short_name:
+ *                 type: string
+ *               long_name:
+ *                 type: string
  *       example:
  *         id: 1
  *         job_id: "1"
@@ -141,6 +217,26 @@ const {
  *         schema:
  *           type: integer
  *         description: The number of jobs to return
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Opt-in keyset pagination by deadline. Pass an empty value (or
+ *           `first`) for the first page, then the `next_cursor` /
+ *           `prev_cursor` from the previous response. `page` is ignored.
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Set to false to skip totalRecords (returned as null)
+ *       - in: query
+ *         name: collapse
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Show one job per cluster of cross-source copies (its canonical posting); false lists every copy
  *     responses:
  *       200:
  *         description: The list of the jobs
@@ -153,11 +249,329 @@ const {
  */
 router.get("/", auth, getAll);
 
+/**
+ * @swagger
+ * /api/v1/jobs/search:
+ *   get:
+ *     summary: Full-text search across open jobs
+ *     description: |
+ *       Searches job title (highest weight), organization, job network and duty station,
+ *       and description (lowest weight). Accepts web-search syntax: quoted phrases,
+ *       "or", and "-word" to exclude. Results are ordered by relevance and include
+ *       highlighted title and description snippets (matches wrapped in <b>).
+ *     tags: [Job]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         example: WASH officer Nairobi
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: collapse
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Show one job per cluster of cross-source copies (its canonical posting); false lists every copy
+ *     responses:
+ *       200:
+ *         description: Matching jobs, most relevant first, in the same envelope as GET /api/v1/jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 totalRecords:
+ *                   type: integer
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Job'
+ *                       - type: object
+ *                         properties:
+ *                           rank:
+ *                             type: number
+ *                           title_highlight:
+ *                             type: string
+ *                           snippet:
+ *                             type: string
+ *       400:
+ *         description: Missing or too long query
+ */
+// Must stay above /:id so "search" isn't taken for a job id
+router.get("/search", auth, search);
+
+/**
+ * @swagger
+ * /api/v1/jobs/grades:
+ *   get:
+ *     summary: Canonical grades with open-vacancy counts
+ *     description: Every canonical grade in display order (P-1 … P-5, D-1, D-2, NO-A … NO-D, G-1 … G-7, SB/SC, consultancy, internship, UN Volunteer), including ones with no open vacancies. Use `code` as the `grade` filter of /jobs/filtered.
+ *     tags: [Job]
+ *     responses:
+ *       200:
+ *         description: The canonical grades
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       code:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       group:
+ *                         type: string
+ *                       total:
+ *                         type: integer
+ */
+// Above /:id for the same reason, as are /countries and /regions
+router.get("/grades", auth, getGrades);
+
+/**
+ * @swagger
+ * /api/v1/jobs/countries:
+ *   get:
+ *     summary: Countries with open vacancies
+ *     description: Countries resolved from duty stations, most open vacancies first. Use `code` as the `country` filter of /jobs/filtered.
+ *     tags: [Job]
+ *     responses:
+ *       200:
+ *         description: Countries with their open-vacancy counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       code:
+ *                         type: string
+ *                         description: ISO 3166-1 alpha-2
+ *                       iso3:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       region:
+ *                         type: string
+ *                       total:
+ *                         type: integer
+ *                       remote:
+ *                         type: integer
+ *                         description: Of which home-based
+ */
+router.get("/countries", auth, getCountries);
+
+/**
+ * @swagger
+ * /api/v1/jobs/regions:
+ *   get:
+ *     summary: UN M49 regions with open-vacancy counts
+ *     description: All five regions, including ones with no open vacancies. Use `code` as the `region` filter of /jobs/filtered.
+ *     tags: [Job]
+ *     responses:
+ *       200:
+ *         description: The regions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       code:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       total:
+ *                         type: integer
+ *                       countries:
+ *                         type: integer
+ */
+router.get("/regions", auth, getRegions);
+
+/**
+ * @swagger
+ * /api/v1/jobs/archive:
+ *   get:
+ *     summary: Archived jobs (expired, duplicate or withdrawn)
+ *     description: |
+ *       Jobs the ETL cleanup moved out of the live table, newest deadline
+ *       first. Read-only; kept forever unless ETL_ARCHIVE_RETENTION_DAYS is set. Each one
+ *       also resolves on /api/v1/jobs/{id} with `archived: true`.
+ *     tags: [Job]
+ *     parameters:
+ *       - in: query
+ *         name: organization
+ *         schema:
+ *           type: string
+ *         description: Organization short name or id; comma-separated for several
+ *       - in: query
+ *         name: jn
+ *         schema:
+ *           type: string
+ *         description: Job network; comma-separated for several
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [expired, duplicate, withdrawn]
+ *         description: Why the job was archived; comma-separated for several
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Deadline (or archive date for jobs without one) on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Deadline (or archive date for jobs without one) on or before this date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Archived jobs with their archive_reason and archived_at
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 totalRecords:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Invalid date or reason, or more than 20 values for one filter
+ */
+router.get("/archive", auth, getArchivedJobs);
+
+/**
+ * @swagger
+ * /api/v1/jobs/archive/summary:
+ *   get:
+ *     summary: Archived job counts over time, by organization or by job network
+ *     tags: [Job]
+ *     parameters:
+ *       - in: query
+ *         name: group_by
+ *         schema:
+ *           type: string
+ *           enum: [month, organization, jn, reason]
+ *           default: month
+ *       - in: query
+ *         name: organization
+ *         schema:
+ *           type: string
+ *         description: Organization short name or id; comma-separated for several
+ *       - in: query
+ *         name: jn
+ *         schema:
+ *           type: string
+ *         description: Job network; comma-separated for several
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [expired, duplicate, withdrawn]
+ *         description: Why the job was archived; comma-separated for several
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Deadline (or archive date for jobs without one) on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Deadline (or archive date for jobs without one) on or before this date
+ *     responses:
+ *       200:
+ *         description: One row per group with total, expired, duplicate and withdrawn counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 groupBy:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       value:
+ *                         type: string
+ *                       total:
+ *                         type: integer
+ *                       expired:
+ *                         type: integer
+ *                       duplicate:
+ *                         type: integer
+ *                       withdrawn:
+ *                         type: integer
+ *       400:
+ *         description: Invalid group_by, date or reason, or more than 20 values for one filter
+ */
+router.get("/archive/summary", auth, getArchiveSummary);
+
 /**
  * @swagger
  * /api/v1/jobs/{id}:
  *   get:
  *     summary: Get a job by id
+ *     description: |
+ *       Also returns jobs the source has since withdrawn, with status "closed", so old links can show that the job no longer accepts applications.
+ *       When other sources list the same vacancy, `also_posted_on` names them with their apply links.
+ *       Jobs the cleanup archived still resolve, with `archived: true` and their `archive_reason`.
  *     tags: [Job]
  *     parameters:
  *       - in: path
@@ -179,11 +593,69 @@ router.get("/", auth, getAll);
 
 router.get("/:id", auth, getById);
 
+/**
+ * @swagger
+ * /api/v1/jobs/{id}/history:
+ *   get:
+ *     summary: Get the change history of a job
+ *     description: Revisions recorded whenever the ETL saw the title, deadline, duty station, level or description change. Description changes are reported as a hash change only.
+ *     tags: [Job]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The job id
+ *     responses:
+ *       200:
+ *         description: The job's revision timeline, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     job:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Current values, or null if the job row no longer exists
+ *                     deadline_extended:
+ *                       type: boolean
+ *                     revisions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           changed_at:
+ *                             type: string
+ *                             format: date-time
+ *                           changes:
+ *                             type: object
+ *                             description: Changed fields, e.g. {"end_date":{"from":"...","to":"..."}}
+ *       400:
+ *         description: Invalid job id
+ *       404:
+ *         description: No job or history found for this id
+ */
+router.get("/:id/history", auth, getHistory);
+
 /**
  * @swagger
  * /api/v1/jobs/filtered/{query}:
  *   get:
  *     summary: Get jobs by filters
+ *     description: |
+ *       Text filters (duty_station, dept, recruitment_type, jn, jf, jc, jl)
+ *       accept several comma-separated or repeated values, matched
+ *       case-insensitively and OR-ed together.
  *     tags: [Job]
  *     parameters:
  *       - in: query
@@ -235,6 +707,110 @@ router.get("/:id", auth, getById);
  *         schema:
  *           type: string
  *         description: JL
+ *       - in: query
+ *         name: grade
+ *         schema:
+ *           type: string
+ *         description: Canonical grade(s), comma-separated — P3, P-3 and p3 all work (see /jobs/grades). Unknown grades are a 400.
+ *       - in: query
+ *         name: contract_category
+ *         schema:
+ *           type: string
+ *           enum: [fixed_term, temporary, consultancy, service_contract, internship, volunteer]
+ *         description: Canonical contract category, comma-separate for several
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Country by ISO code (KE, KEN) or name (Kenya), comma-separate for several. Unknown countries are a 400.
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *           enum: [africa, americas, asia, europe, oceania]
+ *         description: UN M49 region, comma-separate for several
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: City as returned by /jobs/duty_station/list (partial match, comma-separate for several)
+ *       - in: query
+ *         name: remote
+ *         schema:
+ *           type: boolean
+ *         description: Only home-based / remote positions (true) or only on-site ones (false)
+ *       - in: query
+ *         name: posted_after
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Posted (start_date) on or after this date
+ *       - in: query
+ *         name: posted_before
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Posted (start_date) on or before this date
+ *       - in: query
+ *         name: closing_after
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Deadline (end_date) on or after this date
+ *       - in: query
+ *         name: closing_before
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Deadline (end_date) on or before this date
+ *       - in: query
+ *         name: include_expired
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include jobs whose deadline has passed
+ *       - in: query
+ *         name: collapse
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Show one job per cluster of cross-source copies (its canonical posting); false lists every copy
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [deadline, newest, relevance, title]
+ *           default: deadline
+ *         description: relevance ranks against job_title and falls back to deadline without it
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Defaults to asc for deadline/title, desc for newest/relevance
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Opt-in keyset pagination by deadline. Pass an empty value (or
+ *           `first`) for the first page, then the `next_cursor` /
+ *           `prev_cursor` from the previous response. `page` is ignored.
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Set to false to skip totalRecords (returned as null)
+ *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: boolean
+ *         description: |
+ *           Also return `facets` — value counts for jn, jf, jl, grade,
+ *           contract_category, country_code, region, dept, duty_station and
+ *           recruitment_type plus deadline buckets. Each
+ *           dimension is counted against every active filter except its own.
  *     responses:
  *       200:
  *         description: The job information filtered by the provided parameters
@@ -244,6 +820,8 @@ router.get("/:id", auth, getById);
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Invalid date or filter value, more than 20 values for one filter, or more than 200 filter combinations in one query
  */
 router.get("/filtered/:query", auth, getFilteredJobs);
 
@@ -330,6 +908,7 @@ router.get("/organizations/logo/list",auth,  getLogoJobOrganizations);
  * /api/v1/jobs/duty_station/list:
  *   get:
  *     summary: Returns the list of all the duty station
+ *     description: Duty stations with open vacancies, grouped by resolved country and city so spelling variants collapse into one entry. Filter /jobs/filtered with the entry's `country` and `city` (or `remote=true`). Strings that couldn't be resolved are listed as-is with a null country_code.
  *     tags: [Job]
  *     responses:
  *       200:
@@ -337,9 +916,31 @@ router.get("/organizations/logo/list",auth,  getLogoJobOrganizations);
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Job'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       duty_station:
+ *                         type: string
+ *                         example: Nairobi, Kenya
+ *                       country_code:
+ *                         type: string
+ *                         nullable: true
+ *                       city:
+ *                         type: string
+ *                         nullable: true
+ *                       region:
+ *                         type: string
+ *                         nullable: true
+ *                       is_remote:
+ *                         type: boolean
+ *                       total:
+ *                         type: integer
  */
 router.get("/duty_station/list",auth,  getAllDutyStations);
 
@@ -0,0 +1,72 @@
+// Keyset pagination for the job listings.
+// Opt-in with ?cursor= (empty or "first" for the first page). Pages walk
+// (end_date, id) so rows inserted by the ETL mid-browse don't shift the
+// ones already seen the way OFFSET does. Open-ended jobs sort last.
+const CURSOR_KEY = `(COALESCE(jv.end_date, 'infinity'), jv.id)`;
+const CURSOR_FIRST_PAGE = { start: true, direction: 'next' };
+
+// Cursors are opaque to clients: base64url JSON of the boundary row.
+function encodeCursor(row, direction) {
+  const key = { e: row.end_date ? new Date(row.end_date).toISOString() : null, i: row.id, d: direction };
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+// Returns null for anything that isn't a cursor we handed out
+function decodeCursor(raw) {
+  const value = String(raw).trim();
+  if (value === '' || value === 'first') return CURSOR_FIRST_PAGE;
+  try {
+    const { e, i, d } = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    const endDate = e === null ? 'infinity' : new Date(e);
+    if (!Number.isInteger(i) || !['next', 'prev'].includes(d)) return null;
+    if (endDate !== 'infinity' && Number.isNaN(endDate.getTime())) return null;
+    return { start: false, endDate, id: i, direction: d };
+  } catch (err) {
+    return null;
+  }
+}
+
+// WHERE / ORDER BY / LIMIT for one keyset page, with placeholders numbered
+// after the `paramOffset` params the caller already has. One extra row is
+// fetched to tell whether another page exists.
+function keysetClauses(cursor, size, paramOffset) {
+  const backwards = cursor.direction === 'prev';
+  const direction = backwards ? 'DESC' : 'ASC';
+  const params = [];
+  let where = '';
+
+  if (!cursor.start) {
+    where = ` AND ${CURSOR_KEY} ${backwards ? '<' : '>'} ($${paramOffset + 1}, $${paramOffset + 2})`;
+    params.push(cursor.endDate, cursor.id);
+  }
+  params.push(size + 1);
+
+  return {
+    where,
+    orderBy: `COALESCE(jv.end_date, 'infinity') ${direction}, jv.id ${direction}`,
+    limit: `LIMIT $${paramOffset + params.length}`,
+    params,
+  };
+}
+
+// Trim the look-ahead row, restore ascending order for backwards pages
+// and work out the neighbouring cursors.
+function keysetPage(rows, cursor, size) {
+  const backwards = cursor.direction === 'prev';
+  const hasMore = rows.length > size;
+  const data = rows.slice(0, size);
+  if (backwards) data.reverse();
+
+  const first = data[0];
+  const last = data[data.length - 1];
+  const hasNext = backwards ? true : hasMore;
+  const hasPrev = backwards ? hasMore : !cursor.start;
+
+  return {
+    data,
+    next_cursor: last && hasNext ? encodeCursor(last, 'next') : null,
+    prev_cursor: first && hasPrev ? encodeCursor(first, 'prev') : null,
+  };
+}
+
+module.exports = { encodeCursor, decodeCursor, keysetClauses, keysetPage };
@@ -0,0 +1,12 @@
+// Stable serialization of req.query for cache keys — sorted by name so
+// ?a=1&b=2 and ?b=2&a=1 collide on the same cache entry.
+function stableQueryString(query) {
+  const params = new URLSearchParams();
+  Object.keys(query).sort().forEach((k) => {
+    const v = query[k];
+    if (v !== undefined && v !== null && String(v).trim() !== '') params.set(k, v);
+  });
+  return params.toString();
+}
+
+module.exports = { stableQueryString };
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Smoke test for duty station normalization (src/etl/gazetteer.js).
+ * No database needed.
+ */
+
+const assert = require('assert');
+const { normalizeDutyStation, normalizeCountry, normalizeRegion } = require('./src/etl/gazetteer');
+
+const station = (country_code, city, region, is_remote = false) => ({ country_code, city, region, is_remote });
+
+// [raw duty_station, expected { country_code, city, region, is_remote }]
+const STATION_CASES = [
+  ['KEN-Nairobi', station('KE', 'Nairobi', 'africa')],
+  ['Nairobi, Kenya', station('KE', 'Nairobi', 'africa')],
+  ['Geneva', station('CH', 'Geneva', 'europe')],
+  ['Juba, Malakal, South Sudan', station('SS', 'Juba', 'africa')],
+  ['Congo, Democratic Republic of the', station('CD', null, 'africa')],
+  ['New York, NY, United States', station('US', 'New York', 'americas')],
+  ['Home-based', station(null, null, null, true)],
+  ['Remote - Bangkok, Thailand', station('TH', 'Bangkok', 'asia', true)],
+  ['Atlantis', station(null, null, null)],
+  ['', station(null, null, null)],
+];
+
+// [raw ?country= / ?region= value, expected code]
+const COUNTRY_CASES = [['KE', 'KE'], ['KEN', 'KE'], ['kenya', 'KE'], ['Narnia', null]];
+const REGION_CASES = [['Africa', 'africa'], ['asia', 'asia'], ['Mars', null]];
+
+function testGazetteer() {
+  console.log('🧪 Testing Duty Station Normalization');
+  console.log('=====================================\n');
+
+  const failures = [];
+  const expect = (label, actual, expected) => {
+    try {
+      assert.deepStrictEqual(actual, expected);
+    } catch (error) {
+      failures.push(`${label}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+    }
+  };
+
+  console.log('1️⃣  Duty stations...');
+  STATION_CASES.forEach(([raw, expected]) => expect(`normalizeDutyStation(${JSON.stringify(raw)})`, normalizeDutyStation(raw), expected));
+
+  console.log('2️⃣  Country and region filters...');
+  COUNTRY_CASES.forEach(([raw, expected]) => expect(`normalizeCountry(${JSON.stringify(raw)})`, normalizeCountry(raw), expected));
+  REGION_CASES.forEach(([raw, expected]) => expect(`normalizeRegion(${JSON.stringify(raw)})`, normalizeRegion(raw), expected));
+
+  const total = STATION_CASES.length + COUNTRY_CASES.length + REGION_CASES.length;
+  if (failures.length > 0) {
+    console.log(`\n❌ FAILED! ${failures.length} of ${total} cases:`);
+    failures.forEach((failure) => console.log(`   ✗ ${failure}`));
+    console.log('');
+    process.exit(1);
+  }
+  console.log(`\n🎉 SUCCESS! All ${total} cases normalized as expected.\n`);
+  process.exit(0);
+}
+
+// Run the test
+if (require.main === module) {
+  testGazetteer();
+}
+
+module.exports = { testGazetteer };
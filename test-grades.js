@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Smoke test for grade and contract category normalization
+ * (src/etl/grades.js). No database needed.
+ */
+
+const assert = require('assert');
+const { normalizeGrade, normalizeContractCategory, normalizeJobGrade } = require('./src/etl/grades');
+
+// [raw value, expected canonical grade]
+const GRADE_CASES = [
+  ['P-4', 'P4'],
+  ['p 3', 'P3'],
+  ['D-1', 'D1'],
+  ['NOB', 'NO-B'],
+  ['GS-6', 'G6'],
+  ['SB-3', 'SB3'],
+  ['SC-12', null],
+  ['Consultancy', 'CONSULTANCY'],
+  ['Internship', 'INTERNSHIP'],
+  ['UNV', 'UNV'],
+  ['Senior', null],
+  ['', null],
+];
+
+// [raw value, expected contract category]
+const CONTRACT_CASES = [
+  ['Fixed Term', 'fixed_term'],
+  ['fixed-term', 'fixed_term'],
+  ['Temporary Job Opening', 'temporary'],
+  ['LICA Specialist-11', 'consultancy'],
+  ['UN Volunteer', 'volunteer'],
+  ['', null],
+];
+
+// [vacancy row, expected { grade, contract_category }]
+const JOB_CASES = [
+  [{ jl: 'P-3', recruitment_type: 'Fixed Term', job_title: 'Programme Officer' }, { grade: 'P3', contract_category: 'fixed_term' }],
+  [{ job_title: 'Finance Associate (SB-4)' }, { grade: 'SB4', contract_category: 'service_contract' }],
+  [{ job_title: 'International Consultant - Finance' }, { grade: 'CONSULTANCY', contract_category: 'consultancy' }],
+  [{ job_title: 'Internship Programme Coordinator' }, { grade: null, contract_category: null }],
+];
+
+function testGrades() {
+  console.log('🧪 Testing Grade Normalization');
+  console.log('=====================================\n');
+
+  const failures = [];
+  const expect = (label, actual, expected) => {
+    try {
+      assert.deepStrictEqual(actual, expected);
+    } catch (error) {
+      failures.push(`${label}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+    }
+  };
+
+  console.log('1️⃣  Grades...');
+  GRADE_CASES.forEach(([raw, expected]) => expect(`normalizeGrade(${JSON.stringify(raw)})`, normalizeGrade(raw), expected));
+
+  console.log('2️⃣  Contract categories...');
+  CONTRACT_CASES.forEach(([raw, expected]) => expect(`normalizeContractCategory(${JSON.stringify(raw)})`, normalizeContractCategory(raw), expected));
+
+  console.log('3️⃣  Whole vacancies...');
+  JOB_CASES.forEach(([job, expected]) => expect(`normalizeJobGrade(${JSON.stringify(job)})`, normalizeJobGrade(job), expected));
+
+  const total = GRADE_CASES.length + CONTRACT_CASES.length + JOB_CASES.length;
+  if (failures.length > 0) {
+    console.log(`\n❌ FAILED! ${failures.length} of ${total} cases:`);
+    failures.forEach((failure) => console.log(`   ✗ ${failure}`));
+    console.log('');
+    process.exit(1);
+  }
+  console.log(`\n🎉 SUCCESS! All ${total} cases normalized as expected.\n`);
+  process.exit(0);
+}
+
+// Run the test
+if (require.main === module) {
+  testGrades();
+}
+
+module.exports = { testGrades };
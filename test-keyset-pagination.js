@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Smoke test for the keyset cursors behind ?cursor= on the job listings
+ * (src/util/cursor.js). No database needed.
+ */
+
+const assert = require('assert');
+const { encodeCursor, decodeCursor, keysetClauses, keysetPage } = require('./src/util/cursor');
+
+let failures = 0;
+
+function check(label, fn) {
+  try {
+    fn();
+    console.log(`   ✅ ${label}`);
+  } catch (error) {
+    failures++;
+    console.log(`   ❌ ${label}: ${error.message}`);
+  }
+}
+
+function testKeysetPagination() {
+  console.log('🧪 Testing Keyset Pagination Cursors');
+  console.log('=====================================\n');
+
+  console.log('1️⃣  Round trip...');
+  check('a cursor decodes back to its row', () => {
+    const cursor = decodeCursor(encodeCursor({ end_date: '2026-03-01T00:00:00.000Z', id: 42 }, 'next'));
+    assert.deepStrictEqual(cursor, { start: false, endDate: new Date('2026-03-01T00:00:00.000Z'), id: 42, direction: 'next' });
+  });
+  check('a job without a deadline round-trips as infinity', () => {
+    const cursor = decodeCursor(encodeCursor({ end_date: null, id: 7 }, 'prev'));
+    assert.deepStrictEqual(cursor, { start: false, endDate: 'infinity', id: 7, direction: 'prev' });
+  });
+  check('an empty or "first" cursor starts at the first page', () => {
+    assert.deepStrictEqual(decodeCursor(''), { start: true, direction: 'next' });
+    assert.deepStrictEqual(decodeCursor('first'), { start: true, direction: 'next' });
+  });
+
+  console.log('\n2️⃣  Rejected cursors...');
+  check('garbage and tampered cursors decode to null', () => {
+    assert.strictEqual(decodeCursor('not-a-cursor'), null);
+    const tampered = Buffer.from(JSON.stringify({ e: null, i: '7', d: 'next' })).toString('base64url');
+    assert.strictEqual(decodeCursor(tampered), null);
+    const sideways = Buffer.from(JSON.stringify({ e: null, i: 7, d: 'up' })).toString('base64url');
+    assert.strictEqual(decodeCursor(sideways), null);
+  });
+
+  console.log('\n3️⃣  SQL clauses...');
+  check('the first page only limits, fetching one row ahead', () => {
+    const clauses = keysetClauses(decodeCursor('first'), 20, 0);
+    assert.strictEqual(clauses.where, '');
+    assert.strictEqual(clauses.limit, 'LIMIT $1');
+    assert.deepStrictEqual(clauses.params, [21]);
+  });
+  check('a prev cursor walks backwards after the caller\'s params', () => {
+    const cursor = decodeCursor(encodeCursor({ end_date: null, id: 7 }, 'prev'));
+    const clauses = keysetClauses(cursor, 10, 3);
+    assert.ok(clauses.where.includes('< ($4, $5)'));
+    assert.ok(clauses.orderBy.endsWith('jv.id DESC'));
+    assert.strictEqual(clauses.limit, 'LIMIT $6');
+    assert.deepStrictEqual(clauses.params, ['infinity', 7, 11]);
+  });
+
+  console.log('\n4️⃣  Pages...');
+  check('a full page links to the next one and not back', () => {
+    const rows = [1, 2, 3].map((id) => ({ id, end_date: null }));
+    const page = keysetPage(rows, decodeCursor('first'), 2);
+    assert.deepStrictEqual(page.data.map((row) => row.id), [1, 2]);
+    assert.deepStrictEqual(decodeCursor(page.next_cursor), { start: false, endDate: 'infinity', id: 2, direction: 'next' });
+    assert.strictEqual(page.prev_cursor, null);
+  });
+
+  if (failures > 0) {
+    console.log(`\n❌ FAILED! ${failures} check(s) failed.\n`);
+    process.exit(1);
+  }
+  console.log('\n🎉 SUCCESS! Keyset cursors behave as expected.\n');
+  process.exit(0);
+}
+
+// Run the test
+if (require.main === module) {
+  testKeysetPagination();
+}
+
+module.exports = { testKeysetPagination };
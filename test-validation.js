@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Smoke test for the per-source job validation (src/etl/validation.js).
+ * No database needed; every case is checked against a fixed "now".
+ */
+
+const assert = require('assert');
+const { validateJobRecord } = require('./src/etl/validation');
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+
+const job = (overrides = {}) => ({
+  job_id: 'TEST-1',
+  job_title: 'Programme Analyst',
+  data_source: 'undp',
+  organization_id: 1,
+  apply_link: 'https://jobs.example.org/TEST-1',
+  start_date: '2026-05-20',
+  end_date: '2026-06-20',
+  ...overrides,
+});
+
+// Issues as "field" or "rule" names, so cases read like the schema
+const summarize = ({ rejected, suspicious }) => ({
+  rejected: rejected.map((issue) => issue.field || issue.rule),
+  suspicious: suspicious.map((issue) => issue.field || issue.rule),
+});
+
+// [label, job, expected { rejected, suspicious }]
+const CASES = [
+  ['a complete job passes', job(), { rejected: [], suspicious: [] }],
+  ['missing title is rejected', job({ job_title: '' }), { rejected: ['job_title'], suspicious: [] }],
+  ['UNDP needs an apply link', job({ apply_link: null }), { rejected: ['apply_link'], suspicious: [] }],
+  ['non-http apply link is rejected', job({ apply_link: 'ftp://example.org/x' }), { rejected: ['apply_link'], suspicious: [] }],
+  ['over-long duty station is rejected', job({ duty_station: 'x'.repeat(101) }), { rejected: ['duty_station'], suspicious: [] }],
+  ['unparseable deadline is rejected, rules skipped', job({ end_date: 'soon' }), { rejected: ['end_date'], suspicious: [] }],
+  ['deadline before posting is rejected', job({ start_date: '2026-05-20', end_date: '2026-05-10' }), { rejected: ['end_before_start'], suspicious: ['deadline_passed'] }],
+  ['deadline over a year out is suspicious', job({ end_date: '2027-07-01' }), { rejected: [], suspicious: ['deadline_far'] }],
+  ['posting far in the future is suspicious', job({ start_date: '2026-08-01', end_date: '2026-09-01' }), { rejected: [], suspicious: ['posted_in_future'] }],
+  ['short scraped description is suspicious', job({ data_source: 'unicef', job_description: 'Apply now.' }), { rejected: [], suspicious: ['job_description'] }],
+  ['sources without a schema use the base one', job({ data_source: 'other', apply_link: null, end_date: null }), { rejected: [], suspicious: [] }],
+];
+
+function testValidation() {
+  console.log('🧪 Testing Job Validation');
+  console.log('=====================================\n');
+
+  const failures = [];
+  CASES.forEach(([label, record, expected]) => {
+    const actual = summarize(validateJobRecord(record, NOW));
+    try {
+      assert.deepStrictEqual(actual, expected);
+      console.log(`   ✅ ${label}`);
+    } catch (error) {
+      failures.push(label);
+      console.log(`   ❌ ${label}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+    }
+  });
+
+  if (failures.length > 0) {
+    console.log(`\n❌ FAILED! ${failures.length} of ${CASES.length} cases.\n`);
+    process.exit(1);
+  }
+  console.log(`\n🎉 SUCCESS! All ${CASES.length} cases validated as expected.\n`);
+  process.exit(0);
+}
+
+// Run the test
+if (require.main === module) {
+  testValidation();
+}
+
+module.exports = { testValidation };